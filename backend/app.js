@@ -3,12 +3,13 @@
  *
  * This Node.js server uses Express to expose a simple API for the frontend to
  * obtain signed WebSocket URLs for real‑time conversations with the ElevenLabs
- * Conversational AI API and to perform text‑to‑speech conversions as a
- * fallback. Configuration is read from environment variables (see
- * `.env.example` for details) and kept on the server side to avoid
- * exposing secrets in the client.
+ * Conversational AI API, to relay those conversations through the server, and
+ * to perform text‑to‑speech conversions. Configuration is read from
+ * environment variables (see `.env.example` for details) and kept on the
+ * server side to avoid exposing secrets in the client.
  */
 
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
@@ -16,36 +17,105 @@ const dotenv = require('dotenv');
 // Load environment variables from .env file when present
 dotenv.config();
 
+const { requestContext } = require('./middleware/requestContext');
+const { logger } = require('./services/logger');
+
 const app = express();
 
+// Give every request an ID and log it once answered
+app.use(requestContext);
+
 // Middleware to parse JSON bodies
 app.use(express.json());
 
 // Configure CORS. During development the frontend typically runs on
 // http://localhost:3000 so we allow that origin by default. In production you
-// should set FRONTEND_ORIGIN in your environment to a specific domain.
-const allowedOrigin = process.env.FRONTEND_ORIGIN || '*';
+// should set FRONTEND_ORIGIN in your environment to a specific domain, or a
+// comma-separated list of domains when the chat widget is embedded on other
+// sites.
+const allowedOrigins = (process.env.FRONTEND_ORIGIN || 'http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 app.use(
   cors({
-    origin: allowedOrigin,
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type'],
+    origin: allowedOrigins,
+    methods: ['GET', 'POST', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['Retry-After', 'X-Cache', 'X-Request-Id'],
   }),
 );
 
 // Import API routes
 const conversationRoutes = require('./routes/conversation');
+const historyRoutes = require('./routes/history');
+const recordingRoutes = require('./routes/recordings');
+const exportRoutes = require('./routes/export');
+const toolRoutes = require('./routes/tools');
+const authRoutes = require('./routes/auth');
+const usageRoutes = require('./routes/usage');
+const adminRoutes = require('./routes/admin');
+const voiceRoutes = require('./routes/voices');
+const healthRoutes = require('./routes/health');
+const { requireAuth, authorizeRelayRequest } = require('./middleware/auth');
+const { attachConversationRelay } = require('./routes/conversationRelay');
+const historyHook = require('./hooks/history');
+const overridesHook = require('./hooks/overrides');
+const usageHook = require('./hooks/usage');
+const recordingHook = require('./hooks/recording');
+const { startRetentionSweep } = require('./services/recordingStore');
+const { startConversationMeterSweep } = require('./services/conversationMeter');
+const { getProvider } = require('./providers');
+
+// Login, and the server tool webhooks, which are called by the ElevenLabs
+// agent rather than the browser and authenticate with their own secret
+app.use('/api/auth', authRoutes);
+app.use('/api/tools', toolRoutes);
 
-// Mount the routes under /api
+// Every other route under /api requires an API key or a JWT
+app.use('/api', requireAuth);
 app.use('/api', conversationRoutes);
+app.use('/api', historyRoutes);
+app.use('/api', recordingRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', voiceRoutes);
+// Usage reports for operators listed in ADMIN_USERS
+app.use('/api/admin', adminRoutes);
 
-// Health check endpoint to verify that the server is running
-app.get('/healthz', (req, res) => {
-  res.json({ status: 'ok' });
+// Liveness and readiness checks and Prometheus metrics
+app.use(healthRoutes);
+
+// Create the HTTP server explicitly so that WebSocket routes can share it.
+// The conversation relay accepts browser sockets on /api/conversation/ws and
+// forwards them to ElevenLabs (see routes/conversationRelay.js). Connections
+// are authenticated and rate limited like /api/signed-url. Initiation
+// overrides are checked against the allowlist before they go upstream,
+// sessions are metered by the usage hook, relayed transcripts are persisted
+// by the history hook and, when the user agreed to it, the audio is recorded
+// by the recording hook, which relies on the history hook's session ID.
+const server = http.createServer(app);
+// Providers such as the mock agent may serve their own sockets; the relay
+// refuses upgrades on any other path
+const provider = getProvider();
+attachConversationRelay(server, {
+  authorize: authorizeRelayRequest,
+  hooks: [overridesHook, usageHook, historyHook, recordingHook],
+  otherPaths: provider.socketPaths,
 });
+if (provider.attach) provider.attach(server);
+
+// Start the server when run directly. Tests import the app and server without
+// binding to a port.
+if (require.main === module) {
+  const port = process.env.PORT || 5000;
+  server.listen(port, () => {
+    logger.info('Backend server listening', { port: Number(port) });
+  });
+  // Recordings are deleted once their retention period is over
+  startRetentionSweep();
+  // Direct-mode conversations the browser never reported are metered anyway
+  startConversationMeterSweep();
+}
 
-// Start the server
-const port = process.env.PORT || 5000;
-app.listen(port, () => {
-  console.log(`Backend server listening on port ${port}`);
-});
\ No newline at end of file
+module.exports = { app, server };
\ No newline at end of file
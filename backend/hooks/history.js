@@ -0,0 +1,210 @@
+/*
+ * Relay hook that persists conversation transcripts to the history store.
+ * Transcripts are keyed by the conversation ID from the upstream
+ * `conversation_initiation_metadata` event; messages seen before that event
+ * arrives (typed messages are usually sent right after the socket opens) are
+ * held on the relay session until the ID is known.
+ *
+ * Each message is stored with the time its utterance started and, where it
+ * can be derived from the events, when it ended. A spoken user transcript
+ * arrives once the user has finished talking, so its start is estimated from
+ * the length of the text. An agent turn spans the audio it produced, so agent
+ * messages are recorded once the turn is over and their duration is known.
+ * When the user interrupts the agent, the turn is cut short and flagged.
+ * ElevenLabs may then correct the response to what was actually spoken, so
+ * an interrupted message is held back until the next message is recorded or
+ * the session ends, and an `agent_response_correction` replaces its text.
+ *
+ * A browser reconnecting after a dropped connection passes the ID of the
+ * session it continues as the `resume` query parameter. ElevenLabs starts a
+ * new conversation, but its messages are appended to the resumed session so
+ * the history shows one conversation. Only the user's own sessions can be
+ * resumed; any other ID starts a new session as if none had been given.
+ */
+
+const historyStore = require('../services/historyStore');
+const { base64ByteLength, audioDurationMs } = require('../services/audioFormats');
+const { estimateSpeechMs } = require('../services/transcriptExport');
+const { logger } = require('../services/logger');
+
+function store(session, message) {
+  const state = session.history;
+  if (!state.conversationId) {
+    state.pending.push(message);
+    return;
+  }
+  historyStore
+    .appendMessage(state.conversationId, message, { userId: session.user && session.user.id })
+    .catch((error) => {
+      logger.error('Failed to record history message', { sessionId: session.id, error });
+    });
+}
+
+// Store the held back interrupted message, if any
+function flushHeld(session) {
+  const state = session.history;
+  const held = state.held;
+  state.held = null;
+  if (held) store(session, held);
+}
+
+function record(session, message, { hold = false } = {}) {
+  const state = session.history;
+  state.lastEnd = message.endTimestamp || message.timestamp;
+  flushHeld(session);
+  if (hold) {
+    state.held = message;
+  } else {
+    store(session, message);
+  }
+}
+
+// Replace the text of an interrupted response that has not been stored yet
+function correctAgentResponse(session, original, corrected) {
+  const state = session.history;
+  if (state.agentTurn?.text === original) {
+    state.agentTurn.text = corrected;
+  } else if (state.held?.text === original) {
+    state.held.text = corrected;
+  }
+}
+
+// Start tracking an agent turn on its first audio chunk or response text
+function agentTurn(session, now) {
+  const state = session.history;
+  if (!state.agentTurn) {
+    state.agentTurn = { startedAt: now, audioMs: 0, text: null };
+  }
+  return state.agentTurn;
+}
+
+// Record the agent turn in progress, if it produced any text. An interrupted
+// turn ends no later than the interruption.
+function finishAgentTurn(session, interruptedAt) {
+  const state = session.history;
+  const turn = state.agentTurn;
+  state.agentTurn = null;
+  if (!turn || !turn.text) return;
+  const message = { role: 'agent', text: turn.text, timestamp: turn.startedAt };
+  if (turn.audioMs) message.endTimestamp = Math.round(turn.startedAt + turn.audioMs);
+  if (interruptedAt) {
+    message.endTimestamp = Math.min(message.endTimestamp || interruptedAt, interruptedAt);
+    message.interrupted = true;
+  }
+  record(session, message, { hold: Boolean(interruptedAt) });
+}
+
+// The session ID a reconnecting browser asked to continue, if valid
+function resumedSessionId(request) {
+  const { searchParams } = new URL(request.url, 'http://localhost');
+  const id = searchParams.get('resume');
+  return historyStore.isValidSessionId(id) ? id : null;
+}
+
+// Whether the session asked for by `resume` may be continued by this relay
+// session's user. A session that has not been stored yet is created for them.
+async function canResume(session, id) {
+  try {
+    const resumed = await historyStore.getSession(id);
+    return !resumed || resumed.userId === (session.user && session.user.id);
+  } catch (error) {
+    logger.error('Failed to read resumed history session', { sessionId: session.id, error });
+    return false;
+  }
+}
+
+const historyHook = {
+  onSessionStart(session) {
+    session.history = {
+      resumeId: resumedSessionId(session.request),
+      conversationId: null,
+      audioFormat: undefined,
+      pending: [],
+      agentTurn: null,
+      held: null,
+      lastEnd: 0,
+      interruptedEventId: -Infinity,
+    };
+  },
+
+  onClientEvent(event, session) {
+    if (event.type === 'user_message' && event.text) {
+      finishAgentTurn(session);
+      record(session, { role: 'user', text: event.text, timestamp: Date.now() });
+    }
+  },
+
+  async onUpstreamEvent(event, session) {
+    const state = session.history;
+    const now = Date.now();
+    if (event.type === 'conversation_initiation_metadata') {
+      const metadata = event.conversation_initiation_metadata_event || {};
+      state.audioFormat = metadata.agent_output_audio_format;
+      if (state.resumeId && (await canResume(session, state.resumeId))) {
+        state.conversationId = state.resumeId;
+      } else {
+        if (!historyStore.isValidSessionId(metadata.conversation_id)) return;
+        state.conversationId = metadata.conversation_id;
+        try {
+          await historyStore.saveSession(
+            state.conversationId,
+            { startedAt: session.startedAt },
+            { userId: session.user && session.user.id },
+          );
+        } catch (error) {
+          logger.error('Failed to create history session', { sessionId: session.id, error });
+        }
+      }
+      state.pending.splice(0).forEach((message) => store(session, message));
+    }
+    if (event.type === 'user_transcript') {
+      const text = event.user_transcription_event?.user_transcript;
+      if (text) {
+        finishAgentTurn(session);
+        const start = Math.max(state.lastEnd, now - estimateSpeechMs(text));
+        record(session, { role: 'user', text, timestamp: start, endTimestamp: now });
+      }
+    }
+    if (event.type === 'agent_response') {
+      const text = event.agent_response_event?.agent_response;
+      if (text) {
+        // A second response without a user turn in between is a new turn
+        if (state.agentTurn?.text) finishAgentTurn(session);
+        agentTurn(session, now).text = text;
+      }
+    }
+    if (event.type === 'agent_response_correction') {
+      const correction = event.agent_response_correction_event || {};
+      const { original_agent_response: original, corrected_agent_response: corrected } =
+        correction;
+      if (original && typeof corrected === 'string') {
+        correctAgentResponse(session, original, corrected);
+      }
+    }
+    if (event.type === 'interruption') {
+      const eventId = event.interruption_event?.event_id;
+      if (Number.isFinite(eventId)) {
+        state.interruptedEventId = Math.max(state.interruptedEventId, eventId);
+      }
+      finishAgentTurn(session, now);
+    }
+    if (event.type === 'audio') {
+      const audio = event.audio_event?.audio_base_64;
+      const eventId = event.audio_event?.event_id;
+      // Late chunks of an interrupted response were never played
+      if (audio && !(eventId <= state.interruptedEventId)) {
+        agentTurn(session, now).audioMs += audioDurationMs(
+          base64ByteLength(audio),
+          state.audioFormat,
+        );
+      }
+    }
+  },
+
+  onSessionEnd(session) {
+    finishAgentTurn(session);
+    flushHeld(session);
+  },
+};
+
+module.exports = historyHook;
\ No newline at end of file
@@ -0,0 +1,23 @@
+/*
+ * Relay hook that enforces the conversation override allowlist of the
+ * session's agent. The browser builds its initiation event from
+ * /api/conversation/overrides, but in relay mode the event is checked again
+ * here so that prompts, voices or variables outside the allowlist never
+ * reach ElevenLabs.
+ */
+
+const { sanitizeInitiation } = require('../services/conversationOverrides');
+const { logger } = require('../services/logger');
+
+const overridesHook = {
+  onClientEvent(event, session) {
+    if (event.type !== 'conversation_initiation_client_data') return undefined;
+    const { event: sanitized, rejected } = sanitizeInitiation(event, session.agent?.overrides);
+    if (rejected.length) {
+      logger.warn('Rejected conversation overrides', { sessionId: session.id, rejected });
+    }
+    return sanitized;
+  },
+};
+
+module.exports = overridesHook;
\ No newline at end of file
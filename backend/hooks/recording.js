@@ -0,0 +1,128 @@
+/*
+ * Relay hook that records the audio of a conversation: the microphone audio
+ * the browser sends as `user_audio_chunk` events and the agent's `audio`
+ * events, one track each (see services/recordingStore.js). Nothing is
+ * recorded unless the operator enabled recording and the browser asked for
+ * it with the `record` query parameter, which it only sets once the user has
+ * agreed to be recorded.
+ *
+ * Recordings are kept under the history session ID so they line up with the
+ * transcript, which is why this hook runs after the history hook. Audio sent
+ * before the ID is known is held until then. A chunk of microphone audio
+ * arrives once it has been spoken, so it is placed its own duration earlier.
+ * Agent audio the user interrupted was never played and is cut off.
+ */
+
+const recordingStore = require('../services/recordingStore');
+const {
+  base64ByteLength,
+  audioDurationMs,
+  parseAudioFormat,
+  toPcm16,
+} = require('../services/audioFormats');
+const { logger } = require('../services/logger');
+
+// Microphone format unless the agent reports another one
+const DEFAULT_USER_FORMAT = 'pcm_16000';
+
+function wantsRecording(request) {
+  const { searchParams } = new URL(request.url, 'http://localhost');
+  return searchParams.get('record') === '1';
+}
+
+// Write a chunk of base64 audio that started at `at`. Compressed formats are
+// not recorded.
+function write(session, { side, audio, at }) {
+  const state = session.recording;
+  const format = side === 'user' ? state.userFormat : state.agentFormat;
+  const pcm = toPcm16(Buffer.from(audio, 'base64'), format);
+  if (pcm) state.recorder.append(side, pcm, parseAudioFormat(format).sampleRate, at);
+}
+
+function capture(session, chunk) {
+  const state = session.recording;
+  if (state.recorder) {
+    write(session, chunk);
+  } else {
+    state.pending.push(chunk);
+  }
+}
+
+async function open(session) {
+  const state = session.recording;
+  const id = session.history && session.history.conversationId;
+  if (!id) {
+    session.recording = null;
+    return;
+  }
+  try {
+    const recorder = await recordingStore.openRecording(id, {
+      userId: session.user.id,
+      agent: session.agent && session.agent.name,
+      startedAt: session.startedAt,
+    });
+    state.recorder = recorder;
+    state.pending.splice(0).forEach((chunk) => write(session, chunk));
+    logger.info('Recording relay session', { sessionId: session.id, recordingId: id });
+  } catch (error) {
+    logger.error('Failed to start recording', { sessionId: session.id, error });
+    session.recording = null;
+  }
+}
+
+const recordingHook = {
+  onSessionStart(session) {
+    session.recording = null;
+    if (!recordingStore.isRecordingEnabled() || !session.user) return;
+    if (!wantsRecording(session.request)) return;
+    session.recording = {
+      recorder: null,
+      pending: [],
+      userFormat: DEFAULT_USER_FORMAT,
+      agentFormat: undefined,
+      interruptedEventId: -Infinity,
+    };
+  },
+
+  onClientEvent(event, session) {
+    const state = session.recording;
+    const audio = event.user_audio_chunk;
+    if (!state || typeof audio !== 'string' || !audio) return;
+    const spokenMs = audioDurationMs(base64ByteLength(audio), state.userFormat);
+    capture(session, { side: 'user', audio, at: Date.now() - spokenMs });
+  },
+
+  async onUpstreamEvent(event, session) {
+    const state = session.recording;
+    if (!state) return;
+    const now = Date.now();
+    if (event.type === 'conversation_initiation_metadata') {
+      const metadata = event.conversation_initiation_metadata_event || {};
+      state.agentFormat = metadata.agent_output_audio_format;
+      state.userFormat = metadata.user_input_audio_format || DEFAULT_USER_FORMAT;
+      await open(session);
+    }
+    if (event.type === 'interruption') {
+      const eventId = event.interruption_event?.event_id;
+      if (Number.isFinite(eventId)) {
+        state.interruptedEventId = Math.max(state.interruptedEventId, eventId);
+      }
+      if (state.recorder) state.recorder.truncate('agent', now);
+    }
+    if (event.type === 'audio') {
+      const audio = event.audio_event?.audio_base_64;
+      const eventId = event.audio_event?.event_id;
+      // Late chunks of an interrupted response were never played
+      if (audio && !(eventId <= state.interruptedEventId)) {
+        capture(session, { side: 'agent', audio, at: now });
+      }
+    }
+  },
+
+  async onSessionEnd(session) {
+    const state = session.recording;
+    if (state && state.recorder) await state.recorder.finish();
+  },
+};
+
+module.exports = recordingHook;
\ No newline at end of file
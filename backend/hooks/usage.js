@@ -0,0 +1,45 @@
+/*
+ * Relay hook that meters relayed conversations: one signed URL per session
+ * and the time the upstream conversation was open. Conversations are keyed
+ * by their ElevenLabs conversation ID, so they are metered once.
+ */
+
+const usageStore = require('../services/usageStore');
+const { logger } = require('../services/logger');
+
+function logError(session) {
+  return (error) => {
+    logger.error('Failed to record relay usage', { sessionId: session.id, error });
+  };
+}
+
+const usageHook = {
+  onSessionStart(session) {
+    session.usage = { connectedAt: Date.now(), conversationId: null };
+    if (session.user) {
+      usageStore.recordUsage(session.user.id, { signedUrls: 1 }).catch(logError(session));
+    }
+  },
+
+  onUpstreamEvent(event, session) {
+    if (event.type === 'conversation_initiation_metadata') {
+      const metadata = event.conversation_initiation_metadata_event || {};
+      session.usage.conversationId = metadata.conversation_id || null;
+    }
+  },
+
+  onSessionEnd(session) {
+    if (!session.user) return;
+    const { connectedAt, conversationId } = session.usage;
+    usageStore
+      .recordConversation(
+        conversationId || `relay-${session.id}`,
+        session.user.id,
+        Date.now() - connectedAt,
+        connectedAt,
+      )
+      .catch(logError(session));
+  },
+};
+
+module.exports = usageHook;
\ No newline at end of file
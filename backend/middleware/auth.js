@@ -0,0 +1,106 @@
+/*
+ * Authentication for the browser-facing API. Requests must present either a
+ * JWT from the login route or an API key, as `Authorization: Bearer <token>`
+ * or `X-API-Key: <key>`. The conversation relay cannot set headers from the
+ * browser, so it accepts the token as a `token` query parameter instead.
+ * When no credentials are configured the API is closed rather than open.
+ *
+ * Operators are the users listed in the comma-separated ADMIN_USERS.
+ */
+
+const { isAuthConfigured, authenticateCredential } = require('../services/auth');
+const { chargeBudget, clientIp } = require('./rateLimit');
+const { checkQuotas } = require('../services/quotas');
+
+/**
+ * Extract the presented credential from request headers.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function credentialFromHeaders(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Require an authenticated user. The user is stored on `req.user` as
+ * `{ id, method }`.
+ */
+function requireAuth(req, res, next) {
+  if (!isAuthConfigured()) {
+    return res.status(503).json({ error: 'Authentication is not configured' });
+  }
+  const user = authenticateCredential(credentialFromHeaders(req));
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing credentials' });
+  }
+  req.user = user;
+  next();
+}
+
+/**
+ * Check whether a user is an operator.
+ *
+ * @param {Object} user The authenticated user.
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  const admins = (process.env.ADMIN_USERS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  return admins.includes(user.id);
+}
+
+/**
+ * Require an authenticated operator. Must run after `requireAuth`.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Authorize a conversation relay connection. Each relay session fetches a
+ * signed URL upstream, so it is charged against the signed URL budget and
+ * the monthly signed URL and conversation minute quotas.
+ *
+ * @param {import('http').IncomingMessage} request The upgrade request.
+ * @returns {Promise<{ user?: Object, status?: number, error?: string,
+ *   retryAfterSeconds?: number }>} The user, or the reason for rejecting
+ *   the connection.
+ */
+async function authorizeRelayRequest(request) {
+  if (!isAuthConfigured()) {
+    return { status: 503, error: 'Authentication is not configured' };
+  }
+  const { searchParams } = new URL(request.url, 'http://localhost');
+  const user = authenticateCredential(searchParams.get('token'));
+  if (!user) {
+    return { status: 401, error: 'Invalid or missing credentials' };
+  }
+  const quota = await checkQuotas(user.id, { signedUrls: 1, conversationMinutes: 0 });
+  if (!quota.allowed) {
+    return {
+      status: 429,
+      error: 'Monthly quota exceeded',
+      retryAfterSeconds: quota.retryAfterSeconds,
+    };
+  }
+  const charge = chargeBudget('signedUrl', { userId: user.id, ip: clientIp(request) });
+  if (!charge.allowed) return charge;
+  return { user };
+}
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  isAdmin,
+  authorizeRelayRequest,
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+/*
+ * Middleware that blocks requests once the user's monthly quota is used up
+ * (see services/quotas.js). Rejected requests get a 429 response with a
+ * Retry-After header pointing at the start of the next month.
+ */
+
+const { checkQuotas } = require('../services/quotas');
+const { logger } = require('../services/logger');
+
+/**
+ * Create middleware enforcing monthly quotas.
+ *
+ * @param {Function} costs Returns the amount a request would use per quota
+ *   name, e.g. `(req) => ({ ttsCharacters: req.body.text.length })`.
+ */
+function enforceQuota(costs) {
+  return async (req, res, next) => {
+    try {
+      const result = await checkQuotas(req.user.id, costs(req));
+      if (result.allowed) return next();
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      res.status(429).json({
+        error: 'Monthly quota exceeded',
+        code: 'quota_exceeded',
+        quota: result.quota,
+        retryAfter: result.retryAfterSeconds,
+      });
+    } catch (error) {
+      logger.error('Error checking quota', { error });
+      res.status(500).json({ error: 'Failed to check quota' });
+    }
+  };
+}
+
+module.exports = { enforceQuota };
\ No newline at end of file
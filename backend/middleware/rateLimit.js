@@ -0,0 +1,129 @@
+/*
+ * Rate limits for the endpoints that spend ElevenLabs credits. Each budget
+ * is enforced twice: per authenticated user and per client IP, so neither a
+ * leaked key nor a single host can exhaust the account. Budgets refill
+ * continuously over an hour (see services/rateLimiter.js).
+ *
+ * - `signedUrl` – signed conversation URLs, including relay sessions.
+ * - `ttsChars` – characters converted by the TTS endpoint.
+ * - `login` – login attempts per IP, to slow down key guessing.
+ */
+
+const { createRateLimiter } = require('../services/rateLimiter');
+
+const HOUR = 60 * 60 * 1000;
+
+function envLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function createBudget({ perUser, perIp, windowMs }) {
+  return {
+    user: perUser ? createRateLimiter({ limit: perUser, windowMs }) : null,
+    ip: createRateLimiter({ limit: perIp, windowMs }),
+  };
+}
+
+const budgets = {
+  signedUrl: createBudget({
+    perUser: envLimit('SIGNED_URL_LIMIT', 30),
+    perIp: envLimit('SIGNED_URL_IP_LIMIT', 60),
+    windowMs: HOUR,
+  }),
+  ttsChars: createBudget({
+    perUser: envLimit('TTS_CHAR_LIMIT', 10000),
+    perIp: envLimit('TTS_CHAR_IP_LIMIT', 20000),
+    windowMs: HOUR,
+  }),
+  login: createBudget({ perIp: 10, windowMs: 15 * 60 * 1000 }),
+};
+
+/**
+ * Determine the client IP of a request. With TRUST_PROXY=true the address
+ * appended to X-Forwarded-For by the reverse proxy in front of the backend
+ * (e.g. the Next.js rewrite) is used instead of the socket address.
+ *
+ * @param {import('http').IncomingMessage} request
+ * @returns {string}
+ */
+function clientIp(request) {
+  const forwarded = request.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && forwarded) {
+    const hops = forwarded.split(',').map((hop) => hop.trim());
+    return hops[hops.length - 1];
+  }
+  return request.socket.remoteAddress;
+}
+
+/**
+ * Charge a request against a budget for its user and IP. Nothing is charged
+ * unless both allow the request.
+ *
+ * @param {string} name The budget name.
+ * @param {Object} identity
+ * @param {string} [identity.userId] The authenticated user, if any.
+ * @param {string} identity.ip The client IP.
+ * @param {number} [cost=1] The tokens the request needs.
+ * @returns {{ allowed: boolean, status?: number, code?: string, error?: string,
+ *   retryAfterSeconds?: number }}
+ */
+function chargeBudget(name, { userId, ip }, cost = 1) {
+  const budget = budgets[name];
+  const limiters = [];
+  if (budget.user && userId) limiters.push([budget.user, `user:${userId}`]);
+  limiters.push([budget.ip, `ip:${ip}`]);
+
+  if (limiters.some(([limiter]) => cost > limiter.limit)) {
+    return {
+      allowed: false,
+      status: 413,
+      code: 'too_large',
+      error: 'Request exceeds the rate limit budget',
+    };
+  }
+  const retryAfterMs = Math.max(
+    ...limiters.map(([limiter, key]) => limiter.check(key, cost).retryAfterMs),
+  );
+  if (retryAfterMs > 0) {
+    return {
+      allowed: false,
+      status: 429,
+      code: 'rate_limited',
+      error: 'Rate limit exceeded',
+      retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+    };
+  }
+  limiters.forEach(([limiter, key]) => limiter.consume(key, cost));
+  return { allowed: true };
+}
+
+/**
+ * Create middleware that charges each request against a budget. Rejected
+ * requests get a 429 response with a Retry-After header.
+ *
+ * @param {string} name The budget name.
+ * @param {Object} [options]
+ * @param {Function} [options.cost] Returns the tokens a request needs.
+ *   Defaults to one per request.
+ */
+function rateLimit(name, { cost = () => 1 } = {}) {
+  return (req, res, next) => {
+    const result = chargeBudget(name, { userId: req.user?.id, ip: clientIp(req) }, cost(req));
+    if (result.allowed) return next();
+    if (result.retryAfterSeconds) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+    }
+    res.status(result.status).json({
+      error: result.error,
+      code: result.code,
+      retryAfter: result.retryAfterSeconds,
+    });
+  };
+}
+
+module.exports = {
+  clientIp,
+  chargeBudget,
+  rateLimit,
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+/*
+ * Per-request logging context. Every request gets an ID, taken from the
+ * X-Request-Id header when a proxy already set a sane one and generated
+ * otherwise. The ID is returned in the X-Request-Id response header and added
+ * to every log entry written while the request is handled (see
+ * services/logger.js). Finished requests are logged and counted in the HTTP
+ * metrics.
+ */
+
+const { randomUUID } = require('crypto');
+const { logger, runWithContext } = require('../services/logger');
+const { recordHttpRequest } = require('../services/metrics');
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Assign the request ID and log the request once it has been answered.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  const startedAt = process.hrtime.bigint();
+
+  runWithContext({ requestId: req.id }, () => {
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      recordHttpRequest(req, res, durationMs);
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+      };
+      if (req.user) fields.userId = req.user.id;
+      logger[res.statusCode >= 500 ? 'warn' : 'info']('Request completed', fields);
+    });
+    next();
+  });
+}
+
+module.exports = { requestContext };
\ No newline at end of file
@@ -0,0 +1,26 @@
+/*
+ * Middleware that authenticates webhook calls from the ElevenLabs agent. The
+ * agent's server tools are configured to send the shared secret from
+ * TOOLS_WEBHOOK_SECRET as a bearer token. Requests are rejected when the
+ * secret is not configured, so tool webhooks are never open by accident.
+ */
+
+const { safeEqual } = require('../services/auth');
+
+/**
+ * Require `Authorization: Bearer <TOOLS_WEBHOOK_SECRET>` on the request.
+ */
+function requireWebhookSecret(req, res, next) {
+  const secret = process.env.TOOLS_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'Tool webhooks are not configured' });
+  }
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, secret)) {
+    return res.status(401).json({ error: 'Invalid or missing webhook secret' });
+  }
+  next();
+}
+
+module.exports = { requireWebhookSecret };
\ No newline at end of file
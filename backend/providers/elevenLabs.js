@@ -0,0 +1,144 @@
+/*
+ * Speech provider backed by ElevenLabs. It reads the API key and default
+ * voice from the environment, takes agent IDs from the agent registry (see
+ * services/agentRegistry.js) and delegates the HTTP calls to
+ * services/elevenLabs.js.
+ */
+
+const elevenLabs = require('../services/elevenLabs');
+
+// Output formats offered to clients. Higher MP3 bitrates and 44.1 kHz PCM
+// need a paid plan.
+const OUTPUT_FORMATS = [
+  'mp3_22050_32',
+  'mp3_44100_64',
+  'mp3_44100_96',
+  'mp3_44100_128',
+  'mp3_44100_192',
+  'pcm_16000',
+  'pcm_22050',
+  'pcm_24000',
+  'pcm_44100',
+  'ulaw_8000',
+];
+
+const config = () => ({
+  apiKey: process.env.ELEVENLABS_API_KEY,
+  voiceId: process.env.ELEVENLABS_VOICE_ID,
+});
+
+function configError(capability, agent = {}) {
+  const { apiKey, voiceId } = config();
+  if (capability === 'conversation') {
+    if (!agent.agentId) return 'Agent ID is not configured';
+    if (!apiKey) return 'ElevenLabs API key is not configured';
+  }
+  if (capability === 'tts' && (!apiKey || !(agent.voiceId || voiceId))) {
+    return 'Voice ID or API key not configured';
+  }
+  return null;
+}
+
+// Throw the configuration error for a capability, if any
+function assertConfigured(capability, agent) {
+  const error = configError(capability, agent);
+  if (error) throw new Error(error);
+}
+
+// MP3 is reported as plain `mp3`, as /api/tts always has; raw formats keep
+// their full name because the sample rate is needed to play them
+function audioFormat(outputFormat) {
+  const { output_format: format } = elevenLabs.speechSettings({ output_format: outputFormat });
+  if (format.startsWith('mp3_')) return { name: 'mp3', contentType: 'audio/mpeg' };
+  if (format.startsWith('ulaw_')) return { name: format, contentType: 'audio/basic' };
+  return { name: format, contentType: 'application/octet-stream' };
+}
+
+function speechSettings(options = {}) {
+  return {
+    voiceId: options.voiceId || config().voiceId,
+    ...elevenLabs.speechSettings(options),
+  };
+}
+
+async function getSignedUrl(agent) {
+  assertConfigured('conversation', agent);
+  return elevenLabs.getSignedUrl(agent.agentId, config().apiKey);
+}
+
+async function getConversation(conversationId, agentIds) {
+  const { apiKey } = config();
+  if (!apiKey) throw new Error('ElevenLabs API key is not configured');
+  let conversation;
+  try {
+    conversation = await elevenLabs.getConversation(conversationId, apiKey);
+  } catch (error) {
+    if (error.upstreamStatus === 404) return null;
+    throw error;
+  }
+  // Conversations with other agents on the same account are not ours to meter
+  if (!agentIds.includes(conversation.agent_id)) return null;
+  const { call_duration_secs: durationSecs, start_time_unix_secs: startSecs } =
+    conversation.metadata || {};
+  return {
+    durationSecs: typeof durationSecs === 'number' ? durationSecs : null,
+    startedAt: startSecs ? startSecs * 1000 : null,
+  };
+}
+
+async function textToSpeech(text, options = {}) {
+  assertConfigured('tts', { voiceId: options.voiceId });
+  const { voiceId, ...settings } = speechSettings(options);
+  return elevenLabs.textToSpeech(text, voiceId, config().apiKey, settings);
+}
+
+async function streamTextToSpeech(text, options = {}) {
+  assertConfigured('tts', { voiceId: options.voiceId });
+  const { voiceId, ...settings } = speechSettings(options);
+  return elevenLabs.streamTextToSpeech(text, voiceId, config().apiKey, {
+    ...settings,
+    withTimestamps: options.withTimestamps,
+    signal: options.signal,
+  });
+}
+
+async function listModels() {
+  const { apiKey } = config();
+  if (!apiKey) throw new Error('ElevenLabs API key is not configured');
+  const models = await elevenLabs.listModels(apiKey);
+  return models
+    .filter((model) => model.can_do_text_to_speech !== false)
+    .map((model) => ({
+      id: model.model_id,
+      name: model.name,
+      description: model.description || '',
+      languages: (model.languages || []).map((language) => language.language_id),
+    }));
+}
+
+async function listVoices() {
+  const { apiKey } = config();
+  if (!apiKey) throw new Error('ElevenLabs API key is not configured');
+  const voices = await elevenLabs.listVoices(apiKey);
+  return voices.map((voice) => ({
+    id: voice.voice_id,
+    name: voice.name,
+    category: voice.category || null,
+    labels: voice.labels || {},
+    previewUrl: voice.preview_url || null,
+  }));
+}
+
+module.exports = {
+  name: 'elevenlabs',
+  outputFormats: OUTPUT_FORMATS,
+  audioFormat,
+  configError,
+  speechSettings,
+  getSignedUrl,
+  getConversation,
+  textToSpeech,
+  streamTextToSpeech,
+  listVoices,
+  listModels,
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+/*
+ * Speech provider selection. Routes and the relay talk to a provider rather
+ * than to ElevenLabs directly, so another backend can be swapped in through
+ * the SPEECH_PROVIDER environment variable:
+ *
+ * - `elevenlabs` (default) – the ElevenLabs APIs (see elevenLabs.js).
+ * - `mock` – a local mock agent and synthetic speech (see mock.js).
+ *
+ * A provider is a module exporting:
+ *
+ * - `name` – the provider name, which is part of TTS cache keys.
+ * - `outputFormats` – the TTS output formats clients may choose from.
+ * - `audioFormat(outputFormat)` – `{ name, contentType }` of the audio its
+ *   TTS produces in an output format, or in the default one.
+ * - `configError(capability, agent)` – a message describing missing
+ *   configuration for `conversation` or `tts` with an agent from the
+ *   registry (see services/agentRegistry.js), or null when the capability
+ *   is usable.
+ * - `speechSettings(options)` – the `voiceId`, `model_id`, `voice_settings`
+ *   and `output_format` a TTS request with these options would use.
+ * - `getSignedUrl(agent)` – `{ signedUrl, conversationId }`: a WebSocket URL
+ *   for one conversation with an agent from the registry, and the ID that
+ *   conversation will have, or null when the provider does not say. The
+ *   socket speaks the ElevenLabs conversational protocol.
+ * - `getConversation(id, agentIds)` – `{ durationSecs, startedAt }` of a
+ *   conversation with one of the given agents, or null when there is no such
+ *   conversation.
+ *   `durationSecs` is null until the provider has recorded it.
+ * - `textToSpeech(text, options)` – the speech as a Buffer.
+ * - `streamTextToSpeech(text, options)` – a stream of the speech. With
+ *   `options.withTimestamps` it yields newline-delimited JSON objects with
+ *   `audio_base64` and `alignment`, as ElevenLabs does. `options.signal`
+ *   aborts it.
+ * - `listVoices()` – the available voices as `{ id, name, category, labels,
+ *   previewUrl }`.
+ * - `listModels()` – the TTS models as `{ id, name, description, languages }`.
+ * - `attach(server)` – optional; serves anything the provider needs on the
+ *   backend's HTTP server.
+ * - `socketPaths` – optional; the paths `attach` accepts WebSocket
+ *   connections on.
+ */
+
+const PROVIDERS = {
+  elevenlabs: () => require('./elevenLabs'),
+  mock: () => require('./mock'),
+};
+
+let provider = null;
+
+/**
+ * Return the provider selected by SPEECH_PROVIDER.
+ *
+ * @returns {Object}
+ */
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.SPEECH_PROVIDER || 'elevenlabs').toLowerCase();
+    if (!PROVIDERS[name]) {
+      const known = Object.keys(PROVIDERS).join(', ');
+      throw new Error(`Unknown SPEECH_PROVIDER "${name}"; use one of: ${known}`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+module.exports = {
+  getProvider,
+};
\ No newline at end of file
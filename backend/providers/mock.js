@@ -0,0 +1,121 @@
+/*
+ * Offline speech provider for development, demos and tests. Conversations
+ * are held with the mock agent served by this backend (see mockAgent.js) and
+ * speech is synthesized locally as tones (see mockAudio.js), so the app runs
+ * end to end without an API key or network access.
+ *
+ * The browser, or the relay, reaches the mock agent at MOCK_AGENT_URL, which
+ * defaults to the backend's own port on localhost.
+ */
+
+const { Readable } = require('stream');
+const { setTimeout: delay } = require('timers/promises');
+const { SAMPLE_RATE, synthesize, toWav } = require('./mockAudio');
+const {
+  MOCK_AGENT_PATH,
+  issueToken,
+  getMockConversation,
+  attachMockAgent,
+} = require('./mockAgent');
+
+// Streamed speech arrives in pieces of this length, one per interval
+const STREAM_CHUNK_SECONDS = 0.5;
+const STREAM_INTERVAL_MS = 100;
+
+// The IDs of two ElevenLabs premade voices, so that voices allowed in
+// config/overrides.json also work with the mock
+const VOICES = [
+  { id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel', category: 'mock', labels: {}, previewUrl: null },
+  { id: 'EXAVITQu4vr4xnSDxMaL', name: 'Sarah', category: 'mock', labels: {}, previewUrl: null },
+];
+
+const MODELS = [
+  { id: 'mock', name: 'Mock tones', description: 'One tone per word', languages: [] },
+];
+
+const agentUrl = () =>
+  process.env.MOCK_AGENT_URL || `ws://localhost:${process.env.PORT || 5000}${MOCK_AGENT_PATH}`;
+
+function speechSettings(options = {}) {
+  return {
+    voiceId: options.voiceId || VOICES[0].id,
+    model_id: 'mock',
+    voice_settings: {},
+    output_format: `wav_${SAMPLE_RATE}`,
+  };
+}
+
+async function getSignedUrl() {
+  const { token, conversationId } = issueToken();
+  return { signedUrl: `${agentUrl()}?token=${token}`, conversationId };
+}
+
+async function getConversation(conversationId) {
+  return getMockConversation(conversationId);
+}
+
+async function textToSpeech(text) {
+  return toWav(synthesize(text).pcm);
+}
+
+// Yield the WAV file in pieces with a delay in between, like a slow upstream.
+// With timestamps each piece is a JSON line with its base64 audio and the
+// alignment of the characters that start in it.
+async function* speechChunks(text, { withTimestamps, signal }) {
+  const { pcm, alignment } = synthesize(text);
+  const wav = toWav(pcm);
+  const headerBytes = wav.length - pcm.length;
+  const chunkBytes = STREAM_CHUNK_SECONDS * SAMPLE_RATE * 2;
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    await delay(STREAM_INTERVAL_MS, undefined, { signal });
+    const start = offset === 0 ? 0 : headerBytes + offset;
+    const chunk = wav.subarray(start, headerBytes + offset + chunkBytes);
+    if (!withTimestamps) {
+      yield chunk;
+      continue;
+    }
+    const from = offset / 2 / SAMPLE_RATE;
+    const to = from + STREAM_CHUNK_SECONDS;
+    const indexes = alignment.character_start_times_seconds
+      .map((time, i) => (time >= from && time < to ? i : -1))
+      .filter((i) => i >= 0);
+    const pick = (list) => indexes.map((i) => list[i]);
+    const line = {
+      audio_base64: chunk.toString('base64'),
+      alignment: {
+        characters: pick(alignment.characters),
+        character_start_times_seconds: pick(alignment.character_start_times_seconds),
+        character_end_times_seconds: pick(alignment.character_end_times_seconds),
+      },
+    };
+    yield `${JSON.stringify(line)}\n`;
+  }
+}
+
+async function streamTextToSpeech(text, options = {}) {
+  return Readable.from(speechChunks(text, options));
+}
+
+async function listVoices() {
+  return VOICES;
+}
+
+async function listModels() {
+  return MODELS;
+}
+
+module.exports = {
+  name: 'mock',
+  outputFormats: [`wav_${SAMPLE_RATE}`],
+  audioFormat: () => ({ name: 'wav', contentType: 'audio/wav' }),
+  configError: () => null,
+  speechSettings,
+  getSignedUrl,
+  getConversation,
+  textToSpeech,
+  streamTextToSpeech,
+  listVoices,
+  listModels,
+  attach: attachMockAgent,
+  socketPaths: [MOCK_AGENT_PATH],
+};
\ No newline at end of file
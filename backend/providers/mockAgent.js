@@ -0,0 +1,245 @@
+/*
+ * A stand-in for the ElevenLabs conversational agent, served by the backend
+ * itself on `MOCK_AGENT_PATH`. It speaks the same WebSocket protocol as the
+ * real agent: it answers the initiation with metadata and a first message,
+ * replies to typed messages, and turns every few seconds of microphone audio
+ * into a canned transcript followed by a reply. While the user "speaks" the
+ * transcript grows in `tentative_user_transcript` events. Replies are sent
+ * as an `internal_tentative_agent_response` with the first words, then the
+ * `agent_response` with synthetic PCM audio (see mockAudio.js).
+ *
+ * Connections need a single-use token from `issueToken`, mirroring a signed
+ * URL, which also fixes the conversation's ID. Conversations are
+ * remembered for a day after they end, so that their duration can be looked
+ * up for usage metering.
+ */
+
+const { randomBytes } = require('crypto');
+const { WebSocket, WebSocketServer } = require('ws');
+const { SAMPLE_RATE, synthesize } = require('./mockAudio');
+
+// Path on which the mock agent accepts connections
+const MOCK_AGENT_PATH = '/mock/convai';
+
+// Tokens expire like ElevenLabs signed URLs
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+// How long an ended conversation can still be looked up
+const CONVERSATION_TTL_MS = 24 * 60 * 60 * 1000;
+// How long the agent waits for the initiation event before starting anyway
+const INITIATION_TIMEOUT_MS = 1000;
+// Microphone audio that counts as one user turn
+const TURN_MS = 3000;
+// Tentative transcripts sent per user turn, including the final one
+const TURN_STEPS = 3;
+// Size of each audio event
+const AUDIO_CHUNK_SECONDS = 0.25;
+
+const DEFAULT_FIRST_MESSAGE = "Hi! I'm the mock agent. Say something or type a message.";
+
+const CANNED_TRANSCRIPTS = [
+  'Hello, can you hear me?',
+  'What can you help me with?',
+  'Thanks, that is all for now.',
+];
+
+const CANNED_RESPONSES = [
+  (heard) => `Loud and clear. You said: "${heard}"`,
+  (heard) => `I'm only a mock agent, but I did hear "${heard}".`,
+  (heard) => `Noted: "${heard}". Anything else?`,
+];
+
+const tokens = new Map();
+const conversations = new Map();
+
+/**
+ * Issue a single-use token for one conversation.
+ *
+ * @returns {{ token: string, conversationId: string }} The token and the ID
+ *   of the conversation it starts.
+ */
+function issueToken() {
+  const now = Date.now();
+  tokens.forEach(({ expiresAt }, token) => {
+    if (expiresAt <= now) tokens.delete(token);
+  });
+  const token = randomBytes(16).toString('hex');
+  const conversationId = `mock_${randomBytes(8).toString('hex')}`;
+  tokens.set(token, { expiresAt: now + TOKEN_TTL_MS, conversationId });
+  return { token, conversationId };
+}
+
+// The conversation ID of a valid token, which can only be used once
+function consumeToken(token) {
+  const issued = tokens.get(token);
+  tokens.delete(token);
+  return issued && issued.expiresAt > Date.now() ? issued.conversationId : null;
+}
+
+/**
+ * Look up a conversation held with the mock agent.
+ *
+ * @param {string} conversationId
+ * @returns {{ durationSecs: number|null, startedAt: number }|null} The
+ *   duration is null while the conversation is still open.
+ */
+function getMockConversation(conversationId) {
+  const conversation = conversations.get(conversationId);
+  if (!conversation) return null;
+  const { startedAt, endedAt } = conversation;
+  return {
+    durationSecs: endedAt ? Math.round((endedAt - startedAt) / 1000) : null,
+    startedAt,
+  };
+}
+
+// Fill in {{variables}} the way the real agent does
+function fillVariables(text, variables = {}) {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) =>
+    variables[name] !== undefined ? String(variables[name]) : placeholder,
+  );
+}
+
+/**
+ * Forget the conversations that ended longer ago than a day.
+ *
+ * @param {number} [now] The current time. Defaults to now.
+ */
+function pruneConversations(now = Date.now()) {
+  conversations.forEach(({ endedAt }, conversationId) => {
+    if (endedAt && endedAt <= now - CONVERSATION_TTL_MS) conversations.delete(conversationId);
+  });
+}
+
+// Run one conversation on an accepted socket
+function converse(socket, conversationId) {
+  const now = Date.now();
+  pruneConversations(now);
+  conversations.set(conversationId, { startedAt: now, endedAt: null });
+  let started = false;
+  let turn = 0;
+  let eventId = 0;
+  let turnTimer = null;
+
+  const send = (event) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+  };
+
+  const speak = (text) => {
+    eventId += 1;
+    const words = text.split(' ');
+    send({
+      type: 'internal_tentative_agent_response',
+      tentative_agent_response_internal_event: {
+        tentative_agent_response: words.slice(0, Math.ceil(words.length / 2)).join(' '),
+      },
+    });
+    send({ type: 'agent_response', agent_response_event: { agent_response: text } });
+    const { pcm } = synthesize(text);
+    const chunkBytes = AUDIO_CHUNK_SECONDS * SAMPLE_RATE * 2;
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+      send({
+        type: 'audio',
+        audio_event: {
+          audio_base_64: pcm.subarray(offset, offset + chunkBytes).toString('base64'),
+          event_id: eventId,
+        },
+      });
+    }
+  };
+
+  const reply = (heard) => {
+    speak(CANNED_RESPONSES[turn % CANNED_RESPONSES.length](heard));
+    turn += 1;
+  };
+
+  const start = (initiation = {}) => {
+    if (started) return;
+    started = true;
+    send({
+      type: 'conversation_initiation_metadata',
+      conversation_initiation_metadata_event: {
+        conversation_id: conversationId,
+        agent_output_audio_format: `pcm_${SAMPLE_RATE}`,
+        user_input_audio_format: `pcm_${SAMPLE_RATE}`,
+      },
+    });
+    const agent = initiation.conversation_config_override?.agent || {};
+    const firstMessage = agent.first_message || DEFAULT_FIRST_MESSAGE;
+    speak(fillVariables(firstMessage, initiation.dynamic_variables));
+  };
+  const initiationTimer = setTimeout(() => start(), INITIATION_TIMEOUT_MS);
+
+  socket.on('message', (raw) => {
+    let event;
+    try {
+      event = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+    if (event.type === 'conversation_initiation_client_data') {
+      clearTimeout(initiationTimer);
+      start(event);
+      return;
+    }
+    if (event.type === 'user_message' && typeof event.text === 'string') {
+      reply(event.text);
+      return;
+    }
+    // Treat a few seconds of microphone audio as one spoken turn
+    if (event.user_audio_chunk && !turnTimer) {
+      const heard = CANNED_TRANSCRIPTS[turn % CANNED_TRANSCRIPTS.length];
+      const words = heard.split(' ');
+      let step = 0;
+      turnTimer = setInterval(() => {
+        step += 1;
+        if (step < TURN_STEPS) {
+          const partial = words.slice(0, Math.ceil((words.length * step) / TURN_STEPS));
+          send({
+            type: 'tentative_user_transcript',
+            tentative_user_transcription_event: { user_transcript: partial.join(' ') },
+          });
+          return;
+        }
+        clearInterval(turnTimer);
+        turnTimer = null;
+        send({ type: 'user_transcript', user_transcription_event: { user_transcript: heard } });
+        reply(heard);
+      }, TURN_MS / TURN_STEPS);
+    }
+  });
+
+  socket.on('close', () => {
+    clearTimeout(initiationTimer);
+    clearInterval(turnTimer);
+    conversations.get(conversationId).endedAt = Date.now();
+  });
+}
+
+/**
+ * Serve the mock agent on an HTTP server.
+ *
+ * @param {import('http').Server} server The HTTP server to attach to.
+ * @returns {WebSocketServer}
+ */
+function attachMockAgent(server) {
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== MOCK_AGENT_PATH) return;
+    const conversationId = consumeToken(url.searchParams.get('token'));
+    if (!conversationId) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => converse(ws, conversationId));
+  });
+  return wss;
+}
+
+module.exports = {
+  MOCK_AGENT_PATH,
+  issueToken,
+  getMockConversation,
+  pruneConversations,
+  attachMockAgent,
+};
\ No newline at end of file
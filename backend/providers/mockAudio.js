@@ -0,0 +1,109 @@
+/*
+ * Synthetic speech for the mock provider. Every word becomes a short tone
+ * whose pitch is derived from the word, with a pause between words, so the
+ * output is deterministic, has a plausible length and is clearly not real
+ * speech. Audio is 16-bit mono PCM, optionally wrapped in a WAV header.
+ */
+
+const SAMPLE_RATE = 16000;
+const SECONDS_PER_CHARACTER = 0.06;
+const MIN_WORD_SECONDS = 0.12;
+const PAUSE_SECONDS = 0.05;
+const FADE_SECONDS = 0.01;
+const AMPLITUDE = 0.2 * 32767;
+
+// A pitch between 180 and 540 Hz that stays the same for the same word
+function wordFrequency(word) {
+  let hash = 0;
+  for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) % 997;
+  return 180 + (hash % 13) * 30;
+}
+
+/**
+ * Synthesize a text as tones, one per word.
+ *
+ * @param {string} text The text to "speak".
+ * @param {number} [sampleRate] Samples per second.
+ * @returns {{ pcm: Buffer, alignment: Object }} The 16-bit little-endian PCM
+ *   audio and the character alignment in the shape ElevenLabs uses
+ *   (`characters`, `character_start_times_seconds`,
+ *   `character_end_times_seconds`).
+ */
+function synthesize(text, sampleRate = SAMPLE_RATE) {
+  const alignment = {
+    characters: [],
+    character_start_times_seconds: [],
+    character_end_times_seconds: [],
+  };
+  const segments = [];
+  let time = 0;
+  // Words are followed by a pause; whitespace is aligned to the pause
+  for (const match of text.matchAll(/(\S+)(\s*)/g)) {
+    const [, word, space] = match;
+    const seconds = Math.max(MIN_WORD_SECONDS, word.length * SECONDS_PER_CHARACTER);
+    const perCharacter = seconds / word.length;
+    [...word].forEach((char, i) => {
+      alignment.characters.push(char);
+      alignment.character_start_times_seconds.push(time + i * perCharacter);
+      alignment.character_end_times_seconds.push(time + (i + 1) * perCharacter);
+    });
+    segments.push({ frequency: wordFrequency(word), seconds });
+    time += seconds;
+    [...space].forEach((char) => {
+      alignment.characters.push(char);
+      alignment.character_start_times_seconds.push(time);
+      alignment.character_end_times_seconds.push(time + PAUSE_SECONDS);
+    });
+    segments.push({ frequency: 0, seconds: PAUSE_SECONDS });
+    time += PAUSE_SECONDS;
+  }
+
+  const total = segments.reduce((sum, { seconds }) => sum + Math.round(seconds * sampleRate), 0);
+  const pcm = Buffer.alloc(total * 2);
+  const fade = FADE_SECONDS * sampleRate;
+  let offset = 0;
+  segments.forEach(({ frequency, seconds }) => {
+    const count = Math.round(seconds * sampleRate);
+    for (let i = 0; i < count; i += 1) {
+      // Fade each tone in and out to avoid clicks
+      const envelope = Math.min(1, i / fade, (count - i) / fade);
+      const sample = frequency
+        ? AMPLITUDE * envelope * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+        : 0;
+      pcm.writeInt16LE(Math.round(sample), (offset + i) * 2);
+    }
+    offset += count;
+  });
+  return { pcm, alignment };
+}
+
+/**
+ * Wrap 16-bit mono PCM in a WAV container.
+ *
+ * @param {Buffer} pcm The audio samples.
+ * @param {number} [sampleRate] Samples per second.
+ * @returns {Buffer} The WAV file.
+ */
+function toWav(pcm, sampleRate = SAMPLE_RATE) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  synthesize,
+  toWav,
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+/*
+ * Admin routes for operators. Only users listed in ADMIN_USERS may call
+ * them. They report usage across all users for the admin dashboard and
+ * manage the TTS cache.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { getQuotaStatus } = require('../services/quotas');
+const usageStore = require('../services/usageStore');
+const { ttsCache } = require('../services/ttsCache');
+const { logger } = require('../services/logger');
+
+router.use(requireAdmin);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Longest range a single report may cover
+const MAX_REPORT_DAYS = 366;
+
+// Whether a query value is a valid date as YYYY-MM-DD
+const isDay = (value) =>
+  typeof value === 'string' && DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// GET /api/admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Returns usage totals per day across all users, and per user for the range
+// together with each user's month-to-date quota status. The range defaults
+// to the last 30 days.
+router.get('/usage', async (req, res) => {
+  try {
+    const to = req.query.to || usageStore.dayKey(Date.now());
+    if (!isDay(to)) {
+      return res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+    }
+    const from = req.query.from || usageStore.dayKey(Date.parse(to) - 29 * DAY_MS);
+    if (!isDay(from)) {
+      return res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (!(days >= 1 && days <= MAX_REPORT_DAYS)) {
+      return res.status(400).json({ error: `The range must cover 1 to ${MAX_REPORT_DAYS} days` });
+    }
+    const report = await usageStore.getUsageReport({ from, to });
+    const users = await Promise.all(
+      report.users.map(async (user) => ({
+        ...user,
+        quotas: await getQuotaStatus(user.userId),
+      })),
+    );
+    res.json({ from, to, daily: report.daily, users });
+  } catch (error) {
+    logger.error('Error building usage report', { error });
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+// GET /api/admin/tts-cache
+// Returns the TTS cache backend, its number of entries and size, and its
+// limits. Responds with 404 when the cache is turned off.
+router.get('/tts-cache', async (req, res) => {
+  if (!ttsCache) return res.status(404).json({ error: 'TTS cache is disabled' });
+  try {
+    res.json(await ttsCache.stats());
+  } catch (error) {
+    logger.error('Error reading TTS cache stats', { error });
+    res.status(500).json({ error: 'Failed to read TTS cache' });
+  }
+});
+
+// DELETE /api/admin/tts-cache
+// Removes every entry from the TTS cache, e.g. after a voice was retuned.
+// Returns the number of entries purged.
+router.delete('/tts-cache', async (req, res) => {
+  if (!ttsCache) return res.status(404).json({ error: 'TTS cache is disabled' });
+  try {
+    const purged = await ttsCache.purge();
+    logger.info('TTS cache purged', { userId: req.user.id, purged });
+    res.json({ purged });
+  } catch (error) {
+    logger.error('Error purging TTS cache', { error });
+    res.status(500).json({ error: 'Failed to purge TTS cache' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
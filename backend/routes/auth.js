@@ -0,0 +1,37 @@
+/*
+ * Login route for the browser. A user signs in with their API key and
+ * receives a JWT, which the frontend sends as a bearer token on every
+ * request. Machine clients may skip this and send the API key directly.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { findUserByApiKey, issueToken } = require('../services/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { logger } = require('../services/logger');
+
+// POST /api/auth/login
+// Exchanges an API key for a JWT. Expects a JSON body with an `apiKey` field
+// and returns `{ token, expiresAt, user }`. Attempts are rate limited per IP.
+router.post('/login', rateLimit('login'), (req, res) => {
+  if (!process.env.JWT_SECRET) {
+    return res.status(503).json({ error: 'Login is not configured' });
+  }
+  const { apiKey } = req.body || {};
+  if (!apiKey || typeof apiKey !== 'string') {
+    return res.status(400).json({ error: 'Invalid or missing apiKey' });
+  }
+  const user = findUserByApiKey(apiKey);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  try {
+    const { token, expiresAt } = issueToken(user);
+    res.json({ token, expiresAt, user: { id: user.id } });
+  } catch (error) {
+    logger.error('Error issuing token', { error });
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
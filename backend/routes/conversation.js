@@ -1,61 +1,309 @@
 /*
  * Routes related to conversation and speech functionality. These routes wrap
- * calls to the ElevenLabs API so that sensitive credentials remain on the
- * server.
+ * calls to the speech provider (ElevenLabs unless SPEECH_PROVIDER says
+ * otherwise) so that sensitive credentials remain on the server. Each route
+ * serves the agent named by the `agent` query parameter, or the default
+ * agent (see services/agentRegistry.js).
  */
 
 const express = require('express');
 const router = express.Router();
+const { getProvider } = require('../providers');
 const {
-  getSignedUrl,
-  textToSpeech,
-} = require('../services/elevenLabs');
+  describeOverrideOptions,
+  validateOverrides,
+  buildInitiation,
+} = require('../services/conversationOverrides');
+const { describeAgents, getAgent } = require('../services/agentRegistry');
+const { rateLimit } = require('../middleware/rateLimit');
+const { enforceQuota } = require('../middleware/quota');
+const usageStore = require('../services/usageStore');
+const { cacheKey, ttsCache } = require('../services/ttsCache');
+const { parseTtsOptions } = require('../services/ttsOptions');
+const { sendError } = require('../services/upstreamErrors');
+const { logger } = require('../services/logger');
+
+const provider = getProvider();
+
+// Usage is metered after the response, so a failing meter never fails the
+// request itself
+function meter(req, amounts) {
+  usageStore.recordUsage(req.user.id, amounts).catch((error) => {
+    logger.error('Error recording usage', { error });
+  });
+}
+
+// Resolve the agent named by `?agent=` as `req.agent`. Unknown agents are
+// answered with 404 before anything is charged.
+function resolveAgent(req, res, next) {
+  const agent = getAgent(req.query.agent);
+  if (!agent) {
+    return res.status(404).json({ error: 'Unknown agent' });
+  }
+  req.agent = agent;
+  next();
+}
+
+// Refuse direct connections to agents that must go through the relay, which
+// is the only place their override allowlist is enforced
+function refuseRelayOnly(req, res, next) {
+  if (req.agent.relayOnly) {
+    return res.status(403).json({
+      error: 'This agent is only available through the conversation relay',
+      code: 'relay_required',
+    });
+  }
+  next();
+}
+
+// GET /api/agents
+// Lists the agents of this deployment as `{ defaultAgent, agents }`, each
+// agent with its `name`, `displayName` and `avatar`.
+router.get('/agents', (req, res) => {
+  res.json(describeAgents());
+});
 
 // GET /api/signed-url
 // Returns a signed WebSocket URL for the frontend to use when connecting to
-// the ElevenLabs conversational API. The agent ID must be supplied via
-// environment variable (see .env.example).
-router.get('/signed-url', async (req, res) => {
+// the provider's conversational agent directly, so agents marked
+// `relayOnly` are refused with 403 `relay_required`. For ElevenLabs the agent
+// ID comes from the agent registry, which by default reads it from the
+// AGENT_ID environment variable. Each URL is charged against the signed URL rate limit and
+// metered; no URL is issued once the user's monthly signed URL or
+// conversation minute quota is used up. The conversation the URL starts is
+// recorded as the user's, so its minutes are metered for them whether or
+// not the client reports it (see services/conversationMeter.js).
+const signedUrlLimits = [
+  rateLimit('signedUrl'),
+  enforceQuota(() => ({ signedUrls: 1, conversationMinutes: 0 })),
+];
+router.get('/signed-url', resolveAgent, refuseRelayOnly, signedUrlLimits, async (req, res) => {
   try {
-    const agentId = process.env.AGENT_ID;
-    const apiKey = process.env.ELEVENLABS_API_KEY;
-    if (!agentId) {
-      return res.status(500).json({ error: 'Agent ID is not configured' });
+    const configError = provider.configError('conversation', req.agent);
+    if (configError) {
+      return res.status(500).json({ error: configError });
     }
-    if (!apiKey) {
-      return res.status(500).json({ error: 'ElevenLabs API key is not configured' });
+    const { signedUrl, conversationId } = await provider.getSignedUrl(req.agent);
+    if (conversationId) {
+      await usageStore.recordIssuedConversation(conversationId, req.user.id);
     }
-    const signedUrl = await getSignedUrl(agentId, apiKey);
+    meter(req, { signedUrls: 1 });
     res.json({ signedUrl });
   } catch (error) {
-    console.error('Error getting signed URL:', error.message);
-    res.status(500).json({ error: 'Failed to obtain signed URL' });
+    logger.error('Error getting signed URL', { error });
+    sendError(res, error, 'Failed to obtain signed URL');
+  }
+});
+
+// GET /api/conversation/overrides
+// Lists the per-session overrides a client may choose from: named prompts and
+// first messages, languages, voices and dynamic variable schemas (see
+// config/overrides.json), as allowed for the agent.
+router.get('/conversation/overrides', resolveAgent, (req, res) => {
+  res.json(describeOverrideOptions(req.agent.overrides));
+});
+
+// POST /api/conversation/overrides
+// Validates an override selection against the allowlist and returns the
+// fields to include in the `conversation_initiation_client_data` event.
+// Expects a JSON body such as
+// `{ prompt, firstMessage, language, voiceId, dynamicVariables }`.
+router.post('/conversation/overrides', resolveAgent, (req, res) => {
+  const selection = req.body || {};
+  const details = validateOverrides(selection, req.agent.overrides);
+  if (details.length) {
+    return res.status(400).json({ error: 'Invalid conversation overrides', details });
   }
+  res.json({ initiation: buildInitiation(selection, req.agent.overrides) });
 });
 
 // POST /api/tts
-// Converts text into speech using the ElevenLabs text‑to‑speech API. Expects a
-// JSON body with a `text` field. Returns the generated audio as binary data
-// encoded in base64 along with a content type header.
-router.post('/tts', async (req, res) => {
+// Converts text into speech using the provider's text‑to‑speech API. Expects
+// a JSON body with a `text` field and, optionally, `voiceId`, `modelId`,
+// `stability`, `similarityBoost` and `outputFormat` (see GET /api/voices and
+// GET /api/models); without `voiceId` the agent's voice is used. Returns the
+// generated audio as binary data encoded in base64 along with its format
+// (`mp3` for ElevenLabs MP3 formats). The text length is charged against the
+// TTS character rate limit and monthly quota, and metered. Repeated phrases
+// are served from the TTS cache; the `X-Cache` header says whether it was a
+// `HIT` or a `MISS`, and hits are not metered because they cost no provider
+// characters.
+const ttsCharacters = (req) => (typeof req.body?.text === 'string' ? req.body.text.length : 0);
+const ttsLimits = [
+  resolveAgent,
+  rateLimit('ttsChars', { cost: ttsCharacters }),
+  enforceQuota((req) => ({ ttsCharacters: ttsCharacters(req) })),
+];
+
+// Read the text and speech options of a TTS request and check that the
+// provider can speak it. Responds with an error and returns null otherwise.
+async function readTtsRequest(req, res) {
+  const configError = provider.configError('tts', req.agent);
+  if (configError) {
+    res.status(500).json({ error: configError });
+    return null;
+  }
+  const { text } = req.body;
+  if (!text || typeof text !== 'string') {
+    res.status(400).json({ error: 'Invalid or missing text' });
+    return null;
+  }
+  const { options, errors } = await parseTtsOptions(req.body);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid speech options', details: errors });
+    return null;
+  }
+  if (!options.voiceId && req.agent.voiceId) options.voiceId = req.agent.voiceId;
+  const settings = provider.speechSettings(options);
+  return {
+    text,
+    options,
+    format: provider.audioFormat(settings.output_format),
+    key: cacheKey({ provider: provider.name, text, ...settings }),
+  };
+}
+
+// Cache failures are logged and otherwise treated as misses, so a broken
+// cache never fails a TTS request
+async function readCache(res, key) {
+  if (!ttsCache) return null;
+  let audio = null;
   try {
-    const apiKey = process.env.ELEVENLABS_API_KEY;
-    const voiceId = process.env.ELEVENLABS_VOICE_ID;
-    if (!apiKey || !voiceId) {
-      return res.status(500).json({ error: 'Voice ID or API key not configured' });
-    }
-    const { text } = req.body;
-    if (!text || typeof text !== 'string') {
-      return res.status(400).json({ error: 'Invalid or missing text' });
+    audio = await ttsCache.get(key);
+  } catch (error) {
+    logger.error('Error reading TTS cache', { error });
+  }
+  res.set('X-Cache', audio ? 'HIT' : 'MISS');
+  return audio;
+}
+
+function writeCache(key, audio) {
+  if (!ttsCache) return;
+  ttsCache.set(key, audio).catch((error) => {
+    logger.error('Error writing TTS cache', { error });
+  });
+}
+
+router.post('/tts', ttsLimits, async (req, res) => {
+  try {
+    const tts = await readTtsRequest(req, res);
+    if (!tts) return;
+    const { text, options, format, key } = tts;
+    let audioBuffer = await readCache(res, key);
+    if (!audioBuffer) {
+      audioBuffer = await provider.textToSpeech(text, options);
+      meter(req, { ttsCharacters: text.length });
+      writeCache(key, audioBuffer);
     }
-    const audioBuffer = await textToSpeech(text, voiceId, apiKey);
-    // Return audio as base64 string along with content type (MP3)
+    // Return audio as base64 string along with its format
     const audioBase64 = audioBuffer.toString('base64');
-    res.json({ audio: audioBase64, format: 'mp3' });
+    res.json({ audio: audioBase64, format: format.name });
   } catch (error) {
-    console.error('Error generating TTS:', error.message);
-    res.status(500).json({ error: 'Failed to generate speech' });
+    logger.error('Error generating TTS', { error });
+    sendError(res, error, 'Failed to generate speech');
+  }
+});
+
+// Write one server-sent event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Relay the newline-delimited JSON of the with-timestamps stream as
+// server-sent `audio` events, followed by `done` or `error`.
+function streamAlignmentEvents(upstream, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  let buffer = '';
+  const sendLine = (line) => {
+    if (!line.trim()) return;
+    try {
+      const chunk = JSON.parse(line);
+      sendEvent(res, 'audio', {
+        audio: chunk.audio_base64,
+        alignment: chunk.alignment || null,
+      });
+    } catch (error) {
+      logger.error('Skipping malformed TTS stream line', { error });
+    }
+  };
+  upstream.setEncoding('utf8');
+  upstream.on('data', (data) => {
+    buffer += data;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(sendLine);
+  });
+  upstream.on('end', () => {
+    sendLine(buffer);
+    sendEvent(res, 'done', {});
+    res.end();
+  });
+  upstream.on('error', (error) => {
+    logger.error('Error streaming TTS', { error });
+    sendEvent(res, 'error', { error: 'Failed to generate speech' });
+    res.end();
+  });
+}
+
+// POST /api/tts/stream
+// Streaming variant of /api/tts. Expects the same JSON body and pipes the
+// provider's streaming response to the client as chunked audio (`audio/mpeg`
+// for ElevenLabs), so playback can start with the first bytes. With
+// `?format=sse` the response is a stream of server-sent events instead:
+// `audio` events carry a base64 chunk and its character `alignment`, and a
+// final `done` or `error` event ends the stream. Limits, quotas and metering
+// match /api/tts. Chunked audio shares the TTS cache with /api/tts: a hit is
+// sent in one piece, and a completed miss is cached.
+router.post('/tts/stream', ttsLimits, async (req, res) => {
+  const tts = await readTtsRequest(req, res);
+  if (!tts) return;
+  const { text, options, format, key } = tts;
+  const withAlignment = req.query.format === 'sse';
+  const audioHeaders = {
+    'Content-Type': format.contentType,
+    'Cache-Control': 'no-store',
+  };
+  if (!withAlignment) {
+    const cached = await readCache(res, key);
+    if (cached) {
+      res.set(audioHeaders);
+      return res.send(cached);
+    }
+  }
+  // Stop generating speech when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  let upstream;
+  try {
+    upstream = await provider.streamTextToSpeech(text, {
+      ...options,
+      withTimestamps: withAlignment,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    logger.error('Error generating TTS', { error });
+    return sendError(res, error, 'Failed to generate speech');
+  }
+  meter(req, { ttsCharacters: text.length });
+  if (withAlignment) {
+    streamAlignmentEvents(upstream, res);
+    return;
   }
+  res.set(audioHeaders);
+  const chunks = [];
+  upstream.on('data', (chunk) => chunks.push(chunk));
+  upstream.on('end', () => writeCache(key, Buffer.concat(chunks)));
+  upstream.on('error', (error) => {
+    logger.error('Error streaming TTS', { error });
+    res.destroy(error);
+  });
+  upstream.pipe(res);
 });
 
 module.exports = router;
\ No newline at end of file
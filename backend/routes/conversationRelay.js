@@ -0,0 +1,293 @@
+/*
+ * WebSocket relay between the browser and the speech provider's
+ * conversational agent (ElevenLabs unless SPEECH_PROVIDER says otherwise).
+ * In relay mode the frontend connects to this server instead of the agent,
+ * and the backend opens the upstream socket on its behalf using a signed URL.
+ * Every event passes through the server, which lets it observe, log, filter
+ * or meter the conversation through a list of hooks.
+ */
+
+const { STATUS_CODES } = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const { randomUUID } = require('crypto');
+const { getProvider } = require('../providers');
+const { getAgent } = require('../services/agentRegistry');
+const { logger } = require('../services/logger');
+const { relaySessions } = require('../services/metrics');
+const { UpstreamError } = require('../services/upstreamErrors');
+
+// Path on which the relay accepts browser connections
+const RELAY_PATH = '/api/conversation/ws';
+
+// Close codes sent to the browser. Only a normal closure from ElevenLabs
+// ends the conversation for good; anything else tells the browser the
+// connection was lost so it can reconnect.
+const NORMAL_CLOSURE = 1000;
+const UPSTREAM_LOST = 1011;
+
+/**
+ * Resolve the upstream WebSocket URL for a new relay session from the speech
+ * provider, mirroring the /api/signed-url route.
+ *
+ * @param {import('http').IncomingMessage} request The upgrade request, with
+ *   the session's agent as `request.agent`.
+ * @returns {Promise<string>} The signed upstream WebSocket URL.
+ */
+async function resolveSignedUpstreamUrl(request) {
+  const { signedUrl } = await getProvider().getSignedUrl(request.agent);
+  return signedUrl;
+}
+
+/**
+ * Run an event through a list of hooks. Each hook may return a replacement
+ * event, `null` to drop the event, or nothing to pass it along unchanged.
+ *
+ * @param {Array<Object>} hooks The hooks registered on the relay.
+ * @param {string} name The hook method to invoke.
+ * @param {Object} event The parsed event.
+ * @param {Object} session The relay session the event belongs to.
+ * @returns {Promise<Object|null>} The event to forward, or null to drop it.
+ */
+async function runEventHooks(hooks, name, event, session) {
+  let current = event;
+  for (const hook of hooks) {
+    if (typeof hook[name] !== 'function') continue;
+    const result = await hook[name](current, session);
+    if (result === null) return null;
+    if (result !== undefined) current = result;
+  }
+  return current;
+}
+
+/**
+ * Notify every hook implementing a lifecycle method. Errors are logged rather
+ * than thrown so that one faulty hook cannot break the conversation.
+ *
+ * @param {Array<Object>} hooks The hooks registered on the relay.
+ * @param {string} name The lifecycle method to invoke.
+ * @param {Object} session The relay session.
+ */
+async function runLifecycleHooks(hooks, name, session) {
+  for (const hook of hooks) {
+    if (typeof hook[name] !== 'function') continue;
+    try {
+      await hook[name](session);
+    } catch (error) {
+      logger.error('Relay hook failed', { hook: name, sessionId: session.id, error });
+    }
+  }
+}
+
+/**
+ * Reject an upgrade request with a plain HTTP response.
+ *
+ * @param {import('net').Socket} socket The upgrading socket.
+ * @param {Object} rejection
+ * @param {number} rejection.status The HTTP status code.
+ * @param {string} rejection.error The error message.
+ * @param {number} [rejection.retryAfterSeconds] Sent as Retry-After.
+ */
+function rejectUpgrade(socket, { status, error, retryAfterSeconds }) {
+  const body = JSON.stringify({ error });
+  const headers = [
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+  ];
+  if (retryAfterSeconds) headers.push(`Retry-After: ${retryAfterSeconds}`);
+  socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+}
+
+/**
+ * Attach the conversation relay to an HTTP server. Browser connections on
+ * `RELAY_PATH` are paired with an upstream connection to ElevenLabs, and
+ * messages are forwarded in both directions once both sides are open. The
+ * `agent` query parameter picks the agent from the registry (see
+ * services/agentRegistry.js); it is available to hooks as `session.agent`.
+ * Client messages received before the upstream socket opens are buffered,
+ * and client messages that are not JSON are dropped, since hooks could not
+ * check them. When the upstream socket closes abnormally the browser is
+ * disconnected with code 1011, which the frontend treats as a dropped
+ * connection. Upgrade requests on paths that neither the relay nor another
+ * socket server of the backend (`options.otherPaths`) accepts are answered
+ * with 404 rather than left hanging.
+ *
+ * Hooks are plain objects with any of the following methods:
+ * - `onSessionStart(session)` – called once the upstream socket is open.
+ * - `onClientEvent(event, session)` – called for each browser event.
+ * - `onUpstreamEvent(event, session)` – called for each ElevenLabs event.
+ * - `onSessionEnd(session)` – called once when either side closes.
+ * Event hooks may be async and return a replacement event or `null` to drop
+ * the event.
+ *
+ * @param {import('http').Server} server The HTTP server to attach to.
+ * @param {object} [options]
+ * @param {string} [options.path] The path on which to accept connections.
+ * @param {Function} [options.resolveUpstreamUrl] Async function returning the
+ *   upstream WebSocket URL for a request. Defaults to a signed URL from the
+ *   speech provider.
+ * @param {Function} [options.authorize] Function, possibly async, deciding
+ *   whether to accept an upgrade request. It returns `{ user }` to accept, or
+ *   `{ status, error, retryAfterSeconds }` to reject the request with that
+ *   HTTP response. The user is available to hooks as `session.user`.
+ * @param {Array<Object>} [options.hooks] Event and lifecycle hooks.
+ * @param {Array<string>} [options.otherPaths] Paths on which other listeners
+ *   of the server accept upgrade requests, e.g. the mock agent's.
+ * @returns {WebSocketServer} The WebSocket server handling relay connections.
+ */
+function attachConversationRelay(server, options = {}) {
+  const path = options.path || RELAY_PATH;
+  const resolveUpstreamUrl = options.resolveUpstreamUrl || resolveSignedUpstreamUrl;
+  const hooks = options.hooks || [];
+  const { authorize } = options;
+  const otherPaths = options.otherPaths || [];
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+    if (otherPaths.includes(pathname)) return;
+    if (pathname !== path) {
+      rejectUpgrade(socket, { status: 404, error: 'Not found' });
+      return;
+    }
+    request.agent = getAgent(searchParams.get('agent'));
+    if (!request.agent) {
+      rejectUpgrade(socket, { status: 404, error: 'Unknown agent' });
+      return;
+    }
+    if (authorize) {
+      let result;
+      try {
+        result = await authorize(request);
+      } catch (error) {
+        logger.error('Error authorizing relay connection', { error });
+        result = { status: 500, error: 'Failed to authorize connection' };
+      }
+      if (!result.user) {
+        rejectUpgrade(socket, result);
+        return;
+      }
+      request.user = result.user;
+    }
+    wss.handleUpgrade(request, socket, head, (client) => {
+      wss.emit('connection', client, request);
+    });
+  });
+
+  wss.on('connection', async (client, request) => {
+    const session = {
+      id: randomUUID(),
+      request,
+      user: request.user || null,
+      agent: request.agent,
+      startedAt: Date.now(),
+    };
+    let upstream = null;
+    let started = false;
+    let ended = false;
+    // Messages are forwarded through one promise chain per direction so that
+    // async hooks cannot reorder them. Client messages additionally wait for
+    // the upstream socket to open and the session start hooks to finish.
+    let markUpstreamReady;
+    const upstreamReady = new Promise((resolve) => {
+      markUpstreamReady = resolve;
+    });
+    let clientChain = upstreamReady;
+    let upstreamChain = Promise.resolve();
+
+    const end = (code) => {
+      if (ended) return;
+      ended = true;
+      if (client.readyState === WebSocket.OPEN) client.close(code);
+      if (upstream && upstream.readyState === WebSocket.OPEN) upstream.close();
+      if (!started) return;
+      relaySessions.dec();
+      logger.info('Relay session ended', {
+        sessionId: session.id,
+        userId: session.user && session.user.id,
+        durationMs: Date.now() - session.startedAt,
+      });
+      runLifecycleHooks(hooks, 'onSessionEnd', session);
+    };
+
+    // Parse a message, run it through the hooks and send it to the target
+    // socket. Client messages that are not JSON are dropped; those of the
+    // agent are forwarded untouched.
+    const forward = async (raw, hookName, target) => {
+      let event;
+      try {
+        event = JSON.parse(raw.toString());
+      } catch (error) {
+        if (hookName === 'onClientEvent') {
+          logger.warn('Dropped relay message that is not JSON', { sessionId: session.id });
+          return;
+        }
+        if (target.readyState === WebSocket.OPEN) target.send(raw);
+        return;
+      }
+      try {
+        const result = await runEventHooks(hooks, hookName, event, session);
+        if (result && target.readyState === WebSocket.OPEN) {
+          target.send(JSON.stringify(result));
+        }
+      } catch (error) {
+        logger.error('Relay hook failed', { hook: hookName, sessionId: session.id, error });
+      }
+    };
+
+    client.on('message', (raw) => {
+      clientChain = clientChain.then(() => forward(raw, 'onClientEvent', upstream));
+    });
+    client.on('close', () => end());
+    client.on('error', () => end());
+
+    try {
+      const upstreamUrl = await resolveUpstreamUrl(request);
+      if (ended) return;
+      upstream = new WebSocket(upstreamUrl);
+    } catch (error) {
+      logger.error('Error opening relay upstream', { sessionId: session.id, error });
+      ended = true;
+      // The reason carries the upstream error code, so the browser can tell
+      // a bad key or exhausted credits from an outage
+      const reason = error instanceof UpstreamError ? error.code : 'Failed to connect to agent';
+      client.close(UPSTREAM_LOST, reason);
+      return;
+    }
+
+    upstream.on('open', async () => {
+      // The browser left while the upstream socket was connecting
+      if (ended) {
+        upstream.close();
+        return;
+      }
+      started = true;
+      relaySessions.inc();
+      logger.info('Relay session started', {
+        sessionId: session.id,
+        userId: session.user && session.user.id,
+        agent: session.agent && session.agent.name,
+      });
+      await runLifecycleHooks(hooks, 'onSessionStart', session);
+      markUpstreamReady();
+    });
+    upstream.on('message', (raw) => {
+      upstreamChain = upstreamChain.then(() => forward(raw, 'onUpstreamEvent', client));
+    });
+    upstream.on('close', (code) => {
+      end(code === NORMAL_CLOSURE ? NORMAL_CLOSURE : UPSTREAM_LOST);
+    });
+    upstream.on('error', (error) => {
+      logger.error('Relay upstream error', { sessionId: session.id, error });
+      end(UPSTREAM_LOST);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  RELAY_PATH,
+  attachConversationRelay,
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+/*
+ * Routes that export conversation transcripts as downloadable files in
+ * Markdown, JSON, SRT or WebVTT. Stored sessions are exported by ID; the
+ * frontend can also post the transcript it is displaying, which covers
+ * conversations that are still in progress.
+ */
+
+const express = require('express');
+const router = express.Router();
+const historyStore = require('../services/historyStore');
+const { EXPORT_FORMATS, serializeTranscript } = require('../services/transcriptExport');
+const { isAdmin } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+
+// Stored sessions are exported to their owner and to admins only
+const canAccess = (user, session) => isAdmin(user) || session.userId === user.id;
+
+/**
+ * Send a serialized transcript as a file download.
+ *
+ * @param {import('express').Response} res The response.
+ * @param {Object} session The session to export.
+ * @param {string} format The export format.
+ */
+function sendTranscript(res, session, format) {
+  const { content, contentType, extension } = serializeTranscript(session, format);
+  const name = session.conversationId || 'conversation';
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+  res.send(content);
+}
+
+/**
+ * Check that a posted message list has the shape produced by the frontend.
+ *
+ * @param {*} messages The candidate message list.
+ * @returns {boolean}
+ */
+function isValidMessageList(messages) {
+  return (
+    Array.isArray(messages) &&
+    messages.every(
+      (message) =>
+        message &&
+        (message.role === 'user' || message.role === 'agent') &&
+        typeof message.text === 'string' &&
+        (message.timestamp === undefined || Number.isFinite(message.timestamp)) &&
+        (message.endTimestamp === undefined || Number.isFinite(message.endTimestamp)) &&
+        (message.interrupted === undefined || typeof message.interrupted === 'boolean'),
+    )
+  );
+}
+
+// GET /api/sessions/:id/export?format=md|json|srt|vtt
+// Exports a stored session. The format defaults to Markdown.
+router.get('/sessions/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Unsupported export format' });
+    }
+    if (!historyStore.isValidSessionId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    const session = await historyStore.getSession(req.params.id);
+    if (!session || !canAccess(req.user, session)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    sendTranscript(res, session, format);
+  } catch (error) {
+    logger.error('Error exporting session', { error });
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+// POST /api/transcripts/export
+// Exports a transcript supplied in the request body. Expects a JSON body with
+// a `format` field and a `session` object holding `messages` and optionally
+// `conversationId` and `startedAt`.
+router.post('/transcripts/export', (req, res) => {
+  try {
+    const { format = 'md', session } = req.body;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Unsupported export format' });
+    }
+    if (!session || !isValidMessageList(session.messages)) {
+      return res.status(400).json({ error: 'Invalid or missing transcript' });
+    }
+    const { conversationId, startedAt, messages } = session;
+    sendTranscript(
+      res,
+      {
+        conversationId: historyStore.isValidSessionId(conversationId) ? conversationId : null,
+        startedAt: Number.isFinite(startedAt) ? startedAt : undefined,
+        messages,
+      },
+      format,
+    );
+  } catch (error) {
+    logger.error('Error exporting transcript', { error });
+    res.status(500).json({ error: 'Failed to export transcript' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,78 @@
+/*
+ * Health and metrics endpoints for orchestrators and monitoring. They live
+ * outside /api and do not take API credentials.
+ *
+ * - `/healthz` – liveness: the process is up and answering.
+ * - `/healthz/ready` – readiness: the configuration needed to serve
+ *   conversations and speech with every registered agent is present.
+ *   Answers 503 listing the failing checks otherwise.
+ * - `/metrics` – Prometheus metrics (see services/metrics.js). When
+ *   METRICS_TOKEN is set, scrapers must send it as a bearer token.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getProvider } = require('../providers');
+const { getAgent, listAgentNames } = require('../services/agentRegistry');
+const { isAuthConfigured, safeEqual } = require('../services/auth');
+const { register } = require('../services/metrics');
+const { logger } = require('../services/logger');
+
+// Check a capability for every agent in the registry, naming the agents
+// that lack configuration
+function agentsConfigError(capability) {
+  const errors = listAgentNames()
+    .map((name) => {
+      const error = getProvider().configError(capability, getAgent(name));
+      return error && `${name}: ${error}`;
+    })
+    .filter(Boolean);
+  return errors.length ? errors.join('; ') : null;
+}
+
+// Each check returns null when it passes, or what is wrong
+const READINESS_CHECKS = {
+  auth: () => (isAuthConfigured() ? null : 'Authentication is not configured'),
+  conversation: () => agentsConfigError('conversation'),
+  tts: () => agentsConfigError('tts'),
+};
+
+// GET /healthz
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// GET /healthz/ready
+// Returns `{ status, checks }` where each check is `{ ok, error? }`.
+router.get('/healthz/ready', (req, res) => {
+  const checks = {};
+  Object.entries(READINESS_CHECKS).forEach(([name, check]) => {
+    let error;
+    try {
+      error = check();
+    } catch (checkError) {
+      error = checkError.message;
+    }
+    checks[name] = error ? { ok: false, error } : { ok: true };
+  });
+  const ready = Object.values(checks).every(({ ok }) => ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// GET /metrics
+router.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !safeEqual(req.get('Authorization') || '', `Bearer ${token}`)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing credentials' });
+  }
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
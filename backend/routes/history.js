@@ -0,0 +1,112 @@
+/*
+ * Routes for browsing and managing stored conversation history. Sessions are
+ * recorded by the relay hook in relay mode, or reported by the frontend via
+ * POST /api/sessions/:id/messages when it talks to ElevenLabs directly.
+ * Users see their own sessions; operators listed in ADMIN_USERS can also
+ * open and manage anyone's, e.g. to review a recording's transcript.
+ */
+
+const express = require('express');
+const router = express.Router();
+const historyStore = require('../services/historyStore');
+const { isAdmin } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+
+const canAccess = (user, session) => isAdmin(user) || session.userId === user.id;
+
+// Reject malformed session IDs before they reach the store
+router.param('id', (req, res, next, id) => {
+  if (!historyStore.isValidSessionId(id)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+  next();
+});
+
+// Load the session as `req.historySession`, answering 404 for sessions that
+// do not exist or belong to someone else
+async function loadSession(req, res, next) {
+  try {
+    const session = await historyStore.getSession(req.params.id);
+    if (!session || !canAccess(req.user, session)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    req.historySession = session;
+    next();
+  } catch (error) {
+    logger.error('Error fetching session', { error });
+    res.status(500).json({ error: 'Failed to fetch session' });
+  }
+}
+
+// GET /api/sessions
+// Lists the user's sessions, most recently updated first, without their
+// messages.
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await historyStore.listSessions({ userId: req.user.id });
+    res.json({ sessions });
+  } catch (error) {
+    logger.error('Error listing sessions', { error });
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// GET /api/sessions/:id
+// Returns a single session with its full transcript.
+router.get('/sessions/:id', loadSession, (req, res) => {
+  res.json({ session: req.historySession });
+});
+
+// DELETE /api/sessions/:id
+// Permanently removes a session.
+router.delete('/sessions/:id', loadSession, async (req, res) => {
+  try {
+    const deleted = await historyStore.deleteSession(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting session', { error });
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// POST /api/sessions/:id/messages
+// Appends a transcript message to a session, creating it on first use. Used
+// by the frontend in direct mode, where the backend does not see the
+// conversation. Expects a JSON body with `role`, `text`, optional
+// `timestamp` and `endTimestamp` fields in milliseconds and an optional
+// `interrupted` flag. A session belonging to someone else is not found.
+router.post('/sessions/:id/messages', async (req, res) => {
+  try {
+    const { role, text, timestamp, endTimestamp, interrupted } = req.body;
+    if (role !== 'user' && role !== 'agent') {
+      return res.status(400).json({ error: 'Invalid or missing role' });
+    }
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Invalid or missing text' });
+    }
+    if (timestamp !== undefined && !Number.isFinite(timestamp)) {
+      return res.status(400).json({ error: 'Invalid timestamp' });
+    }
+    if (endTimestamp !== undefined && !Number.isFinite(endTimestamp)) {
+      return res.status(400).json({ error: 'Invalid end timestamp' });
+    }
+    const existing = await historyStore.getSession(req.params.id);
+    if (existing && !canAccess(req.user, existing)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await historyStore.appendMessage(
+      req.params.id,
+      { role, text, timestamp, endTimestamp, interrupted: interrupted === true },
+      { userId: req.user.id },
+    );
+    res.status(201).end();
+  } catch (error) {
+    logger.error('Error recording message', { error });
+    res.status(500).json({ error: 'Failed to record message' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,107 @@
+/*
+ * Routes for reviewing conversation recordings (see
+ * services/recordingStore.js). Users see their own recordings; operators
+ * listed in ADMIN_USERS see everyone's, e.g. for QA and compliance review.
+ * A recording shares its ID with the history session holding its transcript.
+ */
+
+const express = require('express');
+const router = express.Router();
+const recordingStore = require('../services/recordingStore');
+const { isValidSessionId } = require('../services/historyStore');
+const { isAdmin } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+
+const canAccess = (user, recording) => isAdmin(user) || recording.userId === user.id;
+
+// Reject malformed recording IDs before they reach the store
+router.param('id', (req, res, next, id) => {
+  if (!isValidSessionId(id)) {
+    return res.status(400).json({ error: 'Invalid recording ID' });
+  }
+  next();
+});
+
+// Load the recording as `req.recording`, answering 404 for recordings that
+// do not exist or belong to someone else
+async function loadRecording(req, res, next) {
+  try {
+    const recording = await recordingStore.getRecording(req.params.id);
+    if (!recording || !canAccess(req.user, recording)) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    req.recording = recording;
+    next();
+  } catch (error) {
+    logger.error('Error fetching recording', { error });
+    res.status(500).json({ error: 'Failed to fetch recording' });
+  }
+}
+
+// GET /api/recordings/policy
+// Tells clients whether recording is enabled and how many days recordings
+// are kept, so they can ask the user for consent before recording.
+router.get('/recordings/policy', (req, res) => {
+  res.json(recordingStore.describePolicy());
+});
+
+// GET /api/recordings
+// Lists the recordings the user may review, most recent first.
+router.get('/recordings', async (req, res) => {
+  try {
+    const recordings = await recordingStore.listRecordings();
+    res.json({ recordings: recordings.filter((recording) => canAccess(req.user, recording)) });
+  } catch (error) {
+    logger.error('Error listing recordings', { error });
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+// GET /api/recordings/:id
+// Returns a recording's metadata: its user and agent, when it started and
+// the sample rate and duration of each recorded side under `tracks`.
+router.get('/recordings/:id', loadRecording, (req, res) => {
+  res.json({ recording: req.recording });
+});
+
+// GET /api/recordings/:id/:side.wav
+// Returns the `user` or `agent` side of a recording as a WAV file. Both
+// sides start at the recording's `startedAt`.
+router.get('/recordings/:id/:side.wav', loadRecording, async (req, res) => {
+  if (!recordingStore.isValidSide(req.params.side)) {
+    return res.status(404).json({ error: 'Track not found' });
+  }
+  try {
+    const track = await recordingStore.openTrack(req.params.id, req.params.side);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    res.set({
+      'Content-Type': 'audio/wav',
+      'Content-Length': track.length,
+      'Cache-Control': 'no-store',
+    });
+    track.stream.on('error', (error) => {
+      logger.error('Error streaming recording', { error });
+      res.destroy(error);
+    });
+    track.stream.pipe(res);
+  } catch (error) {
+    logger.error('Error opening recording', { error });
+    res.status(500).json({ error: 'Failed to open recording' });
+  }
+});
+
+// DELETE /api/recordings/:id
+// Permanently removes a recording before its retention period ends.
+router.delete('/recordings/:id', loadRecording, async (req, res) => {
+  try {
+    await recordingStore.deleteRecording(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting recording', { error });
+    res.status(500).json({ error: 'Failed to delete recording' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
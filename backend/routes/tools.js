@@ -0,0 +1,61 @@
+/*
+ * Webhook routes through which the ElevenLabs agent invokes server-side tools
+ * (see tools/index.js). All routes require the shared webhook secret. Every
+ * call is logged with its outcome and duration.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireWebhookSecret } = require('../middleware/webhookAuth');
+const { getTool, listTools } = require('../tools');
+const { logger } = require('../services/logger');
+
+router.use(requireWebhookSecret);
+
+/**
+ * Log a tool call with its outcome. Failed calls are logged as errors.
+ *
+ * @param {Object} entry The fields to log.
+ */
+function logToolCall(entry) {
+  logger[entry.status >= 500 ? 'error' : 'info']('Tool call', entry);
+}
+
+// GET /api/tools
+// Lists the registered tools with their parameter schemas, for configuring
+// them on the agent.
+router.get('/', (req, res) => {
+  res.json({ tools: listTools() });
+});
+
+// POST /api/tools/:name
+// Runs a tool. The JSON body holds the tool parameters, which are validated
+// against the tool's schema. The handler's result is returned as JSON.
+router.post('/:name', async (req, res) => {
+  const { name } = req.params;
+  const startedAt = Date.now();
+  const tool = getTool(name);
+  if (!tool) {
+    logToolCall({ tool: name, status: 404, durationMs: 0 });
+    return res.status(404).json({ error: `Unknown tool: ${name}` });
+  }
+  // Validation also fills in schema defaults
+  const params = req.body || {};
+  if (!tool.validate(params)) {
+    const details = tool.validate.errors.map(
+      ({ instancePath, message }) => `${instancePath || '/'} ${message}`,
+    );
+    logToolCall({ tool: name, status: 400, durationMs: Date.now() - startedAt, errors: details });
+    return res.status(400).json({ error: 'Invalid tool parameters', details });
+  }
+  try {
+    const result = await tool.handler(params, { request: req });
+    logToolCall({ tool: name, status: 200, durationMs: Date.now() - startedAt });
+    res.json(result === undefined ? null : result);
+  } catch (error) {
+    logToolCall({ tool: name, status: 500, durationMs: Date.now() - startedAt, error });
+    res.status(500).json({ error: 'Tool failed' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,66 @@
+/*
+ * Routes for usage metering. Users can see their own month-to-date usage
+ * against their quotas. In direct mode the backend never sees a
+ * conversation, so the frontend reports each finished conversation and the
+ * backend meters the duration the speech provider recorded for it (see
+ * services/conversationMeter.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getProvider } = require('../providers');
+const { isValidSessionId } = require('../services/historyStore');
+const { getAgent } = require('../services/agentRegistry');
+const { getQuotaStatus } = require('../services/quotas');
+const usageStore = require('../services/usageStore');
+const { meterConversation } = require('../services/conversationMeter');
+const { sendError } = require('../services/upstreamErrors');
+const { logger } = require('../services/logger');
+
+// GET /api/usage
+// Returns the user's month-to-date usage and quota per quota name.
+router.get('/usage', async (req, res) => {
+  try {
+    const quotas = await getQuotaStatus(req.user.id);
+    res.json({ userId: req.user.id, quotas });
+  } catch (error) {
+    logger.error('Error reading usage', { error });
+    res.status(500).json({ error: 'Failed to read usage' });
+  }
+});
+
+// POST /api/usage/conversations/:id
+// Meters a finished conversation for the current user. The duration is
+// looked up with the speech provider rather than taken from the client.
+// Only conversations started from a signed URL issued to the user can be
+// reported; others are answered with 404. Responds 409 while the provider
+// has not recorded the duration yet, so the client can retry. A
+// conversation is only ever metered once.
+router.post('/usage/conversations/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!isValidSessionId(id)) {
+    return res.status(400).json({ error: 'Invalid conversation ID' });
+  }
+  try {
+    const configError = getProvider().configError('conversation', getAgent());
+    if (configError) {
+      return res.status(500).json({ error: configError });
+    }
+    if ((await usageStore.getConversationOwner(id)) !== req.user.id) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const result = await meterConversation(id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (result.durationMs === null) {
+      return res.status(409).json({ error: 'Conversation duration is not available yet' });
+    }
+    res.status(result.metered ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Error metering conversation', { error });
+    sendError(res, error, 'Failed to meter conversation');
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+/*
+ * Routes listing what the TTS routes can be asked for: the speech
+ * provider's voices, its models and its output formats. The lists are
+ * cached (see services/voiceCatalog.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getProvider } = require('../providers');
+const { getVoices, getModels } = require('../services/voiceCatalog');
+const { sendError } = require('../services/upstreamErrors');
+const { logger } = require('../services/logger');
+
+// GET /api/voices
+// Returns the available voices as `{ id, name, category, labels, previewUrl }`.
+router.get('/voices', async (req, res) => {
+  try {
+    res.json({ voices: await getVoices() });
+  } catch (error) {
+    logger.error('Error listing voices', { error });
+    sendError(res, error, 'Failed to list voices');
+  }
+});
+
+// GET /api/models
+// Returns the text-to-speech models as `{ id, name, description, languages }`
+// and the output formats /api/tts accepts.
+router.get('/models', async (req, res) => {
+  try {
+    res.json({ models: await getModels(), outputFormats: getProvider().outputFormats });
+  } catch (error) {
+    logger.error('Error listing models', { error });
+    sendError(res, error, 'Failed to list models');
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/*
+ * Registry of the named agents one deployment serves, such as a support, a
+ * sales and an onboarding agent. It is read from `config/agents.json`, or
+ * from the file named by AGENTS_CONFIG: `defaultAgent` names the agent used
+ * when a request does not pick one, and `agents` maps each name to:
+ *
+ * - `displayName` – the name shown in the chat.
+ * - `avatar` – URL of an image shown next to the name, or null.
+ * - `agentId` – the provider's agent ID, or `agentIdEnv` naming the
+ *   environment variable that holds it.
+ * - `voiceId` – the default voice for text-to-speech; null falls back to
+ *   ELEVENLABS_VOICE_ID.
+ * - `overrides` – path of the agent's override allowlist, relative to the
+ *   registry file; null uses the default one (see
+ *   services/conversationOverrides.js).
+ * - `relayOnly` – whether conversations must go through the relay. Only the
+ *   relay can hold clients to the override allowlist; in direct mode the
+ *   browser sends its initiation straight to ElevenLabs. Defaults to false.
+ *
+ * Names appear in URLs (`/agent/<name>`, `?agent=<name>`), so they are
+ * limited to letters, digits, dashes and underscores.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultAllowlist, loadOverrideConfig } = require('./conversationOverrides');
+
+const CONFIG_PATH =
+  process.env.AGENTS_CONFIG || path.join(__dirname, '..', 'config', 'agents.json');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Read an agent registry and load the override allowlist of each agent.
+ *
+ * @param {string} [file] The JSON config file. Defaults to CONFIG_PATH.
+ * @returns {{ defaultAgent: string, agents: Object }} The registry.
+ */
+function loadAgentRegistry(file = CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const agents = {};
+  Object.entries(raw.agents || {}).forEach(([name, entry]) => {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid agent name "${name}" in ${file}`);
+    }
+    agents[name] = {
+      displayName: entry.displayName || name,
+      avatar: entry.avatar || null,
+      agentId: entry.agentId || null,
+      agentIdEnv: entry.agentIdEnv || null,
+      voiceId: entry.voiceId || null,
+      relayOnly: entry.relayOnly === true,
+      overrides: entry.overrides
+        ? loadOverrideConfig(path.resolve(path.dirname(file), entry.overrides))
+        : defaultAllowlist,
+    };
+  });
+  const defaultAgent = raw.defaultAgent || Object.keys(agents)[0];
+  if (!has(agents, defaultAgent)) {
+    throw new Error(`Default agent "${defaultAgent}" is not defined in ${file}`);
+  }
+  return { defaultAgent, agents };
+}
+
+const registry = loadAgentRegistry();
+
+/**
+ * Look up an agent by name. Agent IDs kept in the environment are read on
+ * every call.
+ *
+ * @param {string} [name] The agent name; the default agent when empty.
+ * @returns {Object|null} `{ name, displayName, avatar, agentId, voiceId,
+ *   relayOnly, overrides }`, or null when there is no such agent.
+ */
+function getAgent(name) {
+  const key = name || registry.defaultAgent;
+  if (typeof key !== 'string' || !has(registry.agents, key)) return null;
+  const { agentIdEnv, ...agent } = registry.agents[key];
+  return {
+    name: key,
+    ...agent,
+    agentId: agent.agentId || (agentIdEnv && process.env[agentIdEnv]) || null,
+  };
+}
+
+/**
+ * The names of all agents, the default agent first.
+ *
+ * @returns {Array<string>}
+ */
+function listAgentNames() {
+  const names = Object.keys(registry.agents);
+  return [registry.defaultAgent, ...names.filter((name) => name !== registry.defaultAgent)];
+}
+
+/**
+ * Describe the agents for clients. Agent IDs and allowlists stay on the
+ * server.
+ *
+ * @returns {{ defaultAgent: string, agents: Array<Object> }} Each agent as
+ *   `{ name, displayName, avatar }`.
+ */
+function describeAgents() {
+  return {
+    defaultAgent: registry.defaultAgent,
+    agents: listAgentNames().map((name) => {
+      const { displayName, avatar } = registry.agents[name];
+      return { name, displayName, avatar };
+    }),
+  };
+}
+
+/**
+ * The provider agent IDs of all agents, e.g. to tell this deployment's
+ * conversations from others on the same account.
+ *
+ * @returns {Array<string>}
+ */
+function listAgentIds() {
+  return listAgentNames()
+    .map((name) => getAgent(name).agentId)
+    .filter(Boolean);
+}
+
+module.exports = {
+  loadAgentRegistry,
+  getAgent,
+  listAgentNames,
+  describeAgents,
+  listAgentIds,
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+/*
+ * Helpers for the audio formats used by ElevenLabs, which are named
+ * `<encoding>_<sample rate>[_<bitrate>]`, e.g. `pcm_16000`, `ulaw_8000` or
+ * `mp3_44100_128`.
+ */
+
+// Format assumed when the agent does not report one
+const DEFAULT_AUDIO_FORMAT = 'mp3_44100_128';
+
+/**
+ * Split an ElevenLabs output format name into its parts.
+ *
+ * @param {string} [format] The format name, e.g. `pcm_16000`.
+ * @returns {{ encoding: string, sampleRate: number, bitrate: number|null }}
+ *   The encoding, sample rate in Hz and bitrate in bits per second.
+ */
+function parseAudioFormat(format = DEFAULT_AUDIO_FORMAT) {
+  const [encoding, sampleRate, kbps] = String(format).split('_');
+  return {
+    encoding,
+    sampleRate: Number(sampleRate) || 44100,
+    bitrate: Number(kbps) ? Number(kbps) * 1000 : null,
+  };
+}
+
+/**
+ * Compute the number of bytes encoded by a base64 string without decoding it.
+ *
+ * @param {string} base64 The base64 data.
+ * @returns {number}
+ */
+function base64ByteLength(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+}
+
+/**
+ * Estimate the playback duration of a block of audio. Exact for PCM and
+ * μ-law; based on the nominal bitrate for compressed formats.
+ *
+ * @param {number} byteLength The size of the audio data in bytes.
+ * @param {string} [format] The ElevenLabs output format name.
+ * @returns {number} The duration in milliseconds.
+ */
+function audioDurationMs(byteLength, format) {
+  const { encoding, sampleRate, bitrate } = parseAudioFormat(format);
+  if (encoding === 'pcm') return (byteLength / 2 / sampleRate) * 1000;
+  if (encoding === 'ulaw') return (byteLength / sampleRate) * 1000;
+  return ((byteLength * 8) / (bitrate || 128000)) * 1000;
+}
+
+// Expand one G.711 μ-law byte to a 16-bit sample
+function decodeUlawSample(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Convert a block of audio to 16-bit little-endian PCM.
+ *
+ * @param {Buffer} data The audio data.
+ * @param {string} [format] The ElevenLabs format name of the data.
+ * @returns {Buffer|null} The PCM samples, or null for compressed formats
+ *   such as MP3, which would need a decoder.
+ */
+function toPcm16(data, format) {
+  const { encoding } = parseAudioFormat(format);
+  if (encoding === 'pcm') return data;
+  if (encoding !== 'ulaw') return null;
+  const pcm = Buffer.alloc(data.length * 2);
+  data.forEach((byte, index) => pcm.writeInt16LE(decodeUlawSample(byte), index * 2));
+  return pcm;
+}
+
+/**
+ * Build the 44-byte header of a mono 16-bit PCM WAV file.
+ *
+ * @param {number} dataLength The size of the PCM data in bytes.
+ * @param {number} sampleRate The sample rate in Hz.
+ * @returns {Buffer}
+ */
+function wavHeader(dataLength, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+module.exports = {
+  DEFAULT_AUDIO_FORMAT,
+  parseAudioFormat,
+  base64ByteLength,
+  audioDurationMs,
+  toPcm16,
+  wavHeader,
+};
\ No newline at end of file
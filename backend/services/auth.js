@@ -0,0 +1,123 @@
+/*
+ * Credentials for the backend API. Clients authenticate either with a
+ * per-user API key from API_KEYS or with a JWT signed with JWT_SECRET. The
+ * login route exchanges an API key for a short-lived JWT, so the browser
+ * does not have to keep the key itself.
+ *
+ * API_KEYS is a comma-separated list of `user:key` pairs, e.g.
+ * `alice:3f9c...,reporting-job:a81b...`. JWTs carry the user ID in `sub`.
+ */
+
+const jwt = require('jsonwebtoken');
+const { timingSafeEqual } = require('crypto');
+
+// Lifetime of tokens issued by the login route
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+
+/**
+ * Compare two strings in constant time.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Parse the API_KEYS environment variable.
+ *
+ * @returns {Array<{ userId: string, key: string }>}
+ */
+function parseApiKeys() {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return { userId: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    })
+    .filter(({ userId, key }) => userId && key);
+}
+
+/**
+ * Whether any credentials are configured. Without them every protected
+ * route is closed rather than open.
+ *
+ * @returns {boolean}
+ */
+function isAuthConfigured() {
+  return Boolean(process.env.JWT_SECRET) || parseApiKeys().length > 0;
+}
+
+/**
+ * Look up the user an API key belongs to. Every configured key is compared
+ * so the time taken does not reveal which one matched.
+ *
+ * @param {string} key The presented API key.
+ * @returns {{ id: string, method: string }|null} The user, or null.
+ */
+function findUserByApiKey(key) {
+  let userId = null;
+  parseApiKeys().forEach((entry) => {
+    if (safeEqual(key, entry.key)) userId = entry.userId;
+  });
+  return userId ? { id: userId, method: 'api-key' } : null;
+}
+
+/**
+ * Issue a JWT for a user.
+ *
+ * @param {{ id: string }} user The authenticated user.
+ * @returns {{ token: string, expiresAt: number }} The token and its expiry
+ *   in milliseconds since the epoch.
+ */
+function issueToken(user) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT secret is not configured');
+  }
+  const token = jwt.sign({ sub: user.id }, secret, { algorithm: 'HS256', expiresIn: TOKEN_TTL });
+  return { token, expiresAt: jwt.decode(token).exp * 1000 };
+}
+
+/**
+ * Verify a JWT.
+ *
+ * @param {string} token The presented token.
+ * @returns {{ id: string, method: string }|null} The user, or null when the
+ *   token is invalid, expired or JWTs are not configured.
+ */
+function verifyToken(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) return null;
+  try {
+    const payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+    return payload.sub ? { id: String(payload.sub), method: 'jwt' } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a presented credential, which may be a JWT or an API key.
+ *
+ * @param {string} credential The bearer token or API key.
+ * @returns {{ id: string, method: string }|null} The user, or null.
+ */
+function authenticateCredential(credential) {
+  if (!credential) return null;
+  return verifyToken(credential) || findUserByApiKey(credential);
+}
+
+module.exports = {
+  safeEqual,
+  isAuthConfigured,
+  findUserByApiKey,
+  issueToken,
+  authenticateCredential,
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+/*
+ * Metering of conversations in direct mode, where the browser talks to the
+ * speech provider and the backend never sees the conversation. Each
+ * conversation started from /api/signed-url is recorded as issued to its
+ * user (see services/usageStore.js). The frontend reports it when it ends,
+ * and a periodic sweep meters those it never reports, so skipping the
+ * report does not make minutes free. Durations always come from the
+ * provider, never from the client.
+ */
+
+const { getProvider } = require('../providers');
+const { getAgent, listAgentIds } = require('./agentRegistry');
+const usageStore = require('./usageStore');
+const { logger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * MINUTE_MS;
+// Give the client the chance to report a conversation before the sweep does
+const SETTLE_MS = 2 * MINUTE_MS;
+// A conversation the provider has never heard of by then was never started
+const UNSTARTED_MS = 60 * MINUTE_MS;
+// And one still without a duration by then is given up on
+const ABANDONED_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Meter a conversation for a user with the duration the speech provider
+ * recorded for it. A conversation is only ever metered once.
+ *
+ * @param {string} conversationId The conversation ID.
+ * @param {string} userId The user to charge.
+ * @returns {Promise<{ metered: boolean, durationMs: number|null }|null>}
+ *   null when the provider has no such conversation with one of our
+ *   agents. `durationMs` is null while the provider has not recorded the
+ *   duration yet.
+ */
+async function meterConversation(conversationId, userId) {
+  const conversation = await getProvider().getConversation(conversationId, listAgentIds());
+  if (!conversation) return null;
+  const { durationSecs, startedAt } = conversation;
+  if (typeof durationSecs !== 'number') return { metered: false, durationMs: null };
+  const durationMs = durationSecs * 1000;
+  const metered = await usageStore.recordConversation(
+    conversationId,
+    userId,
+    durationMs,
+    startedAt || Date.now(),
+  );
+  return { metered, durationMs };
+}
+
+/**
+ * Meter the issued conversations that were not reported, and stop tracking
+ * those that were never started or never end.
+ *
+ * @param {number} [now] The current time. Defaults to now.
+ * @returns {Promise<number>} The number of conversations metered.
+ */
+async function meterUnreported(now = Date.now()) {
+  if (getProvider().configError('conversation', getAgent())) return 0;
+  const issued = await usageStore.listUnmeteredConversations();
+  let count = 0;
+  for (const { conversationId, userId, issuedAt } of issued) {
+    const age = now - issuedAt;
+    if (age < SETTLE_MS) continue;
+    const result = await meterConversation(conversationId, userId);
+    if (result && result.metered) {
+      count += 1;
+    } else if (result ? age > ABANDONED_MS : age > UNSTARTED_MS) {
+      logger.warn('Giving up on metering conversation', { conversationId, userId });
+      await usageStore.forgetIssuedConversation(conversationId);
+    }
+  }
+  return count;
+}
+
+/**
+ * Meter unreported conversations now and every five minutes from then on.
+ * The timer does not keep the process alive.
+ */
+function startConversationMeterSweep() {
+  const sweep = () => {
+    meterUnreported()
+      .then((count) => {
+        if (count) logger.info('Metered unreported conversations', { count });
+      })
+      .catch((error) => {
+        logger.error('Error metering unreported conversations', { error });
+      });
+  };
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  meterConversation,
+  meterUnreported,
+  startConversationMeterSweep,
+};
\ No newline at end of file
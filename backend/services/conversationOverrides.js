@@ -0,0 +1,246 @@
+/*
+ * Per-session conversation overrides checked against an allowlist. Clients
+ * never send prompt text: they pick a named prompt or first message from the
+ * config, a language and voice from fixed lists, and dynamic variables that
+ * match a JSON schema per variable. The allowlist is read from
+ * `config/overrides.json`, or from the file named by OVERRIDES_CONFIG.
+ *
+ * The resulting `conversation_initiation_client_data` fields are built on the
+ * server. In relay mode the initiation event is checked again on its way
+ * upstream (see hooks/overrides.js), so a client cannot bypass the allowlist
+ * by editing the payload. In direct mode nothing on the server sees the
+ * event, so agents whose allowlist must hold are marked `relayOnly` in the
+ * agent registry (see services/agentRegistry.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const CONFIG_PATH =
+  process.env.OVERRIDES_CONFIG || path.join(__dirname, '..', 'config', 'overrides.json');
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: false });
+
+/**
+ * Read an override allowlist and compile its dynamic variable schemas.
+ *
+ * @param {string} [file] The JSON config file. Defaults to CONFIG_PATH.
+ * @returns {Object} The allowlist with a `validators` map added.
+ */
+function loadOverrideConfig(file = CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const config = {
+    prompts: raw.prompts || {},
+    firstMessages: raw.firstMessages || {},
+    languages: raw.languages || [],
+    voices: raw.voices || [],
+    dynamicVariables: raw.dynamicVariables || {},
+  };
+  config.validators = new Map(
+    Object.entries(config.dynamicVariables).map(([name, schema]) => [name, ajv.compile(schema)]),
+  );
+  return config;
+}
+
+// The allowlist of config/overrides.json, used when no other is given
+const defaultAllowlist = loadOverrideConfig();
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Describe the allowed overrides, for building the settings panel. Prompt
+ * and first message texts stay on the server; only their names are listed.
+ *
+ * @param {Object} [allowlist] An allowlist from `loadOverrideConfig`, e.g.
+ *   an agent's (see services/agentRegistry.js). Defaults to
+ *   config/overrides.json.
+ * @returns {Object} The allowed prompt and first message names, languages,
+ *   voices and dynamic variable schemas.
+ */
+function describeOverrideOptions(allowlist = defaultAllowlist) {
+  return {
+    prompts: Object.keys(allowlist.prompts),
+    firstMessages: Object.keys(allowlist.firstMessages),
+    languages: allowlist.languages,
+    voices: allowlist.voices,
+    dynamicVariables: allowlist.dynamicVariables,
+  };
+}
+
+/**
+ * Check a client's override selection against the allowlist.
+ *
+ * @param {Object} selection The requested overrides.
+ * @param {string} [selection.prompt] The name of a configured prompt.
+ * @param {string} [selection.firstMessage] The name of a configured first
+ *   message.
+ * @param {string} [selection.language] A configured language code.
+ * @param {string} [selection.voiceId] A configured voice ID.
+ * @param {Object} [selection.dynamicVariables] Values for configured dynamic
+ *   variables.
+ * @param {Object} [allowlist] An allowlist from `loadOverrideConfig`, e.g.
+ *   an agent's (see services/agentRegistry.js). Defaults to
+ *   config/overrides.json.
+ * @returns {Array<string>} Validation errors; empty when the selection is
+ *   allowed.
+ */
+function validateOverrides(selection, allowlist = defaultAllowlist) {
+  if (!selection || typeof selection !== 'object' || Array.isArray(selection)) {
+    return ['overrides must be an object'];
+  }
+  const { prompt, firstMessage, language, voiceId, dynamicVariables, ...rest } = selection;
+  const errors = Object.keys(rest).map((key) => `${key} is not an allowed override`);
+  if (prompt !== undefined && !has(allowlist.prompts, prompt)) {
+    errors.push(`prompt must be one of: ${Object.keys(allowlist.prompts).join(', ')}`);
+  }
+  if (firstMessage !== undefined && !has(allowlist.firstMessages, firstMessage)) {
+    const names = Object.keys(allowlist.firstMessages).join(', ');
+    errors.push(`firstMessage must be one of: ${names}`);
+  }
+  if (language !== undefined && !allowlist.languages.includes(language)) {
+    errors.push(`language must be one of: ${allowlist.languages.join(', ')}`);
+  }
+  if (voiceId !== undefined && !allowlist.voices.some((voice) => voice.id === voiceId)) {
+    errors.push('voiceId is not an allowed voice');
+  }
+  if (dynamicVariables !== undefined) {
+    if (!dynamicVariables || typeof dynamicVariables !== 'object' || Array.isArray(dynamicVariables)) {
+      errors.push('dynamicVariables must be an object');
+    } else {
+      Object.entries(dynamicVariables).forEach(([name, value]) => {
+        const validate = allowlist.validators.get(name);
+        if (!validate) {
+          errors.push(`dynamicVariables.${name} is not an allowed variable`);
+        } else if (!validate(value)) {
+          validate.errors.forEach(({ message }) => errors.push(`dynamicVariables.${name} ${message}`));
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Build the initiation fields for a validated override selection.
+ *
+ * @param {Object} selection An override selection accepted by
+ *   `validateOverrides`.
+ * @param {Object} [allowlist] An allowlist from `loadOverrideConfig`, e.g.
+ *   an agent's (see services/agentRegistry.js). Defaults to
+ *   config/overrides.json.
+ * @returns {Object} The `conversation_config_override` and
+ *   `dynamic_variables` fields of a `conversation_initiation_client_data`
+ *   event; fields without overrides are omitted.
+ */
+function buildInitiation(selection, allowlist = defaultAllowlist) {
+  const agent = {};
+  if (selection.prompt !== undefined) {
+    agent.prompt = { prompt: allowlist.prompts[selection.prompt] };
+  }
+  if (selection.firstMessage !== undefined) {
+    agent.first_message = allowlist.firstMessages[selection.firstMessage];
+  }
+  if (selection.language !== undefined) agent.language = selection.language;
+  const override = {};
+  if (Object.keys(agent).length) override.agent = agent;
+  if (selection.voiceId !== undefined) override.tts = { voice_id: selection.voiceId };
+  const initiation = {};
+  if (Object.keys(override).length) initiation.conversation_config_override = override;
+  if (selection.dynamicVariables && Object.keys(selection.dynamicVariables).length) {
+    initiation.dynamic_variables = { ...selection.dynamicVariables };
+  }
+  return initiation;
+}
+
+/**
+ * Strip everything outside the allowlist from a client's initiation event.
+ * The text-only flag is always allowed; prompt and first message texts must
+ * match a configured entry exactly.
+ *
+ * @param {Object} event A `conversation_initiation_client_data` event.
+ * @param {Object} [allowlist] An allowlist from `loadOverrideConfig`, e.g.
+ *   an agent's (see services/agentRegistry.js). Defaults to
+ *   config/overrides.json.
+ * @returns {{ event: Object, rejected: Array<string> }} The sanitized event
+ *   and the paths of the fields that were removed.
+ */
+function sanitizeInitiation(event, allowlist = defaultAllowlist) {
+  const rejected = [];
+  const { conversation_config_override: override, dynamic_variables: variables, ...rest } = event;
+  const sanitized = { ...rest };
+  const allowed = {};
+
+  if (override && typeof override === 'object') {
+    const { agent, tts, conversation, ...other } = override;
+    Object.keys(other).forEach((key) => rejected.push(`conversation_config_override.${key}`));
+    if (agent && typeof agent === 'object') {
+      const { prompt, first_message: firstMessage, language, ...otherAgent } = agent;
+      const cleanAgent = {};
+      const promptKeys = prompt && typeof prompt === 'object' ? Object.keys(prompt) : [];
+      if (prompt !== undefined) {
+        if (
+          promptKeys.length === 1 &&
+          promptKeys[0] === 'prompt' &&
+          Object.values(allowlist.prompts).includes(prompt.prompt)
+        ) {
+          cleanAgent.prompt = { prompt: prompt.prompt };
+        } else {
+          rejected.push('agent.prompt');
+        }
+      }
+      if (firstMessage !== undefined) {
+        if (Object.values(allowlist.firstMessages).includes(firstMessage)) {
+          cleanAgent.first_message = firstMessage;
+        } else {
+          rejected.push('agent.first_message');
+        }
+      }
+      if (language !== undefined) {
+        if (allowlist.languages.includes(language)) cleanAgent.language = language;
+        else rejected.push('agent.language');
+      }
+      Object.keys(otherAgent).forEach((key) => rejected.push(`agent.${key}`));
+      if (Object.keys(cleanAgent).length) allowed.agent = cleanAgent;
+    }
+    if (tts && typeof tts === 'object') {
+      const { voice_id: voiceId, ...otherTts } = tts;
+      if (voiceId !== undefined) {
+        if (allowlist.voices.some((voice) => voice.id === voiceId)) {
+          allowed.tts = { voice_id: voiceId };
+        } else {
+          rejected.push('tts.voice_id');
+        }
+      }
+      Object.keys(otherTts).forEach((key) => rejected.push(`tts.${key}`));
+    }
+    if (conversation && typeof conversation === 'object') {
+      const { text_only: textOnly, ...otherConversation } = conversation;
+      if (typeof textOnly === 'boolean') allowed.conversation = { text_only: textOnly };
+      Object.keys(otherConversation).forEach((key) => rejected.push(`conversation.${key}`));
+    }
+  }
+  if (Object.keys(allowed).length) sanitized.conversation_config_override = allowed;
+
+  if (variables && typeof variables === 'object') {
+    const clean = {};
+    Object.entries(variables).forEach(([name, value]) => {
+      if (validateOverrides({ dynamicVariables: { [name]: value } }, allowlist).length) {
+        rejected.push(`dynamic_variables.${name}`);
+      } else {
+        clean[name] = value;
+      }
+    });
+    if (Object.keys(clean).length) sanitized.dynamic_variables = clean;
+  }
+  return { event: sanitized, rejected };
+}
+
+module.exports = {
+  defaultAllowlist,
+  loadOverrideConfig,
+  describeOverrideOptions,
+  validateOverrides,
+  buildInitiation,
+  sanitizeInitiation,
+};
\ No newline at end of file
@@ -6,32 +6,75 @@
  */
 
 const axios = require('axios');
+const { createUpstreamClient } = require('./upstreamClient');
 
-// Base URL for the ElevenLabs API
-const BASE_URL = 'https://api.elevenlabs.io';
+// Base URL for the ElevenLabs API. Overridable so that the service can be
+// pointed at a local fake server during development and testing.
+const BASE_URL = process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io';
+
+// Timeouts, retries and the circuit breaker for every call (see
+// upstreamClient.js). Failures are thrown as typed upstream errors.
+const client = createUpstreamClient('elevenlabs', {
+  timeoutMs: Number(process.env.ELEVENLABS_TIMEOUT_MS || 15000),
+  retries: Number(process.env.ELEVENLABS_RETRIES || 2),
+  breakerThreshold: Number(process.env.ELEVENLABS_BREAKER_THRESHOLD || 5),
+  breakerResetMs: Number(process.env.ELEVENLABS_BREAKER_RESET_SECONDS || 30) * 1000,
+});
 
 /**
  * Request a signed WebSocket URL from ElevenLabs for a specific agent. The
  * signed URL allows the client to open a WebSocket connection without
- * exposing the API key. See the documentation at:
+ * exposing the API key. It is requested with `include_conversation_id`, so
+ * the URL carries the ID of the one conversation it can start. See the
+ * documentation at:
  * https://elevenlabs.io/docs/conversational-ai/libraries/web-sockets#using-a-signed-url
  *
  * @param {string} agentId The agent ID for which to request a signed URL.
  * @param {string} apiKey Your ElevenLabs API key.
- * @returns {Promise<string>} The signed WebSocket URL.
+ * @returns {Promise<{ signedUrl: string, conversationId: string|null }>} The
+ *   signed WebSocket URL and the ID of its conversation, if ElevenLabs gave
+ *   one.
  */
 async function getSignedUrl(agentId, apiKey) {
-  const url = `${BASE_URL}/v1/convai/conversation/get-signed-url?agent_id=${encodeURIComponent(agentId)}`;
+  const url =
+    `${BASE_URL}/v1/convai/conversation/get-signed-url` +
+    `?agent_id=${encodeURIComponent(agentId)}&include_conversation_id=true`;
   const headers = {
     'xi-api-key': apiKey,
   };
-  const response = await axios.get(url, { headers });
+  const response = await client.request('signed_url', (config) =>
+    axios.get(url, { headers, ...config }),
+  );
   if (response.data && response.data.signed_url) {
-    return response.data.signed_url;
+    const signedUrl = response.data.signed_url;
+    const conversationId = new URL(signedUrl).searchParams.get('conversation_id');
+    return { signedUrl, conversationId };
   }
   throw new Error('Invalid response from ElevenLabs when requesting signed URL');
 }
 
+// Voice settings used for settings a request does not give
+const DEFAULT_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.8,
+};
+
+/**
+ * Resolve the model, voice settings and output format for a text‑to‑speech
+ * request, filling in the defaults for options that are not given.
+ *
+ * @param {object} [options] The `model_id`, `voice_settings` and
+ *   `output_format` to use. Voice settings are merged into the defaults.
+ * @returns {{ model_id: string, voice_settings: object, output_format: string }}
+ */
+function speechSettings(options = {}) {
+  return {
+    model_id: options.model_id || 'eleven_multilingual_v2',
+    voice_settings: { ...DEFAULT_VOICE_SETTINGS, ...options.voice_settings },
+    output_format: options.output_format || 'mp3_44100_128',
+  };
+}
+
 /**
  * Convert arbitrary text into speech using the ElevenLabs text‑to‑speech API.
  * This function posts the text to the TTS endpoint and returns the raw audio
@@ -46,28 +89,125 @@ async function getSignedUrl(agentId, apiKey) {
  * @returns {Promise<Buffer>} A Buffer containing the generated audio data.
  */
 async function textToSpeech(text, voiceId, apiKey, options = {}) {
-  const url = `${BASE_URL}/v1/text-to-speech/${encodeURIComponent(voiceId)}`;
+  const { output_format: outputFormat, ...settings } = speechSettings(options);
+  const url = `${BASE_URL}/v1/text-to-speech/${encodeURIComponent(voiceId)}?output_format=${encodeURIComponent(outputFormat)}`;
   const headers = {
     'xi-api-key': apiKey,
     'Content-Type': 'application/json',
   };
-  const data = {
-    text,
-    model_id: options.model_id || 'eleven_multilingual_v2',
-    voice_settings: options.voice_settings || {
-      stability: 0.5,
-      similarity_boost: 0.8,
-    },
-    output_format: options.output_format || 'mp3_44100_128',
-  };
-  const response = await axios.post(url, data, {
-    headers,
-    responseType: 'arraybuffer',
-  });
+  const data = { text, ...settings };
+  const response = await client.request('tts', (config) =>
+    axios.post(url, data, {
+      ...config,
+      headers,
+      responseType: 'arraybuffer',
+    }),
+  );
   return Buffer.from(response.data);
 }
 
+/**
+ * Start a streaming text‑to‑speech conversion. The returned stream yields the
+ * audio bytes as ElevenLabs generates them, so playback can begin before the
+ * whole text has been synthesized. With `withTimestamps` the stream instead
+ * yields newline‑delimited JSON objects holding a base64 audio chunk and the
+ * character alignment for it. See:
+ * https://elevenlabs.io/docs/api-reference/text-to-speech/stream
+ * https://elevenlabs.io/docs/api-reference/text-to-speech/stream-with-timestamps
+ *
+ * @param {string} text The text to convert into speech.
+ * @param {string} voiceId The voice identifier to use.
+ * @param {string} apiKey Your ElevenLabs API key.
+ * @param {object} [options] The `textToSpeech` options, plus:
+ * @param {boolean} [options.withTimestamps] Stream JSON with alignment data.
+ * @param {AbortSignal} [options.signal] Aborts the upstream request.
+ * @returns {Promise<import('stream').Readable>} The response body stream.
+ */
+async function streamTextToSpeech(text, voiceId, apiKey, options = {}) {
+  const endpoint = options.withTimestamps ? 'stream/with-timestamps' : 'stream';
+  const { output_format: outputFormat, ...settings } = speechSettings(options);
+  const url = `${BASE_URL}/v1/text-to-speech/${encodeURIComponent(voiceId)}/${endpoint}?output_format=${encodeURIComponent(outputFormat)}`;
+  const headers = {
+    'xi-api-key': apiKey,
+    'Content-Type': 'application/json',
+  };
+  const data = { text, ...settings };
+  const response = await client.request(
+    'tts_stream',
+    (config) =>
+      axios.post(url, data, {
+        ...config,
+        headers,
+        responseType: 'stream',
+        signal: options.signal,
+      }),
+    { signal: options.signal },
+  );
+  return response.data;
+}
+
+/**
+ * Fetch the details of a conversation, including its metadata such as the
+ * call duration. See:
+ * https://elevenlabs.io/docs/api-reference/conversations/get-conversation
+ *
+ * @param {string} conversationId The ElevenLabs conversation ID.
+ * @param {string} apiKey Your ElevenLabs API key.
+ * @returns {Promise<Object>} The conversation details.
+ */
+async function getConversation(conversationId, apiKey) {
+  const url = `${BASE_URL}/v1/convai/conversations/${encodeURIComponent(conversationId)}`;
+  const headers = {
+    'xi-api-key': apiKey,
+  };
+  const response = await client.request('conversation', (config) =>
+    axios.get(url, { headers, ...config }),
+  );
+  return response.data;
+}
+
+/**
+ * List the voices available to the account. See:
+ * https://elevenlabs.io/docs/api-reference/voices/search
+ *
+ * @param {string} apiKey Your ElevenLabs API key.
+ * @returns {Promise<Array<Object>>} The voices as returned by ElevenLabs.
+ */
+async function listVoices(apiKey) {
+  const url = `${BASE_URL}/v1/voices`;
+  const headers = {
+    'xi-api-key': apiKey,
+  };
+  const response = await client.request('voices', (config) =>
+    axios.get(url, { headers, ...config }),
+  );
+  return response.data.voices || [];
+}
+
+/**
+ * List the models available to the account. See:
+ * https://elevenlabs.io/docs/api-reference/models/list
+ *
+ * @param {string} apiKey Your ElevenLabs API key.
+ * @returns {Promise<Array<Object>>} The models as returned by ElevenLabs.
+ */
+async function listModels(apiKey) {
+  const url = `${BASE_URL}/v1/models`;
+  const headers = {
+    'xi-api-key': apiKey,
+  };
+  const response = await client.request('models', (config) =>
+    axios.get(url, { headers, ...config }),
+  );
+  return response.data || [];
+}
+
 module.exports = {
   getSignedUrl,
+  speechSettings,
   textToSpeech,
+  streamTextToSpeech,
+  getConversation,
+  listVoices,
+  listModels,
 };
\ No newline at end of file
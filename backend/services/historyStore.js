@@ -0,0 +1,216 @@
+/*
+ * File-based store for conversation history. Each session is kept as a JSON
+ * document named after its ElevenLabs conversation ID, which is known to both
+ * the backend relay and the browser from the `conversation_initiation_metadata`
+ * event. Writes to the same session are serialized so concurrent appends do
+ * not clobber each other.
+ *
+ * Each session records the `userId` of the user it was created for. The
+ * store does not enforce ownership; routes check it before serving or
+ * changing a session.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directory holding one JSON file per session
+const HISTORY_DIR =
+  process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'sessions');
+
+// Conversation IDs are used as file names, so only allow safe characters
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Pending write chain per session ID
+const writeQueues = new Map();
+
+/**
+ * Check whether a string is acceptable as a session ID.
+ *
+ * @param {string} id The candidate session ID.
+ * @returns {boolean}
+ */
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function sessionPath(id) {
+  if (!isValidSessionId(id)) {
+    throw new Error(`Invalid session ID: ${id}`);
+  }
+  return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+async function readSessionFile(id) {
+  try {
+    const raw = await fs.readFile(sessionPath(id), 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeSessionFile(session) {
+  await fs.mkdir(HISTORY_DIR, { recursive: true });
+  // Write to a temporary file first so readers never see a partial document
+  const target = sessionPath(session.id);
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(session, null, 2));
+  await fs.rename(temp, target);
+}
+
+/**
+ * Apply an update to a session, creating it when it does not exist yet.
+ * Updates to the same session run one after another.
+ *
+ * @param {string} id The session ID.
+ * @param {Function} update Receives the session and mutates it in place.
+ * @param {string} [userId] The user owning the session if it is created.
+ * @returns {Promise<Object>} The updated session.
+ */
+function updateSession(id, update, userId) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const now = Date.now();
+      const session = (await readSessionFile(id)) || {
+        id,
+        conversationId: id,
+        userId: userId || null,
+        startedAt: now,
+        messages: [],
+      };
+      update(session);
+      session.updatedAt = now;
+      await writeSessionFile(session);
+      return session;
+    });
+  writeQueues.set(id, next);
+  next
+    .finally(() => {
+      if (writeQueues.get(id) === next) writeQueues.delete(id);
+    })
+    .catch(() => {});
+  return next;
+}
+
+/**
+ * Create a session or update its metadata.
+ *
+ * @param {string} id The conversation ID identifying the session.
+ * @param {Object} [metadata] Fields to merge into the session, e.g. `agentId`
+ *   or `startedAt`.
+ * @param {Object} [options]
+ * @param {string} [options.userId] The user owning the session if it is
+ *   created.
+ * @returns {Promise<Object>} The session.
+ */
+function saveSession(id, metadata = {}, { userId } = {}) {
+  return updateSession(
+    id,
+    (session) => {
+      const { userId: owner } = session;
+      Object.assign(session, metadata, { id, conversationId: id, userId: owner });
+    },
+    userId,
+  );
+}
+
+/**
+ * Append a transcript message to a session, creating the session if needed.
+ *
+ * @param {string} id The conversation ID identifying the session.
+ * @param {Object} message The message to append.
+ * @param {string} message.role Either "user" or "agent".
+ * @param {string} message.text The transcript text.
+ * @param {number} [message.timestamp] When the utterance started, in
+ *   milliseconds since the epoch. Defaults to now.
+ * @param {number} [message.endTimestamp] When the utterance ended, if known.
+ * @param {boolean} [message.interrupted] Whether the user talked over the
+ *   agent before it finished this message.
+ * @param {Object} [options]
+ * @param {string} [options.userId] The user owning the session if it is
+ *   created.
+ * @returns {Promise<Object>} The updated session.
+ */
+function appendMessage(id, message, { userId } = {}) {
+  const { role, text, timestamp, endTimestamp, interrupted } = message;
+  return updateSession(
+    id,
+    (session) => {
+      const stored = { role, text, timestamp: timestamp || Date.now() };
+      if (endTimestamp) stored.endTimestamp = endTimestamp;
+      if (interrupted) stored.interrupted = true;
+      session.messages.push(stored);
+    },
+    userId,
+  );
+}
+
+/**
+ * List stored sessions, most recently updated first. Messages are omitted and
+ * replaced by a count and a short preview.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.userId] Only list the sessions of this user.
+ * @returns {Promise<Array<Object>>} Session summaries.
+ */
+async function listSessions({ userId } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(HISTORY_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const sessions = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readSessionFile(path.basename(file, '.json'))),
+  );
+  return sessions
+    .filter((session) => session && (!userId || session.userId === userId))
+    .map(({ messages, ...summary }) => ({
+      ...summary,
+      messageCount: messages.length,
+      preview: messages.length ? messages[0].text.slice(0, 80) : '',
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Fetch a single session including its messages.
+ *
+ * @param {string} id The session ID.
+ * @returns {Promise<Object|null>} The session, or null when it does not exist.
+ */
+function getSession(id) {
+  return readSessionFile(id);
+}
+
+/**
+ * Delete a session.
+ *
+ * @param {string} id The session ID.
+ * @returns {Promise<boolean>} Whether a session was deleted.
+ */
+async function deleteSession(id) {
+  await (writeQueues.get(id) || Promise.resolve()).catch(() => {});
+  try {
+    await fs.unlink(sessionPath(id));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  isValidSessionId,
+  saveSession,
+  appendMessage,
+  listSessions,
+  getSession,
+  deleteSession,
+};
\ No newline at end of file
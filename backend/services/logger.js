@@ -0,0 +1,142 @@
+/*
+ * Structured JSON logging. Every entry is written to stdout as one JSON
+ * line with a timestamp, level and message, plus the fields of the current
+ * request context, such as the request ID set by middleware/requestContext.js.
+ * The context follows async work started by a request, so services log with
+ * the right request ID without passing it around.
+ *
+ * Errors passed as the `error` field are serialized with their stack and,
+ * for failed upstream HTTP calls, the method, URL, status and response body.
+ * Anything that looks like a credential (API keys, tokens, secrets, signed
+ * URL tokens) is redacted before it is written.
+ *
+ * LOG_LEVEL selects the lowest level written: `debug`, `info` (default),
+ * `warn` or `error`; `silent` writes nothing, e.g. while the tests run.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Longest upstream response body kept in a log entry
+const MAX_BODY_LENGTH = 1000;
+const REDACTED = '[redacted]';
+const SECRET_KEY_PATTERN = /key|token|secret|password|authorization|signature|cookie/i;
+const SECRET_PARAM_PATTERN =
+  /([?&](?:token|api_key|key|signature|conversation_signature)=)[^&#\s"]*/gi;
+const BEARER_PATTERN = /(Bearer\s+)[\w.~+/=-]+/gi;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Remove credentials from a value before it is logged. Object properties
+ * with secret-looking names are replaced, and tokens in URLs and bearer
+ * credentials in strings are masked.
+ *
+ * @param {*} value Any JSON-serializable value.
+ * @param {number} [depth] How deep the value is nested; deeper than five
+ *   levels is left alone.
+ * @returns {*} A redacted copy.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value
+      .replace(SECRET_PARAM_PATTERN, `$1${REDACTED}`)
+      .replace(BEARER_PATTERN, `$1${REDACTED}`);
+  }
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1),
+    ]),
+  );
+}
+
+// The body of an upstream error response as text or JSON, shortened
+function upstreamBody(data) {
+  if (data === undefined || data === null) return undefined;
+  if (typeof data.pipe === 'function') return '[stream]';
+  let body = data;
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    body = Buffer.from(data).toString('utf8');
+  }
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return redact(body.slice(0, MAX_BODY_LENGTH));
+    }
+  }
+  const redacted = redact(body);
+  const json = JSON.stringify(redacted);
+  return json.length > MAX_BODY_LENGTH ? `${json.slice(0, MAX_BODY_LENGTH)}…` : redacted;
+}
+
+/**
+ * Turn an error into loggable fields, including the request and response of
+ * a failed axios call and the error's cause.
+ *
+ * @param {Error} error
+ * @returns {Object}
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return { message: String(error) };
+  const fields = { name: error.name, message: redact(error.message) };
+  if (error.code) fields.code = error.code;
+  if (error.isAxiosError) {
+    const { config = {}, response } = error;
+    fields.upstream = {
+      method: config.method && config.method.toUpperCase(),
+      url: config.url && redact(config.url),
+      status: response ? response.status : null,
+      body: response ? upstreamBody(response.data) : undefined,
+    };
+  } else if (error.stack) {
+    fields.stack = error.stack;
+  }
+  if (error.cause instanceof Error) fields.cause = serializeError(error.cause);
+  return fields;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const { error, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context.getStore(),
+    ...redact(rest),
+  };
+  if (error !== undefined) entry.error = serializeError(error);
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Run a function with fields added to every entry it logs, including from
+ * async work it starts.
+ *
+ * @param {Object} fields Context fields such as `requestId`.
+ * @param {Function} fn
+ * @returns {*} The function's return value.
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = {
+  logger,
+  runWithContext,
+  redact,
+  serializeError,
+};
\ No newline at end of file
@@ -0,0 +1,108 @@
+/*
+ * Prometheus metrics for the backend, served on /metrics. Besides the
+ * default Node.js process metrics the registry holds:
+ *
+ * - `http_requests_total` and `http_request_duration_seconds` – API requests
+ *   by method, route pattern and status.
+ * - `upstream_request_duration_seconds` and `upstream_errors_total` – calls
+ *   to the speech provider's HTTP API by operation and status. Streaming
+ *   calls are timed until the response headers arrive. Every retry counts
+ *   as a call of its own.
+ * - `upstream_circuit_open` – 1 while the circuit breaker of a provider is
+ *   open (see services/upstreamClient.js).
+ * - `relay_active_sessions` – conversations currently relayed.
+ */
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Speech provider API latency, by operation and status',
+  labelNames: ['provider', 'operation', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed speech provider API calls, by operation and status',
+  labelNames: ['provider', 'operation', 'status'],
+  registers: [register],
+});
+
+const circuitOpen = new client.Gauge({
+  name: 'upstream_circuit_open',
+  help: 'Whether the circuit breaker for a speech provider is open',
+  labelNames: ['provider'],
+  registers: [register],
+});
+
+const relaySessions = new client.Gauge({
+  name: 'relay_active_sessions',
+  help: 'Conversations currently relayed through the backend',
+  registers: [register],
+});
+
+/**
+ * Record a finished HTTP request. Requests are labelled with the route
+ * pattern rather than the URL so that IDs do not create new series.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {number} durationMs
+ */
+function recordHttpRequest(req, res, durationMs) {
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+  const labels = { method: req.method, route, status: res.statusCode };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Time a call to the speech provider's API.
+ *
+ * @param {string} provider The provider name.
+ * @param {string} operation What the call does, e.g. `tts` or `signed_url`.
+ * @param {Function} request Async function making the call.
+ * @returns {Promise<*>} The result of the call.
+ */
+async function timeUpstream(provider, operation, request) {
+  const end = upstreamDuration.startTimer({ provider, operation });
+  try {
+    const response = await request();
+    end({ status: response.status });
+    return response;
+  } catch (error) {
+    const status = error.response ? error.response.status : error.code || 'error';
+    end({ status });
+    // A request the caller aborted did not fail upstream
+    if (error.code !== 'ERR_CANCELED') upstreamErrors.inc({ provider, operation, status });
+    throw error;
+  }
+}
+
+module.exports = {
+  register,
+  circuitOpen,
+  relaySessions,
+  recordHttpRequest,
+  timeUpstream,
+};
\ No newline at end of file
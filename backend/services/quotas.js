@@ -0,0 +1,95 @@
+/*
+ * Monthly usage quotas per user. Quotas are read from `config/quotas.json`,
+ * or from the file named by QUOTAS_CONFIG: a `default` entry applies to
+ * everyone and `users` overrides it per user ID. A missing or null quota
+ * means unlimited. Months are UTC calendar months.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const usageStore = require('./usageStore');
+
+const CONFIG_PATH =
+  process.env.QUOTAS_CONFIG || path.join(__dirname, '..', 'config', 'quotas.json');
+
+// Usage metric and unit behind each quota
+const QUOTA_METRICS = {
+  ttsCharacters: { metric: 'ttsCharacters', unit: 1 },
+  signedUrls: { metric: 'signedUrls', unit: 1 },
+  conversationMinutes: { metric: 'conversationMs', unit: 60 * 1000 },
+};
+
+function loadQuotaConfig(file = CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { default: raw.default || {}, users: raw.users || {} };
+}
+
+const config = loadQuotaConfig();
+
+/**
+ * The quotas that apply to a user.
+ *
+ * @param {string} userId The user.
+ * @returns {Object} The limit per quota name; null means unlimited.
+ */
+function getQuotas(userId) {
+  const merged = { ...config.default, ...config.users[userId] };
+  return Object.fromEntries(
+    Object.keys(QUOTA_METRICS).map((name) => [name, merged[name] ?? null]),
+  );
+}
+
+/**
+ * Seconds until the next UTC month starts, when quotas reset.
+ *
+ * @param {number} [now] The current time in milliseconds.
+ * @returns {number}
+ */
+function secondsUntilReset(now = Date.now()) {
+  const date = new Date(now);
+  const reset = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return Math.ceil((reset - now) / 1000);
+}
+
+/**
+ * Summarize a user's month-to-date usage against their quotas.
+ *
+ * @param {string} userId The user.
+ * @returns {Promise<Object>} Per quota name, `{ used, limit }` in the quota's
+ *   unit.
+ */
+async function getQuotaStatus(userId) {
+  const usage = await usageStore.getMonthlyUsage(userId);
+  const quotas = getQuotas(userId);
+  return Object.fromEntries(
+    Object.entries(QUOTA_METRICS).map(([name, { metric, unit }]) => [
+      name,
+      { used: usage[metric] / unit, limit: quotas[name] },
+    ]),
+  );
+}
+
+/**
+ * Check whether a request fits a user's remaining monthly quotas.
+ *
+ * @param {string} userId The user.
+ * @param {Object} costs The amount the request would use per quota name.
+ *   A cost of 0 only checks that the quota is not used up yet.
+ * @returns {Promise<{ allowed: boolean, quota?: string,
+ *   retryAfterSeconds?: number }>} When not allowed, the exhausted quota.
+ */
+async function checkQuotas(userId, costs) {
+  const status = await getQuotaStatus(userId);
+  const exceeded = Object.entries(costs).find(([name, cost]) => {
+    const { used, limit } = status[name];
+    return limit !== null && (used >= limit || used + cost > limit);
+  });
+  if (!exceeded) return { allowed: true };
+  return { allowed: false, quota: exceeded[0], retryAfterSeconds: secondsUntilReset() };
+}
+
+module.exports = {
+  getQuotas,
+  getQuotaStatus,
+  checkQuotas,
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+/*
+ * In-memory token-bucket rate limiter. Each key (a user ID or an IP address)
+ * has a bucket holding up to `limit` tokens that refills evenly over
+ * `windowMs`. A request costs one token by default; TTS requests cost one
+ * token per character. State is kept per process, so limits apply per
+ * backend instance.
+ */
+
+// Buckets are pruned once a limiter tracks more keys than this
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Create a rate limiter.
+ *
+ * @param {Object} options
+ * @param {number} options.limit The bucket size, i.e. the budget per window.
+ * @param {number} options.windowMs The time in which an empty bucket refills.
+ * @returns {{ limit: number, check: Function, consume: Function }}
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const buckets = new Map();
+  const refillPerMs = limit / windowMs;
+
+  function tokensAt(key, now) {
+    const bucket = buckets.get(key);
+    if (!bucket) return limit;
+    return Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  }
+
+  // Drop buckets that have refilled completely; they hold no information
+  function prune(now) {
+    if (buckets.size <= MAX_TRACKED_KEYS) return;
+    buckets.forEach((bucket, key) => {
+      if (tokensAt(key, now) >= limit) buckets.delete(key);
+    });
+  }
+
+  /**
+   * Check whether a request fits the budget without using it.
+   *
+   * @param {string} key The user ID or IP address.
+   * @param {number} [cost=1] The number of tokens the request needs.
+   * @param {number} [now] The current time in milliseconds.
+   * @returns {{ allowed: boolean, retryAfterMs: number }} When not allowed,
+   *   how long until enough tokens are available.
+   */
+  function check(key, cost = 1, now = Date.now()) {
+    const tokens = tokensAt(key, now);
+    if (tokens >= cost) return { allowed: true, retryAfterMs: 0 };
+    return { allowed: false, retryAfterMs: Math.ceil((cost - tokens) / refillPerMs) };
+  }
+
+  /**
+   * Use tokens from a bucket. Callers check first; the bucket may go
+   * negative when they do not.
+   *
+   * @param {string} key The user ID or IP address.
+   * @param {number} [cost=1] The number of tokens to use.
+   * @param {number} [now] The current time in milliseconds.
+   */
+  function consume(key, cost = 1, now = Date.now()) {
+    buckets.set(key, { tokens: tokensAt(key, now) - cost, updatedAt: now });
+    prune(now);
+  }
+
+  return { limit, check, consume };
+}
+
+module.exports = { createRateLimiter };
\ No newline at end of file
@@ -0,0 +1,321 @@
+/*
+ * File-based store for conversation recordings. Each recording is a
+ * directory named after the history session it belongs to (see
+ * historyStore.js), holding its metadata in `recording.json` and one track
+ * of raw 16-bit mono PCM per side of the conversation, `user.pcm` and
+ * `agent.pcm`. Both tracks start at the recording's `startedAt` and audio is
+ * written at the time it was spoken, with silence in between, so a moment in
+ * either track lines up with the timestamps of the transcript. Tracks are
+ * served as WAV files.
+ *
+ * Recording is off unless RECORDING_ENABLED is `true`, and even then only
+ * sessions whose user agreed to it are recorded. Recordings are deleted once
+ * they are older than RECORDING_RETENTION_DAYS (30 by default).
+ */
+
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { isValidSessionId } = require('./historyStore');
+const { wavHeader } = require('./audioFormats');
+const { logger } = require('./logger');
+
+// Directory holding one directory per recording
+const RECORDINGS_DIR =
+  process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'data', 'recordings');
+
+const RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often expired recordings are looked for
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const SIDES = ['user', 'agent'];
+const METADATA_FILE = 'recording.json';
+
+// Pending write chain per recording ID
+const writeQueues = new Map();
+
+/**
+ * Whether the operator has enabled recording.
+ *
+ * @returns {boolean}
+ */
+function isRecordingEnabled() {
+  return process.env.RECORDING_ENABLED === 'true';
+}
+
+/**
+ * Describe the recording policy for clients, so they can ask for consent.
+ *
+ * @returns {{ enabled: boolean, retentionDays: number }}
+ */
+function describePolicy() {
+  return { enabled: isRecordingEnabled(), retentionDays: RETENTION_DAYS };
+}
+
+/**
+ * Check whether a string names a side of the conversation.
+ *
+ * @param {string} side The candidate side.
+ * @returns {boolean}
+ */
+function isValidSide(side) {
+  return SIDES.includes(side);
+}
+
+function recordingPath(id, file = '') {
+  if (!isValidSessionId(id)) {
+    throw new Error(`Invalid recording ID: ${id}`);
+  }
+  return path.join(RECORDINGS_DIR, id, file);
+}
+
+const trackPath = (id, side) => recordingPath(id, `${side}.pcm`);
+
+async function readMetadata(id) {
+  try {
+    const raw = await fs.readFile(recordingPath(id, METADATA_FILE), 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeMetadata(recording) {
+  // Write to a temporary file first so readers never see a partial document
+  const target = recordingPath(recording.id, METADATA_FILE);
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(recording, null, 2));
+  await fs.rename(temp, target);
+}
+
+// Run a task after the pending writes to the same recording
+function enqueue(id, task) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  writeQueues.set(id, next);
+  next
+    .finally(() => {
+      if (writeQueues.get(id) === next) writeQueues.delete(id);
+    })
+    .catch(() => {});
+  return next;
+}
+
+async function fileSize(file) {
+  try {
+    return (await fs.stat(file)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+const durationMs = ({ sampleRate, bytes }) => Math.round((bytes / 2 / sampleRate) * 1000);
+
+/**
+ * Start recording a session, or continue the recording of a session resumed
+ * after a dropped connection. A recording belonging to another user is never
+ * continued; opening it rejects.
+ *
+ * The returned recorder writes audio in the order it is given:
+ * - `append(side, pcm, sampleRate, at)` – writes 16-bit PCM that started at
+ *   `at` (milliseconds since the epoch). Audio arriving faster than it
+ *   plays, as the agent's does, follows the audio before it.
+ * - `truncate(side, at)` – drops the audio of a side after `at`, e.g. agent
+ *   speech the user interrupted before it was played.
+ * - `finish()` – stores the track durations.
+ * Writes that fail are logged, so a full disk never breaks the conversation.
+ *
+ * @param {string} id The history session ID.
+ * @param {Object} details
+ * @param {string} details.userId The user who agreed to the recording.
+ * @param {string} [details.agent] The agent name.
+ * @param {number} [details.startedAt] When the session started, in
+ *   milliseconds since the epoch. Defaults to now.
+ * @returns {Promise<Object>} The recorder.
+ */
+async function openRecording(id, { userId, agent, startedAt = Date.now() }) {
+  const tracks = {};
+  let recording;
+  await enqueue(id, async () => {
+    const existing = await readMetadata(id);
+    if (existing && existing.userId !== userId) {
+      throw new Error(`Recording ${id} belongs to another user`);
+    }
+    await fs.mkdir(recordingPath(id), { recursive: true });
+    recording = existing || {
+      id,
+      userId,
+      agent: agent || null,
+      startedAt,
+      consentedAt: Date.now(),
+      tracks: {},
+    };
+    for (const side of SIDES) {
+      const existing = recording.tracks[side];
+      if (existing) {
+        tracks[side] = {
+          sampleRate: existing.sampleRate,
+          bytes: await fileSize(trackPath(id, side)),
+        };
+      }
+    }
+    await writeMetadata(recording);
+  });
+
+  const write = (side, task) =>
+    enqueue(id, task).catch((error) => {
+      logger.error('Failed to write recording', { recordingId: id, side, error });
+    });
+
+  return {
+    append(side, pcm, sampleRate, at) {
+      return write(side, async () => {
+        if (!tracks[side]) tracks[side] = { sampleRate, bytes: 0 };
+        const track = tracks[side];
+        // One track holds one sample rate
+        if (track.sampleRate !== sampleRate) return;
+        const offset = Math.max(0, Math.round(((at - recording.startedAt) * sampleRate) / 1000));
+        const silence = Math.max(0, offset * 2 - track.bytes);
+        const data = silence ? Buffer.concat([Buffer.alloc(silence), pcm]) : pcm;
+        await fs.appendFile(trackPath(id, side), data);
+        track.bytes += data.length;
+      });
+    },
+
+    truncate(side, at) {
+      return write(side, async () => {
+        const track = tracks[side];
+        if (!track) return;
+        const offset = Math.round(((at - recording.startedAt) * track.sampleRate) / 1000) * 2;
+        if (offset >= track.bytes) return;
+        await fs.truncate(trackPath(id, side), Math.max(0, offset));
+        track.bytes = Math.max(0, offset);
+      });
+    },
+
+    finish() {
+      return write(null, async () => {
+        Object.entries(tracks).forEach(([side, track]) => {
+          recording.tracks[side] = { sampleRate: track.sampleRate, durationMs: durationMs(track) };
+        });
+        recording.updatedAt = Date.now();
+        await writeMetadata(recording);
+      });
+    },
+  };
+}
+
+/**
+ * List stored recordings, most recent first.
+ *
+ * @returns {Promise<Array<Object>>} The recording metadata.
+ */
+async function listRecordings() {
+  let ids;
+  try {
+    ids = await fs.readdir(RECORDINGS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const recordings = await Promise.all(ids.filter(isValidSessionId).map(readMetadata));
+  return recordings.filter(Boolean).sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Fetch the metadata of a recording.
+ *
+ * @param {string} id The recording ID, which is the history session ID.
+ * @returns {Promise<Object|null>} `{ id, userId, agent, startedAt,
+ *   consentedAt, tracks }`, or null when there is no such recording.
+ */
+function getRecording(id) {
+  return readMetadata(id);
+}
+
+/**
+ * Open one side of a recording as a WAV file.
+ *
+ * @param {string} id The recording ID.
+ * @param {string} side `user` or `agent`.
+ * @returns {Promise<{ length: number, stream: import('stream').Readable }|null>}
+ *   The size of the WAV file and a stream of its bytes, or null when the
+ *   side was not recorded.
+ */
+async function openTrack(id, side) {
+  const recording = await readMetadata(id);
+  const track = recording && recording.tracks[side];
+  if (!track) return null;
+  const file = trackPath(id, side);
+  const bytes = await fileSize(file);
+  const header = wavHeader(bytes, track.sampleRate);
+  if (bytes === 0) return { length: header.length, stream: Readable.from([header]) };
+  // Stop at the measured size, so audio appended while a conversation is
+  // still being recorded cannot overrun the header and Content-Length
+  const stream = createReadStream(file, { end: bytes - 1 });
+  stream.unshift(header);
+  return { length: header.length + bytes, stream };
+}
+
+/**
+ * Delete a recording with its tracks.
+ *
+ * @param {string} id The recording ID.
+ * @returns {Promise<boolean>} Whether a recording was deleted.
+ */
+async function deleteRecording(id) {
+  return enqueue(id, async () => {
+    if (!(await readMetadata(id))) return false;
+    await fs.rm(recordingPath(id), { recursive: true, force: true });
+    return true;
+  });
+}
+
+/**
+ * Delete the recordings that are older than the retention period.
+ *
+ * @param {number} [now] The current time in milliseconds.
+ * @returns {Promise<number>} The number of recordings deleted.
+ */
+async function pruneRecordings(now = Date.now()) {
+  const expired = (await listRecordings()).filter(
+    (recording) => recording.startedAt < now - RETENTION_DAYS * DAY_MS,
+  );
+  await Promise.all(expired.map((recording) => deleteRecording(recording.id)));
+  return expired.length;
+}
+
+/**
+ * Delete expired recordings now and then every hour. The timer does not
+ * keep the process alive.
+ */
+function startRetentionSweep() {
+  const sweep = () => {
+    pruneRecordings()
+      .then((count) => {
+        if (count) logger.info('Deleted expired recordings', { count });
+      })
+      .catch((error) => {
+        logger.error('Error deleting expired recordings', { error });
+      });
+  };
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  isRecordingEnabled,
+  describePolicy,
+  isValidSide,
+  openRecording,
+  listRecordings,
+  getRecording,
+  openTrack,
+  deleteRecording,
+  pruneRecordings,
+  startRetentionSweep,
+};
\ No newline at end of file
@@ -0,0 +1,183 @@
+/*
+ * Serializers that turn a conversation transcript into shareable documents:
+ * Markdown, JSON, SubRip (SRT) and WebVTT. Subtitle timing comes from the
+ * per-message `timestamp` and `endTimestamp` captured when the WebSocket
+ * events were received; where an end time is missing it is inferred from the
+ * next message or from the length of the text.
+ */
+
+// Rough speaking rate used when no end time was captured
+const SPEECH_MS_PER_WORD = 400;
+
+// Shortest time a subtitle cue stays on screen
+const MIN_CUE_MS = 1000;
+
+// Supported formats with their content types and file extensions
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+};
+
+const SPEAKER_LABELS = { user: 'User', agent: 'Agent' };
+
+/**
+ * Estimate how long it takes to speak a piece of text.
+ *
+ * @param {string} text The spoken text.
+ * @returns {number} The estimated duration in milliseconds.
+ */
+function estimateSpeechMs(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(words, 1) * SPEECH_MS_PER_WORD;
+}
+
+/**
+ * Compute subtitle cues for a session. Offsets are relative to the start of
+ * the session.
+ *
+ * @param {Object} session The session with `startedAt` and `messages`.
+ * @returns {Array<{ index: number, start: number, end: number, role: string,
+ *   text: string, interrupted: boolean }>} One cue per message, with offsets
+ *   in milliseconds.
+ */
+function computeCues(session) {
+  const messages = session.messages || [];
+  const origin =
+    session.startedAt || (messages.length ? messages[0].timestamp : 0) || 0;
+  return messages.map((message, index) => {
+    const start = Math.max((message.timestamp || origin) - origin, 0);
+    const next = messages[index + 1];
+    let end;
+    if (message.endTimestamp) {
+      end = message.endTimestamp - origin;
+    } else if (next && next.timestamp) {
+      end = Math.min(next.timestamp - origin, start + estimateSpeechMs(message.text));
+    } else {
+      end = start + estimateSpeechMs(message.text);
+    }
+    return {
+      index: index + 1,
+      start,
+      end: Math.max(end, start + MIN_CUE_MS),
+      role: message.role,
+      text: message.text,
+      interrupted: Boolean(message.interrupted),
+    };
+  });
+}
+
+/**
+ * Format a millisecond offset as `HH:MM:SS<separator>mmm`.
+ *
+ * @param {number} ms The offset in milliseconds.
+ * @param {string} separator The separator before the milliseconds.
+ * @returns {string}
+ */
+function formatTimestamp(ms, separator) {
+  const total = Math.round(ms);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+function speaker(role) {
+  return SPEAKER_LABELS[role] || role;
+}
+
+// Make text safe as the text of a subtitle cue: a blank line would end the
+// cue, and an arrow would read as the timing line of the next one
+function cueText(text) {
+  return text
+    .split(/\r\n?|\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join('\n')
+    .replace(/-->/g, '->');
+}
+
+// WebVTT cue text is markup, so the characters that start tags and entities
+// are escaped
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toMarkdown(session) {
+  const lines = [`# Conversation ${session.conversationId || ''}`.trim(), ''];
+  if (session.startedAt) {
+    lines.push(`Started: ${new Date(session.startedAt).toISOString()}`, '');
+  }
+  computeCues(session).forEach((cue) => {
+    const note = cue.interrupted ? ' _(interrupted)_' : '';
+    const time = formatTimestamp(cue.start, '.').slice(0, 8);
+    lines.push(`**${speaker(cue.role)}** (${time}): ${cue.text}${note}`, '');
+  });
+  return lines.join('\n');
+}
+
+function toJson(session) {
+  const cues = computeCues(session);
+  return JSON.stringify(
+    {
+      conversationId: session.conversationId || null,
+      startedAt: session.startedAt || null,
+      messages: (session.messages || []).map((message, index) => ({
+        role: message.role,
+        text: message.text,
+        timestamp: message.timestamp || null,
+        interrupted: cues[index].interrupted,
+        startMs: cues[index].start,
+        endMs: cues[index].end,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+function toSrt(session) {
+  return computeCues(session)
+    .map(
+      (cue) =>
+        `${cue.index}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n` +
+        `${speaker(cue.role)}: ${cueText(cue.text)}\n`,
+    )
+    .join('\n');
+}
+
+function toWebVtt(session) {
+  const cues = computeCues(session).map(
+    (cue) =>
+      `${cue.index}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n` +
+      `<v ${speaker(cue.role)}>${escapeVtt(cueText(cue.text))}\n`,
+  );
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+const SERIALIZERS = { md: toMarkdown, json: toJson, srt: toSrt, vtt: toWebVtt };
+
+/**
+ * Serialize a session transcript in one of the supported formats.
+ *
+ * @param {Object} session The session to export. Needs `messages` and
+ *   preferably `startedAt` and `conversationId`.
+ * @param {string} format One of the keys of `EXPORT_FORMATS`.
+ * @returns {{ content: string, contentType: string, extension: string }}
+ */
+function serializeTranscript(session, format) {
+  const serializer = SERIALIZERS[format];
+  if (!serializer) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return { content: serializer(session), ...EXPORT_FORMATS[format] };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  estimateSpeechMs,
+  computeCues,
+  serializeTranscript,
+};
\ No newline at end of file
@@ -0,0 +1,252 @@
+/*
+ * Content-addressed cache for generated speech. Entries are keyed by a hash
+ * of everything that determines the audio: the speech provider, text, voice
+ * ID, model, voice settings and output format. Two backends are available,
+ * an in-memory LRU and a directory of audio files, both bounded by a total
+ * size and a TTL.
+ *
+ * The cache used by the TTS routes is configured through environment
+ * variables:
+ *
+ * - `TTS_CACHE` – `memory` (default), `disk` or `off`.
+ * - `TTS_CACHE_DIR` – directory of the disk cache (defaults to
+ *   `data/tts-cache`).
+ * - `TTS_CACHE_MAX_MB` – total size of cached audio (defaults to 100).
+ * - `TTS_CACHE_TTL_HOURS` – how long an entry stays valid (defaults to 168).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ENTRY_PATTERN = /^([0-9a-f]{64})\.audio$/;
+
+// JSON with object keys sorted, so equal settings always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the cache key for a TTS request.
+ *
+ * @param {Object} request
+ * @param {string} request.provider The speech provider name.
+ * @param {string} request.text The text to speak.
+ * @param {string} request.voiceId The voice ID.
+ * @param {string} request.model_id The model ID.
+ * @param {Object} request.voice_settings The voice settings.
+ * @param {string} request.output_format The output format.
+ * @returns {string} A hex encoded SHA-256 hash.
+ */
+function cacheKey({ provider, text, voiceId, model_id, voice_settings, output_format }) {
+  const material = stableStringify({
+    provider,
+    text,
+    voiceId,
+    model_id,
+    voice_settings,
+    output_format,
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Create an in-memory LRU cache. The least recently used entries are evicted
+ * once the cached audio exceeds `maxBytes`.
+ *
+ * @param {Object} options
+ * @param {number} options.maxBytes Total size of the cached audio.
+ * @param {number} options.ttlMs How long an entry stays valid.
+ * @returns {{ get: Function, set: Function, purge: Function, stats: Function }}
+ */
+function createMemoryCache({ maxBytes, ttlMs }) {
+  // Map iteration follows insertion order, so re-inserting an entry on every
+  // hit keeps the least recently used entry first
+  const entries = new Map();
+  let bytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.audio.length;
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      remove(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      bytes += entry.audio.length;
+      return entry.audio;
+    },
+    async set(key, audio) {
+      remove(key);
+      if (audio.length > maxBytes) return;
+      entries.set(key, { audio, expiresAt: Date.now() + ttlMs });
+      bytes += audio.length;
+      for (const oldest of entries.keys()) {
+        if (bytes <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+    async purge() {
+      const count = entries.size;
+      entries.clear();
+      bytes = 0;
+      return count;
+    },
+    async stats() {
+      return { backend: 'memory', entries: entries.size, bytes, maxBytes, ttlMs };
+    },
+  };
+}
+
+/**
+ * Create a cache that keeps each entry as a file in `dir`. An index of the
+ * files is built from the directory on first use, ordered by modification
+ * time, and the least recently used files are deleted once they exceed
+ * `maxBytes`. Entries expire `ttlMs` after they were written.
+ *
+ * @param {Object} options
+ * @param {string} options.dir The cache directory.
+ * @param {number} options.maxBytes Total size of the cached audio.
+ * @param {number} options.ttlMs How long an entry stays valid.
+ * @returns {{ get: Function, set: Function, purge: Function, stats: Function }}
+ */
+function createDiskCache({ dir, maxBytes, ttlMs }) {
+  const index = new Map();
+  let bytes = 0;
+  let loading = null;
+
+  const fileFor = (key) => path.join(dir, `${key}.audio`);
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        const names = await fs.readdir(dir).catch((error) => {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        });
+        const found = [];
+        for (const name of names) {
+          const match = ENTRY_PATTERN.exec(name);
+          if (!match) continue;
+          const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+          if (stat) found.push({ key: match[1], size: stat.size, writtenAt: stat.mtimeMs });
+        }
+        found
+          .sort((a, b) => a.writtenAt - b.writtenAt)
+          .forEach(({ key, size, writtenAt }) => {
+            index.set(key, { size, expiresAt: writtenAt + ttlMs });
+            bytes += size;
+          });
+      })();
+    }
+    return loading;
+  }
+
+  async function remove(key) {
+    const entry = index.get(key);
+    if (!entry) return;
+    index.delete(key);
+    bytes -= entry.size;
+    await fs.unlink(fileFor(key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  return {
+    async get(key) {
+      await load();
+      const entry = index.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await remove(key);
+        return null;
+      }
+      try {
+        const audio = await fs.readFile(fileFor(key));
+        index.delete(key);
+        index.set(key, entry);
+        return audio;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        // Deleted behind our back; forget it
+        index.delete(key);
+        bytes -= entry.size;
+        return null;
+      }
+    },
+    async set(key, audio) {
+      await load();
+      await remove(key);
+      if (audio.length > maxBytes) return;
+      await fs.mkdir(dir, { recursive: true });
+      // Write to a temporary file first so readers never see a partial entry
+      const temp = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.writeFile(temp, audio);
+      await fs.rename(temp, fileFor(key));
+      index.set(key, { size: audio.length, expiresAt: Date.now() + ttlMs });
+      bytes += audio.length;
+      for (const oldest of [...index.keys()]) {
+        if (bytes <= maxBytes) break;
+        await remove(oldest);
+      }
+    },
+    async purge() {
+      await load();
+      const keys = [...index.keys()];
+      for (const key of keys) await remove(key);
+      return keys.length;
+    },
+    async stats() {
+      await load();
+      return { backend: 'disk', entries: index.size, bytes, maxBytes, ttlMs };
+    },
+  };
+}
+
+/**
+ * Create the cache described by the environment, or null when caching is
+ * turned off.
+ *
+ * @param {Object} [env] The environment variables to read.
+ * @returns {Object|null}
+ */
+function createTtsCacheFromEnv(env = process.env) {
+  const backend = env.TTS_CACHE || 'memory';
+  const maxBytes = Number(env.TTS_CACHE_MAX_MB || 100) * 1024 * 1024;
+  const ttlMs = Number(env.TTS_CACHE_TTL_HOURS || 168) * HOUR_MS;
+  if (backend === 'off') return null;
+  if (backend === 'disk') {
+    const dir = env.TTS_CACHE_DIR || path.join(__dirname, '..', 'data', 'tts-cache');
+    return createDiskCache({ dir, maxBytes, ttlMs });
+  }
+  if (backend !== 'memory') {
+    logger.warn('Unknown TTS_CACHE, using the memory cache', { backend });
+  }
+  return createMemoryCache({ maxBytes, ttlMs });
+}
+
+// The cache shared by the TTS routes and the admin purge endpoint
+const ttsCache = createTtsCacheFromEnv();
+
+module.exports = {
+  cacheKey,
+  createMemoryCache,
+  createDiskCache,
+  createTtsCacheFromEnv,
+  ttsCache,
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+/*
+ * Validation of the speech options a client may pass to the TTS routes:
+ * `voiceId`, `modelId`, `stability`, `similarityBoost`, `style`, `speed` and
+ * `outputFormat`. Voices and models must exist with the speech provider;
+ * when its catalog cannot be loaded only their format is checked, and the
+ * provider has the final say.
+ */
+
+const { getProvider } = require('../providers');
+const { getVoices, getModels } = require('./voiceCatalog');
+const { logger } = require('./logger');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Check that an ID is listed in a catalog, skipping the check when the
+// catalog is unavailable
+async function isListed(id, loadCatalog, label) {
+  try {
+    const catalog = await loadCatalog();
+    return catalog.some((entry) => entry.id === id);
+  } catch (error) {
+    logger.error('Error loading catalog for validation', { catalog: label, error });
+    return true;
+  }
+}
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+// Speaking rates the provider accepts, 1 being the voice's normal pace
+const MIN_SPEED = 0.7;
+const MAX_SPEED = 1.2;
+
+/**
+ * Validate the speech options of a TTS request body and translate them into
+ * provider options.
+ *
+ * @param {Object} body The request body.
+ * @param {string} [body.voiceId] A voice ID from GET /api/voices.
+ * @param {string} [body.modelId] A model ID from GET /api/models.
+ * @param {number} [body.stability] Voice stability from 0 to 1.
+ * @param {number} [body.similarityBoost] Voice similarity from 0 to 1.
+ * @param {number} [body.style] Style exaggeration from 0 to 1.
+ * @param {number} [body.speed] Speaking rate from 0.7 to 1.2.
+ * @param {string} [body.outputFormat] One of the provider's output formats.
+ * @returns {Promise<{ options: Object, errors: Array<string> }>} The
+ *   `voiceId`, `model_id`, `voice_settings` and `output_format` that were
+ *   given, and the validation errors.
+ */
+async function parseTtsOptions(body) {
+  const { voiceId, modelId, stability, similarityBoost, style, speed, outputFormat } = body;
+  const provider = getProvider();
+  const options = {};
+  const errors = [];
+
+  if (voiceId !== undefined) {
+    if (typeof voiceId !== 'string' || !ID_PATTERN.test(voiceId)) {
+      errors.push('voiceId must be a voice ID');
+    } else if (!(await isListed(voiceId, getVoices, 'voices'))) {
+      errors.push('voiceId is not an available voice');
+    } else {
+      options.voiceId = voiceId;
+    }
+  }
+  if (modelId !== undefined) {
+    if (typeof modelId !== 'string' || !ID_PATTERN.test(modelId)) {
+      errors.push('modelId must be a model ID');
+    } else if (!(await isListed(modelId, getModels, 'models'))) {
+      errors.push('modelId is not an available model');
+    } else {
+      options.model_id = modelId;
+    }
+  }
+  const voiceSettings = {};
+  if (stability !== undefined) {
+    if (isNumberIn(stability, 0, 1)) voiceSettings.stability = stability;
+    else errors.push('stability must be a number from 0 to 1');
+  }
+  if (similarityBoost !== undefined) {
+    if (isNumberIn(similarityBoost, 0, 1)) voiceSettings.similarity_boost = similarityBoost;
+    else errors.push('similarityBoost must be a number from 0 to 1');
+  }
+  if (style !== undefined) {
+    if (isNumberIn(style, 0, 1)) voiceSettings.style = style;
+    else errors.push('style must be a number from 0 to 1');
+  }
+  if (speed !== undefined) {
+    if (isNumberIn(speed, MIN_SPEED, MAX_SPEED)) voiceSettings.speed = speed;
+    else errors.push(`speed must be a number from ${MIN_SPEED} to ${MAX_SPEED}`);
+  }
+  if (Object.keys(voiceSettings).length) options.voice_settings = voiceSettings;
+  if (outputFormat !== undefined) {
+    if (provider.outputFormats.includes(outputFormat)) options.output_format = outputFormat;
+    else errors.push(`outputFormat must be one of: ${provider.outputFormats.join(', ')}`);
+  }
+  return { options, errors };
+}
+
+module.exports = {
+  parseTtsOptions,
+};
\ No newline at end of file
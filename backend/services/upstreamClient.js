@@ -0,0 +1,199 @@
+/*
+ * Resilient wrapper for calls to the speech provider's HTTP API. Every call
+ * gets a timeout, is retried with exponential backoff and full jitter when
+ * the provider answers 429 or 5xx or the connection fails, and goes through
+ * a circuit breaker. Timed out calls are not retried, so a hanging provider
+ * costs one timeout rather than several.
+ *
+ * The breaker opens after `breakerThreshold` consecutive failed calls
+ * (connection failures, timeouts and 5xx after retries) and then fails calls
+ * immediately for `breakerResetMs`. After that one trial call is let
+ * through: if it succeeds the breaker closes, otherwise it opens again.
+ *
+ * Failures are thrown as the typed errors of upstreamErrors.js. Every
+ * attempt is recorded in the upstream metrics.
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+const { circuitOpen, timeUpstream } = require('./metrics');
+const { logger } = require('./logger');
+const { UpstreamUnavailableError, classifyUpstreamError } = require('./upstreamErrors');
+
+// Connection failures worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+// Most of a streamed error body that is read for classification and logging
+const MAX_ERROR_BODY_BYTES = 16 * 1024;
+
+function isRetryable(error) {
+  if (error.response) {
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Failures that say the provider is unhealthy, rather than that a request
+// was refused
+function isOutage(error) {
+  if (error.response) return error.response.status >= 500;
+  return RETRYABLE_CODES.includes(error.code) || TIMEOUT_CODES.includes(error.code);
+}
+
+// Seconds from a Retry-After header given in seconds, if any
+function retryAfterHeader(error) {
+  const value = Number(error.response && error.response.headers['retry-after']);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Replace a streamed error body with its first bytes, so that the error can
+// be classified and logged, and release the connection
+async function readErrorBody(error) {
+  const data = error.response && error.response.data;
+  if (!data || typeof data.pipe !== 'function') return;
+  const chunks = [];
+  let bytes = 0;
+  try {
+    for await (const chunk of data) {
+      chunks.push(chunk);
+      bytes += chunk.length;
+      if (bytes >= MAX_ERROR_BODY_BYTES) break;
+    }
+  } catch (readError) {
+    // Keep whatever arrived
+  }
+  data.destroy();
+  const body = Buffer.concat(chunks).toString('utf8');
+  try {
+    error.response.data = JSON.parse(body);
+  } catch (parseError) {
+    error.response.data = body;
+  }
+}
+
+/**
+ * Create a client for one provider.
+ *
+ * @param {string} provider The provider name, for metrics and logs.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=15000] Timeout of each attempt.
+ * @param {number} [options.retries=2] Retries after the first attempt.
+ * @param {number} [options.retryBaseMs=250] Backoff before the first retry.
+ * @param {number} [options.retryMaxMs=4000] Longest backoff, also the
+ *   longest Retry-After that is waited for.
+ * @param {number} [options.breakerThreshold=5] Consecutive failures that
+ *   open the breaker.
+ * @param {number} [options.breakerResetMs=30000] How long the breaker stays
+ *   open.
+ * @returns {{ request: Function, breakerState: Function }}
+ */
+function createUpstreamClient(provider, options = {}) {
+  const {
+    timeoutMs = 15000,
+    retries = 2,
+    retryBaseMs = 250,
+    retryMaxMs = 4000,
+    breakerThreshold = 5,
+    breakerResetMs = 30000,
+  } = options;
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function setOpen(open) {
+    openedAt = open ? Date.now() : null;
+    circuitOpen.set({ provider }, open ? 1 : 0);
+  }
+
+  /**
+   * The breaker state: `closed`, `open`, or `half-open` once the open
+   * period is over and a trial call may go through.
+   *
+   * @returns {string}
+   */
+  function breakerState() {
+    if (openedAt === null) return 'closed';
+    return Date.now() - openedAt < breakerResetMs ? 'open' : 'half-open';
+  }
+
+  function recordOutcome(error) {
+    if (!error || !isOutage(error)) {
+      if (openedAt !== null) logger.info('Upstream circuit closed', { provider });
+      failures = 0;
+      setOpen(false);
+      return;
+    }
+    failures += 1;
+    if (openedAt !== null || failures >= breakerThreshold) {
+      if (openedAt === null) logger.warn('Upstream circuit opened', { provider, failures });
+      setOpen(true);
+    }
+  }
+
+  /**
+   * Make a call.
+   *
+   * @param {string} operation What the call does, for metrics.
+   * @param {Function} send Makes one attempt. It is passed the axios config
+   *   to merge into its own (`{ timeout }`) and returns the axios response.
+   * @param {Object} [callOptions]
+   * @param {AbortSignal} [callOptions.signal] Cancels the backoff between
+   *   attempts; pass it to axios as well.
+   * @returns {Promise<Object>} The axios response.
+   */
+  async function request(operation, send, { signal } = {}) {
+    const state = breakerState();
+    if (state === 'open' || (state === 'half-open' && probing)) {
+      const remainingMs = breakerResetMs - (Date.now() - openedAt);
+      throw new UpstreamUnavailableError({
+        retryAfterSeconds: Math.max(1, Math.ceil(remainingMs / 1000)),
+      });
+    }
+    const isProbe = state === 'half-open';
+    if (isProbe) probing = true;
+    try {
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          const response = await timeUpstream(provider, operation, () =>
+            send({ timeout: timeoutMs }),
+          );
+          recordOutcome(null);
+          return response;
+        } catch (error) {
+          if (error.code === 'ERR_CANCELED') throw error;
+          await readErrorBody(error);
+          const retryAfter = retryAfterHeader(error);
+          const canRetry =
+            attempt < retries &&
+            !isProbe &&
+            isRetryable(error) &&
+            (retryAfter === null || retryAfter * 1000 <= retryMaxMs);
+          if (!canRetry) {
+            recordOutcome(error);
+            throw classifyUpstreamError(error, { retryAfterSeconds: retryAfter || undefined });
+          }
+          const backoffMs =
+            retryAfter !== null
+              ? retryAfter * 1000
+              : Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+          logger.warn('Retrying upstream request', {
+            provider,
+            operation,
+            attempt: attempt + 1,
+            status: error.response ? error.response.status : error.code,
+            backoffMs: Math.round(backoffMs),
+          });
+          await delay(backoffMs, undefined, { signal });
+        }
+      }
+    } finally {
+      if (isProbe) probing = false;
+    }
+  }
+
+  return { request, breakerState };
+}
+
+module.exports = {
+  createUpstreamClient,
+};
\ No newline at end of file
@@ -0,0 +1,141 @@
+/*
+ * Typed errors for failed calls to the speech provider. The routes turn them
+ * into responses that tell the client what went wrong instead of a generic
+ * 500:
+ *
+ * - `UpstreamAuthError` (401, `upstream_unauthorized`) – the provider
+ *   rejected the server's API key.
+ * - `UpstreamQuotaError` (402, `upstream_quota`) – the provider account is
+ *   out of credits or over its plan.
+ * - `UpstreamUnavailableError` (503, `upstream_unavailable`) – the provider
+ *   is down, overloaded, rate limiting or timing out, or the circuit breaker
+ *   is open. Worth retrying later.
+ * - `UpstreamRequestError` (502, `upstream_rejected`) – the provider refused
+ *   the request itself, e.g. an unknown voice.
+ *
+ * Each error keeps the original axios error as its `cause`, which the logger
+ * serializes with the upstream status and body.
+ */
+
+class UpstreamError extends Error {
+  /**
+   * @param {string} message A message that can be shown to the user.
+   * @param {Object} options
+   * @param {number} options.status The HTTP status to answer with.
+   * @param {string} options.code A stable code clients can branch on.
+   * @param {number} [options.retryAfterSeconds] When a retry may succeed.
+   * @param {Error} [options.cause] The underlying error.
+   */
+  constructor(message, { status, code, retryAfterSeconds, cause }) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+    // The provider's HTTP status, if it answered at all
+    this.upstreamStatus = cause?.response?.status ?? null;
+  }
+}
+
+class UpstreamAuthError extends UpstreamError {
+  constructor(options = {}) {
+    super('The speech service rejected the server API key', {
+      ...options,
+      status: 401,
+      code: 'upstream_unauthorized',
+    });
+  }
+}
+
+class UpstreamQuotaError extends UpstreamError {
+  constructor(options = {}) {
+    super('The speech service account has run out of credits', {
+      ...options,
+      status: 402,
+      code: 'upstream_quota',
+    });
+  }
+}
+
+class UpstreamUnavailableError extends UpstreamError {
+  constructor(options = {}) {
+    super('The speech service is temporarily unavailable', {
+      ...options,
+      status: 503,
+      code: 'upstream_unavailable',
+    });
+  }
+}
+
+class UpstreamRequestError extends UpstreamError {
+  constructor(options = {}) {
+    super('The speech service rejected the request', {
+      ...options,
+      status: 502,
+      code: 'upstream_rejected',
+    });
+  }
+}
+
+// ElevenLabs reports the reason for a failure as `detail.status`
+function detailStatus(data) {
+  if (!data || typeof data !== 'object') return null;
+  return (data.detail && data.detail.status) || null;
+}
+
+/**
+ * Classify a failed upstream call. Errors that are not HTTP failures, such as
+ * an aborted request, are returned unchanged.
+ *
+ * @param {Error} error The axios error, with any streamed error body already
+ *   read into `response.data`.
+ * @param {Object} [options]
+ * @param {number} [options.retryAfterSeconds] Passed on to unavailable errors.
+ * @returns {Error}
+ */
+function classifyUpstreamError(error, { retryAfterSeconds } = {}) {
+  if (error instanceof UpstreamError || error.code === 'ERR_CANCELED') return error;
+  if (!error.isAxiosError) return error;
+  const { response } = error;
+  if (!response) return new UpstreamUnavailableError({ cause: error, retryAfterSeconds });
+  const { status, data } = response;
+  const reason = detailStatus(data);
+  if (status === 402 || reason === 'quota_exceeded' || reason === 'payment_required') {
+    return new UpstreamQuotaError({ cause: error });
+  }
+  if (status === 401 || status === 403) return new UpstreamAuthError({ cause: error });
+  if (status === 429 || status >= 500) {
+    return new UpstreamUnavailableError({ cause: error, retryAfterSeconds });
+  }
+  return new UpstreamRequestError({ cause: error });
+}
+
+/**
+ * Answer a request that failed. Upstream errors get their own status, code
+ * and message; anything else is a 500 with the given message.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} message The message for unexpected errors.
+ */
+function sendError(res, error, message) {
+  if (!(error instanceof UpstreamError)) {
+    return res.status(500).json({ error: message });
+  }
+  if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    retryAfter: error.retryAfterSeconds,
+  });
+}
+
+module.exports = {
+  UpstreamError,
+  UpstreamAuthError,
+  UpstreamQuotaError,
+  UpstreamUnavailableError,
+  UpstreamRequestError,
+  classifyUpstreamError,
+  sendError,
+};
\ No newline at end of file
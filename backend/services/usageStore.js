@@ -0,0 +1,259 @@
+/*
+ * File-based usage meter. Usage is counted per user and per UTC day:
+ *
+ * - `ttsCharacters` – characters converted by the TTS endpoint.
+ * - `signedUrls` – signed conversation URLs issued, including relay sessions.
+ * - `conversationMs` – total conversation duration.
+ * - `conversations` – number of metered conversations.
+ *
+ * Each conversation is metered once, keyed by its ElevenLabs conversation
+ * ID, so a duration reported twice is not counted twice. Conversations
+ * started from a signed URL of /api/signed-url are recorded as issued to
+ * their user until they are metered (see services/conversationMeter.js).
+ *
+ * The whole meter is a single JSON document that is loaded once and
+ * rewritten after changes. Writes are serialized, and changes made while a
+ * write is waiting go out with it. Days older than USAGE_RETENTION_DAYS are
+ * dropped, so the document does not grow without bound.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const USAGE_FILE =
+  process.env.USAGE_FILE || path.join(__dirname, '..', 'data', 'usage.json');
+
+// Counters kept per user and day
+const METRICS = ['ttsCharacters', 'signedUrls', 'conversationMs', 'conversations'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Long enough for a year's admin report plus the current month
+const RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS) || 400;
+
+let state = null;
+let loading = null;
+let writeChain = Promise.resolve();
+// A write that has not started yet, which later changes can join
+let pendingWrite = null;
+
+async function load() {
+  if (state) return state;
+  if (!loading) {
+    loading = fs
+      .readFile(USAGE_FILE, 'utf8')
+      .then((raw) => JSON.parse(raw))
+      .catch((error) => {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+      })
+      .then((loaded) => {
+        state = { days: {}, conversations: {}, issued: {}, ...loaded };
+        return state;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+}
+
+function persist() {
+  if (pendingWrite) return pendingWrite;
+  pendingWrite = writeChain
+    .catch(() => {})
+    .then(async () => {
+      pendingWrite = null;
+      await fs.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+      // Write to a temporary file first so readers never see a partial document
+      const temp = `${USAGE_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(state));
+      await fs.rename(temp, USAGE_FILE);
+    });
+  writeChain = pendingWrite;
+  return writeChain;
+}
+
+// Drop days, and the conversations metered on them, that are past retention
+function prune(now) {
+  const oldest = dayKey(now - RETENTION_DAYS * DAY_MS);
+  Object.keys(state.days).forEach((day) => {
+    if (day < oldest) delete state.days[day];
+  });
+  Object.entries(state.conversations).forEach(([id, { day }]) => {
+    if (day < oldest) delete state.conversations[id];
+  });
+}
+
+function emptyUsage() {
+  return Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+}
+
+function addUsage(target, amounts) {
+  METRICS.forEach((metric) => {
+    target[metric] = (target[metric] || 0) + (amounts[metric] || 0);
+  });
+  return target;
+}
+
+/**
+ * The UTC day a timestamp falls on, as `YYYY-MM-DD`.
+ *
+ * @param {number} at Milliseconds since the epoch.
+ * @returns {string}
+ */
+function dayKey(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+/**
+ * Add to a user's usage for the day.
+ *
+ * @param {string} userId The user to charge.
+ * @param {Object} amounts Increments per metric, e.g. `{ ttsCharacters: 42 }`.
+ * @param {number} [at] When the usage happened. Defaults to now.
+ * @returns {Promise<void>}
+ */
+async function recordUsage(userId, amounts, at = Date.now()) {
+  await load();
+  const day = dayKey(at);
+  if (!state.days[day]) {
+    prune(Date.now());
+    state.days[day] = {};
+  }
+  state.days[day][userId] = addUsage(state.days[day][userId] || emptyUsage(), amounts);
+  await persist();
+}
+
+/**
+ * Meter a conversation's duration, unless it was metered before.
+ *
+ * @param {string} conversationId The ElevenLabs conversation ID.
+ * @param {string} userId The user to charge.
+ * @param {number} durationMs The conversation duration.
+ * @param {number} [at] When the conversation started. Defaults to now.
+ * @returns {Promise<boolean>} Whether the conversation was newly metered.
+ */
+async function recordConversation(conversationId, userId, durationMs, at = Date.now()) {
+  await load();
+  if (state.conversations[conversationId]) return false;
+  state.conversations[conversationId] = { userId, day: dayKey(at), durationMs };
+  delete state.issued[conversationId];
+  await recordUsage(userId, { conversationMs: durationMs, conversations: 1 }, at);
+  return true;
+}
+
+/**
+ * Record that a user was given a signed URL for a conversation, so it can
+ * be metered for them once it is over.
+ *
+ * @param {string} conversationId The conversation the URL starts.
+ * @param {string} userId The user the URL was issued to.
+ * @param {number} [at] When it was issued. Defaults to now.
+ * @returns {Promise<void>}
+ */
+async function recordIssuedConversation(conversationId, userId, at = Date.now()) {
+  await load();
+  state.issued[conversationId] = { userId, issuedAt: at };
+  await persist();
+}
+
+/**
+ * The user a conversation belongs to: the one it was issued to, or the one
+ * it was metered for.
+ *
+ * @param {string} conversationId The conversation ID.
+ * @returns {Promise<string|null>} The user ID, or null for conversations
+ *   the backend did not issue.
+ */
+async function getConversationOwner(conversationId) {
+  await load();
+  const entry = state.issued[conversationId] || state.conversations[conversationId];
+  return entry ? entry.userId : null;
+}
+
+/**
+ * List the issued conversations that have not been metered yet.
+ *
+ * @returns {Promise<Array<{ conversationId: string, userId: string,
+ *   issuedAt: number }>>}
+ */
+async function listUnmeteredConversations() {
+  await load();
+  return Object.entries(state.issued).map(([conversationId, entry]) => ({
+    conversationId,
+    ...entry,
+  }));
+}
+
+/**
+ * Stop tracking an issued conversation without metering it, e.g. one that
+ * was never started.
+ *
+ * @param {string} conversationId The conversation ID.
+ * @returns {Promise<void>}
+ */
+async function forgetIssuedConversation(conversationId) {
+  await load();
+  if (!state.issued[conversationId]) return;
+  delete state.issued[conversationId];
+  await persist();
+}
+
+/**
+ * Sum a user's usage in the UTC calendar month containing `at`.
+ *
+ * @param {string} userId The user.
+ * @param {number} [at] Any time in the month. Defaults to now.
+ * @returns {Promise<Object>} The usage per metric.
+ */
+async function getMonthlyUsage(userId, at = Date.now()) {
+  await load();
+  const month = dayKey(at).slice(0, 7);
+  return Object.entries(state.days)
+    .filter(([day]) => day.startsWith(month))
+    .reduce((total, [, users]) => addUsage(total, users[userId] || {}), emptyUsage());
+}
+
+/**
+ * Build a usage report for a range of days: totals per day across all users
+ * and totals per user, largest TTS consumers first.
+ *
+ * @param {Object} range
+ * @param {string} range.from The first day, as `YYYY-MM-DD`.
+ * @param {string} range.to The last day, as `YYYY-MM-DD`.
+ * @returns {Promise<{ daily: Array<Object>, users: Array<Object> }>}
+ */
+async function getUsageReport({ from, to }) {
+  await load();
+  const daily = [];
+  const users = new Map();
+  for (let at = Date.parse(from); dayKey(at) <= to; at += 24 * 60 * 60 * 1000) {
+    const day = dayKey(at);
+    const entries = Object.entries(state.days[day] || {});
+    const total = emptyUsage();
+    entries.forEach(([userId, usage]) => {
+      addUsage(total, usage);
+      users.set(userId, addUsage(users.get(userId) || emptyUsage(), usage));
+    });
+    daily.push({ day, ...total });
+  }
+  return {
+    daily,
+    users: [...users.entries()]
+      .map(([userId, usage]) => ({ userId, ...usage }))
+      .sort((a, b) => b.ttsCharacters - a.ttsCharacters),
+  };
+}
+
+module.exports = {
+  METRICS,
+  dayKey,
+  recordUsage,
+  recordConversation,
+  recordIssuedConversation,
+  getConversationOwner,
+  listUnmeteredConversations,
+  forgetIssuedConversation,
+  getMonthlyUsage,
+  getUsageReport,
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+/*
+ * Cached lists of the speech provider's voices and TTS models. Both change
+ * rarely, so they are fetched at most once per VOICE_CATALOG_TTL_SECONDS
+ * (default 10 minutes) and shared by the voice and model routes and by TTS
+ * option validation. Concurrent requests share one upstream call, and a
+ * failed call is not cached.
+ */
+
+const { getProvider } = require('../providers');
+
+const TTL_MS = Number(process.env.VOICE_CATALOG_TTL_SECONDS || 600) * 1000;
+
+function cachedList(load) {
+  let value = null;
+  let expiresAt = 0;
+  let pending = null;
+  return async () => {
+    if (value && expiresAt > Date.now()) return value;
+    if (!pending) {
+      pending = load()
+        .then((list) => {
+          value = list;
+          expiresAt = Date.now() + TTL_MS;
+          return list;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+}
+
+/**
+ * The provider's voices.
+ *
+ * @returns {Promise<Array<Object>>} Voices as `{ id, name, category, labels,
+ *   previewUrl }`.
+ */
+const getVoices = cachedList(() => getProvider().listVoices());
+
+/**
+ * The provider's text-to-speech models.
+ *
+ * @returns {Promise<Array<Object>>} Models as `{ id, name, description,
+ *   languages }`.
+ */
+const getModels = cachedList(() => getProvider().listModels());
+
+module.exports = {
+  getVoices,
+  getModels,
+};
\ No newline at end of file
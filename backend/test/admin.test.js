@@ -0,0 +1,67 @@
+/*
+ * Tests of the admin routes: the usage report across users and the TTS
+ * cache management, which only operators listed in ADMIN_USERS may use.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, eventually, USER_ID, ADMIN_API_KEY } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend();
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+const asAdmin = { apiKey: ADMIN_API_KEY };
+
+test('is closed to users who are not admins', async () => {
+  assert.equal((await backend.request('/api/admin/usage')).status, 403);
+  assert.equal((await backend.request('/api/admin/tts-cache')).status, 403);
+  const purge = await backend.request('/api/admin/tts-cache', { method: 'DELETE' });
+  assert.equal(purge.status, 403);
+});
+
+test('reports usage per day and per user with quotas', async () => {
+  assert.equal((await backend.request('/api/tts', { json: { text: 'Metered' } })).status, 200);
+  const report = await eventually(async () => {
+    const body = await (await backend.request('/api/admin/usage', asAdmin)).json();
+    return body.users.some((user) => user.userId === USER_ID) ? body : null;
+  });
+  assert.equal(report.daily.length, 30);
+  assert.equal(report.daily[report.daily.length - 1].day, report.to);
+  const user = report.users.find(({ userId }) => userId === USER_ID);
+  assert.equal(user.ttsCharacters, 7);
+  assert.deepEqual(user.quotas.ttsCharacters, { used: 7, limit: 200000 });
+});
+
+test('rejects malformed and oversized report ranges', async () => {
+  const malformed = await backend.request('/api/admin/usage?from=yesterday', asAdmin);
+  assert.equal(malformed.status, 400);
+  const malformedTo = await backend.request('/api/admin/usage?to=garbage', asAdmin);
+  assert.equal(malformedTo.status, 400);
+  const impossible = await backend.request('/api/admin/usage?to=2024-13-45', asAdmin);
+  assert.equal(impossible.status, 400);
+  const reversed = await backend.request('/api/admin/usage?from=2024-02-01&to=2024-01-01', asAdmin);
+  assert.equal(reversed.status, 400);
+  const tooLong = await backend.request('/api/admin/usage?from=2020-01-01&to=2024-01-01', asAdmin);
+  assert.equal(tooLong.status, 400);
+});
+
+test('reports and purges the TTS cache', async () => {
+  await backend.request('/api/tts', { json: { text: 'Cache me' } });
+  const stats = await (await backend.request('/api/admin/tts-cache', asAdmin)).json();
+  assert.equal(stats.backend, 'memory');
+  assert.ok(stats.entries >= 1);
+  assert.ok(stats.bytes > 0);
+
+  const purge = await backend.request('/api/admin/tts-cache', { method: 'DELETE', ...asAdmin });
+  assert.equal(purge.status, 200);
+  assert.equal((await purge.json()).purged, stats.entries);
+  const again = await backend.request('/api/tts', { json: { text: 'Cache me' } });
+  assert.equal(again.headers.get('x-cache'), 'MISS');
+});
\ No newline at end of file
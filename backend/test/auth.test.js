@@ -0,0 +1,86 @@
+/*
+ * Tests of authentication: the login route that exchanges an API key for a
+ * JWT, how API keys and JWTs are accepted on the API, and the login rate
+ * limit.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startBackend, API_KEY, USER_ID } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend();
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+function login(body) {
+  return fetch(`${backend.baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+// Call the API with a bearer token and nothing else
+function withToken(route, token) {
+  return fetch(backend.baseUrl + route, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+test('exchanges an API key for a JWT', async () => {
+  const response = await login({ apiKey: API_KEY });
+  assert.equal(response.status, 200);
+  const { token, expiresAt, user } = await response.json();
+  assert.deepEqual(user, { id: USER_ID });
+  assert.ok(expiresAt > Date.now());
+  assert.equal(jwt.decode(token).sub, USER_ID);
+
+  const usage = await withToken('/api/usage', token);
+  assert.equal(usage.status, 200);
+  assert.equal((await usage.json()).userId, USER_ID);
+});
+
+test('rejects unknown and missing API keys', async () => {
+  assert.equal((await login({ apiKey: 'not-a-key' })).status, 401);
+  assert.equal((await login({})).status, 400);
+});
+
+test('accepts API keys as a header or a bearer token', async () => {
+  assert.equal((await backend.request('/api/usage')).status, 200);
+  assert.equal((await withToken('/api/usage', API_KEY)).status, 200);
+
+  const anonymous = await fetch(`${backend.baseUrl}/api/usage`);
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+});
+
+test('rejects forged and expired JWTs', async () => {
+  const forged = jwt.sign({ sub: USER_ID }, 'some-other-secret-of-enough-length');
+  assert.equal((await withToken('/api/usage', forged)).status, 401);
+
+  const expired = jwt.sign({ sub: USER_ID }, process.env.JWT_SECRET, { expiresIn: -60 });
+  assert.equal((await withToken('/api/usage', expired)).status, 401);
+
+  // Only HS256 is accepted, so an unsigned token is no way in
+  const unsigned = jwt.sign({ sub: USER_ID }, null, { algorithm: 'none' });
+  assert.equal((await withToken('/api/usage', unsigned)).status, 401);
+});
+
+test('rate limits login attempts per IP', async () => {
+  // Ten attempts per 15 minutes, including those of the tests above
+  let response;
+  for (let attempt = 0; attempt < 11; attempt += 1) {
+    response = await login({ apiKey: 'guess' });
+    if (response.status === 429) break;
+  }
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  assert.equal((await response.json()).code, 'rate_limited');
+  // Even the right key has to wait
+  assert.equal((await login({ apiKey: API_KEY })).status, 429);
+});
\ No newline at end of file
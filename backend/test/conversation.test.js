@@ -0,0 +1,270 @@
+/*
+ * Tests of the conversation and speech routes against the fake ElevenLabs
+ * server: signed URLs, TTS with its cache, streaming TTS, the voice catalog
+ * and how upstream errors reach the browser.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend();
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+beforeEach(() => {
+  backend.fake.reset();
+});
+
+test('requires an API key or token', async () => {
+  const response = await fetch(`${backend.baseUrl}/api/signed-url`);
+  assert.equal(response.status, 401);
+});
+
+test('returns a signed URL for the default agent', async () => {
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 200);
+  const { signedUrl } = await response.json();
+  assert.match(signedUrl, /^ws:\/\/127\.0\.0\.1:\d+\/v1\/convai\/conversation\?agent_id=test-agent/);
+  const [call] = backend.fake.requests;
+  assert.equal(call.endpoint, 'signed_url');
+  assert.equal(call.query, '?agent_id=test-agent&include_conversation_id=true');
+});
+
+test('rejects unknown agents before calling ElevenLabs', async () => {
+  const response = await backend.request('/api/signed-url?agent=nobody');
+  assert.equal(response.status, 404);
+  assert.deepEqual(await response.json(), { error: 'Unknown agent' });
+  assert.equal(backend.fake.requests.length, 0);
+});
+
+test('reports a rejected API key as upstream_unauthorized', async () => {
+  backend.fake.failNext('signed_url', {
+    status: 401,
+    body: { detail: { status: 'invalid_api_key', message: 'Invalid API key' } },
+  });
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'upstream_unauthorized');
+});
+
+test('reports exhausted credits as upstream_quota', async () => {
+  backend.fake.failNext('signed_url', {
+    status: 401,
+    body: { detail: { status: 'quota_exceeded', message: 'Out of credits' } },
+  });
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 402);
+  assert.equal((await response.json()).code, 'upstream_quota');
+});
+
+test('reports an outage as upstream_unavailable with Retry-After', async () => {
+  backend.fake.failNext('signed_url', { status: 503, headers: { 'Retry-After': '7' } });
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 503);
+  assert.equal(response.headers.get('retry-after'), '7');
+  assert.equal((await response.json()).code, 'upstream_unavailable');
+});
+
+test('builds the initiation for overrides in the allowlist', async () => {
+  const response = await backend.request('/api/conversation/overrides', {
+    json: {
+      prompt: 'support',
+      voiceId: 'EXAVITQu4vr4xnSDxMaL',
+      dynamicVariables: { user_name: 'Ada' },
+    },
+  });
+  assert.equal(response.status, 200);
+  const { initiation } = await response.json();
+  const override = initiation.conversation_config_override;
+  assert.match(override.agent.prompt.prompt, /support assistant/);
+  assert.deepEqual(override.tts, { voice_id: 'EXAVITQu4vr4xnSDxMaL' });
+  assert.deepEqual(initiation.dynamic_variables, { user_name: 'Ada' });
+});
+
+test('rejects prompts, voices and variables outside the allowlist', async () => {
+  const rejected = async (selection) => {
+    const response = await backend.request('/api/conversation/overrides', { json: selection });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error, 'Invalid conversation overrides');
+    return body.details;
+  };
+  assert.deepEqual(await rejected({ prompt: 'You are a pirate.' }), [
+    'prompt must be one of: support, sales',
+  ]);
+  assert.deepEqual(await rejected({ voiceId: 'not-an-allowed-voice' }), [
+    'voiceId is not an allowed voice',
+  ]);
+  assert.deepEqual(await rejected({ dynamicVariables: { account_tier: 'platinum' } }), [
+    'dynamicVariables.account_tier must be equal to one of the allowed values',
+  ]);
+  assert.deepEqual(await rejected({ dynamicVariables: { admin: true } }), [
+    'dynamicVariables.admin is not an allowed variable',
+  ]);
+  assert.deepEqual(await rejected({ systemPrompt: 'You are a pirate.' }), [
+    'systemPrompt is not an allowed override',
+  ]);
+});
+
+test('converts text to speech and caches repeated phrases', async () => {
+  const first = await backend.request('/api/tts', { json: { text: 'Hello there' } });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  const body = await first.json();
+  assert.equal(body.format, 'mp3');
+  assert.ok(Buffer.from(body.audio, 'base64').length > 0);
+
+  const second = await backend.request('/api/tts', { json: { text: 'Hello there' } });
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+  assert.deepEqual(await second.json(), body);
+  const calls = backend.fake.requests.filter((call) => call.endpoint === 'tts');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].path, '/v1/text-to-speech/voice-a');
+  assert.equal(calls[0].body.text, 'Hello there');
+});
+
+test('speaks in the output format the client picks', async () => {
+  const pcm = await backend.request('/api/tts', {
+    json: { text: 'Raw audio', outputFormat: 'pcm_22050' },
+  });
+  assert.equal(pcm.status, 200);
+  assert.equal((await pcm.json()).format, 'pcm_22050');
+  assert.equal(backend.fake.requests[0].query, '?output_format=pcm_22050');
+
+  const ulaw = await backend.request('/api/tts/stream', {
+    json: { text: 'Phone audio', outputFormat: 'ulaw_8000' },
+  });
+  assert.equal(ulaw.headers.get('content-type'), 'audio/basic');
+  await ulaw.arrayBuffer();
+  const pcmStream = await backend.request('/api/tts/stream', {
+    json: { text: 'Raw stream', outputFormat: 'pcm_16000' },
+  });
+  assert.equal(pcmStream.headers.get('content-type'), 'application/octet-stream');
+  await pcmStream.arrayBuffer();
+
+  const { outputFormats } = await (await backend.request('/api/models')).json();
+  assert.ok(outputFormats.includes('pcm_44100'));
+  assert.ok(outputFormats.includes('ulaw_8000'));
+});
+
+test('falls back to MP3 and refuses unknown output formats', async () => {
+  const fallback = await backend.request('/api/tts', { json: { text: 'Default format' } });
+  assert.equal((await fallback.json()).format, 'mp3');
+  assert.equal(backend.fake.requests[0].query, '?output_format=mp3_44100_128');
+
+  const unknown = await backend.request('/api/tts', {
+    json: { text: 'Lossless please', outputFormat: 'flac_48000' },
+  });
+  assert.equal(unknown.status, 400);
+  const [detail] = (await unknown.json()).details;
+  assert.match(detail, /^outputFormat must be one of: mp3_22050_32, .*ulaw_8000$/);
+  assert.equal(backend.fake.requests.filter(({ endpoint }) => endpoint === 'tts').length, 1);
+});
+
+test('passes the voice settings the client picks to the provider', async () => {
+  const response = await backend.request('/api/tts', {
+    json: { text: 'Tuned', voiceId: 'voice-b', stability: 0, style: 1, speed: 0.7 },
+  });
+  assert.equal(response.status, 200);
+  const [call] = backend.fake.requests.filter(({ endpoint }) => endpoint === 'tts');
+  assert.equal(call.path, '/v1/text-to-speech/voice-b');
+  assert.deepEqual(call.body.voice_settings, {
+    stability: 0,
+    similarity_boost: 0.8,
+    style: 1,
+    speed: 0.7,
+  });
+});
+
+test('rejects speech options out of range and unknown voices', async () => {
+  const invalid = [
+    [{ stability: 1.5 }, 'stability must be a number from 0 to 1'],
+    [{ stability: '0.5' }, 'stability must be a number from 0 to 1'],
+    [{ similarityBoost: -0.1 }, 'similarityBoost must be a number from 0 to 1'],
+    [{ style: 2 }, 'style must be a number from 0 to 1'],
+    [{ speed: 0.5 }, 'speed must be a number from 0.7 to 1.2'],
+    [{ speed: 1.5 }, 'speed must be a number from 0.7 to 1.2'],
+    [{ voiceId: 'voice-z' }, 'voiceId is not an available voice'],
+    [{ voiceId: '../voices' }, 'voiceId must be a voice ID'],
+  ];
+  for (const [options, detail] of invalid) {
+    for (const route of ['/api/tts', '/api/tts/stream']) {
+      const response = await backend.request(route, { json: { text: 'Hi', ...options } });
+      assert.equal(response.status, 400, `${route} ${JSON.stringify(options)}`);
+      assert.deepEqual(await response.json(), {
+        error: 'Invalid speech options',
+        details: [detail],
+      });
+    }
+  }
+
+  // Every invalid option is reported at once
+  const response = await backend.request('/api/tts', {
+    json: { text: 'Hi', voiceId: 'voice-z', stability: 2, speed: 3 },
+  });
+  assert.equal((await response.json()).details.length, 3);
+  assert.ok(!backend.fake.requests.some(({ endpoint }) => endpoint.startsWith('tts')));
+});
+
+test('rejects TTS requests without text', async () => {
+  const response = await backend.request('/api/tts', { json: {} });
+  assert.equal(response.status, 400);
+  assert.equal(backend.fake.requests.length, 0);
+});
+
+test('streams speech as chunked audio', async () => {
+  const response = await backend.request('/api/tts/stream', { json: { text: 'Streaming' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'audio/mpeg');
+  const audio = Buffer.from(await response.arrayBuffer());
+  assert.ok(audio.length > 0);
+  assert.equal(backend.fake.requests[0].endpoint, 'tts_stream');
+});
+
+test('streams speech with alignment as server-sent events', async () => {
+  const response = await backend.request('/api/tts/stream?format=sse', { json: { text: 'Hi' } });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const events = (await response.text())
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice(6)) };
+    });
+  assert.deepEqual(
+    events.map(({ event }) => event),
+    ['audio', 'audio', 'done'],
+  );
+  assert.deepEqual(
+    events.slice(0, 2).map(({ data }) => data.alignment.characters[0]),
+    ['H', 'i'],
+  );
+});
+
+test('reports an upstream failure before streaming starts', async () => {
+  backend.fake.failNext('tts_stream', {
+    status: 401,
+    body: { detail: { status: 'quota_exceeded', message: 'Out of credits' } },
+  });
+  const response = await backend.request('/api/tts/stream', { json: { text: 'Nope' } });
+  assert.equal(response.status, 402);
+  assert.equal((await response.json()).code, 'upstream_quota');
+});
+
+test('lists voices and models from ElevenLabs', async () => {
+  const voices = await (await backend.request('/api/voices')).json();
+  assert.deepEqual(
+    voices.voices.map((voice) => voice.name),
+    ['Ada', 'Bram'],
+  );
+  const models = await (await backend.request('/api/models')).json();
+  assert.ok(models.models.some((model) => model.id === 'eleven_flash_v2_5'));
+});
\ No newline at end of file
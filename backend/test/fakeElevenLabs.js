@@ -0,0 +1,401 @@
+/*
+ * A local stand-in for the ElevenLabs API, so the backend can be tested
+ * offline against the real provider code. It serves the endpoints the
+ * backend calls and the conversational agent WebSocket:
+ *
+ * - `GET /v1/convai/conversation/get-signed-url` – a single-use signed URL
+ *   for the WebSocket below, with the ID of the conversation it starts when
+ *   asked for with `include_conversation_id`.
+ * - `POST /v1/text-to-speech/:voiceId`, `…/stream` and
+ *   `…/stream/with-timestamps` – silent 16 kHz PCM for every character.
+ * - `GET /v1/voices`, `GET /v1/models` and `GET /v1/convai/conversations/:id`.
+ * - `WS /v1/convai/conversation` – answers the initiation with
+ *   `conversation_initiation_metadata`, sends a `ping` every `pingMs`, turns
+ *   every `chunksPerTurn` user audio chunks into a `user_transcript` and
+ *   answers each user turn with `agent_response` and `audio` events. User
+ *   audio that arrives while the agent is speaking interrupts it.
+ *
+ * Requests without the API key are refused with 401 like ElevenLabs does.
+ * `failNext` queues an error response for an endpoint, and `hangNext` a
+ * response that never comes, to exercise the retry and breaker logic.
+ */
+
+const http = require('http');
+const { randomUUID } = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const SAMPLE_RATE = 16000;
+// Speech per character of text, and the size of each audio event
+const MS_PER_CHARACTER = 20;
+const AUDIO_CHUNK_MS = 100;
+
+// Silent 16-bit PCM lasting as long as the text would take to say
+function speak(text) {
+  return Buffer.alloc(Math.round((text.length * MS_PER_CHARACTER * SAMPLE_RATE) / 1000) * 2);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+/**
+ * Create a fake ElevenLabs server.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] The API key requests must present.
+ * @param {number} [options.pingMs] Interval of the agent's pings.
+ * @param {number} [options.chunksPerTurn] User audio chunks per transcript.
+ * @param {string} [options.transcript] Text of every spoken user turn.
+ * @param {string} [options.firstMessage] The agent's greeting.
+ * @param {number} [options.audioIntervalMs] Delay between audio events, so
+ *   the agent can be interrupted while it speaks.
+ * @returns {Object} The server, see the methods below.
+ */
+function createFakeElevenLabs({
+  apiKey = 'test-api-key',
+  pingMs = 1000,
+  chunksPerTurn = 4,
+  transcript = 'Hello from the microphone',
+  firstMessage = 'Hi, how can I help?',
+  audioIntervalMs = 5,
+} = {}) {
+  const failures = [];
+  // The conversation ID each unused signed URL token starts
+  const tokens = new Map();
+  const sockets = new Set();
+  // Every HTTP request, as `{ endpoint, method, path, body }`
+  const requests = [];
+  // Every conversation, by ID, with the events the agent received
+  const conversations = new Map();
+  let baseUrl = null;
+
+  // Take the queued failure for an endpoint, if any
+  function takeFailure(endpoint) {
+    const index = failures.findIndex((failure) => failure.endpoint === endpoint);
+    return index === -1 ? null : failures.splice(index, 1)[0];
+  }
+
+  function route(method, path) {
+    if (method === 'GET' && path === '/v1/convai/conversation/get-signed-url') return 'signed_url';
+    if (method === 'GET' && path === '/v1/voices') return 'voices';
+    if (method === 'GET' && path === '/v1/models') return 'models';
+    if (method === 'GET' && /^\/v1\/convai\/conversations\/[^/]+$/.test(path)) {
+      return 'conversation';
+    }
+    if (method === 'POST' && /^\/v1\/text-to-speech\/[^/]+$/.test(path)) return 'tts';
+    if (method === 'POST' && /^\/v1\/text-to-speech\/[^/]+\/stream$/.test(path)) {
+      return 'tts_stream';
+    }
+    if (method === 'POST' && /^\/v1\/text-to-speech\/[^/]+\/stream\/with-timestamps$/.test(path)) {
+      return 'tts_timestamps';
+    }
+    return null;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = route(req.method, url.pathname);
+    const body = req.method === 'POST' ? await readJson(req) : null;
+    requests.push({ endpoint, method: req.method, path: url.pathname, query: url.search, body });
+    if (!endpoint) return sendJson(res, 404, { detail: { status: 'not_found' } });
+    if (req.headers['xi-api-key'] !== apiKey) {
+      return sendJson(res, 401, {
+        detail: { status: 'invalid_api_key', message: 'Invalid API key' },
+      });
+    }
+    const failure = takeFailure(endpoint);
+    if (failure && failure.hang) return;
+    if (failure) return sendJson(res, failure.status, failure.body, failure.headers);
+
+    if (endpoint === 'signed_url') {
+      const token = randomUUID();
+      const id = `conv_${randomUUID().replace(/-/g, '').slice(0, 16)}`;
+      tokens.set(token, id);
+      const wsUrl = baseUrl.replace(/^http/, 'ws');
+      const agentId = url.searchParams.get('agent_id');
+      let signedUrl =
+        `${wsUrl}/v1/convai/conversation?agent_id=${agentId}&conversation_signature=${token}`;
+      if (url.searchParams.get('include_conversation_id') === 'true') {
+        signedUrl += `&conversation_id=${id}`;
+      }
+      return sendJson(res, 200, { signed_url: signedUrl });
+    }
+    if (endpoint === 'voices') {
+      return sendJson(res, 200, {
+        voices: [
+          { voice_id: 'voice-a', name: 'Ada', category: 'premade', labels: { accent: 'british' } },
+          { voice_id: 'voice-b', name: 'Bram', category: 'cloned', labels: {} },
+        ],
+      });
+    }
+    if (endpoint === 'models') {
+      return sendJson(res, 200, [
+        { model_id: 'eleven_multilingual_v2', name: 'Multilingual v2', can_do_text_to_speech: true },
+        { model_id: 'eleven_flash_v2_5', name: 'Flash v2.5', can_do_text_to_speech: true },
+      ]);
+    }
+    if (endpoint === 'conversation') {
+      const id = decodeURIComponent(url.pathname.split('/').pop());
+      const conversation = conversations.get(id);
+      if (!conversation) return sendJson(res, 404, { detail: { status: 'not_found' } });
+      return sendJson(res, 200, {
+        conversation_id: id,
+        agent_id: conversation.agentId,
+        status: conversation.ended ? 'done' : 'processing',
+        metadata: {
+          start_time_unix_secs: Math.floor(conversation.startedAt / 1000),
+          call_duration_secs: Math.round((Date.now() - conversation.startedAt) / 1000),
+        },
+      });
+    }
+    const pcm = speak(body.text || '');
+    if (endpoint === 'tts' || endpoint === 'tts_stream') {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      return res.end(pcm);
+    }
+    // One JSON line per chunk, with the alignment of the characters in it
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    const characters = Array.from(body.text || '');
+    characters.forEach((character, index) => {
+      const start = (index * MS_PER_CHARACTER) / 1000;
+      res.write(
+        `${JSON.stringify({
+          audio_base64: speak(character).toString('base64'),
+          alignment: {
+            characters: [character],
+            character_start_times_seconds: [start],
+            character_end_times_seconds: [start + MS_PER_CHARACTER / 1000],
+          },
+        })}\n`,
+      );
+    });
+    return res.end();
+  }
+
+  // Run one conversation on an agent WebSocket
+  function converse(ws, agentId, id) {
+    const conversation = {
+      id,
+      agentId,
+      startedAt: Date.now(),
+      received: [],
+      // Messages that were not JSON
+      unparsed: [],
+      ended: false,
+    };
+    conversations.set(id, conversation);
+    let eventId = 0;
+    let pingId = 0;
+    let userChunks = 0;
+    // The audio events of the response being spoken
+    let speaking = null;
+
+    const send = (event) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+    };
+
+    const respond = (text) => {
+      eventId += 1;
+      const currentId = eventId;
+      send({ type: 'agent_response', agent_response_event: { agent_response: text } });
+      const pcm = speak(text);
+      const chunkBytes = ((SAMPLE_RATE * AUDIO_CHUNK_MS) / 1000) * 2;
+      const chunks = [];
+      for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+        chunks.push(pcm.subarray(offset, offset + chunkBytes));
+      }
+      speaking = { eventId: currentId, text, timer: null };
+      const next = () => {
+        const chunk = chunks.shift();
+        if (!chunk || !speaking || speaking.eventId !== currentId) {
+          if (speaking && speaking.eventId === currentId) speaking = null;
+          return;
+        }
+        send({
+          type: 'audio',
+          audio_event: { audio_base_64: chunk.toString('base64'), event_id: currentId },
+        });
+        speaking.timer = setTimeout(next, audioIntervalMs);
+      };
+      next();
+    };
+
+    const interrupt = () => {
+      if (!speaking) return;
+      clearTimeout(speaking.timer);
+      send({ type: 'interruption', interruption_event: { event_id: speaking.eventId } });
+      speaking = null;
+    };
+
+    const ping = setInterval(() => {
+      pingId += 1;
+      send({ type: 'ping', ping_event: { event_id: pingId, ping_ms: 20 } });
+    }, pingMs);
+
+    let initiated = false;
+    const initiate = (event = {}) => {
+      if (initiated) return;
+      initiated = true;
+      conversation.initiation = event;
+      send({
+        type: 'conversation_initiation_metadata',
+        conversation_initiation_metadata_event: {
+          conversation_id: id,
+          agent_output_audio_format: `pcm_${SAMPLE_RATE}`,
+          user_input_audio_format: `pcm_${SAMPLE_RATE}`,
+        },
+      });
+      const override = event.conversation_config_override?.agent?.first_message;
+      respond(override || firstMessage);
+    };
+
+    ws.on('message', (raw) => {
+      let event;
+      try {
+        event = JSON.parse(raw.toString());
+      } catch (error) {
+        conversation.unparsed.push(raw.toString());
+        return;
+      }
+      conversation.received.push(event);
+      if (event.type === 'conversation_initiation_client_data') {
+        initiate(event);
+        return;
+      }
+      initiate();
+      if (event.user_audio_chunk) {
+        interrupt();
+        userChunks += 1;
+        if (userChunks % chunksPerTurn === 0) {
+          send({
+            type: 'user_transcript',
+            user_transcription_event: { user_transcript: transcript },
+          });
+          respond(`You said: ${transcript}`);
+        }
+      }
+      if (event.type === 'user_message' && event.text) {
+        interrupt();
+        respond(`You said: ${event.text}`);
+      }
+    });
+    ws.on('close', () => {
+      conversation.ended = true;
+      clearInterval(ping);
+      if (speaking) clearTimeout(speaking.timer);
+    });
+    // Clients that do not send initiation data get the default conversation
+    setTimeout(() => initiate(), 50);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => sendJson(res, 500, { detail: { message: error.message } }));
+  });
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    const token = url.searchParams.get('conversation_signature');
+    const id = tokens.get(token);
+    if (url.pathname !== '/v1/convai/conversation' || !tokens.delete(token)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      sockets.add(ws);
+      ws.on('close', () => sockets.delete(ws));
+      converse(ws, url.searchParams.get('agent_id'), id);
+    });
+  });
+
+  return {
+    apiKey,
+    requests,
+    conversations,
+
+    /**
+     * Listen on a free local port.
+     *
+     * @returns {Promise<string>} The base URL, for ELEVENLABS_API_URL.
+     */
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+
+    /**
+     * Close every socket and stop listening.
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+      sockets.forEach((ws) => ws.terminate());
+      server.closeAllConnections();
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+      });
+    },
+
+    /**
+     * Answer the next request to an endpoint with an error.
+     *
+     * @param {string} endpoint `signed_url`, `tts`, `tts_stream`,
+     *   `tts_timestamps`, `voices`, `models` or `conversation`.
+     * @param {Object} [response]
+     * @param {number} [response.status] The HTTP status (default 500).
+     * @param {Object} [response.body] The JSON body, e.g.
+     *   `{ detail: { status: 'quota_exceeded' } }`.
+     * @param {Object} [response.headers] Extra headers such as Retry-After.
+     */
+    failNext(endpoint, { status = 500, body = { detail: {} }, headers = {} } = {}) {
+      failures.push({ endpoint, status, body, headers });
+    },
+
+    /**
+     * Never answer the next request to an endpoint.
+     *
+     * @param {string} endpoint The endpoint, as for `failNext`.
+     */
+    hangNext(endpoint) {
+      failures.push({ endpoint, hang: true });
+    },
+
+    /**
+     * Close every open conversation from the agent's side.
+     *
+     * @param {number} [code] The close code; 1000 ends the conversations
+     *   normally, anything else looks like a dropped connection.
+     */
+    closeConversations(code = 1011) {
+      sockets.forEach((ws) => ws.close(code));
+    },
+
+    /** Forget the requests seen so far. */
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+    },
+  };
+}
+
+module.exports = { createFakeElevenLabs };
\ No newline at end of file
@@ -0,0 +1,142 @@
+/*
+ * Tests of the health and metrics endpoints: liveness, readiness with its
+ * configuration checks, and the Prometheus metrics of API requests,
+ * provider calls and relayed conversations.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, eventually } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend();
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+// Run a test with environment variables changed, restoring them afterwards
+async function withEnv(changes, run) {
+  const saved = Object.fromEntries(Object.keys(changes).map((name) => [name, process.env[name]]));
+  const apply = (values) =>
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  apply(changes);
+  try {
+    await run();
+  } finally {
+    apply(saved);
+  }
+}
+
+// The value of a metric sample, or undefined when it is not exposed
+function sample(metrics, series) {
+  const line = metrics.split('\n').find((entry) => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+const scrape = async () => (await backend.request('/metrics')).text();
+
+test('reports liveness', async () => {
+  const response = await backend.request('/healthz');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { status: 'ok' });
+});
+
+test('reports ready when every check passes', async () => {
+  const response = await backend.request('/healthz/ready');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), {
+    status: 'ready',
+    checks: { auth: { ok: true }, conversation: { ok: true }, tts: { ok: true } },
+  });
+});
+
+test('reports not ready when a check fails', async () => {
+  await withEnv({ ELEVENLABS_VOICE_ID: undefined }, async () => {
+    const response = await backend.request('/healthz/ready');
+    assert.equal(response.status, 503);
+    assert.deepEqual(await response.json(), {
+      status: 'not_ready',
+      checks: {
+        auth: { ok: true },
+        conversation: { ok: true },
+        tts: { ok: false, error: 'floris: Voice ID or API key not configured' },
+      },
+    });
+  });
+
+  await withEnv({ ELEVENLABS_API_KEY: undefined }, async () => {
+    const { status, checks } = await (await backend.request('/healthz/ready')).json();
+    assert.equal(status, 'not_ready');
+    assert.equal(checks.conversation.ok, false);
+    assert.match(checks.conversation.error, /ElevenLabs API key is not configured/);
+    assert.equal(checks.tts.ok, false);
+  });
+
+  // Ready again once the configuration is back
+  assert.equal((await backend.request('/healthz/ready')).status, 200);
+});
+
+test('counts and times API requests', async () => {
+  await backend.request('/api/tts', { json: { text: 'Counted' } });
+  await backend.request('/api/tts', { json: { text: 'Counted' } });
+  const metrics = await scrape();
+  const labels = 'method="POST",route="/api/tts",status="200"';
+  assert.equal(sample(metrics, `http_requests_total{${labels}}`), 2);
+  assert.equal(sample(metrics, `http_request_duration_seconds_count{${labels}}`), 2);
+  assert.equal(sample(metrics, `http_request_duration_seconds_bucket{le="+Inf",${labels}}`), 2);
+  // Unmatched URLs share one series, so they cannot create new ones
+  await backend.request('/api/nothing/here/123');
+  const later = await scrape();
+  assert.ok(/^http_requests_total\{method="GET",route="unmatched",status="404"\} /m.test(later));
+  assert.ok(!later.includes('/api/nothing'));
+});
+
+test('times provider calls and counts their failures', async () => {
+  backend.fake.failNext('signed_url', { status: 503 });
+  assert.equal((await backend.request('/api/signed-url')).status, 503);
+  assert.equal((await backend.request('/api/signed-url')).status, 200);
+  const metrics = await scrape();
+  const failed = 'provider="elevenlabs",operation="signed_url",status="503"';
+  const succeeded = 'provider="elevenlabs",operation="signed_url",status="200"';
+  assert.equal(sample(metrics, `upstream_errors_total{${failed}}`), 1);
+  assert.equal(sample(metrics, `upstream_errors_total{${succeeded}}`), undefined);
+  assert.equal(sample(metrics, `upstream_request_duration_seconds_count{${failed}}`), 1);
+  assert.equal(sample(metrics, `upstream_request_duration_seconds_count{${succeeded}}`), 1);
+  assert.equal(sample(metrics, 'upstream_circuit_open{provider="elevenlabs"}'), 0);
+});
+
+test('tracks relayed conversations', async () => {
+  const connection = await backend.connect();
+  connection.send({ type: 'conversation_initiation_client_data' });
+  await connection.waitFor((event) => event.type === 'conversation_initiation_metadata');
+  await eventually(async () => sample(await scrape(), 'relay_active_sessions') === 1);
+
+  connection.ws.close();
+  await eventually(async () => sample(await scrape(), 'relay_active_sessions') === 0);
+});
+
+test('asks scrapers for the metrics token when one is set', async () => {
+  await withEnv({ METRICS_TOKEN: 'scrape-token' }, async () => {
+    const refused = await backend.request('/metrics');
+    assert.equal(refused.status, 401);
+    assert.equal(refused.headers.get('www-authenticate'), 'Bearer');
+    const wrong = await backend.request('/metrics', {
+      headers: { Authorization: 'Bearer other-token' },
+    });
+    assert.equal(wrong.status, 401);
+
+    const allowed = await backend.request('/metrics', {
+      headers: { Authorization: 'Bearer scrape-token' },
+    });
+    assert.equal(allowed.status, 200);
+    assert.match(allowed.headers.get('content-type'), /^text\/plain/);
+    assert.match(await allowed.text(), /^# HELP http_requests_total /m);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,196 @@
+/*
+ * Shared setup for the backend tests. `startBackend` starts the fake
+ * ElevenLabs server (see fakeElevenLabs.js), points the backend at it and
+ * starts the backend on a free port. Configuration is read when the modules
+ * load, so each test file starts one backend and node --test runs every file
+ * in its own process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createFakeElevenLabs } = require('./fakeElevenLabs');
+
+const API_KEY = 'test-user-key';
+const USER_ID = 'tester';
+// A second user, for checking that users cannot reach each other's data
+const OTHER_API_KEY = 'other-user-key';
+const OTHER_USER_ID = 'other';
+// An operator listed in ADMIN_USERS
+const ADMIN_API_KEY = 'admin-user-key';
+const ADMIN_USER_ID = 'operator';
+
+/**
+ * Start the fake ElevenLabs server and the backend.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] Environment variables to set as well.
+ * @param {Object} [options.fake] Options for `createFakeElevenLabs`.
+ * @returns {Promise<Object>} `{ fake, baseUrl, request, connect, stop }`.
+ */
+async function startBackend({ env = {}, fake: fakeOptions } = {}) {
+  const fake = createFakeElevenLabs(fakeOptions);
+  const fakeUrl = await fake.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'floris-test-'));
+  Object.assign(process.env, {
+    API_KEYS: [
+      `${USER_ID}:${API_KEY}`,
+      `${OTHER_USER_ID}:${OTHER_API_KEY}`,
+      `${ADMIN_USER_ID}:${ADMIN_API_KEY}`,
+    ].join(','),
+    ADMIN_USERS: ADMIN_USER_ID,
+    JWT_SECRET: 'test-jwt-secret-that-is-long-enough',
+    ELEVENLABS_API_KEY: fake.apiKey,
+    ELEVENLABS_API_URL: fakeUrl,
+    AGENT_ID: 'test-agent',
+    ELEVENLABS_VOICE_ID: 'voice-a',
+    SPEECH_PROVIDER: 'elevenlabs',
+    HISTORY_DIR: path.join(dataDir, 'history'),
+    USAGE_FILE: path.join(dataDir, 'usage.json'),
+    RECORDINGS_DIR: path.join(dataDir, 'recordings'),
+    TTS_CACHE: 'memory',
+    ELEVENLABS_RETRIES: '0',
+    ELEVENLABS_TIMEOUT_MS: '1000',
+    LOG_LEVEL: 'silent',
+    ...env,
+  });
+  const { server } = require('../app');
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    fake,
+    baseUrl,
+
+    /**
+     * Call the backend as the test user.
+     *
+     * @param {string} route The path, e.g. `/api/signed-url`.
+     * @param {Object} [init] fetch options; a `json` field is sent as the body
+     *   and an `apiKey` field calls as another user.
+     * @returns {Promise<Response>}
+     */
+    request(route, { json, headers, apiKey = API_KEY, ...init } = {}) {
+      return fetch(baseUrl + route, {
+        ...init,
+        headers: {
+          'X-API-Key': apiKey,
+          ...(json !== undefined && { 'Content-Type': 'application/json' }),
+          ...headers,
+        },
+        ...(json !== undefined && { method: init.method || 'POST', body: JSON.stringify(json) }),
+      });
+    },
+
+    /**
+     * Open a relay connection as the test user.
+     *
+     * @param {string} [query] Extra query parameters, e.g. `record=1`.
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] Connect as another user.
+     * @returns {Promise<Object>} The connection, see `recordEvents`.
+     */
+    async connect(query = '', { apiKey = API_KEY } = {}) {
+      const wsUrl = baseUrl.replace(/^http/, 'ws');
+      const ws = new WebSocket(`${wsUrl}/api/conversation/ws?token=${apiKey}&${query}`);
+      const connection = recordEvents(ws);
+      await once(ws, 'open');
+      return connection;
+    },
+
+    /**
+     * Stop the backend and the fake server and delete the test data.
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      server.closeAllConnections();
+      await new Promise((resolve) => {
+        server.close(() => resolve());
+      });
+      await fake.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Collect the JSON events a socket receives, so tests can wait for one
+function recordEvents(ws) {
+  const events = [];
+  const waiters = [];
+  const closed = once(ws, 'close').then(([code, reason]) => ({ code, reason: reason.toString() }));
+  ws.on('message', (raw) => {
+    const event = JSON.parse(raw.toString());
+    events.push(event);
+    waiters.slice().forEach((waiter) => waiter.check());
+  });
+  return {
+    ws,
+    events,
+
+    send(event) {
+      ws.send(JSON.stringify(event));
+    },
+
+    /**
+     * Wait for an event, including one that already arrived.
+     *
+     * @param {Function} predicate Called with each event.
+     * @param {number} [timeoutMs] How long to wait.
+     * @returns {Promise<Object>} The first matching event.
+     */
+    waitFor(predicate, timeoutMs = 2000) {
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          check() {
+            const event = events.find(predicate);
+            if (!event) return;
+            clearTimeout(timer);
+            waiters.splice(waiters.indexOf(waiter), 1);
+            resolve(event);
+          },
+        };
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`Timed out waiting for an event after ${events.length} events`));
+        }, timeoutMs);
+        waiters.push(waiter);
+        waiter.check();
+      });
+    },
+
+    /**
+     * Wait for the socket to close.
+     *
+     * @returns {Promise<{ code: number, reason: string }>}
+     */
+    closed() {
+      return closed;
+    },
+  };
+}
+
+// Wait until a condition holds, for effects that happen after a response
+async function eventually(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await condition();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = {
+  startBackend,
+  eventually,
+  API_KEY,
+  USER_ID,
+  OTHER_API_KEY,
+  OTHER_USER_ID,
+  ADMIN_API_KEY,
+  ADMIN_USER_ID,
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+/*
+ * Tests of the history and export routes: sessions reported by the browser
+ * in direct mode, their exports, and that users only reach their own
+ * sessions while admins reach everyone's.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, USER_ID, OTHER_API_KEY, ADMIN_API_KEY } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend();
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+// Sessions start when their first message is reported
+const STARTED_AT = Date.now();
+
+// Report a message of a session as the browser does in direct mode
+function postMessage(id, message, options = {}) {
+  return backend.request(`/api/sessions/${id}/messages`, { json: message, ...options });
+}
+
+async function createSession(id) {
+  await postMessage(id, { role: 'agent', text: 'Hi, how can I help?', timestamp: STARTED_AT });
+  await postMessage(id, {
+    role: 'user',
+    text: 'What time is it?',
+    timestamp: STARTED_AT + 2000,
+    endTimestamp: STARTED_AT + 3500,
+  });
+}
+
+test('records reported messages as a session of the user', async () => {
+  await createSession('conv_record');
+  const response = await backend.request('/api/sessions/conv_record');
+  assert.equal(response.status, 200);
+  const { session } = await response.json();
+  assert.equal(session.userId, USER_ID);
+  assert.deepEqual(
+    session.messages.map(({ role, text }) => [role, text]),
+    [
+      ['agent', 'Hi, how can I help?'],
+      ['user', 'What time is it?'],
+    ],
+  );
+  assert.equal(session.messages[1].endTimestamp, STARTED_AT + 3500);
+
+  const { sessions } = await (await backend.request('/api/sessions')).json();
+  const summary = sessions.find(({ id }) => id === 'conv_record');
+  assert.equal(summary.messageCount, 2);
+  assert.equal(summary.preview, 'Hi, how can I help?');
+  assert.equal(summary.messages, undefined);
+});
+
+test('rejects malformed messages and session IDs', async () => {
+  assert.equal((await postMessage('conv_bad', { role: 'system', text: 'Hi' })).status, 400);
+  assert.equal((await postMessage('conv_bad', { role: 'user' })).status, 400);
+  assert.equal(
+    (await postMessage('conv_bad', { role: 'user', text: 'Hi', timestamp: 'noon' })).status,
+    400,
+  );
+  assert.equal((await backend.request('/api/sessions/not.an.id')).status, 400);
+  assert.equal((await backend.request('/api/sessions/conv_bad')).status, 404);
+});
+
+test('hides sessions from other users but not from admins', async () => {
+  await createSession('conv_private');
+  const asOther = { apiKey: OTHER_API_KEY };
+
+  const { sessions } = await (await backend.request('/api/sessions', asOther)).json();
+  assert.ok(!sessions.some(({ id }) => id === 'conv_private'));
+  assert.equal((await backend.request('/api/sessions/conv_private', asOther)).status, 404);
+  assert.equal((await backend.request('/api/sessions/conv_private/export', asOther)).status, 404);
+  const appended = await postMessage('conv_private', { role: 'user', text: 'Mine now' }, asOther);
+  assert.equal(appended.status, 404);
+  const deleted = await backend.request('/api/sessions/conv_private', {
+    method: 'DELETE',
+    ...asOther,
+  });
+  assert.equal(deleted.status, 404);
+
+  // The session is untouched, and admins can still review it
+  const asAdmin = { apiKey: ADMIN_API_KEY };
+  const response = await backend.request('/api/sessions/conv_private', asAdmin);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).session.messages.length, 2);
+  assert.equal((await backend.request('/api/sessions/conv_private/export', asAdmin)).status, 200);
+});
+
+test('deletes a session of the user', async () => {
+  await createSession('conv_delete');
+  const deleted = await backend.request('/api/sessions/conv_delete', { method: 'DELETE' });
+  assert.equal(deleted.status, 204);
+  assert.equal((await backend.request('/api/sessions/conv_delete')).status, 404);
+});
+
+test('exports a stored session in every format', async () => {
+  await createSession('conv_export');
+  const markdown = await backend.request('/api/sessions/conv_export/export');
+  assert.equal(markdown.status, 200);
+  assert.equal(markdown.headers.get('content-type'), 'text/markdown; charset=utf-8');
+  assert.equal(
+    markdown.headers.get('content-disposition'),
+    'attachment; filename="conv_export.md"',
+  );
+  assert.match(await markdown.text(), /What time is it\?/);
+
+  const srt = await backend.request('/api/sessions/conv_export/export?format=srt');
+  assert.match(await srt.text(), /\d\d:\d\d:\d\d,\d{3} --> .*\nUser: What time is it\?/);
+  const vtt = await backend.request('/api/sessions/conv_export/export?format=vtt');
+  assert.match(await vtt.text(), /^WEBVTT/);
+  const json = await backend.request('/api/sessions/conv_export/export?format=json');
+  assert.equal(json.headers.get('content-type'), 'application/json; charset=utf-8');
+
+  const unsupported = await backend.request('/api/sessions/conv_export/export?format=pdf');
+  assert.equal(unsupported.status, 400);
+});
+
+test('exports a posted transcript', async () => {
+  const response = await backend.request('/api/transcripts/export', {
+    json: {
+      format: 'vtt',
+      session: {
+        conversationId: 'conv_live',
+        startedAt: STARTED_AT,
+        messages: [{ role: 'agent', text: 'Still talking', timestamp: STARTED_AT }],
+      },
+    },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(
+    response.headers.get('content-disposition'),
+    'attachment; filename="conv_live.vtt"',
+  );
+  assert.match(await response.text(), /Still talking/);
+
+  const unsafe = {
+    startedAt: STARTED_AT,
+    messages: [
+      { role: 'user', text: 'First\n\n2\n00:00:01,000 --> 00:00:02,000\nFake <b>cue</b>' },
+    ],
+  };
+  const srt = await backend.request('/api/transcripts/export', {
+    json: { format: 'srt', session: unsafe },
+  });
+  // One cue, whose text can neither end it nor start another
+  assert.match(
+    await srt.text(),
+    /^1\n[\d:,]+ --> [\d:,]+\nUser: First\n2\n00:00:01,000 -> 00:00:02,000\nFake <b>cue<\/b>\n$/,
+  );
+  const vtt = await backend.request('/api/transcripts/export', {
+    json: { format: 'vtt', session: unsafe },
+  });
+  assert.match(
+    await vtt.text(),
+    /<v User>First\n2\n00:00:01,000 -&gt; 00:00:02,000\nFake &lt;b&gt;cue&lt;\/b&gt;\n$/,
+  );
+
+  const invalid = await backend.request('/api/transcripts/export', {
+    json: { session: { messages: [{ role: 'narrator', text: 'Once upon a time' }] } },
+  });
+  assert.equal(invalid.status, 400);
+});
\ No newline at end of file
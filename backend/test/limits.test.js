@@ -0,0 +1,93 @@
+/*
+ * Tests of the hourly rate limits (see middleware/rateLimit.js) and the
+ * monthly quotas (see services/quotas.js) on the endpoints that spend
+ * ElevenLabs credits, with small limits so they are reached quickly. The
+ * quotas come from fixtures/quotas.json, which gives the other test user
+ * tiny ones.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startBackend, eventually, OTHER_API_KEY, ADMIN_API_KEY } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({
+    env: {
+      SIGNED_URL_LIMIT: '2',
+      TTS_CHAR_LIMIT: '50',
+      QUOTAS_CONFIG: path.join(__dirname, 'fixtures', 'quotas.json'),
+    },
+  });
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+const tts = (text, options) => backend.request('/api/tts', { json: { text }, ...options });
+
+// The user's month-to-date usage once `ready` holds for it
+function usageWhen(ready, options) {
+  return eventually(async () => {
+    const { quotas } = await (await backend.request('/api/usage', options)).json();
+    return ready(quotas) ? quotas : null;
+  });
+}
+
+test('limits signed URLs per user', async () => {
+  assert.equal((await backend.request('/api/signed-url')).status, 200);
+  assert.equal((await backend.request('/api/signed-url')).status, 200);
+  const limited = await backend.request('/api/signed-url');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await limited.json()).code, 'rate_limited');
+
+  // Another user from the same address has a budget of their own
+  const other = await backend.request('/api/signed-url', { apiKey: ADMIN_API_KEY });
+  assert.equal(other.status, 200);
+});
+
+test('charges TTS requests by their length', async () => {
+  const tooLarge = await tts('x'.repeat(51), { apiKey: ADMIN_API_KEY });
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).code, 'too_large');
+
+  assert.equal((await tts('a'.repeat(30), { apiKey: ADMIN_API_KEY })).status, 200);
+  const limited = await tts('b'.repeat(30), { apiKey: ADMIN_API_KEY });
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).code, 'rate_limited');
+});
+
+test('blocks TTS once the monthly character quota is used up', async () => {
+  const asOther = { apiKey: OTHER_API_KEY };
+  assert.equal((await tts('Hello', asOther)).status, 200);
+  const quotas = await usageWhen((usage) => usage.ttsCharacters.used === 5, asOther);
+  assert.deepEqual(quotas.ttsCharacters, { used: 5, limit: 10 });
+
+  const exceeded = await tts('Hello again', asOther);
+  assert.equal(exceeded.status, 429);
+  assert.ok(Number(exceeded.headers.get('retry-after')) > 0);
+  const body = await exceeded.json();
+  assert.equal(body.code, 'quota_exceeded');
+  assert.equal(body.quota, 'ttsCharacters');
+  // What is left can still be used
+  assert.equal((await tts('Bye', asOther)).status, 200);
+});
+
+test('blocks signed URLs once the monthly quota is used up', async () => {
+  const asOther = { apiKey: OTHER_API_KEY };
+  assert.equal((await backend.request('/api/signed-url', asOther)).status, 200);
+  await usageWhen((usage) => usage.signedUrls.used === 1, asOther);
+  const exceeded = await backend.request('/api/signed-url', asOther);
+  assert.equal(exceeded.status, 429);
+  assert.equal((await exceeded.json()).quota, 'signedUrls');
+});
+
+test('reports unlimited quotas as null', async () => {
+  const { quotas } = await (await backend.request('/api/usage')).json();
+  assert.equal(quotas.conversationMinutes.limit, null);
+  assert.equal(quotas.ttsCharacters.limit, 1000);
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+/*
+ * End-to-end tests with the offline mock provider (SPEECH_PROVIDER=mock):
+ * conversations with the mock agent the backend serves itself, held directly
+ * from a signed URL and through the relay, down to their stored transcripts
+ * and metered minutes.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { startBackend, eventually } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ env: { SPEECH_PROVIDER: 'mock' } });
+  // The mock agent is served on the backend's own, random port
+  process.env.MOCK_AGENT_URL = `${backend.baseUrl.replace(/^http/, 'ws')}/mock/convai`;
+});
+
+after(async () => {
+  delete process.env.MOCK_AGENT_URL;
+  await backend.stop();
+});
+
+const ofType = (type) => (event) => event.type === type;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collect the JSON events of a socket to the mock agent
+function recordEvents(ws) {
+  const events = [];
+  ws.on('message', (raw) => events.push(JSON.parse(raw.toString())));
+  return {
+    waitFor: (predicate) => eventually(() => events.find(predicate)),
+  };
+}
+
+// The transcript of a stored session once it holds `count` messages
+function storedTranscript(id, count) {
+  return eventually(async () => {
+    const response = await backend.request(`/api/sessions/${id}`);
+    if (response.status !== 200) return null;
+    const { session } = await response.json();
+    if (session.messages.length < count) return null;
+    return session.messages.map(({ role, text }) => [role, text]);
+  });
+}
+
+test('holds a direct conversation from a signed URL', async () => {
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 200);
+  const { signedUrl } = await response.json();
+  assert.match(signedUrl, /\/mock\/convai\?token=[0-9a-f]+$/);
+
+  // Talk to the mock agent as the browser does, reporting each message
+  const ws = new WebSocket(signedUrl);
+  const connection = recordEvents(ws);
+  await once(ws, 'open');
+  ws.send(JSON.stringify({ type: 'conversation_initiation_client_data' }));
+  const metadata = await connection.waitFor(ofType('conversation_initiation_metadata'));
+  const id = metadata.conversation_initiation_metadata_event.conversation_id;
+  assert.match(id, /^mock_/);
+  const greeting = await connection.waitFor(ofType('agent_response'));
+  await connection.waitFor(ofType('audio'));
+  ws.send(JSON.stringify({ type: 'user_message', text: 'Testing, testing' }));
+  const reply = await connection.waitFor((event) =>
+    event.agent_response_event?.agent_response.includes('Testing, testing'),
+  );
+  ws.close();
+  await once(ws, 'close');
+
+  const messages = [
+    { role: 'agent', text: greeting.agent_response_event.agent_response },
+    { role: 'user', text: 'Testing, testing' },
+    { role: 'agent', text: reply.agent_response_event.agent_response },
+  ];
+  for (const message of messages) {
+    const reported = await backend.request(`/api/sessions/${id}/messages`, { json: message });
+    assert.equal(reported.status, 201);
+  }
+  assert.deepEqual(
+    await storedTranscript(id, 3),
+    messages.map(({ role, text }) => [role, text]),
+  );
+
+  // The conversation was issued to the user, so its minutes can be metered
+  const metered = await eventually(async () => {
+    const meter = await backend.request(`/api/usage/conversations/${id}`, { method: 'POST' });
+    return meter.status === 409 ? null : meter;
+  });
+  assert.equal(metered.status, 201);
+  assert.equal((await metered.json()).metered, true);
+});
+
+test('holds a relayed conversation and stores its transcript', async () => {
+  const connection = await backend.connect();
+  connection.send({ type: 'conversation_initiation_client_data' });
+  const metadata = await connection.waitFor(ofType('conversation_initiation_metadata'));
+  const id = metadata.conversation_initiation_metadata_event.conversation_id;
+  assert.match(id, /^mock_/);
+  await connection.waitFor(ofType('agent_response'));
+  connection.send({ type: 'user_message', text: 'Through the relay' });
+  await connection.waitFor((event) =>
+    event.agent_response_event?.agent_response.includes('Through the relay'),
+  );
+  connection.ws.close();
+
+  const transcript = await storedTranscript(id, 3);
+  assert.deepEqual(transcript[1], ['user', 'Through the relay']);
+  assert.match(transcript[2][1], /Loud and clear\. You said: "Through the relay"/);
+});
+
+test('forgets ended conversations after a day', async () => {
+  const { getMockConversation, pruneConversations } = require('../providers/mockAgent');
+  const connection = await backend.connect();
+  const metadata = await connection.waitFor(ofType('conversation_initiation_metadata'));
+  const id = metadata.conversation_initiation_metadata_event.conversation_id;
+  connection.ws.close();
+  await eventually(() => getMockConversation(id)?.durationSecs !== null);
+
+  pruneConversations(Date.now() + DAY_MS / 2);
+  assert.ok(getMockConversation(id));
+  pruneConversations(Date.now() + DAY_MS + 1000);
+  assert.equal(getMockConversation(id), null);
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+/*
+ * Tests of the recording routes: metadata, WAV downloads and deletion of
+ * recordings, which users only reach for their own conversations while
+ * admins reach everyone's. Recordings are written straight to the store
+ * here; relay.test.js covers how conversations get recorded.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, USER_ID, OTHER_API_KEY, ADMIN_API_KEY } = require('./helpers');
+
+let backend;
+let recordingStore;
+
+before(async () => {
+  backend = await startBackend({ env: { RECORDING_ENABLED: 'true' } });
+  // Loaded after startBackend so it sees the test's RECORDINGS_DIR
+  recordingStore = require('../services/recordingStore');
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+const SAMPLE_RATE = 16000;
+// One second of silent 16 kHz PCM
+const ONE_SECOND = Buffer.alloc(SAMPLE_RATE * 2);
+
+// Record a second of the user and half a second of the agent
+async function createRecording(id) {
+  const startedAt = Date.now();
+  const recorder = await recordingStore.openRecording(id, { userId: USER_ID, startedAt });
+  await recorder.append('user', ONE_SECOND, SAMPLE_RATE, startedAt);
+  await recorder.append('agent', ONE_SECOND.subarray(SAMPLE_RATE), SAMPLE_RATE, startedAt);
+  await recorder.finish();
+}
+
+test('reports the recording policy', async () => {
+  const response = await backend.request('/api/recordings/policy');
+  assert.deepEqual(await response.json(), { enabled: true, retentionDays: 30 });
+});
+
+test('returns the metadata of a recording', async () => {
+  await createRecording('conv_meta');
+  const response = await backend.request('/api/recordings/conv_meta');
+  assert.equal(response.status, 200);
+  const { recording } = await response.json();
+  assert.equal(recording.userId, USER_ID);
+  assert.deepEqual(recording.tracks, {
+    user: { sampleRate: SAMPLE_RATE, durationMs: 1000 },
+    agent: { sampleRate: SAMPLE_RATE, durationMs: 500 },
+  });
+
+  const { recordings } = await (await backend.request('/api/recordings')).json();
+  assert.ok(recordings.some(({ id }) => id === 'conv_meta'));
+});
+
+test('downloads each side as a WAV file', async () => {
+  await createRecording('conv_wav');
+  const response = await backend.request('/api/recordings/conv_wav/user.wav');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'audio/wav');
+  assert.equal(Number(response.headers.get('content-length')), 44 + ONE_SECOND.length);
+  const wav = Buffer.from(await response.arrayBuffer());
+  assert.equal(wav.length, 44 + ONE_SECOND.length);
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+  assert.equal(wav.readUInt32LE(24), SAMPLE_RATE);
+  assert.equal(wav.readUInt32LE(40), ONE_SECOND.length);
+
+  const agent = await backend.request('/api/recordings/conv_wav/agent.wav');
+  assert.equal((await agent.arrayBuffer()).byteLength, 44 + ONE_SECOND.length / 2);
+});
+
+test('downloads a side with no audio as a bare WAV header', async () => {
+  const startedAt = Date.now();
+  const recorder = await recordingStore.openRecording('conv_empty', { userId: USER_ID, startedAt });
+  await recorder.append('user', ONE_SECOND, SAMPLE_RATE, startedAt);
+  await recorder.truncate('user', startedAt);
+  await recorder.finish();
+
+  const response = await backend.request('/api/recordings/conv_empty/user.wav');
+  assert.equal(response.status, 200);
+  assert.equal(Number(response.headers.get('content-length')), 44);
+  const wav = Buffer.from(await response.arrayBuffer());
+  assert.equal(wav.length, 44);
+  assert.equal(wav.readUInt32LE(40), 0);
+});
+
+test('rejects invalid sides and recording IDs', async () => {
+  await createRecording('conv_sides');
+  const both = await backend.request('/api/recordings/conv_sides/both.wav');
+  assert.equal(both.status, 404);
+  assert.equal((await both.json()).error, 'Track not found');
+  assert.equal((await backend.request('/api/recordings/not.an.id')).status, 400);
+  assert.equal((await backend.request('/api/recordings/conv_missing')).status, 404);
+});
+
+test('hides recordings from other users but not from admins', async () => {
+  await createRecording('conv_private');
+  const asOther = { apiKey: OTHER_API_KEY };
+  assert.equal((await backend.request('/api/recordings/conv_private', asOther)).status, 404);
+  const wav = await backend.request('/api/recordings/conv_private/user.wav', asOther);
+  assert.equal(wav.status, 404);
+  const deleted = await backend.request('/api/recordings/conv_private', {
+    method: 'DELETE',
+    ...asOther,
+  });
+  assert.equal(deleted.status, 404);
+  const { recordings } = await (await backend.request('/api/recordings', asOther)).json();
+  assert.ok(!recordings.some(({ id }) => id === 'conv_private'));
+
+  const asAdmin = { apiKey: ADMIN_API_KEY };
+  assert.equal((await backend.request('/api/recordings/conv_private', asAdmin)).status, 200);
+  const adminWav = await backend.request('/api/recordings/conv_private/agent.wav', asAdmin);
+  assert.equal(adminWav.status, 200);
+  await adminWav.arrayBuffer();
+});
+
+test('deletes a recording of the user', async () => {
+  await createRecording('conv_delete');
+  const deleted = await backend.request('/api/recordings/conv_delete', { method: 'DELETE' });
+  assert.equal(deleted.status, 204);
+  assert.equal((await backend.request('/api/recordings/conv_delete')).status, 404);
+  assert.equal((await backend.request('/api/recordings/conv_delete/user.wav')).status, 404);
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+/*
+ * Tests of the retries, timeouts and circuit breaker around ElevenLabs
+ * calls (see services/upstreamClient.js), with short limits so the breaker
+ * opens and resets quickly.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { startBackend } = require('./helpers');
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({
+    env: {
+      ELEVENLABS_RETRIES: '1',
+      ELEVENLABS_TIMEOUT_MS: '200',
+      ELEVENLABS_BREAKER_THRESHOLD: '2',
+      ELEVENLABS_BREAKER_RESET_SECONDS: '1',
+    },
+  });
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+const signedUrlCalls = () =>
+  backend.fake.requests.filter((call) => call.endpoint === 'signed_url').length;
+
+// Start every test with a closed breaker and no failures counted, whatever
+// the tests before it left behind. A successful call resets the count; an
+// open breaker lets one through once its reset period is over.
+beforeEach(async () => {
+  backend.fake.reset();
+  while ((await backend.request('/api/signed-url')).status !== 200) {
+    await delay(1100);
+  }
+  backend.fake.reset();
+});
+
+test('retries a busy ElevenLabs once', async () => {
+  backend.fake.failNext('signed_url', { status: 429, headers: { 'Retry-After': '0' } });
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 200);
+  assert.equal(signedUrlCalls(), 2);
+});
+
+test('does not retry a rejected request', async () => {
+  backend.fake.failNext('signed_url', { status: 401 });
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 401);
+  assert.equal(signedUrlCalls(), 1);
+});
+
+test('gives up on a hanging ElevenLabs after the timeout', async () => {
+  backend.fake.hangNext('signed_url');
+  const startedAt = Date.now();
+  const response = await backend.request('/api/signed-url');
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).code, 'upstream_unavailable');
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(signedUrlCalls(), 1);
+});
+
+test('opens the breaker after repeated outages and closes it again', async () => {
+  // Two calls that fail even after their retry
+  for (let i = 0; i < 4; i += 1) backend.fake.failNext('signed_url', { status: 500 });
+  assert.equal((await backend.request('/api/signed-url')).status, 503);
+  assert.equal((await backend.request('/api/signed-url')).status, 503);
+  assert.equal(signedUrlCalls(), 4);
+
+  // While open, calls fail without reaching ElevenLabs
+  backend.fake.reset();
+  const rejected = await backend.request('/api/signed-url');
+  assert.equal(rejected.status, 503);
+  assert.equal(rejected.headers.get('retry-after'), '1');
+  assert.equal(signedUrlCalls(), 0);
+
+  // After the reset period a trial call goes through and closes it
+  await delay(1100);
+  assert.equal((await backend.request('/api/signed-url')).status, 200);
+  assert.equal((await backend.request('/api/signed-url')).status, 200);
+  assert.equal(signedUrlCalls(), 2);
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+/*
+ * Tests of the server tool webhooks (see routes/tools.js). The agent calls
+ * them over plain HTTP with the shared webhook secret instead of a user's
+ * API key.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./helpers');
+
+const SECRET = 'test-webhook-secret';
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ env: { TOOLS_WEBHOOK_SECRET: SECRET } });
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+// Call a tool webhook as the agent does
+function callTool(route, { secret = SECRET, body } = {}) {
+  return fetch(`${backend.baseUrl}/api/tools${route}`, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers: {
+      ...(secret && { Authorization: `Bearer ${secret}` }),
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) }),
+  });
+}
+
+test('requires the webhook secret', async () => {
+  assert.equal((await callTool('/')).status, 200);
+  assert.equal((await callTool('/', { secret: null })).status, 401);
+  assert.equal((await callTool('/', { secret: 'wrong-secret' })).status, 401);
+  // A user's API key is no substitute
+  const withApiKey = await backend.request('/api/tools');
+  assert.equal(withApiKey.status, 401);
+});
+
+test('lists the registered tools with their schemas', async () => {
+  const { tools } = await (await callTool('/')).json();
+  const tool = tools.find(({ name }) => name === 'get_current_time');
+  assert.ok(tool.description);
+  assert.equal(tool.parameters.type, 'object');
+});
+
+test('runs a tool with schema defaults filled in', async () => {
+  const response = await callTool('/get_current_time', { body: {} });
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.timezone, 'UTC');
+  assert.ok(Math.abs(Date.parse(result.iso) - Date.now()) < 5000);
+
+  const amsterdam = await callTool('/get_current_time', {
+    body: { timezone: 'Europe/Amsterdam' },
+  });
+  assert.equal((await amsterdam.json()).timezone, 'Europe/Amsterdam');
+});
+
+test('rejects parameters that do not match the schema', async () => {
+  const response = await callTool('/get_current_time', { body: { timezone: 42 } });
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.equal(body.error, 'Invalid tool parameters');
+  assert.deepEqual(body.details, ['/timezone must be string']);
+
+  const extra = await callTool('/get_current_time', { body: { city: 'Paris' } });
+  assert.equal(extra.status, 400);
+});
+
+test('answers 404 for unknown tools', async () => {
+  const response = await callTool('/launch_rockets', { body: {} });
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error, 'Unknown tool: launch_rockets');
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+/*
+ * Tests of conversation metering in direct mode (see
+ * services/conversationMeter.js): conversations are metered for the user
+ * their signed URL was issued to, whether or not the browser reports them,
+ * and old usage is pruned.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { startBackend, eventually, USER_ID, OTHER_API_KEY } = require('./helpers');
+
+let backend;
+let usageStore;
+let meterUnreported;
+
+before(async () => {
+  backend = await startBackend();
+  usageStore = require('../services/usageStore');
+  ({ meterUnreported } = require('../services/conversationMeter'));
+});
+
+after(async () => {
+  await backend.stop();
+});
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Get a signed URL as the test user, without starting the conversation
+async function issueConversation() {
+  const { signedUrl } = await (await backend.request('/api/signed-url')).json();
+  return { signedUrl, id: new URL(signedUrl).searchParams.get('conversation_id') };
+}
+
+// Talk to the agent directly, as the browser does, until its greeting
+async function holdConversation(signedUrl) {
+  const ws = new WebSocket(signedUrl);
+  await once(ws, 'message');
+  ws.close();
+  await once(ws, 'close');
+}
+
+const report = (id, options) =>
+  backend.request(`/api/usage/conversations/${id}`, { method: 'POST', ...options });
+
+test('meters a conversation for the user it was issued to', async () => {
+  const { signedUrl, id } = await issueConversation();
+  assert.match(id, /^conv_/);
+  await holdConversation(signedUrl);
+  await eventually(() => backend.fake.conversations.get(id)?.ended);
+
+  // Knowing the ID is not enough to have it metered for someone else
+  assert.equal((await report(id, { apiKey: OTHER_API_KEY })).status, 404);
+
+  const metered = await report(id);
+  assert.equal(metered.status, 201);
+  assert.equal((await metered.json()).metered, true);
+  const again = await report(id);
+  assert.equal(again.status, 200);
+  assert.equal((await again.json()).metered, false);
+});
+
+test('refuses conversations the backend did not issue', async () => {
+  backend.fake.reset();
+  assert.equal((await report('conv_from_elsewhere')).status, 404);
+  assert.ok(!backend.fake.requests.some(({ endpoint }) => endpoint === 'conversation'));
+});
+
+test('meters issued conversations the browser never reports', async () => {
+  const { signedUrl, id } = await issueConversation();
+  await holdConversation(signedUrl);
+  // The browser gets a few minutes to report it first
+  assert.equal(await meterUnreported(), 0);
+  assert.equal(await meterUnreported(Date.now() + 3 * MINUTE_MS), 1);
+  assert.equal((await (await report(id)).json()).metered, false);
+});
+
+test('stops tracking issued conversations that never start', async () => {
+  const { id } = await issueConversation();
+  assert.equal(await usageStore.getConversationOwner(id), USER_ID);
+  await meterUnreported(Date.now() + 10 * MINUTE_MS);
+  assert.equal(await usageStore.getConversationOwner(id), USER_ID);
+  await meterUnreported(Date.now() + 2 * 60 * MINUTE_MS);
+  assert.equal(await usageStore.getConversationOwner(id), null);
+});
+
+test('prunes usage past the retention period', async () => {
+  const longAgo = Date.now() - 500 * DAY_MS;
+  await usageStore.recordUsage(USER_ID, { ttsCharacters: 3 }, longAgo);
+  assert.equal((await usageStore.getMonthlyUsage(USER_ID, longAgo)).ttsCharacters, 3);
+  // Pruning happens as a new day starts
+  await usageStore.recordUsage(USER_ID, { ttsCharacters: 1 }, Date.now() + DAY_MS);
+  assert.equal((await usageStore.getMonthlyUsage(USER_ID, longAgo)).ttsCharacters, 0);
+});
\ No newline at end of file
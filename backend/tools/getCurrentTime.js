@@ -0,0 +1,30 @@
+/*
+ * Example server tool that tells the agent the current date and time,
+ * optionally in a given IANA time zone.
+ */
+
+module.exports = {
+  name: 'get_current_time',
+  description: 'Returns the current date and time, optionally in a specific IANA time zone.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone name, e.g. Europe/Amsterdam. Defaults to UTC.',
+        default: 'UTC',
+      },
+    },
+    additionalProperties: false,
+  },
+  async handler({ timezone }) {
+    const now = new Date();
+    let formatted;
+    try {
+      formatted = now.toLocaleString('en-GB', { timeZone: timezone, dateStyle: 'full', timeStyle: 'long' });
+    } catch (error) {
+      return { error: `Unknown time zone: ${timezone}` };
+    }
+    return { iso: now.toISOString(), timezone, formatted };
+  },
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+/*
+ * Registry of server-side tools that the ElevenLabs agent can call through
+ * webhooks. Every other module in this directory defines one tool and exports
+ * an object with:
+ *
+ * - `name` – the tool name configured on the agent.
+ * - `description` – a short explanation, shown in the tool listing.
+ * - `parameters` – a JSON schema describing the request body.
+ * - `handler(params, context)` – an async function returning a JSON-serializable
+ *   result.
+ *
+ * Tools run on the server, so they may use secrets and databases that must
+ * never reach the browser. Parameters are validated against the schema before
+ * the handler is invoked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: false });
+
+/**
+ * Load and validate every tool module in a directory.
+ *
+ * @param {string} [dir] The directory to scan. Defaults to this directory.
+ * @returns {Map<string, Object>} The tools keyed by name, each with a compiled
+ *   `validate` function added.
+ */
+function loadTools(dir = __dirname) {
+  const tools = new Map();
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.js') && file !== 'index.js')
+    .forEach((file) => {
+      const tool = require(path.join(dir, file));
+      if (!tool.name || typeof tool.handler !== 'function' || !tool.parameters) {
+        throw new Error(`Tool module ${file} must export name, parameters and handler`);
+      }
+      if (tools.has(tool.name)) {
+        throw new Error(`Duplicate tool name: ${tool.name}`);
+      }
+      tools.set(tool.name, { ...tool, validate: ajv.compile(tool.parameters) });
+    });
+  return tools;
+}
+
+const tools = loadTools();
+
+/**
+ * Look up a tool by name.
+ *
+ * @param {string} name The tool name.
+ * @returns {Object|undefined} The tool, if registered.
+ */
+function getTool(name) {
+  return tools.get(name);
+}
+
+/**
+ * Describe the registered tools for configuring them on the agent.
+ *
+ * @returns {Array<{ name: string, description: string, parameters: Object }>}
+ */
+function listTools() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    name,
+    description: description || '',
+    parameters,
+  }));
+}
+
+module.exports = {
+  loadTools,
+  getTool,
+  listTools,
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * Picker for the agent to talk to, listing the agents from GET /api/agents
+ * by their display name. The selected agent's avatar is shown next to it.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.agents - The agents as
+ *   `{ name, displayName, avatar }`.
+ * @param {string} props.value - The selected agent name.
+ * @param {Function} props.onChange - Called with the new agent name.
+ * @param {boolean} props.disabled - Whether the agent can be changed.
+ */
+export default function AgentPicker({ agents, value, onChange, disabled }) {
+  const selected = agents.find((agent) => agent.name === value);
+  return (
+    <label className="flex items-center space-x-2 text-sm text-gray-600">
+      {selected?.avatar && (
+        <img src={selected.avatar} alt="" className="w-6 h-6 rounded-full object-cover" />
+      )}
+      <span className="sr-only">Agent</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="border rounded-md px-2 py-1 text-gray-700"
+      >
+        {agents.map((agent) => (
+          <option key={agent.name} value={agent.name}>
+            {agent.displayName}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
\ No newline at end of file
@@ -1,44 +1,90 @@
 import { useState, useCallback } from 'react';
 import MessageBubble from './MessageBubble';
 import VoiceVisualizer from './VoiceVisualizer';
+import MicControls from './MicControls';
+import HistorySidebar from './HistorySidebar';
+import ExportMenu from './ExportMenu';
+import SettingsPanel from './SettingsPanel';
+import AgentPicker from './AgentPicker';
+import RecordingConsent from './RecordingConsent';
 import { useConversation } from '../utils/useConversation';
+import { useHistory } from '../utils/useHistory';
+import { useConversationSettings } from '../utils/useConversationSettings';
+import { useAgents } from '../utils/useAgents';
+import { useRecordingPolicy } from '../utils/useRecordingPolicy';
+import { useSpeech } from '../utils/useSpeech';
+import { useVoices } from '../utils/useVoices';
+import { buildAudioBundle, downloadBlob, downloadTranscript } from '../utils/exportTranscript';
+
+// Status banner text per connection state; no banner is shown otherwise
+const CONNECTION_MESSAGES = {
+  connecting: 'Connecting to the agent…',
+  reconnecting: 'Connection lost. Reconnecting…',
+  failed: 'Could not reach the agent. Press Talk or send a message to try again.',
+};
 
 /**
- * Chat component combines the user interface for interacting with the
- * conversational agent. It displays a scrollable list of messages, a text
- * input field for fallback text entry, and controls for starting/stopping
- * voice conversations. When recording, a waveform visualizer is shown.
+ * The chat with the agent: the messages of the conversation, a text input
+ * and the voice controls, with the agent picker, settings, history and
+ * export around them. Banners report the connection state, and whether the
+ * conversation is recorded; recording starts only once the user agreed.
+ *
+ * @param {Object} props
+ * @param {Function} [props.onLogout] - Signs the user out.
+ * @param {Object} [props.initialSettings] - Conversation settings to start
+ *   from, see `conversationSettings.js`.
+ * @param {string} [props.agent] - The agent name; the default agent when
+ *   omitted.
+ * @param {Function} [props.onAgentChange] - Called with the name of the
+ *   agent picked in the header.
  */
-export default function Chat() {
+export default function Chat({ onLogout, initialSettings, agent, onAgentChange }) {
+  const { settings, setSettings, options: settingsOptions } = useConversationSettings({
+    agent,
+    initialSettings,
+  });
+  const recordingPolicy = useRecordingPolicy();
+  const [isRecordingAgreed, setIsRecordingAgreed] = useState(false);
+  const [isConsentOpen, setIsConsentOpen] = useState(false);
+  const record = Boolean(recordingPolicy?.enabled) && isRecordingAgreed;
   const {
     messages,
     isRecording,
+    conversationId,
+    sessionStartedAt,
+    outputAnalyser,
+    microphone,
+    connectionState,
+    error: conversationError,
     startConversation,
     stopConversation,
     sendTextMessage,
-  } = useConversation();
+    getAgentAudio,
+  } = useConversation({ agent, settings, record });
   const [textInput, setTextInput] = useState('');
-  const [audioStream, setAudioStream] = useState(null);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [viewedSession, setViewedSession] = useState(null);
+  const history = useHistory();
+  const speech = useSpeech();
+  const { voices: voiceCatalog } = useVoices();
+  const { agents, defaultAgent, isLoading: isLoadingAgents } = useAgents();
+  const agentName = agent || defaultAgent;
+  const currentAgent = agents.find((entry) => entry.name === agentName);
+  // Speech options for reading messages aloud in the selected voice, or else
+  // the agent's voice
+  const speechOptions = settings.voiceId ? { agent, voiceId: settings.voiceId } : { agent };
+  const { refresh: refreshHistory, loadSession, deleteSession } = history;
 
-  // Start or stop voice conversation. When starting, request a microphone
-  // stream for visualization. When stopping, clean up the stream.
-  const handleToggleRecording = useCallback(async () => {
+  // Start or stop a voice conversation. The conversation opens the
+  // microphone itself and shares it with the visualizer.
+  const handleToggleRecording = useCallback(() => {
     if (isRecording) {
       stopConversation();
-      if (audioStream) {
-        audioStream.getTracks().forEach((t) => t.stop());
-        setAudioStream(null);
-      }
     } else {
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        setAudioStream(stream);
-      } catch (error) {
-        console.error('Microphone access denied:', error);
-      }
       startConversation();
     }
-  }, [isRecording, audioStream, startConversation, stopConversation]);
+  }, [isRecording, startConversation, stopConversation]);
 
   // Submit a text message to the backend and clear the input
   const handleSubmit = useCallback(
@@ -53,45 +99,299 @@ export default function Chat() {
     [textInput, sendTextMessage],
   );
 
-  return (
-    <div className="flex flex-col h-full w-full max-w-2xl mx-auto bg-white rounded-md shadow-lg overflow-hidden">
-      {/* Messages list */}
-      <div className="flex-1 overflow-y-auto p-4 bg-gray-50">
-        {messages.map((msg, idx) => (
-          <MessageBubble key={idx} message={msg} />
-        ))}
+  // Show or hide the history sidebar, refreshing the list when it opens
+  const handleToggleHistory = useCallback(() => {
+    if (!isHistoryOpen) refreshHistory();
+    setIsHistoryOpen(!isHistoryOpen);
+  }, [isHistoryOpen, refreshHistory]);
+
+  // Open a past session read-only in place of the live chat
+  const handleSelectSession = useCallback(
+    async (id) => {
+      const session = await loadSession(id);
+      if (session) setViewedSession(session);
+    },
+    [loadSession],
+  );
+
+  // Delete a past session, leaving read-only view if it was open
+  const handleDeleteSession = useCallback(
+    async (id) => {
+      await deleteSession(id);
+      if (viewedSession?.id === id) setViewedSession(null);
+    },
+    [deleteSession, viewedSession],
+  );
+
+  // Why the conversation failed, when the backend gave a reason
+  const failureMessage =
+    conversationError && conversationError.code !== 'unknown'
+      ? conversationError.message
+      : CONNECTION_MESSAGES.failed;
+
+  const isReadOnly = Boolean(viewedSession);
+  const visibleMessages = isReadOnly ? viewedSession.messages : messages;
+
+  // Download the displayed conversation, plus the agent audio when requested.
+  // Audio is only kept for the live conversation.
+  const handleExport = useCallback(
+    async (format, includeAudio) => {
+      // Text of a turn still in progress may yet change, so it is left out
+      const session = viewedSession || {
+        conversationId,
+        startedAt: sessionStartedAt,
+        messages: messages.filter((msg) => !msg.tentative),
+      };
+      try {
+        await downloadTranscript(session, format);
+        if (includeAudio) {
+          const { chunks, format: audioFormat } = getAgentAudio();
+          if (chunks.length) {
+            const { blob, extension } = buildAudioBundle(chunks, audioFormat);
+            downloadBlob(blob, `${conversationId || 'conversation'}-agent.${extension}`);
+          }
+        }
+      } catch (error) {
+        console.error('Failed to export conversation:', error);
+      }
+    },
+    [viewedSession, conversationId, sessionStartedAt, messages, getAgentAudio],
+  );
+
+  const isIdle = connectionState === 'idle' || connectionState === 'failed';
+
+  if (agent && !isLoadingAgents && agents.length > 0 && !currentAgent) {
+    return (
+      <div className="w-full max-w-md mx-auto bg-white rounded-md shadow-lg p-6 text-center">
+        <p className="text-gray-700">There is no agent called “{agent}”.</p>
+        {onAgentChange && defaultAgent && (
+          <button
+            type="button"
+            onClick={() => onAgentChange(defaultAgent)}
+            className="mt-4 px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition"
+          >
+            Talk to {agents.find((entry) => entry.name === defaultAgent)?.displayName}
+          </button>
+        )}
       </div>
+    );
+  }
 
-      {/* Audio visualizer when recording */}
-      {isRecording && audioStream && (
-        <div className="px-4 py-2 bg-gray-100">
-          <VoiceVisualizer stream={audioStream} />
-        </div>
+  return (
+    <div className="flex h-full w-full max-w-4xl mx-auto bg-white rounded-md shadow-lg overflow-hidden">
+      {isHistoryOpen && (
+        <HistorySidebar
+          sessions={history.sessions}
+          isLoading={history.isLoading}
+          activeId={viewedSession?.id || null}
+          onSelect={handleSelectSession}
+          onDelete={handleDeleteSession}
+        />
       )}
 
-      {/* Input area */}
-      <form onSubmit={handleSubmit} className="flex items-center p-3 bg-white border-t">
-        <input
-          type="text"
-          className="flex-1 border rounded-md px-3 py-2 mr-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-          placeholder="Type your message..."
-          value={textInput}
-          onChange={(e) => setTextInput(e.target.value)}
+      <div className="flex flex-col flex-1 min-w-0">
+        {/* Header with the agent, history and settings toggles and export controls */}
+        <div className="flex items-center justify-between px-4 py-2 border-b">
+          <div className="flex items-center space-x-4">
+            {agents.length > 1 && onAgentChange && (
+              <AgentPicker
+                agents={agents}
+                value={agentName}
+                onChange={onAgentChange}
+                disabled={!isIdle}
+              />
+            )}
+            {agents.length > 1 && !onAgentChange && currentAgent && (
+              <span className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+                {currentAgent.avatar && (
+                  <img
+                    src={currentAgent.avatar}
+                    alt=""
+                    className="w-6 h-6 rounded-full object-cover"
+                  />
+                )}
+                <span>{currentAgent.displayName}</span>
+              </span>
+            )}
+            <button
+              type="button"
+              onClick={handleToggleHistory}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              {isHistoryOpen ? 'Hide history' : 'History'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              {isSettingsOpen ? 'Hide settings' : 'Settings'}
+            </button>
+            {recordingPolicy?.enabled && !isReadOnly && (
+              <button
+                type="button"
+                onClick={() =>
+                  isRecordingAgreed ? setIsRecordingAgreed(false) : setIsConsentOpen(true)
+                }
+                disabled={!isIdle}
+                aria-pressed={isRecordingAgreed}
+                className={`text-sm disabled:opacity-50 ${
+                  isRecordingAgreed ? 'text-red-600' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {isRecordingAgreed ? '● Record' : 'Record'}
+              </button>
+            )}
+          </div>
+          <div className="flex items-center space-x-4">
+            <ExportMenu
+              onExport={handleExport}
+              hasAudio={!isReadOnly && messages.some((msg) => msg.role === 'agent')}
+              disabled={visibleMessages.length === 0}
+            />
+            {isReadOnly && (
+              <button
+                type="button"
+                onClick={() => setViewedSession(null)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Back to live chat
+              </button>
+            )}
+            {onLogout && (
+              <button
+                type="button"
+                onClick={() => {
+                  stopConversation();
+                  onLogout();
+                }}
+                className="text-sm text-gray-600 hover:text-gray-900"
+              >
+                Sign out
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Read-only banner for past sessions */}
+        {isReadOnly && (
+          <div className="px-4 py-2 text-sm bg-yellow-50 text-yellow-800 border-b">
+            Viewing a past conversation from {new Date(viewedSession.startedAt).toLocaleString()}
+          </div>
+        )}
+
+        {/* Per-session overrides for the next live conversation */}
+        {isSettingsOpen && !isReadOnly && (
+          <SettingsPanel
+            options={settingsOptions}
+            settings={settings}
+            onChange={setSettings}
+            disabled={!isIdle}
+            voiceCatalog={voiceCatalog}
+            isPreviewing={speech.speakingId === 'preview'}
+            onPreview={(voiceId, text) => speech.speak('preview', text, { voiceId })}
+            onStopPreview={speech.stop}
+          />
+        )}
+
+        {/* Recording notice for the live conversation */}
+        {!isReadOnly && record && connectionState === 'connected' && (
+          <div className="px-4 py-2 text-sm bg-red-50 text-red-800 border-b">
+            ● This conversation is being recorded.
+          </div>
+        )}
+
+        {/* Connection status banner for the live conversation */}
+        {!isReadOnly && CONNECTION_MESSAGES[connectionState] && (
+          <div
+            className={`px-4 py-2 text-sm border-b ${
+              connectionState === 'failed'
+                ? 'bg-red-50 text-red-800'
+                : 'bg-blue-50 text-blue-800'
+            }`}
+          >
+            {connectionState === 'failed' ? failureMessage : CONNECTION_MESSAGES[connectionState]}
+          </div>
+        )}
+
+        {/* Messages list */}
+        <div className="flex-1 overflow-y-auto p-4 bg-gray-50">
+          {visibleMessages.map((msg, idx) => {
+            // Keyed like the bubble, so the speaking message stays marked when
+            // messages before it come and go
+            const messageKey = msg.id ?? idx;
+            return (
+              <MessageBubble
+                key={messageKey}
+                message={msg}
+                isSpeaking={speech.speakingId === messageKey}
+                onSpeak={() => speech.speak(messageKey, msg.text, speechOptions)}
+                onStopSpeaking={speech.stop}
+              />
+            );
+          })}
+        </div>
+
+        {/* Why a message could not be read aloud */}
+        {speech.error && (
+          <div className="px-4 py-2 text-sm bg-red-50 text-red-800 border-t">
+            {speech.error.message}
+          </div>
+        )}
+
+        {/* Audio visualizers for the agent's output and the microphone */}
+        {connectionState === 'connected' && outputAnalyser && (
+          <div className="px-4 py-2 bg-gray-100">
+            <VoiceVisualizer analyser={outputAnalyser} color="#2563eb" />
+          </div>
+        )}
+        {isRecording && microphone.analyser && (
+          <div className="px-4 py-2 bg-gray-100">
+            <VoiceVisualizer analyser={microphone.analyser} />
+          </div>
+        )}
+
+        {/* Microphone device, mode and mute controls */}
+        {!isReadOnly && <MicControls microphone={microphone} isRecording={isRecording} />}
+
+        {/* Input area, hidden while viewing a past session */}
+        {!isReadOnly && (
+          <form onSubmit={handleSubmit} className="flex items-center p-3 bg-white border-t">
+            <input
+              type="text"
+              className="flex-1 border rounded-md px-3 py-2 mr-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Type your message..."
+              value={textInput}
+              onChange={(e) => setTextInput(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition"
+            >
+              Send
+            </button>
+            <button
+              type="button"
+              onClick={handleToggleRecording}
+              className="ml-2 px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition flex items-center"
+            >
+              {isRecording ? 'Stop' : 'Talk'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Consent before the first recorded conversation */}
+      {isConsentOpen && (
+        <RecordingConsent
+          retentionDays={recordingPolicy.retentionDays}
+          onAccept={() => {
+            setIsRecordingAgreed(true);
+            setIsConsentOpen(false);
+          }}
+          onCancel={() => setIsConsentOpen(false)}
         />
-        <button
-          type="submit"
-          className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition"
-        >
-          Send
-        </button>
-        <button
-          type="button"
-          onClick={handleToggleRecording}
-          className="ml-2 px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition flex items-center"
-        >
-          {isRecording ? 'Stop' : 'Talk'}
-        </button>
-      </form>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { TRANSCRIPT_FORMATS } from '../utils/exportTranscript';
+
+/**
+ * Compact control for exporting the displayed conversation. The user picks a
+ * transcript format and, when agent audio is available, whether to download
+ * it alongside the transcript as a single audio file.
+ *
+ * @param {Object} props
+ * @param {Function} props.onExport - Called with `(format, includeAudio)`.
+ * @param {boolean} props.hasAudio - Whether agent audio can be bundled.
+ * @param {boolean} props.disabled - Whether there is anything to export.
+ */
+export default function ExportMenu({ onExport, hasAudio, disabled }) {
+  const [format, setFormat] = useState(TRANSCRIPT_FORMATS[0].value);
+  const [includeAudio, setIncludeAudio] = useState(false);
+
+  return (
+    <div className="flex items-center space-x-2 text-sm">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="border rounded-md px-2 py-1 text-gray-700"
+        aria-label="Export format"
+      >
+        {TRANSCRIPT_FORMATS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {hasAudio && (
+        <label className="flex items-center text-gray-600">
+          <input
+            type="checkbox"
+            className="mr-1"
+            checked={includeAudio}
+            onChange={(e) => setIncludeAudio(e.target.checked)}
+          />
+          Audio
+        </label>
+      )}
+      <button
+        type="button"
+        disabled={disabled}
+        onClick={() => onExport(format, hasAudio && includeAudio)}
+        className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+      >
+        Export
+      </button>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Lists past conversations stored by the backend. Selecting an entry opens
+ * it read-only in the chat; each entry can also be deleted. The currently
+ * viewed session is highlighted.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.sessions - Session summaries to display.
+ * @param {boolean} props.isLoading - Whether the list is being refreshed.
+ * @param {string|null} props.activeId - ID of the session being viewed.
+ * @param {Function} props.onSelect - Called with a session ID to open it.
+ * @param {Function} props.onDelete - Called with a session ID to delete it.
+ */
+export default function HistorySidebar({ sessions, isLoading, activeId, onSelect, onDelete }) {
+  return (
+    <aside className="w-56 shrink-0 border-r bg-white overflow-y-auto">
+      <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b">History</div>
+      {isLoading && <div className="px-3 py-2 text-sm text-gray-500">Loading…</div>}
+      {!isLoading && sessions.length === 0 && (
+        <div className="px-3 py-2 text-sm text-gray-500">No past conversations</div>
+      )}
+      <ul>
+        {sessions.map((session) => (
+          <li
+            key={session.id}
+            className={`group flex items-start border-b hover:bg-gray-50 ${
+              session.id === activeId ? 'bg-blue-50' : ''
+            }`}
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(session.id)}
+              className="flex-1 min-w-0 text-left px-3 py-2"
+            >
+              <div className="text-xs text-gray-500">
+                {new Date(session.startedAt).toLocaleString()}
+              </div>
+              <div className="text-sm text-gray-900 truncate">
+                {session.preview || `${session.messageCount} messages`}
+              </div>
+            </button>
+            <button
+              type="button"
+              onClick={() => onDelete(session.id)}
+              className="px-2 py-2 text-gray-400 hover:text-red-600"
+              aria-label="Delete conversation"
+              title="Delete conversation"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { useState } from 'react';
+
+/**
+ * Sign-in form shown until the user is authenticated. The user enters the
+ * API key issued to them, which the backend exchanges for a session token.
+ *
+ * @param {Object} props
+ * @param {Function} props.onLogin - Called with the entered API key.
+ * @param {string|null} props.error - Message from the last failed attempt.
+ * @param {boolean} props.isLoggingIn - Whether a login is in progress.
+ */
+export default function LoginForm({ onLogin, error, isLoggingIn }) {
+  const [apiKey, setApiKey] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const key = apiKey.trim();
+    if (key) onLogin(key);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="w-full max-w-sm p-6 bg-white rounded-md shadow-lg space-y-4"
+    >
+      <h1 className="text-lg font-semibold text-gray-800">Sign in to Agent Floris</h1>
+      <input
+        type="password"
+        className="w-full border rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        placeholder="API key"
+        autoComplete="current-password"
+        value={apiKey}
+        onChange={(e) => setApiKey(e.target.value)}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={isLoggingIn}
+        className="w-full px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition disabled:bg-blue-300"
+      >
+        {isLoggingIn ? 'Signing in…' : 'Sign in'}
+      </button>
+    </form>
+  );
+}
\ No newline at end of file
@@ -2,9 +2,27 @@
  * Displays a chat message as a styled bubble. Messages from the user are
  * aligned to the right with a green background, while agent messages are
  * aligned to the left with a blue background. Long messages wrap onto
- * multiple lines gracefully.
+ * multiple lines gracefully. Agent messages the user talked over are marked
+ * as interrupted. Client tool calls made by the agent are shown as a small
+ * centred note with the tool name and its status. When `onSpeak` is given,
+ * agent messages get a button that reads them aloud.
+ *
+ * Messages of a turn in progress update in place: tentative text (what the
+ * user is saying, or agent text still streaming in) is shown faded with a
+ * typing indicator, and an agent message whose audio is playing is marked
+ * as speaking. Each message shows the time it was said.
+ *
+ * @param {Object} props
+ * @param {Object} props.message - The message to display.
+ * @param {boolean} [props.isSpeaking] - Whether the message is being read
+ *   aloud.
+ * @param {Function} [props.onSpeak] - Reads the message aloud.
+ * @param {Function} [props.onStopSpeaking] - Stops reading it aloud.
  */
-export default function MessageBubble({ message }) {
+export default function MessageBubble({ message, isSpeaking, onSpeak, onStopSpeaking }) {
+  if (message.role === 'tool') {
+    return <ToolCallBubble message={message} />;
+  }
   const isUser = message.role === 'user';
   const alignment = isUser ? 'items-end' : 'items-start';
   const bubbleColor = isUser ? 'bg-green-100' : 'bg-blue-100';
@@ -14,7 +32,90 @@ export default function MessageBubble({ message }) {
       <div
         className={`max-w-xs md:max-w-md lg:max-w-lg ${bubbleColor} ${textColor} p-3 rounded-xl shadow`}
       >
-        {message.text}
+        <span className={message.tentative ? 'text-gray-500' : undefined}>{message.text}</span>
+        {message.tentative && <TypingIndicator />}
+        {message.interrupted && (
+          <div className="mt-1 text-xs italic text-gray-500">Interrupted</div>
+        )}
+        {!isUser && onSpeak && message.text && !message.tentative && (
+          <button
+            type="button"
+            onClick={isSpeaking ? onStopSpeaking : onSpeak}
+            className="block mt-1 text-xs text-blue-600 hover:text-blue-800"
+          >
+            {isSpeaking ? 'Stop' : 'Play'}
+          </button>
+        )}
+        <div className="flex items-center mt-1 space-x-2 text-xs text-gray-500">
+          {message.timestamp && (
+            <time dateTime={new Date(message.timestamp).toISOString()}>
+              {formatTime(message.timestamp)}
+            </time>
+          )}
+          {message.speaking && <SpeakingIndicator />}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Hours and minutes in the user's locale
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Three pulsing dots shown after text that is still changing.
+ */
+function TypingIndicator() {
+  return (
+    <span className="inline-flex ml-1 space-x-0.5 align-middle" aria-label="typing">
+      {[0, 150, 300].map((delay) => (
+        <span
+          key={delay}
+          className="w-1 h-1 bg-gray-400 rounded-full animate-pulse"
+          style={{ animationDelay: `${delay}ms` }}
+        />
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Label shown on an agent message while its audio plays.
+ */
+function SpeakingIndicator() {
+  return (
+    <span className="flex items-center text-blue-600">
+      <span className="w-2 h-2 mr-1 bg-blue-500 rounded-full animate-pulse" />
+      Speaking
+    </span>
+  );
+}
+
+const TOOL_STATUS_LABELS = {
+  running: 'running…',
+  done: 'done',
+  error: 'failed',
+};
+
+/**
+ * Compact bubble for a client tool call. The parameters and result are
+ * available on hover.
+ */
+function ToolCallBubble({ message }) {
+  const statusColor = message.status === 'error' ? 'text-red-600' : 'text-gray-500';
+  const details = [
+    `Parameters: ${JSON.stringify(message.parameters)}`,
+    message.result !== undefined ? `Result: ${message.result}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+  return (
+    <div className="flex justify-center my-1 px-2">
+      <div className="text-xs bg-gray-100 border rounded-full px-3 py-1 text-gray-700" title={details}>
+        Tool call: <span className="font-mono">{message.text}</span>{' '}
+        <span className={statusColor}>{TOOL_STATUS_LABELS[message.status] || message.status}</span>
       </div>
     </div>
   );
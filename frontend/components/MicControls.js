@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const MODE_OPTIONS = [
+  { value: 'open', label: 'Open mic' },
+  { value: 'push', label: 'Push to talk' },
+  { value: 'vad', label: 'Voice activity' },
+];
+
+// Whether a key event comes from a control that uses the space bar itself
+function isTypingTarget(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
+
+/**
+ * Microphone controls for voice conversations: the input device, the mode
+ * (open mic, push to talk or voice activity), and during a conversation a
+ * mute button and an indicator that lights up while audio is sent. In
+ * push-to-talk mode audio is sent while the hold-to-talk button, or
+ * the space bar outside text fields, is held.
+ *
+ * @param {Object} props
+ * @param {Object} props.microphone - The microphone returned by
+ *   `useConversation`.
+ * @param {boolean} props.isRecording - Whether a voice conversation is live.
+ */
+export default function MicControls({ microphone, isRecording }) {
+  const [isHolding, setIsHolding] = useState(false);
+  const { mode, setPushActive } = microphone;
+  const isPushToTalk = isRecording && mode === 'push';
+
+  const hold = useCallback(
+    (value) => {
+      setIsHolding(value);
+      setPushActive(value);
+    },
+    [setPushActive],
+  );
+
+  // Hold the space bar to talk
+  useEffect(() => {
+    if (!isPushToTalk) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      // Keep the page from scrolling and focused buttons from clicking
+      e.preventDefault();
+      if (!e.repeat) hold(true);
+    };
+    const handleKeyUp = (e) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      hold(false);
+    };
+    // A key released while the window is in the background never arrives
+    const handleBlur = () => hold(false);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      hold(false);
+    };
+  }, [isPushToTalk, hold]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-3 py-2 text-sm bg-white border-t">
+      <select
+        value={microphone.deviceId}
+        onChange={(e) => microphone.setDeviceId(e.target.value)}
+        className="border rounded-md px-2 py-1 text-gray-700 max-w-xs"
+        aria-label="Microphone"
+      >
+        <option value="">Default microphone</option>
+        {microphone.devices.map(({ deviceId, label }) => (
+          <option key={deviceId} value={deviceId}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <select
+        value={mode}
+        onChange={(e) => microphone.setMode(e.target.value)}
+        className="border rounded-md px-2 py-1 text-gray-700"
+        aria-label="Microphone mode"
+      >
+        {MODE_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {isRecording && (
+        <>
+          <button
+            type="button"
+            onClick={() => microphone.setMuted(!microphone.isMuted)}
+            aria-pressed={microphone.isMuted}
+            className={`px-3 py-1 rounded-md border ${
+              microphone.isMuted ? 'bg-red-50 text-red-700 border-red-300' : 'text-gray-700'
+            }`}
+          >
+            {microphone.isMuted ? 'Unmute' : 'Mute'}
+          </button>
+          {isPushToTalk && (
+            <button
+              type="button"
+              onPointerDown={() => hold(true)}
+              onPointerUp={() => hold(false)}
+              onPointerLeave={() => isHolding && hold(false)}
+              aria-pressed={isHolding}
+              className={`px-3 py-1 rounded-md text-white select-none ${
+                isHolding ? 'bg-green-700' : 'bg-green-500 hover:bg-green-600'
+              }`}
+            >
+              {isHolding ? 'Talking…' : 'Hold to talk (Space)'}
+            </button>
+          )}
+          <span className="flex items-center text-gray-600">
+            <span
+              className={`inline-block w-2 h-2 mr-1 rounded-full ${
+                microphone.isSending ? 'bg-green-500' : 'bg-gray-300'
+              }`}
+            />
+            {microphone.isSending ? 'Sending audio' : 'Not sending'}
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Dialog asking the user to agree to having the conversation recorded
+ * before any recording starts. It says what is recorded, why and for how
+ * long it is kept.
+ *
+ * @param {Object} props
+ * @param {number} props.retentionDays - How many days recordings are kept.
+ * @param {Function} props.onAccept - Called when the user agrees.
+ * @param {Function} props.onCancel - Called when the user declines.
+ */
+export default function RecordingConsent({ retentionDays, onAccept, onCancel }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="recording-consent-title"
+        className="w-full max-w-sm bg-white rounded-md shadow-lg p-6"
+      >
+        <h2 id="recording-consent-title" className="text-lg font-semibold text-gray-800">
+          Record this conversation?
+        </h2>
+        <p className="mt-2 text-sm text-gray-600">
+          Your voice and the agent’s replies will be recorded for quality and compliance
+          review, together with the transcript. Recordings are kept for {retentionDays}{' '}
+          {retentionDays === 1 ? 'day' : 'days'} and then deleted automatically.
+        </p>
+        <p className="mt-2 text-sm text-gray-600">
+          Recording starts with your next conversation and you can turn it off at any time
+          between conversations.
+        </p>
+        <div className="mt-4 flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Don’t record
+          </button>
+          <button
+            type="button"
+            onClick={onAccept}
+            className="px-4 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition"
+          >
+            I agree, record
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { useEffect, useRef } from 'react';
+
+// "1:05" from milliseconds
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Where each message starts and ends in the recording. A message without an
+// end lasts until the next one starts.
+function messageSpans(messages, startedAt) {
+  return messages.map((message, index) => {
+    const start = message.timestamp - startedAt;
+    const next = messages[index + 1];
+    let end = next ? next.timestamp - startedAt : Infinity;
+    if (message.endTimestamp) end = message.endTimestamp - startedAt;
+    return { message, start, end };
+  });
+}
+
+/**
+ * Plays back a recorded conversation next to its transcript. The message
+ * being spoken is highlighted and scrolled into view as playback goes on;
+ * selecting a message jumps to it.
+ *
+ * @param {Object} props
+ * @param {Object} props.recording - The recording, with its `startedAt`.
+ * @param {Array<Object>} props.messages - The transcript messages with
+ *   their `timestamp` and, where known, `endTimestamp`.
+ * @param {Object} props.playback - Playback state and controls from
+ *   `useRecordingPlayback`.
+ */
+export default function RecordingPlayer({ recording, messages, playback }) {
+  const { durationMs, positionMs, isPlaying, play, pause, seek } = playback;
+  const activeRef = useRef(null);
+  const spans = messageSpans(messages, recording.startedAt);
+  const activeIndex = spans.findIndex(({ start, end }) => positionMs >= start && positionMs < end);
+
+  useEffect(() => {
+    if (activeRef.current) activeRef.current.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex items-center space-x-3 px-4 py-3 border-b">
+        <button
+          type="button"
+          onClick={isPlaying ? pause : play}
+          className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition"
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={durationMs}
+          value={Math.min(positionMs, durationMs)}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Position"
+          className="flex-1"
+        />
+        <span className="text-sm text-gray-600 tabular-nums">
+          {formatTime(positionMs)} / {formatTime(durationMs)}
+        </span>
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 bg-gray-50 space-y-2">
+        {spans.length === 0 && (
+          <div className="text-sm text-gray-500">The transcript of this conversation is gone.</div>
+        )}
+        {spans.map(({ message, start }, index) => (
+          <button
+            key={index}
+            type="button"
+            ref={index === activeIndex ? activeRef : null}
+            onClick={() => seek(start)}
+            className={`block w-full text-left rounded-md px-3 py-2 transition ${
+              index === activeIndex ? 'bg-yellow-100 ring-2 ring-yellow-400' : 'bg-white'
+            }`}
+          >
+            <div className="text-xs text-gray-500">
+              {message.role === 'user' ? 'User' : 'Agent'} · {formatTime(Math.max(0, start))}
+              {message.interrupted ? ' · interrupted' : ''}
+            </div>
+            <div className="text-sm text-gray-900">{message.text}</div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
\ No newline at end of file
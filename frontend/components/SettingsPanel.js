@@ -0,0 +1,112 @@
+import VoicePicker from './VoicePicker';
+
+/**
+ * Panel for choosing per-session conversation overrides. Only the options
+ * allowed by the backend are offered: named prompts and first messages,
+ * languages, voices and the configured dynamic variables. Changes apply to
+ * the next conversation. Voices can be previewed before a conversation.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.options - The allowed overrides, or null while
+ *   they are loading.
+ * @param {Object} props.settings - The current settings.
+ * @param {Function} props.onChange - Called with the updated settings.
+ * @param {boolean} props.disabled - Whether a conversation is in progress.
+ * @param {Array<Object>} props.voiceCatalog - The provider's voices, for
+ *   describing the allowed ones.
+ * @param {boolean} props.isPreviewing - Whether a voice preview is playing.
+ * @param {Function} props.onPreview - Plays a voice preview.
+ * @param {Function} props.onStopPreview - Stops the voice preview.
+ */
+export default function SettingsPanel({
+  options,
+  settings,
+  onChange,
+  disabled,
+  voiceCatalog,
+  isPreviewing,
+  onPreview,
+  onStopPreview,
+}) {
+  if (!options) {
+    return <div className="px-4 py-3 text-sm text-gray-500 border-b">Loading settings…</div>;
+  }
+
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const updateVariable = (name, value) =>
+    update('dynamicVariables', { ...settings.dynamicVariables, [name]: value });
+
+  // A select whose empty option keeps the agent's default
+  const renderSelect = (label, key, choices) => (
+    <label className="flex flex-col text-gray-600">
+      {label}
+      <select
+        value={settings[key] || ''}
+        onChange={(e) => update(key, e.target.value)}
+        disabled={disabled}
+        className="mt-1 border rounded-md px-2 py-1 text-gray-700"
+      >
+        <option value="">Agent default</option>
+        {choices.map(({ value, label: choiceLabel }) => (
+          <option key={value} value={value}>
+            {choiceLabel}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const names = (list) => list.map((name) => ({ value: name, label: name }));
+
+  return (
+    <div className="px-4 py-3 text-sm bg-gray-50 border-b">
+      <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+        {renderSelect('Prompt', 'prompt', names(options.prompts))}
+        {renderSelect('First message', 'firstMessage', names(options.firstMessages))}
+        {renderSelect('Language', 'language', names(options.languages))}
+        <VoicePicker
+          voices={options.voices}
+          catalog={voiceCatalog}
+          value={settings.voiceId}
+          onChange={(voiceId) => update('voiceId', voiceId)}
+          disabled={disabled}
+          isPreviewing={isPreviewing}
+          onPreview={onPreview}
+          onStopPreview={onStopPreview}
+        />
+        {Object.entries(options.dynamicVariables).map(([name, schema]) => (
+          <label key={name} className="flex flex-col text-gray-600">
+            {name}
+            {schema.enum ? (
+              <select
+                value={settings.dynamicVariables?.[name] || ''}
+                onChange={(e) => updateVariable(name, e.target.value)}
+                disabled={disabled}
+                className="mt-1 border rounded-md px-2 py-1 text-gray-700"
+              >
+                <option value="">Not set</option>
+                {schema.enum.map((value) => (
+                  <option key={value} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={settings.dynamicVariables?.[name] || ''}
+                onChange={(e) => updateVariable(name, e.target.value)}
+                disabled={disabled}
+                maxLength={schema.maxLength}
+                className="mt-1 border rounded-md px-2 py-1 text-gray-700"
+              />
+            )}
+          </label>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {disabled ? 'Stop the conversation to change its settings.' : 'Settings apply to the next conversation.'}
+      </p>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Minimal bar chart for daily usage, drawn as SVG so the admin page needs no
+ * charting library. Each bar shows its exact value on hover.
+ *
+ * @param {Object} props
+ * @param {string} props.title - Heading shown above the chart.
+ * @param {Array<{ label: string, value: number }>} props.data - One bar per
+ *   entry, in order.
+ * @param {Function} [props.formatValue] - Formats values for the total and
+ *   the tooltips.
+ * @param {string} [props.color] - Bar colour.
+ * @param {number} [props.height] - Height of the plot area in pixels.
+ */
+export default function UsageChart({
+  title,
+  data,
+  formatValue = (value) => value.toLocaleString(),
+  color = '#2563eb',
+  height = 120,
+}) {
+  const max = Math.max(1, ...data.map(({ value }) => value));
+  const total = data.reduce((sum, { value }) => sum + value, 0);
+  const barWidth = 100 / Math.max(1, data.length);
+
+  return (
+    <div className="p-4 bg-white rounded-md shadow">
+      <div className="flex items-baseline justify-between mb-2">
+        <h2 className="text-sm font-semibold text-gray-700">{title}</h2>
+        <span className="text-sm text-gray-500">Total {formatValue(total)}</span>
+      </div>
+      <svg
+        viewBox={`0 0 100 ${height}`}
+        preserveAspectRatio="none"
+        className="w-full"
+        style={{ height }}
+        role="img"
+        aria-label={title}
+      >
+        {data.map(({ label, value }, index) => {
+          const barHeight = (value / max) * height;
+          return (
+            <rect
+              key={label}
+              x={index * barWidth + barWidth * 0.1}
+              y={height - barHeight}
+              width={barWidth * 0.8}
+              height={barHeight}
+              fill={color}
+            >
+              <title>{`${label}: ${formatValue(value)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      {data.length > 0 && (
+        <div className="flex justify-between mt-1 text-xs text-gray-400">
+          <span>{data[0].label}</span>
+          <span>{data[data.length - 1].label}</span>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
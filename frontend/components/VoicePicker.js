@@ -0,0 +1,68 @@
+// Sentence spoken when previewing a voice
+const PREVIEW_TEXT = 'Hi! This is how I will sound in our conversation.';
+
+// "Rachel · premade, american" from a voice and its catalog entry
+function describeVoice(voice, details) {
+  const extras = [details?.category, ...Object.values(details?.labels || {})].filter(Boolean);
+  const name = voice.name || details?.name || voice.id;
+  return extras.length ? `${name} · ${extras.join(', ')}` : name;
+}
+
+/**
+ * Picker for the agent's voice with a preview button. The voices offered
+ * are the ones the backend allows as overrides; the provider's voice catalog
+ * adds their category and labels. Previews are spoken through the streaming
+ * TTS endpoint with the selected voice.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.voices - The allowed voices as `{ id, name }`.
+ * @param {Array<Object>} props.catalog - The provider's voices from
+ *   GET /api/voices.
+ * @param {string} props.value - The selected voice ID; empty for the agent's
+ *   default voice.
+ * @param {Function} props.onChange - Called with the new voice ID.
+ * @param {boolean} props.disabled - Whether the voice can be changed.
+ * @param {boolean} props.isPreviewing - Whether a preview is playing.
+ * @param {Function} props.onPreview - Called with a voice ID and the text to
+ *   speak with it.
+ * @param {Function} props.onStopPreview - Stops the preview.
+ */
+export default function VoicePicker({
+  voices,
+  catalog,
+  value,
+  onChange,
+  disabled,
+  isPreviewing,
+  onPreview,
+  onStopPreview,
+}) {
+  return (
+    <label className="flex flex-col text-gray-600">
+      Voice
+      <div className="mt-1 flex space-x-1">
+        <select
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="flex-1 min-w-0 border rounded-md px-2 py-1 text-gray-700"
+        >
+          <option value="">Agent default</option>
+          {voices.map((voice) => (
+            <option key={voice.id} value={voice.id}>
+              {describeVoice(voice, catalog.find((entry) => entry.id === voice.id))}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={isPreviewing ? onStopPreview : () => onPreview(value, PREVIEW_TEXT)}
+          disabled={disabled || !value}
+          className="px-2 py-1 text-xs rounded-md border text-blue-600 hover:bg-blue-50 disabled:text-gray-400 disabled:hover:bg-transparent"
+        >
+          {isPreviewing ? 'Stop' : 'Preview'}
+        </button>
+      </div>
+    </label>
+  );
+}
\ No newline at end of file
@@ -1,39 +1,55 @@
 import { useEffect, useRef } from 'react';
 
 /**
- * VoiceVisualizer renders a simple waveform representing the real‑time audio
- * captured from the user's microphone. It uses the Web Audio API to attach
- * an analyser node to the provided MediaStream and draws the time domain
- * waveform onto a canvas. The component only draws when a stream is
- * provided.
+ * VoiceVisualizer renders a simple waveform representing real‑time audio.
+ * Given a MediaStream (the user's microphone) it uses the Web Audio API to
+ * attach an analyser node to the stream; alternatively an existing analyser
+ * node can be passed, such as the one fed by the agent's audio output. The
+ * time domain waveform is drawn onto a canvas. The component only draws
+ * when a stream or analyser is provided.
  *
  * @param {Object} props
- * @param {MediaStream|null} props.stream - The active audio stream. When
- *   falsy, the visualizer renders an empty area.
+ * @param {MediaStream|null} [props.stream] - The active audio stream.
+ * @param {AnalyserNode|null} [props.analyser] - An analyser to read from
+ *   instead of a stream. When both are falsy, the visualizer renders an
+ *   empty area.
+ * @param {string} [props.color] - The stroke colour of the waveform.
  */
-export default function VoiceVisualizer({ stream, width = 300, height = 60 }) {
+export default function VoiceVisualizer({
+  stream,
+  analyser: externalAnalyser,
+  width = 300,
+  height = 60,
+  color = '#4b5563', // Tailwind's gray-600
+}) {
   const canvasRef = useRef(null);
 
   useEffect(() => {
-    if (!stream) return;
-    const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    const source = audioCtx.createMediaStreamSource(stream);
-    const analyser = audioCtx.createAnalyser();
-    analyser.fftSize = 2048;
-    source.connect(analyser);
+    if (!stream && !externalAnalyser) return;
+    let audioCtx = null;
+    let source = null;
+    let analyser = externalAnalyser;
+    if (!analyser) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      source = audioCtx.createMediaStreamSource(stream);
+      analyser = audioCtx.createAnalyser();
+      analyser.fftSize = 2048;
+      source.connect(analyser);
+    }
     const bufferLength = analyser.frequencyBinCount;
     const dataArray = new Uint8Array(bufferLength);
 
     const canvas = canvasRef.current;
     const canvasCtx = canvas.getContext('2d');
 
+    let frame;
     const draw = () => {
-      const drawVisual = requestAnimationFrame(draw);
+      frame = requestAnimationFrame(draw);
       analyser.getByteTimeDomainData(dataArray);
       canvasCtx.fillStyle = '#f3f4f6'; // Tailwind's gray-100
       canvasCtx.fillRect(0, 0, width, height);
       canvasCtx.lineWidth = 2;
-      canvasCtx.strokeStyle = '#4b5563'; // Tailwind's gray-600
+      canvasCtx.strokeStyle = color;
       canvasCtx.beginPath();
       const sliceWidth = (width * 1.0) / bufferLength;
       let x = 0;
@@ -52,11 +68,15 @@ export default function VoiceVisualizer({ stream, width = 300, height = 60 }) {
     };
     draw();
     return () => {
-      analyser.disconnect();
-      source.disconnect();
-      audioCtx.close();
+      cancelAnimationFrame(frame);
+      // An external analyser belongs to its owner and stays connected
+      if (audioCtx) {
+        analyser.disconnect();
+        source.disconnect();
+        audioCtx.close();
+      }
     };
-  }, [stream, width, height]);
+  }, [stream, externalAnalyser, width, height, color]);
 
   return (
     <div className="w-full flex justify-center items-center">
@@ -0,0 +1,146 @@
+import Head from 'next/head';
+import LoginForm from '../components/LoginForm';
+import UsageChart from '../components/UsageChart';
+import { useAuth } from '../utils/useAuth';
+import { useUsageReport } from '../utils/useUsageReport';
+
+// Number of users listed as top consumers
+const TOP_CONSUMERS = 10;
+
+const formatMinutes = (ms) => `${(ms / 60000).toFixed(1)} min`;
+
+// Month-to-date usage against the user's quota, e.g. "1,200 / 5,000"
+function formatQuota({ used, limit }, format = (value) => value.toLocaleString()) {
+  return limit === null ? `${format(used)} / unlimited` : `${format(used)} / ${format(limit)}`;
+}
+
+/**
+ * Usage dashboard content for operators: daily charts of TTS characters,
+ * signed URLs and conversation minutes across all users, and the top
+ * consumers with their month-to-date usage against their quotas.
+ */
+function UsageDashboard({ onLogout }) {
+  const { range, setRange, report, isLoading, isForbidden } = useUsageReport();
+
+  if (isForbidden) {
+    return (
+      <div className="p-6 bg-white rounded-md shadow text-gray-700">
+        This page is only available to operators.{' '}
+        <button type="button" onClick={onLogout} className="text-blue-600 hover:text-blue-800">
+          Sign in as someone else
+        </button>
+      </div>
+    );
+  }
+
+  const series = (metric) =>
+    (report?.daily || []).map((day) => ({ label: day.day, value: day[metric] }));
+
+  return (
+    <div className="w-full max-w-5xl mx-auto space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h1 className="text-xl font-semibold text-gray-800">Usage</h1>
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          <label>
+            From{' '}
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })}
+              className="border rounded-md px-2 py-1"
+            />
+          </label>
+          <label>
+            To{' '}
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })}
+              className="border rounded-md px-2 py-1"
+            />
+          </label>
+          {isLoading && <span className="text-gray-400">Loading…</span>}
+          <button type="button" onClick={onLogout} className="text-gray-600 hover:text-gray-900">
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        <UsageChart title="TTS characters" data={series('ttsCharacters')} />
+        <UsageChart title="Signed URLs" data={series('signedUrls')} color="#16a34a" />
+        <UsageChart
+          title="Conversation minutes"
+          data={series('conversationMs')}
+          formatValue={formatMinutes}
+          color="#9333ea"
+        />
+      </div>
+
+      <div className="bg-white rounded-md shadow overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-500 border-b">
+            <tr>
+              <th className="px-4 py-2">User</th>
+              <th className="px-4 py-2">TTS characters</th>
+              <th className="px-4 py-2">Signed URLs</th>
+              <th className="px-4 py-2">Conversations</th>
+              <th className="px-4 py-2">This month vs. quota</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(report?.users || []).slice(0, TOP_CONSUMERS).map((user) => (
+              <tr key={user.userId} className="border-b last:border-0">
+                <td className="px-4 py-2 font-medium text-gray-800">{user.userId}</td>
+                <td className="px-4 py-2">{user.ttsCharacters.toLocaleString()}</td>
+                <td className="px-4 py-2">{user.signedUrls.toLocaleString()}</td>
+                <td className="px-4 py-2">
+                  {user.conversations} ({formatMinutes(user.conversationMs)})
+                </td>
+                <td className="px-4 py-2 text-gray-600">
+                  <div>TTS {formatQuota(user.quotas.ttsCharacters)}</div>
+                  <div>URLs {formatQuota(user.quotas.signedUrls)}</div>
+                  <div>
+                    Minutes{' '}
+                    {formatQuota(user.quotas.conversationMinutes, (value) => value.toFixed(1))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {report && report.users.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">
+                  No usage in this period.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The admin page shows the usage dashboard to operators (users listed in the
+ * backend's ADMIN_USERS). Users who are not signed in see the login form.
+ */
+export default function Admin() {
+  const { isReady, isAuthenticated, error, isLoggingIn, login, logout } = useAuth();
+  return (
+    <>
+      <Head>
+        <title>Usage – Agent Floris</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <main className="min-h-screen flex items-start justify-center bg-gray-200 p-4">
+        {isReady && isAuthenticated && <UsageDashboard onLogout={logout} />}
+        {isReady && !isAuthenticated && (
+          <LoginForm onLogin={login} error={error} isLoggingIn={isLoggingIn} />
+        )}
+      </main>
+    </>
+  );
+}
\ No newline at end of file
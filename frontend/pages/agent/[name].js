@@ -0,0 +1,5 @@
+/**
+ * The chat with the agent named in the path, e.g. /agent/support. The home
+ * page reads the name from the route and passes it to the chat.
+ */
+export { default } from '../index';
\ No newline at end of file
@@ -1,12 +1,33 @@
+import { useCallback, useMemo } from 'react';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
 import Chat from '../components/Chat';
+import LoginForm from '../components/LoginForm';
+import { useAuth } from '../utils/useAuth';
+import { settingsFromQuery } from '../utils/conversationSettings';
 
 /**
- * The home page renders the Chat component and sets basic metadata. The
- * application uses a max‑width container to center the chat on larger
- * displays while remaining fully responsive on mobile.
+ * The home page renders the Chat component and sets basic metadata. Users
+ * who are not signed in see the login form instead. URL parameters prefill
+ * the conversation settings once the router has parsed them. The page talks
+ * to the default agent; /agent/<name> renders it for another agent, and
+ * picking an agent in the chat navigates there. The application uses a
+ * max‑width container to center the chat on larger displays while remaining
+ * fully responsive on mobile.
  */
 export default function Home() {
+  const { isReady, isAuthenticated, error, isLoggingIn, login, logout } = useAuth();
+  const router = useRouter();
+  const initialSettings = useMemo(
+    () => (router.isReady ? settingsFromQuery(router.query) : undefined),
+    [router.isReady, router.query],
+  );
+  const agent = typeof router.query.name === 'string' ? router.query.name : undefined;
+  const handleAgentChange = useCallback(
+    (name) => router.push(`/agent/${encodeURIComponent(name)}`),
+    [router],
+  );
+
   return (
     <>
       <Head>
@@ -15,7 +36,18 @@ export default function Home() {
         <meta name="viewport" content="width=device-width, initial-scale=1" />
       </Head>
       <main className="min-h-screen flex items-center justify-center bg-gray-200 p-4">
-        <Chat />
+        {isReady && isAuthenticated && router.isReady && (
+          <Chat
+            key={agent || ''}
+            onLogout={logout}
+            initialSettings={initialSettings}
+            agent={agent}
+            onAgentChange={handleAgentChange}
+          />
+        )}
+        {isReady && !isAuthenticated && (
+          <LoginForm onLogin={login} error={error} isLoggingIn={isLoggingIn} />
+        )}
       </main>
     </>
   );
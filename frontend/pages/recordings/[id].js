@@ -0,0 +1,66 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import LoginForm from '../../components/LoginForm';
+import RecordingPlayer from '../../components/RecordingPlayer';
+import { useAuth } from '../../utils/useAuth';
+import { useRecordingPlayback } from '../../utils/useRecordingPlayback';
+
+/**
+ * Review of one recording: both sides of the conversation played together,
+ * with the message being spoken highlighted in the transcript.
+ */
+function RecordingReview({ id }) {
+  const playback = useRecordingPlayback(id);
+  const { recording, messages, isLoading, error } = playback;
+
+  return (
+    <div className="flex flex-col w-full max-w-4xl h-[90vh] mx-auto bg-white rounded-md shadow-lg overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 border-b text-sm">
+        <span className="text-gray-700">
+          {recording
+            ? `${recording.userId} · ${recording.agent || 'agent'} · ${new Date(
+                recording.startedAt,
+              ).toLocaleString()}`
+            : 'Recording'}
+        </span>
+        <Link href="/recordings" className="text-blue-600 hover:text-blue-800">
+          All recordings
+        </Link>
+      </div>
+      {isLoading && <div className="p-4 text-sm text-gray-500">Loading…</div>}
+      {error && <div className="p-4 text-sm text-red-800 bg-red-50">{error}</div>}
+      {recording && !isLoading && (
+        <div className="flex-1 min-h-0">
+          <RecordingPlayer recording={recording} messages={messages} playback={playback} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The review page of the recording named in the path, e.g.
+ * /recordings/<conversation ID>. Users who are not signed in see the login
+ * form.
+ */
+export default function Recording() {
+  const { isReady, isAuthenticated, error, isLoggingIn, login, logout } = useAuth();
+  const router = useRouter();
+  const id = typeof router.query.id === 'string' ? router.query.id : undefined;
+
+  return (
+    <>
+      <Head>
+        <title>Recording – Agent Floris</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <main className="min-h-screen flex items-center justify-center bg-gray-200 p-4">
+        {isReady && isAuthenticated && id && <RecordingReview id={id} />}
+        {isReady && !isAuthenticated && (
+          <LoginForm onLogin={login} error={error} isLoggingIn={isLoggingIn} />
+        )}
+      </main>
+    </>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import LoginForm from '../../components/LoginForm';
+import { useAuth } from '../../utils/useAuth';
+import { useRecordings } from '../../utils/useRecordings';
+
+const formatDuration = (ms) => `${Math.round(ms / 1000)} s`;
+
+// Length of the longer side of a recording
+const recordingLength = (recording) =>
+  Math.max(0, ...Object.values(recording.tracks).map((track) => track.durationMs || 0));
+
+/**
+ * List of recorded conversations with links to review them. Users see their
+ * own recordings; operators see everyone's.
+ */
+function RecordingList({ onLogout }) {
+  const { recordings, isLoading, deleteRecording } = useRecordings();
+
+  return (
+    <div className="w-full max-w-4xl mx-auto space-y-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-xl font-semibold text-gray-800">Recordings</h1>
+        <div className="flex items-center space-x-4 text-sm">
+          {isLoading && <span className="text-gray-400">Loading…</span>}
+          <Link href="/" className="text-blue-600 hover:text-blue-800">
+            Back to chat
+          </Link>
+          <button type="button" onClick={onLogout} className="text-gray-600 hover:text-gray-900">
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-md shadow overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-500 border-b">
+            <tr>
+              <th className="px-4 py-2">Started</th>
+              <th className="px-4 py-2">User</th>
+              <th className="px-4 py-2">Agent</th>
+              <th className="px-4 py-2">Length</th>
+              <th className="px-4 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {recordings.map((recording) => (
+              <tr key={recording.id} className="border-b last:border-0">
+                <td className="px-4 py-2">{new Date(recording.startedAt).toLocaleString()}</td>
+                <td className="px-4 py-2 font-medium text-gray-800">{recording.userId}</td>
+                <td className="px-4 py-2">{recording.agent || '–'}</td>
+                <td className="px-4 py-2">{formatDuration(recordingLength(recording))}</td>
+                <td className="px-4 py-2 text-right space-x-4">
+                  <Link
+                    href={`/recordings/${encodeURIComponent(recording.id)}`}
+                    className="text-blue-600 hover:text-blue-800"
+                  >
+                    Review
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={() => deleteRecording(recording.id)}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {!isLoading && recordings.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">
+                  No recordings.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The recordings page lists the conversations recorded in relay mode for
+ * review. Users who are not signed in see the login form.
+ */
+export default function Recordings() {
+  const { isReady, isAuthenticated, error, isLoggingIn, login, logout } = useAuth();
+  return (
+    <>
+      <Head>
+        <title>Recordings – Agent Floris</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <main className="min-h-screen flex items-start justify-center bg-gray-200 p-4">
+        {isReady && isAuthenticated && <RecordingList onLogout={logout} />}
+        {isReady && !isAuthenticated && (
+          <LoginForm onLogin={login} error={error} isLoggingIn={isLoggingIn} />
+        )}
+      </main>
+    </>
+  );
+}
\ No newline at end of file
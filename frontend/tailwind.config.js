@@ -3,6 +3,7 @@ module.exports = {
   content: [
     './pages/**/*.{js,jsx}',
     './components/**/*.{js,jsx}',
+    './widget/**/*.{js,jsx}',
   ],
   theme: {
     extend: {},
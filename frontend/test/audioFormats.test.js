@@ -0,0 +1,179 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_AUDIO_FORMAT,
+  audioDurationMs,
+  base64ByteLength,
+  base64ToBytes,
+  bytesToBase64,
+  createResampler,
+  decodeAudioChunk,
+  encodeWav,
+  float32ToPcm16,
+  parseAudioFormat,
+  pcm16ToFloat32,
+  ulawToLinear,
+} from '../utils/audioFormats';
+
+// Tests of the helpers for ElevenLabs audio formats.
+
+// 16-bit little-endian PCM holding the given samples
+function pcm16(...samples) {
+  const bytes = new Uint8Array(samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  samples.forEach((sample, i) => view.setInt16(i * 2, sample, true));
+  return bytes;
+}
+
+describe('parseAudioFormat', () => {
+  it('splits PCM formats at every sample rate', () => {
+    [16000, 22050, 24000, 44100].forEach((rate) => {
+      expect(parseAudioFormat(`pcm_${rate}`)).toEqual({
+        encoding: 'pcm',
+        sampleRate: rate,
+        bitrate: null,
+      });
+    });
+  });
+
+  it('splits μ-law and MP3 formats', () => {
+    expect(parseAudioFormat('ulaw_8000')).toEqual({
+      encoding: 'ulaw',
+      sampleRate: 8000,
+      bitrate: null,
+    });
+    expect(parseAudioFormat('mp3_22050_32')).toEqual({
+      encoding: 'mp3',
+      sampleRate: 22050,
+      bitrate: 32000,
+    });
+  });
+
+  it('falls back to MP3 at 44.1 kHz', () => {
+    expect(DEFAULT_AUDIO_FORMAT).toBe('mp3_44100_128');
+    expect(parseAudioFormat()).toEqual(parseAudioFormat('mp3_44100_128'));
+    // Unknown formats keep their encoding but get the default sample rate
+    expect(parseAudioFormat('opus')).toEqual({
+      encoding: 'opus',
+      sampleRate: 44100,
+      bitrate: null,
+    });
+  });
+});
+
+describe('audioDurationMs', () => {
+  it('is exact for PCM and μ-law', () => {
+    expect(audioDurationMs(32000, 'pcm_16000')).toBe(1000);
+    expect(audioDurationMs(4410, 'pcm_22050')).toBe(100);
+    expect(audioDurationMs(48000, 'pcm_24000')).toBe(1000);
+    expect(audioDurationMs(8000, 'ulaw_8000')).toBe(1000);
+  });
+
+  it('estimates compressed audio from its bitrate', () => {
+    expect(audioDurationMs(16000, 'mp3_44100_128')).toBe(1000);
+    expect(audioDurationMs(4000, 'mp3_22050_32')).toBe(1000);
+    // Unknown formats are assumed to be 128 kbps
+    expect(audioDurationMs(16000, 'opus')).toBe(1000);
+  });
+});
+
+describe('base64 helpers', () => {
+  it('round-trips bytes and measures them without decoding', () => {
+    const bytes = Uint8Array.from([0, 1, 127, 128, 255]);
+    const base64 = bytesToBase64(bytes);
+    expect(base64ByteLength(base64)).toBe(5);
+    expect(base64ToBytes(base64)).toEqual(bytes);
+    expect(base64ByteLength(bytesToBase64(new Uint8Array(6)))).toBe(6);
+    expect(base64ByteLength(bytesToBase64(new Uint8Array(7)))).toBe(7);
+  });
+
+  it('encodes blocks too large to spread at once', () => {
+    const bytes = new Uint8Array(70000).map((_, i) => i % 251);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+});
+
+describe('PCM conversion', () => {
+  it('converts 16-bit samples to floats and back', () => {
+    const samples = pcm16ToFloat32(pcm16(0, 16384, -32768, 32767));
+    expect(Array.from(samples)).toEqual([0, 0.5, -1, 32767 / 32768]);
+    expect(float32ToPcm16(Float32Array.from([0, -1, 1, 2]))).toEqual(
+      pcm16(0, -32768, 32767, 32767),
+    );
+  });
+
+  it('ignores a trailing odd byte', () => {
+    expect(pcm16ToFloat32(Uint8Array.from([0, 64, 7])).length).toBe(1);
+  });
+});
+
+describe('ulawToLinear', () => {
+  it('expands G.711 μ-law bytes', () => {
+    expect(ulawToLinear(0xff)).toBe(0);
+    expect(ulawToLinear(0x80)).toBe(32124);
+    expect(ulawToLinear(0x00)).toBe(-32124);
+  });
+});
+
+describe('decodeAudioChunk', () => {
+  it('decodes PCM into samples at its sample rate', () => {
+    const chunk = decodeAudioChunk(bytesToBase64(pcm16(16384, -16384)), 'pcm_24000');
+    expect(chunk.sampleRate).toBe(24000);
+    expect(Array.from(chunk.samples)).toEqual([0.5, -0.5]);
+  });
+
+  it('decodes μ-law into samples', () => {
+    const chunk = decodeAudioChunk(bytesToBase64(Uint8Array.from([0xff, 0x80])), 'ulaw_8000');
+    expect(chunk.sampleRate).toBe(8000);
+    expect(Array.from(chunk.samples)).toEqual([0, 32124 / 32768]);
+  });
+
+  it('leaves compressed and unknown formats to the platform decoder', () => {
+    const bytes = Uint8Array.from([0xff, 0xfb, 0x90]);
+    expect(decodeAudioChunk(bytesToBase64(bytes), 'mp3_44100_128')).toEqual({
+      encoded: bytes,
+      encoding: 'mp3',
+    });
+    expect(decodeAudioChunk(bytesToBase64(bytes))).toEqual({ encoded: bytes, encoding: 'mp3' });
+    expect(decodeAudioChunk(bytesToBase64(bytes), 'opus_48000').encoding).toBe('opus');
+  });
+});
+
+describe('encodeWav', () => {
+  it('writes a mono WAV header for PCM and μ-law', () => {
+    const wav = encodeWav(new Uint8Array(100), { sampleRate: 16000 });
+    const view = new DataView(wav.buffer);
+    expect(wav.length).toBe(144);
+    expect(String.fromCharCode(...wav.subarray(0, 4))).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(136);
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint32(28, true)).toBe(32000);
+    expect(view.getUint32(40, true)).toBe(100);
+
+    const ulaw = encodeWav(new Uint8Array(8), {
+      sampleRate: 8000,
+      formatCode: 7,
+      bitsPerSample: 8,
+    });
+    const ulawView = new DataView(ulaw.buffer);
+    expect(ulawView.getUint16(20, true)).toBe(7);
+    expect(ulawView.getUint32(28, true)).toBe(8000);
+    expect(ulawView.getUint16(34, true)).toBe(8);
+  });
+});
+
+describe('createResampler', () => {
+  it('passes audio at the target rate through', () => {
+    const input = Float32Array.from([0.1, 0.2]);
+    expect(createResampler(16000, 16000)(input)).toBe(input);
+  });
+
+  it('interpolates down to the target rate across blocks', () => {
+    const resample = createResampler(48000, 16000);
+    const ramp = (from) => Float32Array.from({ length: 6 }, (_, i) => (from + i) / 100);
+    const first = resample(ramp(0));
+    const second = resample(ramp(6));
+    expect(Array.from(first).map((x) => Math.round(x * 100))).toEqual([0, 3]);
+    expect(Array.from(second).map((x) => Math.round(x * 100))).toEqual([6, 9]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+import { describe, expect, it } from 'vitest';
+import { createAudioQueue } from '../utils/audioQueue';
+
+// Tests of the playback queue with a player the test finishes chunks on by
+// hand, in place of the Web Audio API.
+
+// A player that records what it is given and lets the test end each chunk
+function createPlayer({ gapless = false } = {}) {
+  const played = [];
+  const playChunk = (chunk) => {
+    const playback = { chunk, stopped: false };
+    playback.finished = new Promise((resolve) => {
+      playback.finish = resolve;
+    });
+    playback.ended = gapless
+      ? new Promise((resolve) => {
+          playback.end = resolve;
+        })
+      : undefined;
+    playback.stop = () => {
+      playback.stopped = true;
+    };
+    played.push(playback);
+    return playback;
+  };
+  return { played, playChunk, chunks: () => played.map(({ chunk }) => chunk) };
+}
+
+// Let the queue react to settled promises
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createAudioQueue', () => {
+  it('plays chunks one after another in the order they arrive', async () => {
+    const player = createPlayer();
+    const queue = createAudioQueue(player);
+    expect(queue.enqueue('a', 1)).toBe(true);
+    queue.enqueue('b', 1);
+    queue.enqueue('c', 2);
+    expect(player.chunks()).toEqual(['a']);
+    expect(queue.size()).toBe(3);
+
+    player.played[0].finish();
+    await flush();
+    expect(player.chunks()).toEqual(['a', 'b']);
+    player.played[1].finish();
+    await flush();
+    expect(player.chunks()).toEqual(['a', 'b', 'c']);
+    expect(queue.size()).toBe(1);
+  });
+
+  it('skips chunks the player cannot play', () => {
+    const player = createPlayer();
+    const queue = createAudioQueue({
+      playChunk: (chunk) => {
+        if (chunk === 'broken') throw new Error('Cannot decode');
+        return player.playChunk(chunk);
+      },
+    });
+    queue.enqueue('broken', 1);
+    queue.enqueue('fine', 1);
+    expect(player.chunks()).toEqual(['fine']);
+  });
+
+  it('stops and drops the chunks of an interrupted response', async () => {
+    const player = createPlayer();
+    const queue = createAudioQueue(player);
+    queue.enqueue('old 1', 1);
+    queue.enqueue('old 2', 1);
+    queue.enqueue('new', 2);
+
+    queue.interrupt(1);
+    expect(player.played[0].stopped).toBe(true);
+    // The next response starts straight away
+    expect(player.chunks()).toEqual(['old 1', 'new']);
+    // Late chunks of the interrupted response are refused
+    expect(queue.enqueue('old 3', 1)).toBe(false);
+    expect(queue.size()).toBe(1);
+
+    // The stopped chunk finishing late does not skip ahead
+    player.played[0].finish();
+    await flush();
+    expect(player.chunks()).toEqual(['old 1', 'new']);
+  });
+
+  it('flushes everything on an interruption without an event ID', () => {
+    const player = createPlayer();
+    const queue = createAudioQueue(player);
+    queue.enqueue('a', 1);
+    queue.enqueue('b', 2);
+    queue.interrupt();
+    expect(player.played[0].stopped).toBe(true);
+    expect(queue.size()).toBe(0);
+    expect(queue.isPlaying()).toBe(false);
+    // A flush forgets the interruption, so earlier event IDs play again
+    expect(queue.enqueue('c', 1)).toBe(true);
+    expect(player.chunks()).toEqual(['a', 'c']);
+  });
+
+  it('forgets queued chunks and interruptions on clear', () => {
+    const player = createPlayer();
+    const queue = createAudioQueue(player);
+    queue.enqueue('a', 5);
+    queue.enqueue('b', 5);
+    queue.interrupt(3);
+    queue.clear();
+    expect(player.played[0].stopped).toBe(true);
+    expect(queue.size()).toBe(0);
+    expect(queue.enqueue('c', 3)).toBe(true);
+  });
+
+  it('goes idle once the last chunk has played', async () => {
+    const player = createPlayer();
+    const queue = createAudioQueue(player);
+    expect(queue.isPlaying()).toBe(false);
+    queue.enqueue('a', 1);
+    expect(queue.isPlaying()).toBe(true);
+    player.played[0].finish();
+    await flush();
+    expect(queue.isPlaying()).toBe(false);
+    expect(queue.size()).toBe(0);
+
+    // An idle queue starts playing as soon as a chunk arrives
+    queue.enqueue('b', 2);
+    expect(player.chunks()).toEqual(['a', 'b']);
+  });
+
+  it('hands over the next chunk early for gapless playback', async () => {
+    const player = createPlayer({ gapless: true });
+    const queue = createAudioQueue(player);
+    queue.enqueue('a', 1);
+    queue.enqueue('b', 1);
+    player.played[0].finish();
+    await flush();
+    expect(player.chunks()).toEqual(['a', 'b']);
+    // The first chunk still sounds until it has ended
+    expect(queue.size()).toBe(2);
+    queue.interrupt(1);
+    expect(player.played.every(({ stopped }) => stopped)).toBe(true);
+
+    const next = createAudioQueue(player);
+    next.enqueue('c', 1);
+    player.played[2].finish();
+    await flush();
+    expect(next.isPlaying()).toBe(true);
+    player.played[2].end();
+    await flush();
+    expect(next.isPlaying()).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { api } from '../utils/api';
+import { ConversationClient } from '../utils/conversationClient';
+import { FakeWebSocket, installFakeBrowser } from './fakeBrowser';
+
+// Tests of the events `ConversationClient` emits to pages that use it
+// without React, through the SDK. useConversation.test.js covers the
+// conversation itself.
+
+const SIGNED_URL = 'wss://agent.test/v1/convai/conversation?conversation_signature=abc';
+
+let signedUrlResponse;
+let client;
+
+beforeEach(() => {
+  installFakeBrowser();
+  signedUrlResponse = () => Promise.resolve({ data: { signedUrl: SIGNED_URL } });
+  vi.spyOn(api, 'get').mockImplementation((url) => {
+    if (url === '/api/signed-url') return signedUrlResponse();
+    return Promise.reject(new Error(`Unexpected GET ${url}`));
+  });
+  vi.spyOn(api, 'post').mockResolvedValue({ data: {} });
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  client = new ConversationClient();
+  client.attach();
+});
+
+afterEach(() => {
+  client.detach();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+// Collect the values of each event type the client emits
+function listen(...types) {
+  const events = Object.fromEntries(types.map((type) => [type, []]));
+  types.forEach((type) => client.on(type, (value) => events[type].push(value)));
+  return events;
+}
+
+// Start a voice conversation and complete the handshake with the agent
+async function connect() {
+  await client.startConversation();
+  const ws = FakeWebSocket.latest;
+  ws.open();
+  ws.receive({
+    type: 'conversation_initiation_metadata',
+    conversation_initiation_metadata_event: {
+      conversation_id: 'conv_1',
+      agent_output_audio_format: 'pcm_16000',
+      user_input_audio_format: 'pcm_16000',
+    },
+  });
+  return ws;
+}
+
+describe('ConversationClient events', () => {
+  it('reports connection state changes once each', async () => {
+    const events = listen('connectionstatechange');
+    await connect();
+    expect(events.connectionstatechange).toEqual(['connecting', 'connected']);
+
+    client.stopConversation();
+    client.stopConversation();
+    expect(events.connectionstatechange).toEqual(['connecting', 'connected', 'idle']);
+  });
+
+  it('emits each message added to the chat', async () => {
+    const events = listen('message');
+    const ws = await connect();
+    ws.receive({ type: 'user_transcript', user_transcription_event: { user_transcript: 'Hi' } });
+    ws.receive({
+      type: 'agent_response',
+      agent_response_event: { agent_response: 'Hello, how can I help?' },
+    });
+
+    const last = (role) => events.message.filter((message) => message.role === role).pop();
+    expect(last('user')).toMatchObject({ role: 'user', text: 'Hi' });
+    expect(last('agent')).toMatchObject({ role: 'agent', text: 'Hello, how can I help?' });
+    // Every emitted message is one of the chat's entries
+    const ids = client.state.messages.map(({ id }) => id);
+    expect(events.message.every(({ id }) => ids.includes(id))).toBe(true);
+
+    // The agent's turn ends with the conversation and is recorded then
+    client.stopConversation();
+    await vi.waitFor(() =>
+      expect(api.post).toHaveBeenCalledWith(
+        '/api/sessions/conv_1/messages',
+        expect.objectContaining({ role: 'agent', text: 'Hello, how can I help?' }),
+      ),
+    );
+  });
+
+  it('emits the new state on every change', async () => {
+    const events = listen('change');
+    await connect();
+    expect(events.change.length).toBeGreaterThan(0);
+    expect(events.change[events.change.length - 1]).toBe(client.state);
+    expect(client.state).toMatchObject({ connectionState: 'connected', conversationId: 'conv_1' });
+  });
+
+  it('emits the error when the conversation cannot be established', async () => {
+    signedUrlResponse = () =>
+      Promise.reject(
+        Object.assign(new Error('Request failed with status code 402'), {
+          response: { status: 402, data: { error: 'Out of credits', code: 'upstream_quota' } },
+        }),
+      );
+    const events = listen('error', 'connectionstatechange');
+    await client.startConversation();
+    expect(events.error).toHaveLength(1);
+    expect(events.error[0]).toMatchObject({ code: 'upstream_quota', isPermanent: true });
+    expect(events.error[0]).toBe(client.state.error);
+    expect(events.connectionstatechange).toEqual(['connecting', 'failed']);
+  });
+
+  it('stops notifying listeners once they are unregistered', async () => {
+    const listener = vi.fn();
+    const unsubscribe = client.on('connectionstatechange', listener);
+    unsubscribe();
+    await connect();
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
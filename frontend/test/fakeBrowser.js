@@ -0,0 +1,222 @@
+import { vi } from 'vitest';
+
+/**
+ * Stand-ins for the browser APIs jsdom lacks, so the conversation hooks can
+ * be tested without a browser, a microphone or a network: a WebSocket the
+ * test plays the agent on, a microphone whose audio the test speaks into,
+ * and just enough of the Web Audio API to capture and play audio. Install
+ * them with `installFakeBrowser` before rendering a hook.
+ */
+
+/**
+ * A WebSocket that never connects anywhere. The test opens it, delivers
+ * agent events and drops it; whatever the client sends is kept in `sent`.
+ */
+export class FakeWebSocket {
+  static CONNECTING = 0;
+
+  static OPEN = 1;
+
+  static CLOSING = 2;
+
+  static CLOSED = 3;
+
+  /** Every socket created, in order. */
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    FakeWebSocket.instances.push(this);
+  }
+
+  /** The most recently created socket. */
+  static get latest() {
+    return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  }
+
+  send(data) {
+    if (this.readyState !== FakeWebSocket.OPEN) throw new Error('WebSocket is not open');
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code = 1005) {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.({ code, reason: '' });
+  }
+
+  /** Completes the handshake. */
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  /**
+   * Delivers an event from the agent.
+   *
+   * @param {Object} event The event, e.g. `{ type: 'ping', ping_event }`.
+   */
+  receive(event) {
+    this.onmessage?.({ data: JSON.stringify(event) });
+  }
+
+  /**
+   * Closes the socket from the server's side.
+   *
+   * @param {number} code The close code; 1000 ends the conversation.
+   * @param {string} [reason] The close reason, e.g. a backend error code.
+   */
+  drop(code, reason = '') {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.({ code, reason });
+  }
+
+  /**
+   * The events sent of one type; `user_audio_chunk` events have none.
+   *
+   * @param {string} type The event type, or `user_audio_chunk`.
+   * @returns {Array<Object>}
+   */
+  sentOfType(type) {
+    return this.sent.filter((event) =>
+      type === 'user_audio_chunk' ? 'user_audio_chunk' in event : event.type === type,
+    );
+  }
+}
+
+// A node of the audio graph that goes nowhere
+function fakeNode(fields = {}) {
+  return { connect: vi.fn(), disconnect: vi.fn(), ...fields };
+}
+
+/**
+ * An AudioContext running at 16 kHz, so microphone audio needs no
+ * resampling. Played sources are kept in `sources`.
+ */
+export class FakeAudioContext {
+  /** Every context created, in order. */
+  static instances = [];
+
+  constructor() {
+    this.sampleRate = 16000;
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = fakeNode();
+    this.sources = [];
+    this.audioWorklet = { addModule: vi.fn(async () => {}) };
+    FakeAudioContext.instances.push(this);
+  }
+
+  createAnalyser() {
+    return fakeNode({ fftSize: 2048, getByteTimeDomainData: vi.fn() });
+  }
+
+  createGain() {
+    return fakeNode({ gain: { value: 1 } });
+  }
+
+  createMediaStreamSource(stream) {
+    return fakeNode({ mediaStream: stream });
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    return { duration: length / sampleRate, copyToChannel: vi.fn() };
+  }
+
+  createBufferSource() {
+    const source = fakeNode({ buffer: null, onended: null, start: vi.fn(), stop: vi.fn() });
+    this.sources.push(source);
+    return source;
+  }
+
+  async decodeAudioData() {
+    return this.createBuffer(1, 1600, 16000);
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  async close() {
+    this.state = 'closed';
+  }
+}
+
+/**
+ * The capture worklet. Posting samples to its port is what the audio thread
+ * would do with the microphone's audio.
+ */
+export class FakeAudioWorkletNode {
+  /** The most recently created node. */
+  static latest = null;
+
+  constructor(context, name) {
+    this.context = context;
+    this.name = name;
+    this.port = { onmessage: null };
+    this.connect = vi.fn();
+    this.disconnect = vi.fn();
+    FakeAudioWorkletNode.latest = this;
+  }
+}
+
+/**
+ * Speaks into the fake microphone: a steady tone for as long as asked.
+ *
+ * @param {number} ms How long to speak, in milliseconds.
+ */
+export function speak(ms) {
+  const worklet = FakeAudioWorkletNode.latest;
+  if (!worklet?.port.onmessage) throw new Error('The microphone is not capturing');
+  const samples = new Float32Array((16000 * ms) / 1000).fill(0.25);
+  worklet.port.onmessage({ data: samples });
+}
+
+/**
+ * A single microphone. `getUserMedia` resolves with a stream of one audio
+ * track, or rejects with `denyWith` when that is set.
+ */
+export function createFakeMediaDevices() {
+  const devices = {
+    denyWith: null,
+    tracks: [],
+    getUserMedia: vi.fn(async () => {
+      if (devices.denyWith) throw devices.denyWith;
+      const track = { kind: 'audio', enabled: true, stop: vi.fn() };
+      devices.tracks.push(track);
+      return { getTracks: () => [track], getAudioTracks: () => [track] };
+    }),
+    enumerateDevices: vi.fn(async () => [
+      { kind: 'audioinput', deviceId: 'default', label: 'Fake microphone' },
+    ]),
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+  return devices;
+}
+
+/**
+ * Replaces the browser APIs with the fakes above for the current test.
+ * Undo it with `vi.unstubAllGlobals()`; the media devices are replaced by
+ * the next call.
+ *
+ * @returns {{ mediaDevices: Object }} The fake media devices.
+ */
+export function installFakeBrowser() {
+  FakeWebSocket.instances = [];
+  FakeAudioContext.instances = [];
+  FakeAudioWorkletNode.latest = null;
+  const mediaDevices = createFakeMediaDevices();
+  vi.stubGlobal('WebSocket', FakeWebSocket);
+  vi.stubGlobal('AudioContext', FakeAudioContext);
+  vi.stubGlobal('AudioWorkletNode', FakeAudioWorkletNode);
+  Object.defineProperty(navigator, 'mediaDevices', { value: mediaDevices, configurable: true });
+  URL.createObjectURL = vi.fn(() => 'blob:mic-capture');
+  URL.revokeObjectURL = vi.fn();
+  return { mediaDevices };
+}
\ No newline at end of file
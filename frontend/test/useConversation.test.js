@@ -0,0 +1,309 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { api } from '../utils/api';
+import { useConversation } from '../utils/useConversation';
+import { FakeAudioContext, FakeWebSocket, installFakeBrowser, speak } from './fakeBrowser';
+
+// Tests of the useConversation hook in direct mode, with the test playing
+// the ElevenLabs agent on a fake WebSocket and speaking into a fake
+// microphone (see fakeBrowser.js).
+
+const SIGNED_URL = 'wss://agent.test/v1/convai/conversation?conversation_signature=abc';
+// 100 ms of silent 16 kHz PCM, as the agent sends it
+const AGENT_AUDIO = btoa(String.fromCharCode(...new Uint8Array(3200)));
+
+let mediaDevices;
+let signedUrlResponse;
+
+beforeEach(() => {
+  ({ mediaDevices } = installFakeBrowser());
+  signedUrlResponse = () => Promise.resolve({ data: { signedUrl: SIGNED_URL } });
+  vi.spyOn(api, 'get').mockImplementation((url) => {
+    if (url === '/api/signed-url') return signedUrlResponse();
+    return Promise.reject(new Error(`Unexpected GET ${url}`));
+  });
+  // History and usage reports
+  vi.spyOn(api, 'post').mockResolvedValue({ data: {} });
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+// Start a voice conversation and complete the handshake with the agent
+async function connect(result) {
+  await act(async () => {
+    await result.current.startConversation();
+  });
+  const ws = FakeWebSocket.latest;
+  await act(async () => {
+    ws.open();
+  });
+  await act(async () => {
+    ws.receive({
+      type: 'conversation_initiation_metadata',
+      conversation_initiation_metadata_event: {
+        conversation_id: 'conv_1',
+        agent_output_audio_format: 'pcm_16000',
+        user_input_audio_format: 'pcm_16000',
+      },
+    });
+  });
+  return ws;
+}
+
+// Deliver agent events, letting React render after each
+async function receive(ws, ...events) {
+  await act(async () => {
+    events.forEach((event) => ws.receive(event));
+  });
+}
+
+const agentResponse = (text) => ({
+  type: 'agent_response',
+  agent_response_event: { agent_response: text },
+});
+
+const agentAudio = (eventId) => ({
+  type: 'audio',
+  audio_event: { audio_base_64: AGENT_AUDIO, event_id: eventId },
+});
+
+const textsOf = (messages) => messages.map((message) => [message.role, message.text]);
+
+describe('useConversation', () => {
+  it('connects with a signed URL and starts the conversation', async () => {
+    const { result } = renderHook(() => useConversation());
+    expect(result.current.connectionState).toBe('idle');
+    const ws = await connect(result);
+
+    expect(api.get).toHaveBeenCalledWith('/api/signed-url', { params: { agent: undefined } });
+    expect(ws.url).toBe(SIGNED_URL);
+    expect(ws.sent[0]).toEqual({ type: 'conversation_initiation_client_data' });
+    expect(result.current.connectionState).toBe('connected');
+    expect(result.current.conversationId).toBe('conv_1');
+    expect(result.current.isRecording).toBe(true);
+  });
+
+  it('answers pings with pongs', async () => {
+    const { result } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    await receive(ws, { type: 'ping', ping_event: { event_id: 7, ping_ms: 20 } });
+    expect(ws.sentOfType('pong')).toEqual([{ type: 'pong', event_id: 7 }]);
+  });
+
+  it('streams the microphone as 100 ms chunks', async () => {
+    const { result } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+
+    await act(async () => {
+      speak(250);
+    });
+    const chunks = ws.sentOfType('user_audio_chunk');
+    expect(chunks).toHaveLength(2);
+    // 1600 samples of 16-bit PCM
+    expect(atob(chunks[0].user_audio_chunk)).toHaveLength(3200);
+
+    // A muted microphone sends nothing
+    await act(async () => {
+      result.current.microphone.setMuted(true);
+    });
+    await act(async () => {
+      speak(200);
+    });
+    expect(ws.sentOfType('user_audio_chunk')).toHaveLength(2);
+    expect(mediaDevices.tracks[0].enabled).toBe(false);
+  });
+
+  it('shows transcripts and agent responses and records them', async () => {
+    const { result } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    await receive(ws, {
+      type: 'tentative_user_transcript',
+      tentative_user_transcription_event: { user_transcript: 'What is' },
+    });
+    expect(result.current.messages).toMatchObject([
+      { role: 'user', text: 'What is', tentative: true },
+    ]);
+
+    await receive(
+      ws,
+      {
+        type: 'user_transcript',
+        user_transcription_event: { user_transcript: 'What is the time?' },
+      },
+      agentResponse('It is noon.'),
+      agentAudio(1),
+    );
+    expect(textsOf(result.current.messages)).toEqual([
+      ['user', 'What is the time?'],
+      ['agent', 'It is noon.'],
+    ]);
+    expect(result.current.messages[1].speaking).toBe(true);
+
+    // Agent audio plays through the Web Audio player
+    const player = FakeAudioContext.instances[0];
+    await waitFor(() => expect(player.sources).toHaveLength(1));
+
+    // The user's message is recorded once the conversation ID is known
+    await waitFor(() =>
+      expect(api.post).toHaveBeenCalledWith(
+        '/api/sessions/conv_1/messages',
+        expect.objectContaining({ role: 'user', text: 'What is the time?' }),
+      ),
+    );
+  });
+
+  it('stops the agent when the user interrupts it', async () => {
+    const { result } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    await receive(ws, agentResponse('Let me tell you a long story.'), agentAudio(1));
+    const player = FakeAudioContext.instances[0];
+    await waitFor(() => expect(player.sources).toHaveLength(1));
+
+    await receive(ws, { type: 'interruption', interruption_event: { event_id: 1 } });
+    expect(result.current.messages[0]).toMatchObject({
+      role: 'agent',
+      interrupted: true,
+      speaking: false,
+    });
+    expect(player.sources[0].stop).toHaveBeenCalled();
+
+    // Late audio of the interrupted response is not played
+    await receive(ws, agentAudio(1));
+    expect(player.sources).toHaveLength(1);
+    await receive(ws, agentResponse('Sure.'), agentAudio(2));
+    await waitFor(() => expect(player.sources).toHaveLength(2));
+    expect(textsOf(result.current.messages)).toEqual([
+      ['agent', 'Let me tell you a long story.'],
+      ['agent', 'Sure.'],
+    ]);
+  });
+
+  it('sends typed messages over a text-only conversation', async () => {
+    const { result } = renderHook(() => useConversation());
+    await act(async () => {
+      result.current.sendTextMessage('Hello');
+    });
+    const ws = FakeWebSocket.latest;
+    await waitFor(() => expect(ws.onopen).toBeTypeOf('function'));
+    await act(async () => {
+      ws.open();
+    });
+    expect(ws.sent).toEqual([
+      {
+        type: 'conversation_initiation_client_data',
+        conversation_config_override: { conversation: { text_only: true } },
+      },
+      { type: 'user_message', text: 'Hello' },
+    ]);
+    expect(mediaDevices.getUserMedia).not.toHaveBeenCalled();
+    expect(textsOf(result.current.messages)).toEqual([['user', 'Hello']]);
+  });
+
+  it('ignores malformed events and events after the conversation stopped', async () => {
+    const { result } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    await act(async () => {
+      ws.onmessage({ data: 'not json' });
+    });
+    expect(result.current.connectionState).toBe('connected');
+
+    await act(async () => {
+      result.current.stopConversation();
+    });
+    // The handlers outlive the socket, so late events still reach them
+    await act(async () => {
+      ws.onmessage({ data: JSON.stringify(agentResponse('Too late')) });
+    });
+    expect(result.current.messages).toEqual([]);
+  });
+
+  it('ignores pings without an event ID', async () => {
+    const { result } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    await receive(ws, { type: 'ping' }, { type: 'ping', ping_event: { ping_ms: 20 } });
+    expect(ws.sentOfType('pong')).toEqual([]);
+    expect(result.current.connectionState).toBe('connected');
+    // Later pings are still answered
+    await receive(ws, { type: 'ping', ping_event: { event_id: 8 } });
+    expect(ws.sentOfType('pong')).toEqual([{ type: 'pong', event_id: 8 }]);
+  });
+
+  it('reconnects after a dropped connection and resumes the conversation', async () => {
+    const { result } = renderHook(() => useConversation());
+    const first = await connect(result);
+    await receive(first, agentResponse('Hello, how can I help?'));
+    // The resume context holds the messages from before the drop
+    await new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+
+    await act(async () => {
+      first.drop(1006);
+    });
+    expect(result.current.connectionState).toBe('reconnecting');
+    // The microphone stays open while reconnecting
+    expect(mediaDevices.tracks[0].stop).not.toHaveBeenCalled();
+
+    await waitFor(() => expect(FakeWebSocket.instances).toHaveLength(2));
+    const second = FakeWebSocket.latest;
+    await act(async () => {
+      second.open();
+    });
+    const [context] = second.sentOfType('contextual_update');
+    expect(context.text).toContain('Agent: Hello, how can I help?');
+    await receive(second, {
+      type: 'conversation_initiation_metadata',
+      conversation_initiation_metadata_event: { conversation_id: 'conv_2' },
+    });
+    expect(result.current.connectionState).toBe('connected');
+    // The resumed conversation keeps the history session of the first one
+    expect(result.current.conversationId).toBe('conv_1');
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up when the ElevenLabs account is out of credits', async () => {
+    signedUrlResponse = () =>
+      Promise.reject(
+        Object.assign(new Error('Request failed with status code 402'), {
+          response: { status: 402, data: { error: 'Out of credits', code: 'upstream_quota' } },
+        }),
+      );
+    const { result } = renderHook(() => useConversation());
+    await act(async () => {
+      await result.current.startConversation();
+    });
+    expect(result.current.connectionState).toBe('failed');
+    expect(result.current.error).toMatchObject({ code: 'upstream_quota', isPermanent: true });
+    expect(FakeWebSocket.instances).toHaveLength(0);
+  });
+
+  it('fails when the microphone is denied', async () => {
+    mediaDevices.denyWith = Object.assign(new Error('Permission denied'), {
+      name: 'NotAllowedError',
+    });
+    const { result } = renderHook(() => useConversation());
+    await act(async () => {
+      await result.current.startConversation();
+    });
+    const ws = FakeWebSocket.latest;
+    await act(async () => {
+      ws.open();
+    });
+    await waitFor(() => expect(result.current.connectionState).toBe('failed'));
+    expect(result.current.error).toMatchObject({ code: 'microphone' });
+    expect(ws.readyState).toBe(FakeWebSocket.CLOSED);
+  });
+
+  it('releases the microphone when unmounted', async () => {
+    const { result, unmount } = renderHook(() => useConversation());
+    const ws = await connect(result);
+    unmount();
+    expect(ws.readyState).toBe(FakeWebSocket.CLOSED);
+    expect(mediaDevices.tracks[0].stop).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act } from '@testing-library/react';
+import { setAuthToken } from '../utils/api';
+import { getBackendUrl } from '../utils/config';
+
+// Tests of the `<agent-floris>` custom element. The chat and the login form
+// are replaced by stand-ins that record their props, so the element can be
+// tested without a backend.
+
+const rendered = vi.hoisted(() => {
+  // Inlined by build.mjs in the real widget
+  globalThis.__WIDGET_CSS__ = '.widget { position: fixed; }';
+  return { chat: [] };
+});
+
+vi.mock('../components/Chat', () => ({
+  default: (props) => {
+    rendered.chat.push(props);
+    return <p className="chat">Chat</p>;
+  },
+}));
+
+vi.mock('../components/LoginForm', () => ({
+  default: () => <p className="login">Login</p>,
+}));
+
+// Importing the widget registers the element and, as the page holds none,
+// adds a launcher as if the widget were loaded by a script tag alone
+await import('../widget/index');
+
+beforeEach(() => {
+  rendered.chat = [];
+  setAuthToken('token');
+});
+
+afterEach(() => {
+  act(() => document.body.replaceChildren());
+  setAuthToken(null);
+});
+
+// Add a widget with the given attributes to the page
+function mountWidget(attributes = {}) {
+  const element = document.createElement('agent-floris');
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  act(() => document.body.append(element));
+  return element;
+}
+
+const launcher = (element) => element.shadowRoot.querySelector('button');
+
+describe('<agent-floris>', () => {
+  it('adds a launcher to a page that only loads the script', () => {
+    const element = document.querySelector('agent-floris');
+    expect(element).not.toBeNull();
+    expect(launcher(element).getAttribute('aria-label')).toBe('Open chat');
+  });
+
+  it('renders into its shadow root and unmounts when removed', () => {
+    const element = mountWidget({ 'primary-color': '#123456' });
+    const shadow = element.shadowRoot;
+    expect(element.children).toHaveLength(0);
+    expect(shadow.querySelector('style').textContent).toBe(globalThis.__WIDGET_CSS__);
+    expect(element.style.getPropertyValue('--floris-primary')).toBe('#123456');
+
+    // The chat is mounted while the panel is closed
+    expect(shadow.querySelector('.chat')).not.toBeNull();
+    expect(shadow.querySelector('.panel').classList.contains('hidden')).toBe(true);
+    act(() => launcher(element).click());
+    expect(launcher(element).getAttribute('aria-expanded')).toBe('true');
+    expect(shadow.querySelector('.panel').classList.contains('hidden')).toBe(false);
+
+    act(() => element.remove());
+    expect(shadow.querySelector('.widget')).toBeNull();
+    expect(element.root).toBeNull();
+
+    // Added again, it renders afresh
+    act(() => document.body.append(element));
+    expect(shadow.querySelectorAll('style')).toHaveLength(1);
+    expect(launcher(element).getAttribute('aria-expanded')).toBe('false');
+  });
+
+  it('shows the login form to signed out users', () => {
+    setAuthToken(null);
+    const element = mountWidget();
+    expect(element.shadowRoot.querySelector('.login')).not.toBeNull();
+    expect(element.shadowRoot.querySelector('.chat')).toBeNull();
+  });
+
+  it('passes the conversation settings of its attributes to the chat', () => {
+    mountWidget({
+      agent: 'support',
+      prompt: 'friendly',
+      'first-message': 'welcome',
+      language: 'nl',
+      'voice-id': 'voice_1',
+      'var-user_name': 'Ann',
+      'var-plan': 'pro',
+      'var-': 'ignored',
+      'backend-url': 'https://floris.test/',
+    });
+    expect(rendered.chat[rendered.chat.length - 1]).toMatchObject({
+      agent: 'support',
+      initialSettings: {
+        prompt: 'friendly',
+        firstMessage: 'welcome',
+        language: 'nl',
+        voiceId: 'voice_1',
+        dynamicVariables: { user_name: 'Ann', plan: 'pro' },
+      },
+    });
+    expect(getBackendUrl()).toBe('https://floris.test');
+  });
+
+  it('leaves out settings it has no attributes for', () => {
+    mountWidget({ 'var-plan': 'pro' });
+    const { agent, initialSettings } = rendered.chat[rendered.chat.length - 1];
+    expect(agent).toBeUndefined();
+    expect(initialSettings).toEqual({ dynamicVariables: { plan: 'pro' } });
+  });
+});
\ No newline at end of file
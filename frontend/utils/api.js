@@ -0,0 +1,71 @@
+import axios from 'axios';
+import { getBackendUrl } from './config';
+
+/**
+ * Shared axios instance for calls to the backend API. A request interceptor
+ * attaches the JWT from the login flow as a bearer token, and a response
+ * interceptor clears the token when the backend rejects it, so the app
+ * returns to the login form. Requests go to the backend configured in
+ * config.js. See apiErrors.js for turning other failures into messages.
+ */
+
+// Where the token is kept between page loads
+const TOKEN_STORAGE_KEY = 'floris.authToken';
+
+const unauthorizedListeners = new Set();
+
+/**
+ * Returns the stored auth token, if any.
+ *
+ * @returns {string|null}
+ */
+export function getAuthToken() {
+  if (typeof window === 'undefined') return null;
+  return window.localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Stores or, when `token` is empty, removes the auth token.
+ *
+ * @param {string|null} token The JWT returned by the login route.
+ */
+export function setAuthToken(token) {
+  if (token) {
+    window.localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    window.localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+}
+
+/**
+ * Registers a listener called when the backend rejects the token.
+ *
+ * @param {Function} listener
+ * @returns {Function} Unregisters the listener.
+ */
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+}
+
+export const api = axios.create();
+
+api.interceptors.request.use((config) => {
+  config.baseURL = getBackendUrl();
+  const token = getAuthToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    // A 401 about the server's ElevenLabs key says nothing about the token
+    const isUpstream = error.response?.data?.code === 'upstream_unauthorized';
+    if (error.response?.status === 401 && !isUpstream && getAuthToken()) {
+      setAuthToken(null);
+      unauthorizedListeners.forEach((listener) => listener());
+    }
+    return Promise.reject(error);
+  },
+);
\ No newline at end of file
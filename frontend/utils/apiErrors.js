@@ -0,0 +1,80 @@
+/**
+ * Turns failed backend calls into messages that say what went wrong and
+ * what the user can do about it. The backend labels its errors with a
+ * `code` (e.g. `upstream_quota` when the ElevenLabs account is out of
+ * credits); errors without one are classified by their HTTP status.
+ */
+
+const MESSAGES = {
+  upstream_unauthorized:
+    'ElevenLabs rejected the server’s API key. Ask an administrator to check its configuration.',
+  upstream_quota:
+    'The ElevenLabs account has run out of credits. Ask an administrator to top it up.',
+  upstream_unavailable: 'ElevenLabs is temporarily unavailable.',
+  upstream_rejected:
+    'ElevenLabs could not handle this request. Try another voice or a shorter text.',
+  quota_exceeded: 'You have used up your monthly quota. It resets at the start of next month.',
+  rate_limited: 'Too many requests.',
+  too_large: 'That text is too long to speak at once.',
+  unauthorized: 'Your session has expired. Please sign in again.',
+  network: 'Could not reach the server. Check your connection and try again.',
+  microphone:
+    'Could not open the microphone. Allow access in your browser or type a message instead.',
+  unknown: 'Something went wrong. Please try again.',
+};
+
+// Errors that retrying will not fix
+const PERMANENT_CODES = [
+  'upstream_unauthorized',
+  'upstream_quota',
+  'quota_exceeded',
+  'microphone',
+];
+// Errors that go away by themselves; their message says when to retry
+const TRANSIENT_CODES = ['upstream_unavailable', 'rate_limited'];
+
+/**
+ * Describes an error code from the backend.
+ *
+ * @param {string} code The error code.
+ * @param {number} [retryAfter] Seconds after which a retry may succeed.
+ * @returns {{ code: string, message: string, isPermanent: boolean }}
+ */
+export function describeErrorCode(code, retryAfter) {
+  const known = MESSAGES[code] ? code : 'unknown';
+  let message = MESSAGES[known];
+  if (TRANSIENT_CODES.includes(known)) {
+    message += retryAfter
+      ? ` Try again in ${retryAfter} seconds.`
+      : ' Please wait a moment and try again.';
+  }
+  return { code: known, message, isPermanent: PERMANENT_CODES.includes(known) };
+}
+
+/**
+ * Describes a failed request: an axios error, or an error with the
+ * response `status` and parsed `body` attached.
+ *
+ * @param {Error} error
+ * @returns {{ code: string, message: string, isPermanent: boolean }}
+ */
+export function describeApiError(error) {
+  const status = error?.response?.status ?? error?.status;
+  const body = error?.response?.data ?? error?.body ?? {};
+  if (!status) return describeErrorCode('network');
+  if (body.code) return describeErrorCode(body.code, body.retryAfter);
+  if (status === 401) return describeErrorCode('unauthorized');
+  if (status === 429) return describeErrorCode('rate_limited', body.retryAfter);
+  return describeErrorCode('unknown');
+}
+
+/**
+ * Tells whether a string is an error code the backend uses, e.g. as the
+ * close reason of a relay connection.
+ *
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isErrorCode(code) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES, code);
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Helpers for the audio formats used by ElevenLabs, which are named
+ * `<encoding>_<sample rate>[_<bitrate>]`, e.g. `pcm_16000`, `ulaw_8000` or
+ * `mp3_44100_128`. This module has no browser dependencies.
+ */
+
+/** Format assumed when the agent does not report one. */
+export const DEFAULT_AUDIO_FORMAT = 'mp3_44100_128';
+
+/**
+ * Splits an ElevenLabs output format name into its parts.
+ *
+ * @param {string} [format] The format name, e.g. `pcm_16000`.
+ * @returns {{ encoding: string, sampleRate: number, bitrate: number|null }}
+ *   The encoding, sample rate in Hz and bitrate in bits per second.
+ */
+export function parseAudioFormat(format = DEFAULT_AUDIO_FORMAT) {
+  const [encoding, sampleRate, kbps] = String(format).split('_');
+  return {
+    encoding,
+    sampleRate: Number(sampleRate) || 44100,
+    bitrate: Number(kbps) ? Number(kbps) * 1000 : null,
+  };
+}
+
+/**
+ * Computes the number of bytes encoded by a base64 string without decoding
+ * it.
+ *
+ * @param {string} base64 The base64 data.
+ * @returns {number}
+ */
+export function base64ByteLength(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+}
+
+/**
+ * Estimates the playback duration of a block of audio. Exact for PCM and
+ * μ-law; based on the nominal bitrate for compressed formats.
+ *
+ * @param {number} byteLength The size of the audio data in bytes.
+ * @param {string} [format] The ElevenLabs output format name.
+ * @returns {number} The duration in milliseconds.
+ */
+export function audioDurationMs(byteLength, format) {
+  const { encoding, sampleRate, bitrate } = parseAudioFormat(format);
+  if (encoding === 'pcm') return (byteLength / 2 / sampleRate) * 1000;
+  if (encoding === 'ulaw') return (byteLength / sampleRate) * 1000;
+  return ((byteLength * 8) / (bitrate || 128000)) * 1000;
+}
+
+/**
+ * Decodes a base64 string into bytes.
+ *
+ * @param {string} base64 The base64 data.
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encodes bytes as a base64 string.
+ *
+ * @param {Uint8Array} bytes The data.
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  // Convert in slices; spreading a large array overflows the call stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Wraps raw PCM or μ-law samples in a mono RIFF/WAVE container.
+ *
+ * @param {Uint8Array} data The raw sample bytes.
+ * @param {Object} options
+ * @param {number} options.sampleRate The sample rate in Hz.
+ * @param {number} [options.formatCode=1] WAVE format tag: 1 for PCM, 7 for
+ *   μ-law.
+ * @param {number} [options.bitsPerSample=16] Bits per sample.
+ * @returns {Uint8Array} The complete WAV file.
+ */
+export function encodeWav(data, { sampleRate, formatCode = 1, bitsPerSample = 16 }) {
+  const bytesPerSample = bitsPerSample / 8;
+  const buffer = new ArrayBuffer(44 + data.length);
+  const view = new DataView(buffer);
+  const writeString = (offset, value) => {
+    for (let i = 0; i < value.length; i++) view.setUint8(offset + i, value.charCodeAt(i));
+  };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + data.length, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, formatCode, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true);
+  view.setUint16(32, bytesPerSample, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeString(36, 'data');
+  view.setUint32(40, data.length, true);
+  const bytes = new Uint8Array(buffer);
+  bytes.set(data, 44);
+  return bytes;
+}
+
+/**
+ * Converts little-endian signed 16-bit PCM into floating point samples in
+ * the range [-1, 1). A trailing odd byte is ignored.
+ *
+ * @param {Uint8Array} bytes The PCM data.
+ * @returns {Float32Array}
+ */
+export function pcm16ToFloat32(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const samples = new Float32Array(Math.floor(bytes.byteLength / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(i * 2, true) / 32768;
+  }
+  return samples;
+}
+
+/**
+ * Converts floating point samples into little-endian signed 16-bit PCM.
+ * Samples outside [-1, 1] are clipped.
+ *
+ * @param {Float32Array} samples
+ * @returns {Uint8Array}
+ */
+export function float32ToPcm16(samples) {
+  const bytes = new Uint8Array(samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(i * 2, sample < 0 ? sample * 32768 : sample * 32767, true);
+  }
+  return bytes;
+}
+
+/**
+ * Creates a resampler for a continuous stream of samples, e.g. to bring
+ * microphone audio at the device rate down to the 16 kHz the agent expects.
+ * Samples are linearly interpolated, and the position between blocks is
+ * carried over so consecutive blocks join without clicks.
+ *
+ * @param {number} fromRate The input sample rate in Hz.
+ * @param {number} toRate The output sample rate in Hz.
+ * @returns {Function} Takes a block of input samples (Float32Array) and
+ *   returns the resampled block.
+ */
+export function createResampler(fromRate, toRate) {
+  const step = fromRate / toRate;
+  // Position of the next output sample relative to the current block; -1
+  // is the last sample of the previous block
+  let position = 0;
+  let previous = 0;
+  return (input) => {
+    if (fromRate === toRate) return input;
+    const output = [];
+    const sampleAt = (index) => (index < 0 ? previous : input[index]);
+    while (position < input.length - 1) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      output.push(sampleAt(index) + (sampleAt(index + 1) - sampleAt(index)) * fraction);
+      position += step;
+    }
+    position -= input.length;
+    if (input.length) previous = input[input.length - 1];
+    return Float32Array.from(output);
+  };
+}
+
+/**
+ * Expands a single G.711 μ-law byte into a 16-bit linear sample.
+ *
+ * @param {number} value The μ-law encoded byte.
+ * @returns {number} The linear sample in the range [-32124, 32124].
+ */
+export function ulawToLinear(value) {
+  const ulaw = ~value & 0xff;
+  const sign = ulaw & 0x80;
+  const exponent = (ulaw >> 4) & 0x07;
+  const mantissa = ulaw & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -magnitude : magnitude;
+}
+
+/**
+ * Converts G.711 μ-law data into floating point samples in the range [-1, 1).
+ *
+ * @param {Uint8Array} bytes The μ-law data.
+ * @returns {Float32Array}
+ */
+export function ulawToFloat32(bytes) {
+  const samples = new Float32Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    samples[i] = ulawToLinear(bytes[i]) / 32768;
+  }
+  return samples;
+}
+
+/**
+ * Decodes a base64 audio chunk in the given ElevenLabs format. Raw formats
+ * (PCM and μ-law) are turned into samples ready for an audio buffer;
+ * compressed formats are returned as bytes for the platform decoder.
+ *
+ * @param {string} base64 The base64 encoded chunk.
+ * @param {string} [format] The ElevenLabs output format name.
+ * @returns {{ samples: Float32Array, sampleRate: number }|{ encoded:
+ *   Uint8Array, encoding: string }}
+ */
+export function decodeAudioChunk(base64, format) {
+  const { encoding, sampleRate } = parseAudioFormat(format);
+  const bytes = base64ToBytes(base64);
+  if (encoding === 'pcm') return { samples: pcm16ToFloat32(bytes), sampleRate };
+  if (encoding === 'ulaw') return { samples: ulawToFloat32(bytes), sampleRate };
+  return { encoded: bytes, encoding };
+}
\ No newline at end of file
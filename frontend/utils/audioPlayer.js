@@ -0,0 +1,111 @@
+import { DEFAULT_AUDIO_FORMAT, decodeAudioChunk } from './audioFormats';
+
+// Delay before the first chunk of a burst starts, to absorb decode jitter
+const SCHEDULE_LEAD_SECONDS = 0.05;
+
+/**
+ * Creates a gapless player for agent audio built on the Web Audio API. Each
+ * chunk is decoded according to the agent's output format and scheduled to
+ * start exactly when the previous one ends, so consecutive chunks play
+ * without audible gaps. All output passes through an analyser node that can
+ * drive a visualizer.
+ *
+ * `playChunk` returns the handle expected by `createAudioQueue`: `finished`
+ * settles once the chunk is scheduled, so the queue can immediately hand over
+ * the next one, and `ended` once it has stopped sounding.
+ *
+ * @returns {{ playChunk: Function, setFormat: Function, analyser: AnalyserNode,
+ *   resume: Function, close: Function }}
+ */
+export function createAudioPlayer() {
+  const context = new (window.AudioContext || window.webkitAudioContext)();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.connect(context.destination);
+  const sources = new Set();
+  let format = DEFAULT_AUDIO_FORMAT;
+  let nextStartTime = 0;
+
+  // Turn a decoded chunk into an AudioBuffer
+  async function toAudioBuffer(decoded) {
+    if (decoded.samples) {
+      const buffer = context.createBuffer(1, decoded.samples.length, decoded.sampleRate);
+      buffer.copyToChannel(decoded.samples, 0);
+      return buffer;
+    }
+    const { encoded } = decoded;
+    const data = encoded.buffer.slice(encoded.byteOffset, encoded.byteOffset + encoded.byteLength);
+    return context.decodeAudioData(data);
+  }
+
+  function release(source) {
+    sources.delete(source);
+    // Once nothing is scheduled the next chunk starts as soon as possible
+    if (sources.size === 0) nextStartTime = 0;
+  }
+
+  /**
+   * Decodes and schedules a base64 audio chunk.
+   *
+   * @param {string} chunk Base64 encoded audio in the current format.
+   * @returns {{ finished: Promise, ended: Promise, stop: Function }}
+   */
+  function playChunk(chunk) {
+    let source = null;
+    let stopped = false;
+    let markEnded;
+    const ended = new Promise((resolve) => {
+      markEnded = resolve;
+    });
+    const finished = toAudioBuffer(decodeAudioChunk(chunk, format))
+      .then((buffer) => {
+        if (stopped) return;
+        source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(analyser);
+        source.onended = () => {
+          release(source);
+          markEnded();
+        };
+        const startAt = Math.max(context.currentTime + SCHEDULE_LEAD_SECONDS, nextStartTime);
+        source.start(startAt);
+        nextStartTime = startAt + buffer.duration;
+        sources.add(source);
+      })
+      .catch((error) => {
+        console.error('Failed to decode agent audio:', error);
+        markEnded();
+      });
+    return {
+      finished,
+      ended,
+      stop: () => {
+        stopped = true;
+        if (source) {
+          source.onended = null;
+          source.stop();
+          release(source);
+        }
+        markEnded();
+      },
+    };
+  }
+
+  return {
+    playChunk,
+    analyser,
+    /**
+     * Sets the format of subsequent chunks, as reported by the agent's
+     * `conversation_initiation_metadata`.
+     *
+     * @param {string} [value] The ElevenLabs output format name.
+     */
+    setFormat: (value) => {
+      format = value || DEFAULT_AUDIO_FORMAT;
+    },
+    /** Resumes the audio context; browsers start it suspended. */
+    resume: () => context.resume(),
+    /** Releases the audio context. */
+    close: () => context.close(),
+  };
+}
\ No newline at end of file
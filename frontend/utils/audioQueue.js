@@ -0,0 +1,122 @@
+/**
+ * Playback queue for agent audio chunks with support for interruptions
+ * (barge-in). Chunks are handed one after another to a caller-supplied
+ * `playChunk` function, which keeps this module free of browser APIs so it
+ * can be unit-tested in Node.
+ *
+ * Every chunk carries the `event_id` of the audio event it arrived in. When
+ * the user talks over the agent, ElevenLabs sends an `interruption` event
+ * with the ID of the last event that belongs to the interrupted response;
+ * `interrupt` stops the chunks that are sounding and drops every queued or
+ * late chunk whose event ID is not newer than that.
+ *
+ * A player may report a chunk as `finished` before it has `ended`, e.g. once
+ * it is scheduled on an audio clock. The queue then hands over the next chunk
+ * straight away for gapless playback, while still tracking the earlier chunk
+ * as active so an interruption can stop it.
+ */
+
+/**
+ * Creates an audio playback queue.
+ *
+ * @param {Object} options
+ * @param {Function} options.playChunk Starts playing a chunk and returns a
+ *   handle `{ finished: Promise, ended?: Promise, stop: Function }`.
+ *   `finished` settles when the next chunk may be handed over, `ended` when
+ *   the chunk has stopped sounding (defaults to `finished`), and `stop` halts
+ *   playback immediately.
+ * @returns {{ enqueue: Function, interrupt: Function, clear: Function,
+ *   isPlaying: Function, size: Function }}
+ */
+export function createAudioQueue({ playChunk }) {
+  const pending = [];
+  const active = new Set();
+  let current = null;
+  let interruptedEventId = -Infinity;
+
+  const isInterrupted = (eventId) => eventId !== undefined && eventId <= interruptedEventId;
+
+  function stopItem(item) {
+    active.delete(item);
+    if (current === item) current = null;
+    item.handle.stop();
+  }
+
+  function playNext() {
+    if (current || pending.length === 0) return;
+    const item = pending.shift();
+    try {
+      item.handle = playChunk(item.chunk);
+    } catch (error) {
+      // A chunk that cannot be played is skipped
+      playNext();
+      return;
+    }
+    current = item;
+    active.add(item);
+    Promise.resolve(item.handle.ended || item.handle.finished)
+      .catch(() => {})
+      .then(() => active.delete(item));
+    Promise.resolve(item.handle.finished)
+      .catch(() => {})
+      .then(() => {
+        // Ignore completions of chunks that were stopped in the meantime
+        if (current === item) {
+          current = null;
+          playNext();
+        }
+      });
+  }
+
+  /**
+   * Adds a chunk to the queue and starts playback if idle.
+   *
+   * @param {*} chunk The audio data passed to `playChunk`.
+   * @param {number} [eventId] The event ID of the audio event.
+   * @returns {boolean} False when the chunk belongs to an interrupted
+   *   response and was dropped.
+   */
+  function enqueue(chunk, eventId) {
+    if (isInterrupted(eventId)) return false;
+    pending.push({ chunk, eventId });
+    playNext();
+    return true;
+  }
+
+  /**
+   * Handles an interruption. Without an event ID everything is stopped.
+   *
+   * @param {number} [eventId] The last event ID of the interrupted response.
+   */
+  function interrupt(eventId) {
+    if (eventId === undefined) {
+      clear();
+      return;
+    }
+    interruptedEventId = Math.max(interruptedEventId, eventId);
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (isInterrupted(pending[i].eventId)) pending.splice(i, 1);
+    }
+    [...active].filter((item) => isInterrupted(item.eventId)).forEach(stopItem);
+    playNext();
+  }
+
+  /**
+   * Stops playback and forgets all queued chunks and interruptions, e.g. when
+   * a new conversation starts.
+   */
+  function clear() {
+    pending.length = 0;
+    interruptedEventId = -Infinity;
+    [...active].forEach(stopItem);
+    current = null;
+  }
+
+  return {
+    enqueue,
+    interrupt,
+    clear,
+    isPlaying: () => active.size > 0,
+    size: () => pending.length + active.size,
+  };
+}
\ No newline at end of file
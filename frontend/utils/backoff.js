@@ -0,0 +1,28 @@
+/**
+ * Retry timing for the conversation WebSocket. Delays grow exponentially
+ * with each attempt up to a cap, and are randomised ("jittered") so that
+ * many clients dropped at the same moment do not reconnect in lockstep.
+ */
+
+/**
+ * How often and how quickly a dropped conversation is reconnected.
+ */
+export const RECONNECT_POLICY = {
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxAttempts: 5,
+};
+
+/**
+ * Returns the delay before a retry. The delay is drawn from the upper half
+ * of the exponential window, so it never collapses to zero.
+ *
+ * @param {number} attempt The number of retries made so far, starting at 0.
+ * @param {Object} [policy] Overrides for `RECONNECT_POLICY`.
+ * @returns {number} The delay in milliseconds.
+ */
+export function backoffDelay(attempt, policy = RECONNECT_POLICY) {
+  const { baseDelayMs, maxDelayMs } = { ...RECONNECT_POLICY, ...policy };
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
\ No newline at end of file
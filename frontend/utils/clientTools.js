@@ -0,0 +1,91 @@
+/**
+ * Registry and runner for client tools: functions registered in the browser
+ * that the agent can invoke during a conversation. The agent sends a
+ * `client_tool_call` event naming the tool, and expects a
+ * `client_tool_result` event with the same `tool_call_id` in return. This
+ * module has no browser dependencies.
+ */
+
+/** How long a tool handler may run before the call fails. */
+export const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+/**
+ * Creates an empty client tool registry.
+ *
+ * @returns {Map<string, { handler: Function, timeoutMs: number }>}
+ */
+export function createClientToolRegistry() {
+  return new Map();
+}
+
+/**
+ * Registers a tool handler, replacing any existing one with the same name.
+ *
+ * @param {Map} registry The registry to add the tool to.
+ * @param {string} name The tool name configured on the agent.
+ * @param {Function} handler Receives the call parameters and returns the
+ *   result, or a promise of it.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] How long the handler may run.
+ * @returns {Function} Removes the registration again.
+ */
+export function registerClientTool(registry, name, handler, { timeoutMs = DEFAULT_TOOL_TIMEOUT_MS } = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Handler for client tool "${name}" must be a function`);
+  }
+  const entry = { handler, timeoutMs };
+  registry.set(name, entry);
+  return () => {
+    if (registry.get(name) === entry) registry.delete(name);
+  };
+}
+
+/**
+ * Serializes a handler result for the agent, which expects text.
+ *
+ * @param {*} value The handler's return value.
+ * @returns {string}
+ */
+function serializeResult(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Runs the tool requested by a `client_tool_call` event and builds the
+ * `client_tool_result` event to send back. Unknown tools, handler errors and
+ * timeouts produce an error result rather than a rejected promise.
+ *
+ * @param {Map} registry The registry holding the tool handlers.
+ * @param {Object} call The `client_tool_call` payload with `tool_name`,
+ *   `tool_call_id` and `parameters`.
+ * @returns {Promise<Object>} The `client_tool_result` event.
+ */
+export async function runClientTool(registry, call) {
+  const { tool_name: name, tool_call_id: toolCallId, parameters = {} } = call;
+  const respond = (result, isError) => ({
+    type: 'client_tool_result',
+    tool_call_id: toolCallId,
+    result,
+    is_error: isError,
+  });
+  const entry = registry.get(name);
+  if (!entry) {
+    return respond(`Client tool "${name}" is not registered`, true);
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Client tool "${name}" timed out after ${entry.timeoutMs} ms`)),
+      entry.timeoutMs,
+    );
+  });
+  try {
+    const result = await Promise.race([Promise.resolve().then(() => entry.handler(parameters)), timeout]);
+    return respond(serializeResult(result), false);
+  } catch (error) {
+    return respond(error?.message || String(error), true);
+  } finally {
+    clearTimeout(timer);
+  }
+}
\ No newline at end of file
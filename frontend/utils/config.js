@@ -0,0 +1,84 @@
+/**
+ * Client-side configuration read from `NEXT_PUBLIC_*` environment variables.
+ * Next.js inlines these values at build time, so changing them requires a
+ * rebuild of the frontend. Pages that embed the chat widget, which are not
+ * built with the frontend, override them at runtime with `configure`.
+ */
+
+/**
+ * How the browser reaches the conversational agent. In `direct` mode (the
+ * default) it fetches a signed URL from the backend and connects straight to
+ * ElevenLabs. In `relay` mode it connects to the backend's WebSocket relay,
+ * which forwards the conversation upstream.
+ */
+export const CONVERSATION_MODE =
+  process.env.NEXT_PUBLIC_CONVERSATION_MODE === 'relay' ? 'relay' : 'direct';
+
+/**
+ * Explicit WebSocket URL of the backend relay. When unset the relay is
+ * assumed to be served from the same host as the frontend.
+ */
+export const RELAY_URL = process.env.NEXT_PUBLIC_RELAY_URL || '';
+
+// Values set with `configure`, taking precedence over the build-time ones
+const overrides = {};
+
+/**
+ * Overrides the configuration at runtime.
+ *
+ * @param {Object} options
+ * @param {string} [options.backendUrl] Base URL of the backend, e.g.
+ *   `https://floris.example.com`. API requests and the relay go there
+ *   instead of to the page's own host.
+ * @param {string} [options.conversationMode] `direct` or `relay`.
+ * @param {string} [options.relayUrl] Explicit WebSocket URL of the relay.
+ */
+export function configure({ backendUrl, conversationMode, relayUrl } = {}) {
+  if (backendUrl !== undefined) overrides.backendUrl = backendUrl.replace(/\/+$/, '');
+  if (conversationMode !== undefined) {
+    overrides.conversationMode = conversationMode === 'relay' ? 'relay' : 'direct';
+  }
+  if (relayUrl !== undefined) overrides.relayUrl = relayUrl;
+}
+
+/**
+ * Returns the conversation mode, `direct` or `relay`.
+ *
+ * @returns {string}
+ */
+export function getConversationMode() {
+  return overrides.conversationMode || CONVERSATION_MODE;
+}
+
+/**
+ * Whether conversations go through the backend relay, which is required
+ * for anything the backend does with the audio, such as recording it.
+ *
+ * @returns {boolean}
+ */
+export function isRelayMode() {
+  return getConversationMode() === 'relay';
+}
+
+/**
+ * Returns the base URL of the backend; empty when it is served from the
+ * same host as the page.
+ *
+ * @returns {string}
+ */
+export function getBackendUrl() {
+  return overrides.backendUrl || '';
+}
+
+/**
+ * Returns the WebSocket URL of the backend conversation relay.
+ *
+ * @returns {string}
+ */
+export function getRelayUrl() {
+  const relayUrl = overrides.relayUrl || RELAY_URL;
+  if (relayUrl) return relayUrl;
+  const base = new URL(getBackendUrl() || window.location.origin);
+  const protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${base.host}/api/conversation/ws`;
+}
\ No newline at end of file
@@ -0,0 +1,1023 @@
+import { api, getAuthToken } from './api';
+import { getRelayUrl, isRelayMode } from './config';
+import { audioDurationMs, base64ByteLength } from './audioFormats';
+import { estimateSpeechMs } from './transcriptTiming';
+import { createAudioQueue } from './audioQueue';
+import { createAudioPlayer } from './audioPlayer';
+import { createClientToolRegistry, registerClientTool, runClientTool } from './clientTools';
+import { RECONNECT_POLICY, backoffDelay } from './backoff';
+import { resolveInitiation } from './conversationSettings';
+import { reportConversationUsage } from './usage';
+import { describeApiError, describeErrorCode, isErrorCode } from './apiErrors';
+import { createMicrophone } from './microphone';
+
+// Close code ElevenLabs uses when a conversation ends on purpose, e.g. when
+// the agent hangs up. Any other close is treated as a dropped connection.
+const NORMAL_CLOSURE = 1000;
+
+// How many earlier messages are replayed to the agent after a reconnect
+const RESUME_CONTEXT_MESSAGES = 20;
+
+/**
+ * Resolves the WebSocket URL for a new conversation. In relay mode this is the
+ * backend relay; otherwise a signed ElevenLabs URL is requested from the
+ * backend. Signed URLs are single use, so a fresh one is fetched for every
+ * connection attempt. Browsers cannot set headers on WebSocket requests, so
+ * the relay receives the auth token as a query parameter.
+ *
+ * @param {Object} options
+ * @param {string} [options.agent] The agent to talk to; the default agent
+ *   when omitted.
+ * @param {string} [options.resumeId] The history session a reconnect
+ *   continues. The relay appends the resumed conversation to it; in direct
+ *   mode the browser records the messages itself and the ID is not needed.
+ * @param {boolean} [options.record] Whether the user agreed to have the
+ *   audio recorded. Only the relay can record.
+ * @returns {Promise<string>}
+ */
+async function resolveConversationUrl({ agent, resumeId, record }) {
+  if (isRelayMode()) {
+    const url = new URL(getRelayUrl());
+    const token = getAuthToken();
+    if (token) url.searchParams.set('token', token);
+    if (agent) url.searchParams.set('agent', agent);
+    if (resumeId) url.searchParams.set('resume', resumeId);
+    if (record) url.searchParams.set('record', '1');
+    return url.toString();
+  }
+  const { data } = await api.get('/api/signed-url', { params: { agent } });
+  const { signedUrl } = data;
+  if (!signedUrl) throw new Error('Signed URL not provided');
+  return signedUrl;
+}
+
+/**
+ * Builds the `contextual_update` text that primes the agent on a resumed
+ * connection. ElevenLabs cannot reattach to a closed conversation, so the
+ * new one is told what has been said so far.
+ *
+ * @param {Array<Object>} messages The chat messages before the drop.
+ * @returns {string|null} The context, or null when nothing was said yet.
+ */
+function buildResumeContext(messages) {
+  const lines = messages
+    .filter(
+      (message) => (message.role === 'user' || message.role === 'agent') && !message.tentative,
+    )
+    .slice(-RESUME_CONTEXT_MESSAGES)
+    .map((message) => `${message.role === 'user' ? 'User' : 'Agent'}: ${message.text}`);
+  if (lines.length === 0) return null;
+  return [
+    'The connection was interrupted and this conversation has been resumed.',
+    'Continue where it left off. The conversation so far:',
+    ...lines,
+  ].join('\n');
+}
+
+/**
+ * Client for a conversation with the ElevenLabs agent, independent of any UI
+ * framework. It obtains a signed WebSocket URL from the backend (or uses the
+ * backend relay, depending on the conversation mode in config.js),
+ * establishes the WebSocket connection, streams microphone audio, receives
+ * transcripts and agent responses, and plays back the agent's audio
+ * gaplessly through the Web Audio API, in whichever format the agent
+ * reports. Tools registered with `registerClientTool` run when the agent
+ * calls them and appear in the chat as "tool" messages. Outside relay mode
+ * each message is also reported to the backend so the session is kept in the
+ * conversation history.
+ *
+ * Each message has an `id`, a role ("user", "agent" or "tool"), text and the
+ * time it was produced. Messages are updated in place while a turn is in
+ * progress: the user's words appear as `tentative` text while they speak and
+ * are replaced by the final transcript, agent text is shown as it streams in,
+ * an agent message is flagged as `speaking` while its audio plays, and the
+ * text of an interrupted response is replaced by what was actually spoken
+ * when ElevenLabs sends a correction.
+ *
+ * The connection is reported as `connectionState`: "idle", "connecting",
+ * "connected", "reconnecting" or "failed". When the socket drops
+ * unexpectedly the client reconnects with exponential backoff, primes the new
+ * conversation with the transcript so far and keeps the microphone open in
+ * the meantime; it gives up after `RECONNECT_POLICY.maxAttempts` tries.
+ * When the conversation cannot be established, `error` says why (see
+ * apiErrors.js). Errors a retry cannot fix, such as an exhausted ElevenLabs
+ * account, end the conversation as "failed" without reconnecting.
+ *
+ * The microphone is captured once for both streaming and visualization (see
+ * microphone.js): its input device, mode (open, push-to-talk or voice
+ * activity) and mute state can be changed at any time through `microphone`,
+ * and only the audio its gate lets through is sent to the agent.
+ *
+ * The state is available as `state`, an object that is replaced on every
+ * change: `{ messages, isRecording, connectionState, conversationId,
+ * sessionStartedAt, error, outputAnalyser, microphone }`. Listeners
+ * registered with `on` are notified of:
+ *
+ * - `change` – any change, with the new state.
+ * - `message` – a message added or updated, with the message.
+ * - `connectionstatechange` – with the new connection state.
+ * - `error` – the conversation could not be established, with the error.
+ *
+ * @example
+ * const client = new ConversationClient({ settings: { language: 'nl' } });
+ * client.on('message', (message) => console.log(message.role, message.text));
+ * button.onclick = () => client.startConversation();
+ */
+export class ConversationClient {
+  #listeners = new Map();
+  #settings;
+  #agent;
+  #record = false;
+  #websocket = null;
+  #messageId = 0;
+  #agentTurn = null;
+  #userTurn = null;
+  // An interrupted agent message, held back from the history until a
+  // correction of its text has had the chance to arrive
+  #heldMessage = null;
+  // The agent message flagged as speaking and the timer clearing the flag
+  #speaking = null;
+  #lastEnd = 0;
+  #audioFormat = undefined;
+  #agentAudio = [];
+  #conversationId = null;
+  #unrecordedMessages = [];
+  #recordChain = Promise.resolve();
+  #audioQueue;
+  #player = null;
+  #clientTools = createClientToolRegistry();
+  #pendingEvents = [];
+  #isTextOnly = false;
+  // Incremented whenever a conversation starts or ends, so callbacks of an
+  // earlier conversation can tell that they are stale
+  #session = 0;
+  #reconnectAttempt = 0;
+  #reconnectTimer = null;
+  #disconnectedAt = null;
+  #isStreaming = false;
+  // Initiation fields resolved from the settings, reused on reconnects
+  #initiation = {};
+  #microphone;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.agent] The name of the agent to talk to, as
+   *   listed by GET /api/agents; the backend's default agent when omitted.
+   * @param {Object} [options.settings] Conversation settings, see
+   *   `conversationSettings.js`. Per-session overrides (prompt, first
+   *   message, language, voice and dynamic variables) are taken from them
+   *   when a conversation starts; they are validated by the backend
+   *   allowlist and sent with the initiation event.
+   * @param {boolean} [options.record] Whether the backend records the
+   *   conversations, see `setRecording`.
+   */
+  constructor({ agent, settings, record = false } = {}) {
+    this.#agent = agent;
+    this.#settings = settings;
+    this.#record = Boolean(record);
+
+    // Microphone capture hands over base64 encoded PCM chunks that passed its
+    // mode and mute gate. These are forwarded to the ElevenLabs WebSocket
+    // when a connection is active.
+    this.#microphone = createMicrophone({
+      onChunk: (audioData) => {
+        const ws = this.#websocket;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        ws.send(
+          JSON.stringify({
+            user_audio_chunk: audioData,
+          }),
+        );
+      },
+      onChange: (microphone) => this.#setState({ microphone }),
+    });
+
+    // Agent audio plays through a queue that understands interruptions and
+    // hands chunks to the Web Audio player for gapless scheduling
+    this.#audioQueue = createAudioQueue({
+      // The player is gone once the client is detached
+      playChunk: (chunk) => this.#player?.playChunk(chunk),
+    });
+
+    this.state = {
+      messages: [],
+      isRecording: false,
+      connectionState: 'idle',
+      conversationId: null,
+      sessionStartedAt: null,
+      error: null,
+      outputAnalyser: null,
+      microphone: this.#microphone.getState(),
+    };
+
+    // Controls for the microphone; their state is part of `state.microphone`
+    const { setDeviceId, setMode, setMuted, setPushActive } = this.#microphone;
+    this.microphone = { setDeviceId, setMode, setMuted, setPushActive };
+
+    // Callable without the client as `this`, e.g. as event handlers
+    this.startConversation = this.startConversation.bind(this);
+    this.stopConversation = this.stopConversation.bind(this);
+    this.sendTextMessage = this.sendTextMessage.bind(this);
+    this.registerClientTool = this.registerClientTool.bind(this);
+    this.getAgentAudio = this.getAgentAudio.bind(this);
+  }
+
+  /**
+   * Registers a listener for one of the events described above.
+   *
+   * @param {string} type The event type.
+   * @param {Function} listener Called with the event's value.
+   * @returns {Function} Unregisters the listener.
+   */
+  on(type, listener) {
+    if (!this.#listeners.has(type)) this.#listeners.set(type, new Set());
+    this.#listeners.get(type).add(listener);
+    return () => this.#listeners.get(type).delete(listener);
+  }
+
+  #emit(type, value) {
+    this.#listeners.get(type)?.forEach((listener) => listener(value));
+  }
+
+  #setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.#emit('change', this.state);
+  }
+
+  /**
+   * Replaces the settings used for the next conversation.
+   *
+   * @param {Object} settings Conversation settings.
+   */
+  setSettings(settings) {
+    this.#settings = settings;
+  }
+
+  /**
+   * Selects the agent for the next conversation.
+   *
+   * @param {string} [agent] The agent name; the default agent when empty.
+   */
+  setAgent(agent) {
+    this.#agent = agent;
+  }
+
+  /**
+   * Sets whether the next conversation is recorded by the backend. Only ask
+   * for a recording once the user has agreed to it; it takes relay mode and
+   * recording enabled on the backend (see GET /api/recordings/policy).
+   *
+   * @param {boolean} record Whether to record.
+   */
+  setRecording(record) {
+    this.#record = Boolean(record);
+  }
+
+  /**
+   * Prepares the client in the browser: restores the microphone preferences
+   * and lists the input devices. Call it once the page has loaded.
+   */
+  attach() {
+    this.#microphone.load();
+  }
+
+  /**
+   * Ends the conversation and releases the microphone and the audio
+   * context. The client can still be attached and used again afterwards.
+   */
+  detach() {
+    this.#endConversation('idle');
+    clearTimeout(this.#speaking?.timer);
+    this.#audioQueue.clear();
+    this.#microphone.unload();
+    this.#player?.close();
+    this.#player = null;
+    this.#setState({ outputAnalyser: null });
+  }
+
+  #setConnectionState(connectionState) {
+    if (connectionState === this.state.connectionState) return;
+    this.#setState({ connectionState });
+    this.#emit('connectionstatechange', connectionState);
+  }
+
+  #setError(error) {
+    this.#setState({ error });
+    if (error) this.#emit('error', error);
+  }
+
+  /**
+   * Returns the audio player, creating it on first use. Browsers only allow
+   * audio to start after a user gesture, so this is called when a
+   * conversation is started rather than on construction.
+   */
+  #ensurePlayer() {
+    if (!this.#player) {
+      this.#player = createAudioPlayer();
+      this.#setState({ outputAnalyser: this.#player.analyser });
+    }
+    this.#player.resume();
+    return this.#player;
+  }
+
+  /**
+   * Persists a transcript message to the backend history. In relay mode the
+   * backend records the conversation itself, so nothing is sent. Messages
+   * produced before the conversation ID is known are held back until the
+   * initiation metadata arrives. Requests are chained to preserve ordering.
+   *
+   * @param {Object} message The message to record.
+   */
+  #persistMessage(message) {
+    if (isRelayMode()) return;
+    const id = this.#conversationId;
+    if (!id) {
+      this.#unrecordedMessages.push(message);
+      return;
+    }
+    this.#recordChain = this.#recordChain
+      .then(() => api.post(`/api/sessions/${encodeURIComponent(id)}/messages`, message))
+      .catch((error) => {
+        console.error('Failed to record message:', error);
+      });
+  }
+
+  // Record the held back interrupted agent message, if any
+  #flushHeldMessage() {
+    const held = this.#heldMessage;
+    this.#heldMessage = null;
+    if (held) this.#persistMessage(held.message);
+  }
+
+  // Record a message, after any held back message so the order is kept
+  #recordMessage(message) {
+    this.#flushHeldMessage();
+    this.#persistMessage(message);
+  }
+
+  /**
+   * Appends an entry to the chat without recording it.
+   *
+   * @param {Object} fields The entry's fields, e.g. `role` and `text`.
+   * @returns {Object} The entry, including its generated `id`.
+   */
+  #addEntry(fields) {
+    this.#messageId += 1;
+    const entry = { id: this.#messageId, ...fields };
+    this.#setState({ messages: [...this.state.messages, entry] });
+    this.#emit('message', entry);
+    return entry;
+  }
+
+  /**
+   * Appends a message to the chat and records it in the session history.
+   *
+   * @param {Object} message The message with `role`, `text`, `timestamp` and
+   *   optionally `endTimestamp`.
+   * @returns {Object} The chat entry, including its generated `id`.
+   */
+  #addMessage(message) {
+    const entry = this.#addEntry(message);
+    this.#lastEnd = message.endTimestamp || message.timestamp;
+    this.#recordMessage(message);
+    return entry;
+  }
+
+  /**
+   * Updates a chat entry in place.
+   *
+   * @param {number} id The entry ID.
+   * @param {Object} patch The fields to change.
+   */
+  #updateMessage(id, patch) {
+    let updated = null;
+    const messages = this.state.messages.map((entry) => {
+      if (entry.id !== id) return entry;
+      updated = { ...entry, ...patch };
+      return updated;
+    });
+    if (!updated) return;
+    this.#setState({ messages });
+    this.#emit('message', updated);
+  }
+
+  /**
+   * Returns the agent turn in progress, starting one at `now` if needed. A
+   * turn begins with its first audio chunk or text, whichever arrives first.
+   *
+   * @param {number} now The current time in milliseconds.
+   * @returns {Object} The turn with `startedAt`, `audioMs`, `text` (the final
+   *   response), `draft` (the text streamed so far) and `messageId`.
+   */
+  #currentAgentTurn(now) {
+    if (!this.#agentTurn) {
+      this.#agentTurn = { startedAt: now, audioMs: 0, text: null, draft: '', messageId: null };
+    }
+    return this.#agentTurn;
+  }
+
+  // Clear the `speaking` flag of the agent message whose audio is playing
+  #stopSpeaking() {
+    const speaking = this.#speaking;
+    this.#speaking = null;
+    if (!speaking) return;
+    clearTimeout(speaking.timer);
+    this.#updateMessage(speaking.messageId, { speaking: false });
+  }
+
+  /**
+   * Flags the chat entry of an agent turn as `speaking` until the audio
+   * received so far has played out.
+   *
+   * @param {Object} turn The agent turn.
+   */
+  #markSpeaking(turn) {
+    if (!turn.messageId || !turn.audioMs) return;
+    const speaking = this.#speaking;
+    if (speaking?.messageId === turn.messageId) {
+      clearTimeout(speaking.timer);
+    } else {
+      this.#stopSpeaking();
+      this.#updateMessage(turn.messageId, { speaking: true });
+    }
+    const remainingMs = turn.startedAt + turn.audioMs - Date.now();
+    this.#speaking = {
+      messageId: turn.messageId,
+      timer: setTimeout(() => this.#stopSpeaking(), Math.max(0, remainingMs)),
+    };
+  }
+
+  /**
+   * Shows the text of an agent turn in the chat, adding the turn's entry on
+   * first use.
+   *
+   * @param {Object} turn The agent turn.
+   * @param {string} text The text to show.
+   * @param {boolean} tentative Whether more text is still to come.
+   */
+  #showAgentText(turn, text, tentative) {
+    if (turn.messageId) {
+      this.#updateMessage(turn.messageId, { text, tentative });
+      return;
+    }
+    const entry = this.#addEntry({ role: 'agent', text, timestamp: turn.startedAt, tentative });
+    turn.messageId = entry.id;
+    this.#markSpeaking(turn);
+  }
+
+  /**
+   * Completes the agent turn in progress. Its end time is derived from the
+   * duration of the audio it produced; the chat entry is updated and the
+   * message is recorded in the session history. A turn that never got its
+   * final response keeps the text streamed so far.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.interruptedAt] When the user interrupted the
+   *   turn. The turn is marked as interrupted and truncated at that time,
+   *   and its message is held back until the next one is recorded, since
+   *   ElevenLabs may still correct its text.
+   */
+  #finishAgentTurn({ interruptedAt } = {}) {
+    const turn = this.#agentTurn;
+    this.#agentTurn = null;
+    if (!turn || !turn.messageId) return;
+    const message = { role: 'agent', text: turn.text || turn.draft, timestamp: turn.startedAt };
+    if (turn.audioMs) {
+      message.endTimestamp = Math.round(turn.startedAt + turn.audioMs);
+    }
+    if (interruptedAt) {
+      message.endTimestamp = Math.min(message.endTimestamp || interruptedAt, interruptedAt);
+      message.interrupted = true;
+      this.#stopSpeaking();
+    }
+    this.#updateMessage(turn.messageId, { ...message, tentative: false });
+    this.#lastEnd = message.endTimestamp || message.timestamp;
+    if (interruptedAt) {
+      this.#flushHeldMessage();
+      this.#heldMessage = { message, messageId: turn.messageId };
+    } else {
+      this.#recordMessage(message);
+    }
+  }
+
+  /**
+   * Shows agent text as it streams in, before the final response.
+   *
+   * @param {string} text The text so far, or the next piece of it.
+   * @param {Object} [options]
+   * @param {boolean} [options.append=false] Whether `text` continues the
+   *   text streamed so far rather than replacing it.
+   */
+  #streamAgentText(text, { append = false } = {}) {
+    // Text streamed after a final response belongs to the next turn
+    if (this.#agentTurn?.text) this.#finishAgentTurn();
+    const turn = this.#currentAgentTurn(Date.now());
+    turn.draft = append ? turn.draft + text : text;
+    this.#showAgentText(turn, turn.draft, true);
+  }
+
+  /**
+   * Replaces the text of an interrupted agent response with what was
+   * actually spoken. A response that has already been recorded is only
+   * corrected in the chat.
+   *
+   * @param {string} original The text as first sent.
+   * @param {string} corrected The text that was spoken.
+   */
+  #correctAgentResponse(original, corrected) {
+    const turn = this.#agentTurn;
+    const held = this.#heldMessage;
+    let messageId = null;
+    if (turn?.messageId && (turn.text || turn.draft) === original) {
+      turn.text = corrected;
+      messageId = turn.messageId;
+    } else if (held && held.message.text === original) {
+      held.message.text = corrected;
+      messageId = held.messageId;
+    } else {
+      const entry = this.state.messages
+        .filter((candidate) => candidate.role === 'agent' && candidate.text === original)
+        .pop();
+      messageId = entry?.id ?? null;
+    }
+    if (messageId !== null) this.#updateMessage(messageId, { text: corrected });
+  }
+
+  /**
+   * Shows what the user is saying while they speak, as a tentative entry
+   * that the final transcript replaces.
+   *
+   * @param {string} text The tentative transcript.
+   */
+  #showUserDraft(text) {
+    const turn = this.#userTurn;
+    if (turn) {
+      this.#updateMessage(turn.messageId, { text });
+      return;
+    }
+    const now = Date.now();
+    const entry = this.#addEntry({ role: 'user', text, timestamp: now, tentative: true });
+    this.#userTurn = { startedAt: now, messageId: entry.id };
+  }
+
+  // Remove the tentative entry of a user turn that never got its final
+  // transcript, e.g. because the connection dropped
+  #discardUserDraft() {
+    const turn = this.#userTurn;
+    this.#userTurn = null;
+    if (!turn) return;
+    this.#setState({
+      messages: this.state.messages.filter((entry) => entry.id !== turn.messageId),
+    });
+  }
+
+  // Show the final transcript of what the user said
+  #finishUserTurn(text) {
+    // The transcript arrives once the user stops talking, so the start of
+    // the utterance is estimated from its length, unless the first
+    // tentative transcript came earlier
+    this.#finishAgentTurn();
+    const now = Date.now();
+    const draft = this.#userTurn;
+    this.#userTurn = null;
+    const estimated = now - estimateSpeechMs(text);
+    const start = Math.max(
+      this.#lastEnd,
+      draft ? Math.min(draft.startedAt, estimated) : estimated,
+    );
+    const message = { role: 'user', text, timestamp: start, endTimestamp: now };
+    if (draft) {
+      this.#updateMessage(draft.messageId, { ...message, tentative: false });
+      this.#lastEnd = now;
+      this.#recordMessage(message);
+    } else {
+      this.#addMessage(message);
+    }
+  }
+
+  /**
+   * Sends a client event over the conversation WebSocket. Events sent before
+   * the socket has opened are buffered and flushed once the conversation has
+   * been initiated, so callers do not need to wait for the connection.
+   *
+   * @param {Object} event The client event to send.
+   */
+  #sendEvent(event) {
+    const ws = this.#websocket;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(event));
+    } else {
+      this.#pendingEvents.push(event);
+    }
+  }
+
+  /**
+   * Runs a client tool requested by the agent and sends back its result. A
+   * "tool" entry is shown in the chat while the tool runs and updated with
+   * the outcome. Tool entries are not recorded in the session history.
+   *
+   * @param {Object} call The `client_tool_call` payload.
+   */
+  async #handleClientToolCall(call) {
+    const ws = this.#websocket;
+    const { id } = this.#addEntry({
+      role: 'tool',
+      text: call.tool_name,
+      parameters: call.parameters || {},
+      status: 'running',
+      timestamp: Date.now(),
+    });
+    const result = await runClientTool(this.#clientTools, call);
+    this.#updateMessage(id, { status: result.is_error ? 'error' : 'done', result: result.result });
+    // Results for a conversation that has since ended are discarded
+    if (this.#websocket === ws) this.#sendEvent(result);
+  }
+
+  /**
+   * Tears down the current conversation: cancels a pending reconnect, closes
+   * the socket and stops the microphone.
+   *
+   * @param {string} state The connection state to end in, "idle" or "failed".
+   */
+  #endConversation(state) {
+    this.#session += 1;
+    clearTimeout(this.#reconnectTimer);
+    this.#reconnectTimer = null;
+    const ws = this.#websocket;
+    this.#websocket = null;
+    if (ws) ws.close();
+    this.#finishAgentTurn();
+    this.#flushHeldMessage();
+    this.#discardUserDraft();
+    this.#stopSpeaking();
+    this.#pendingEvents = [];
+    this.#setConnectionState(state);
+    this.#setState({ isRecording: false });
+    if (this.#isStreaming) {
+      this.#isStreaming = false;
+      this.#microphone.stop();
+    }
+  }
+
+  /**
+   * Handles an event from the agent.
+   *
+   * @param {WebSocket} ws The socket the event arrived on.
+   * @param {Object} data The parsed event.
+   * @returns {string|undefined} The conversation ID, once the agent sends it.
+   */
+  #handleEvent(ws, data) {
+    if (data.type === 'ping') {
+      // Respond to ping events to keep the connection alive. A ping without
+      // an event ID cannot be answered.
+      const eventId = data.ping_event?.event_id;
+      if (eventId === undefined) return undefined;
+      ws.send(
+        JSON.stringify({
+          type: 'pong',
+          event_id: eventId,
+        }),
+      );
+      return undefined;
+    }
+    if (data.type === 'conversation_initiation_metadata') {
+      // The agent is ready, so the connection counts as established
+      this.#reconnectAttempt = 0;
+      this.#setConnectionState('connected');
+      this.#setError(null);
+      const metadata = data.conversation_initiation_metadata_event || {};
+      this.#audioFormat = metadata.agent_output_audio_format;
+      this.#player?.setFormat(metadata.agent_output_audio_format);
+      // The conversation ID keys the session in the backend history. A
+      // resumed conversation keeps the ID of the one it continues.
+      const id = metadata.conversation_id;
+      if (id && !this.#conversationId) {
+        this.#conversationId = id;
+        this.#setState({ conversationId: id });
+        const unrecorded = this.#unrecordedMessages;
+        this.#unrecordedMessages = [];
+        unrecorded.forEach((message) => this.#recordMessage(message));
+      }
+      return metadata.conversation_id;
+    }
+    if (data.type === 'tentative_user_transcript') {
+      const text = data.tentative_user_transcription_event?.user_transcript;
+      if (text) this.#showUserDraft(text);
+    }
+    if (data.type === 'user_transcript') {
+      const text = data.user_transcription_event?.user_transcript;
+      if (text) {
+        this.#finishUserTurn(text);
+      } else {
+        this.#discardUserDraft();
+      }
+    }
+    if (data.type === 'internal_tentative_agent_response') {
+      // The full response so far, sent while the agent is generating it
+      const tentative = data.tentative_agent_response_internal_event;
+      if (tentative?.tentative_agent_response) {
+        this.#streamAgentText(tentative.tentative_agent_response);
+      }
+    }
+    if (data.type === 'agent_chat_response_part') {
+      // Text-only conversations stream the response in pieces
+      const part = data.text_response_part;
+      if (part?.type === 'delta' && part.text) this.#streamAgentText(part.text, { append: true });
+    }
+    if (data.type === 'agent_response') {
+      const text = data.agent_response_event?.agent_response;
+      if (text) {
+        // A second response without a user turn in between is a new turn
+        if (this.#agentTurn?.text) this.#finishAgentTurn();
+        const turn = this.#currentAgentTurn(Date.now());
+        turn.text = text;
+        this.#showAgentText(turn, text, false);
+      }
+    }
+    if (data.type === 'agent_response_correction') {
+      const correction = data.agent_response_correction_event || {};
+      const { original_agent_response: original, corrected_agent_response: corrected } =
+        correction;
+      if (original && typeof corrected === 'string') {
+        this.#correctAgentResponse(original, corrected);
+      }
+    }
+    if (data.type === 'audio') {
+      const base64Audio = data.audio_event?.audio_base_64;
+      // Chunks of an interrupted response are rejected by the queue
+      const eventId = data.audio_event?.event_id;
+      if (base64Audio && this.#audioQueue.enqueue(base64Audio, eventId)) {
+        // Extend the agent turn by the chunk's duration and keep the chunk
+        // so the audio can be exported with the transcript
+        const turn = this.#currentAgentTurn(Date.now());
+        turn.audioMs += audioDurationMs(base64ByteLength(base64Audio), this.#audioFormat);
+        this.#markSpeaking(turn);
+        this.#agentAudio.push(base64Audio);
+      }
+    }
+    if (data.type === 'client_tool_call' && data.client_tool_call) {
+      this.#handleClientToolCall(data.client_tool_call);
+    }
+    if (data.type === 'interruption') {
+      // The user talked over the agent: stop its audio and mark the
+      // interrupted response in the chat
+      this.#audioQueue.interrupt(data.interruption_event?.event_id);
+      this.#finishAgentTurn({ interruptedAt: Date.now() });
+    }
+    return undefined;
+  }
+
+  /**
+   * Opens the conversation WebSocket and wires up its event handlers. When
+   * the socket cannot be opened or drops later on, a reconnect is scheduled
+   * with exponential backoff; a session that never got connected, or that
+   * ran out of attempts, ends as "failed".
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.resume=false] Whether this connection resumes
+   *   a dropped conversation.
+   */
+  async #openSocket({ resume = false } = {}) {
+    const session = this.#session;
+    const textOnly = this.#isTextOnly;
+
+    const connectionLost = () => {
+      // A stopped or restarted conversation must not be reconnected
+      if (this.#session !== session) return;
+      this.#websocket = null;
+      this.#finishAgentTurn();
+      this.#discardUserDraft();
+      if (this.#disconnectedAt === null) this.#disconnectedAt = Date.now();
+      const attempt = this.#reconnectAttempt;
+      if (this.state.connectionState === 'connecting' || attempt >= RECONNECT_POLICY.maxAttempts) {
+        this.#endConversation('failed');
+        return;
+      }
+      // The microphone keeps running; its chunks are dropped until the new
+      // socket is open
+      this.#reconnectAttempt = attempt + 1;
+      this.#setConnectionState('reconnecting');
+      this.#reconnectTimer = setTimeout(() => {
+        this.#reconnectTimer = null;
+        this.#openSocket({ resume: true });
+      }, backoffDelay(attempt));
+    };
+
+    // Report why the connection failed, giving up on errors a retry cannot
+    // fix
+    const connectionFailed = (described) => {
+      if (this.#session !== session) return;
+      this.#setError(described);
+      if (described.isPermanent) {
+        this.#endConversation('failed');
+      } else {
+        connectionLost();
+      }
+    };
+
+    let ws;
+    try {
+      // Connect directly with a signed URL or through the backend relay
+      const url = await resolveConversationUrl({
+        agent: this.#agent,
+        resumeId: resume ? this.#conversationId : undefined,
+        record: this.#record,
+      });
+      if (this.#session !== session) return;
+      ws = new WebSocket(url);
+    } catch (connectError) {
+      console.error('Failed to connect to conversation:', connectError);
+      connectionFailed(describeApiError(connectError));
+      return;
+    }
+    this.#websocket = ws;
+    // ElevenLabs conversation on this socket, metered once it closes
+    let upstreamConversationId = null;
+    ws.onopen = async () => {
+      if (this.#websocket !== ws) return;
+      // Event IDs start over on a new connection, so interruptions seen on
+      // the old one must not reject the new audio
+      if (resume) this.#audioQueue.clear();
+      // Send conversation initiation message as required by API, with the
+      // session's overrides
+      const { conversation_config_override: overrides, ...fields } = this.#initiation;
+      const initiation = { type: 'conversation_initiation_client_data', ...fields };
+      const override = { ...overrides };
+      if (textOnly) {
+        override.conversation = { ...override.conversation, text_only: true };
+      }
+      if (Object.keys(override).length) {
+        initiation.conversation_config_override = override;
+      }
+      ws.send(JSON.stringify(initiation));
+      if (resume) {
+        // Messages typed while disconnected follow as regular events
+        const disconnectedAt = this.#disconnectedAt;
+        const context = buildResumeContext(
+          this.state.messages.filter((message) => message.timestamp < disconnectedAt),
+        );
+        if (context) ws.send(JSON.stringify({ type: 'contextual_update', text: context }));
+      }
+      this.#disconnectedAt = null;
+      // Flush events queued while the connection was being established
+      const pending = this.#pendingEvents;
+      this.#pendingEvents = [];
+      pending.forEach((event) => ws.send(JSON.stringify(event)));
+      if (textOnly || this.#isStreaming) return;
+      // Start streaming audio from the microphone. Without it a voice
+      // conversation is pointless, so it ends there.
+      this.#isStreaming = true;
+      try {
+        await this.#microphone.start();
+      } catch (micError) {
+        console.error('Failed to open the microphone:', micError);
+        if (this.#session !== session) return;
+        this.#setError(describeErrorCode('microphone'));
+        this.#endConversation('failed');
+        return;
+      }
+      if (this.#session === session) this.#setState({ isRecording: true });
+    };
+    ws.onmessage = (event) => {
+      // Events still arriving on a socket that was stopped, detached or
+      // replaced by a reconnect belong to no conversation
+      if (this.#websocket !== ws) return;
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (parseError) {
+        console.error('Ignoring a malformed agent event:', parseError);
+        return;
+      }
+      const conversationId = this.#handleEvent(ws, data);
+      if (conversationId) upstreamConversationId = conversationId;
+    };
+    ws.onclose = (event) => {
+      // In direct mode the backend never sees the conversation, so it is
+      // reported for usage metering
+      if (upstreamConversationId && !isRelayMode()) {
+        reportConversationUsage(upstreamConversationId);
+      }
+      // A replaced socket must not reset the state of its successor
+      if (this.#websocket !== ws) return;
+      if (event.code === NORMAL_CLOSURE) {
+        this.#endConversation('idle');
+      } else if (isErrorCode(event.reason)) {
+        // The relay could not reach the agent and said why
+        connectionFailed(describeErrorCode(event.reason));
+      } else {
+        connectionLost();
+      }
+    };
+  }
+
+  /**
+   * Establishes a new conversation with the ElevenLabs agent. This method
+   * resolves the conversation WebSocket URL, opens the WebSocket
+   * connection, and begins streaming microphone audio. Dropped connections
+   * are resumed automatically.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.textOnly=false] Start a text-only conversation
+   *   that never opens the microphone. Typed messages are sent with
+   *   `user_message` events and the agent replies over the same socket.
+   */
+  async startConversation({ textOnly = false } = {}) {
+    const state = this.state.connectionState;
+    if (state === 'connecting' || state === 'reconnecting') return;
+    if (state === 'connected') {
+      // A voice request upgrades an open text-only session. The text-only
+      // flag is fixed at initiation, so the session has to be restarted.
+      if (textOnly || !this.#isTextOnly) return;
+      this.#endConversation('idle');
+    }
+    this.#session += 1;
+    this.#isTextOnly = textOnly;
+    this.#reconnectAttempt = 0;
+    this.#disconnectedAt = null;
+    this.#conversationId = null;
+    this.#unrecordedMessages = [];
+    this.#agentTurn = null;
+    this.#userTurn = null;
+    this.#lastEnd = 0;
+    this.#audioFormat = undefined;
+    this.#agentAudio = [];
+    this.#audioQueue.clear();
+    this.#ensurePlayer().setFormat(undefined);
+    this.#setState({ conversationId: null, error: null, sessionStartedAt: Date.now() });
+    this.#setConnectionState('connecting');
+    const session = this.#session;
+    try {
+      this.#initiation = await resolveInitiation(this.#settings, this.#agent);
+    } catch (error) {
+      console.error('Conversation settings were rejected:', error);
+      if (this.#session === session) this.#endConversation('failed');
+      return;
+    }
+    // The conversation may have been stopped in the meantime
+    if (this.#session !== session) return;
+    await this.#openSocket();
+  }
+
+  /**
+   * Stops the current conversation by closing the WebSocket connection,
+   * stopping microphone streaming and silencing any agent audio. A pending
+   * reconnect is cancelled.
+   */
+  stopConversation() {
+    this.#endConversation('idle');
+    this.#audioQueue.clear();
+  }
+
+  /**
+   * Sends a typed message to the agent as a conversational turn. The text is
+   * delivered over the active conversation WebSocket; when no session is
+   * open a text-only conversation is started first, so typing never requires
+   * microphone access. The agent's reply arrives through the same
+   * `agent_response` and `audio` events as a voice turn.
+   *
+   * @param {string} text The text input from the user.
+   */
+  sendTextMessage(text) {
+    if (!text) return;
+    // Start a text-only session first, so the message is recorded under the
+    // new conversation rather than the previous one.
+    const state = this.state.connectionState;
+    if (state === 'idle' || state === 'failed') {
+      this.startConversation({ textOnly: true });
+    }
+    // Add the user's text to the chat. Typed messages are not echoed back as
+    // transcripts, so this is the only place they are recorded.
+    this.#finishAgentTurn();
+    this.#addMessage({ role: 'user', text, timestamp: Date.now() });
+    this.#sendEvent({ type: 'user_message', text });
+  }
+
+  /**
+   * Registers a function the agent can call as a client tool. The tool must
+   * also be configured on the agent under the same name. Handlers receive
+   * the call parameters and may be async; their return value is sent back as
+   * the tool result, and a thrown error or timeout is reported as a failed
+   * call.
+   *
+   * @param {string} name The tool name.
+   * @param {Function} handler The tool implementation.
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] How long the handler may run.
+   * @returns {Function} Unregisters the tool.
+   */
+  registerClientTool(name, handler, options) {
+    return registerClientTool(this.#clientTools, name, handler, options);
+  }
+
+  /**
+   * Returns the agent audio received in the current conversation, for
+   * bundling with an exported transcript.
+   *
+   * @returns {{ chunks: Array<string>, format: string|undefined }} The base64
+   *   audio chunks in arrival order and the agent's output format.
+   */
+  getAgentAudio() {
+    return { chunks: this.#agentAudio.slice(), format: this.#audioFormat };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { api } from './api';
+
+/**
+ * Per-session conversation overrides chosen in the settings panel or passed
+ * as URL parameters. Settings use the names understood by the backend's
+ * allowlist (`/api/conversation/overrides`): `prompt` and `firstMessage` are
+ * the names of configured presets, `language` and `voiceId` come from fixed
+ * lists and `dynamicVariables` maps variable names to values. An empty
+ * value means "use the agent's default".
+ */
+
+// URL parameters that map directly to a setting, e.g. `?language=nl`
+const QUERY_SETTINGS = ['prompt', 'firstMessage', 'language', 'voiceId'];
+
+// Prefix of URL parameters holding dynamic variables, e.g. `?var_user_name=Ann`
+const VARIABLE_PREFIX = 'var_';
+
+/**
+ * Reads conversation settings from URL query parameters.
+ *
+ * @param {Object} query The parsed query, e.g. Next.js `router.query`.
+ * @returns {Object} The settings found in the query.
+ */
+export function settingsFromQuery(query) {
+  const value = (raw) => (Array.isArray(raw) ? raw[0] : raw);
+  const settings = { dynamicVariables: {} };
+  QUERY_SETTINGS.forEach((key) => {
+    if (value(query[key])) settings[key] = value(query[key]);
+  });
+  Object.keys(query)
+    .filter((key) => key.startsWith(VARIABLE_PREFIX) && key.length > VARIABLE_PREFIX.length)
+    .forEach((key) => {
+      settings.dynamicVariables[key.slice(VARIABLE_PREFIX.length)] = value(query[key]);
+    });
+  return settings;
+}
+
+/**
+ * Drops empty values, so only actual overrides are sent to the backend.
+ *
+ * @param {Object} settings The conversation settings.
+ * @returns {Object} The settings without empty fields.
+ */
+export function compactSettings(settings = {}) {
+  const compact = {};
+  QUERY_SETTINGS.forEach((key) => {
+    if (settings[key]) compact[key] = settings[key];
+  });
+  const variables = Object.entries(settings.dynamicVariables || {}).filter(
+    ([, variable]) => variable !== '' && variable !== undefined && variable !== null,
+  );
+  if (variables.length) compact.dynamicVariables = Object.fromEntries(variables);
+  return compact;
+}
+
+/**
+ * Fetches the overrides the backend allows.
+ *
+ * @param {string} [agent] The agent name; the default agent when omitted.
+ * @returns {Promise<Object>} The prompt and first message names, languages,
+ *   voices and dynamic variable schemas.
+ */
+export async function fetchOverrideOptions(agent) {
+  const { data } = await api.get('/api/conversation/overrides', { params: { agent } });
+  return data;
+}
+
+/**
+ * Validates settings with the backend and returns the matching fields of the
+ * `conversation_initiation_client_data` event. Settings outside the
+ * allowlist are rejected with a 400 response.
+ *
+ * @param {Object} settings The conversation settings.
+ * @param {string} [agent] The agent whose allowlist applies; the default
+ *   agent when omitted.
+ * @returns {Promise<Object>} The initiation fields; empty without overrides.
+ */
+export async function resolveInitiation(settings, agent) {
+  const selection = compactSettings(settings);
+  if (Object.keys(selection).length === 0) return {};
+  const { data } = await api.post('/api/conversation/overrides', selection, {
+    params: { agent },
+  });
+  return data.initiation;
+}
\ No newline at end of file
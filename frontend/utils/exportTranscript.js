@@ -0,0 +1,94 @@
+import { api } from './api';
+import { base64ToBytes, encodeWav, parseAudioFormat } from './audioFormats';
+
+/** Transcript formats offered by the export action. */
+export const TRANSCRIPT_FORMATS = [
+  { value: 'md', label: 'Markdown' },
+  { value: 'json', label: 'JSON' },
+  { value: 'srt', label: 'SRT subtitles' },
+  { value: 'vtt', label: 'WebVTT subtitles' },
+];
+
+/**
+ * Saves a Blob to the user's device by clicking a temporary download link.
+ *
+ * @param {Blob} blob The file contents.
+ * @param {string} filename The suggested file name.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Serializes a transcript on the backend and downloads the result. The
+ * transcript is posted rather than exported by ID so that conversations in
+ * progress export exactly what the chat shows.
+ *
+ * @param {Object} session The transcript with `messages` and optionally
+ *   `conversationId` and `startedAt`.
+ * @param {string} format One of the `TRANSCRIPT_FORMATS` values.
+ */
+export async function downloadTranscript(session, format) {
+  // Tool call entries are a live-chat aid and not part of the transcript
+  const messages = session.messages
+    .filter(({ role }) => role === 'user' || role === 'agent')
+    .map(({ role, text, timestamp, endTimestamp, interrupted }) => ({
+      role,
+      text,
+      timestamp,
+      endTimestamp,
+      interrupted,
+    }));
+  const { data } = await api.post(
+    '/api/transcripts/export',
+    {
+      format,
+      session: {
+        conversationId: session.conversationId || undefined,
+        startedAt: session.startedAt || undefined,
+        messages,
+      },
+    },
+    { responseType: 'blob' },
+  );
+  downloadBlob(data, `${session.conversationId || 'conversation'}.${format}`);
+}
+
+/**
+ * Joins the agent's audio chunks into a single playable file. PCM and μ-law
+ * output is wrapped in a WAV container; MP3 and other compressed streams are
+ * concatenated as-is.
+ *
+ * @param {Array<string>} chunks Base64 audio chunks in playback order.
+ * @param {string} [format] The agent's output format, e.g. `pcm_16000`.
+ * @returns {{ blob: Blob, extension: string }}
+ */
+export function buildAudioBundle(chunks, format) {
+  const parts = chunks.map(base64ToBytes);
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const data = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    data.set(part, offset);
+    offset += part.length;
+  });
+  const { encoding, sampleRate } = parseAudioFormat(format);
+  if (encoding === 'pcm') {
+    return { blob: new Blob([encodeWav(data, { sampleRate })], { type: 'audio/wav' }), extension: 'wav' };
+  }
+  if (encoding === 'ulaw') {
+    const wav = encodeWav(data, { sampleRate, formatCode: 7, bitsPerSample: 8 });
+    return { blob: new Blob([wav], { type: 'audio/wav' }), extension: 'wav' };
+  }
+  if (encoding === 'opus') {
+    return { blob: new Blob([data], { type: 'audio/ogg' }), extension: 'ogg' };
+  }
+  return { blob: new Blob([data], { type: 'audio/mpeg' }), extension: 'mp3' };
+}
\ No newline at end of file
@@ -0,0 +1,222 @@
+import { bytesToBase64, createResampler, float32ToPcm16 } from './audioFormats';
+import { createMicGate } from './micGate';
+
+// The agent expects 16 kHz 16-bit mono PCM
+const TARGET_SAMPLE_RATE = 16000;
+const CHUNK_MS = 100;
+const CHUNK_SAMPLES = (TARGET_SAMPLE_RATE * CHUNK_MS) / 1000;
+
+// Collects the raw microphone samples on the audio thread and posts them in
+// batches, rather than once per 128 sample render quantum
+const WORKLET_SOURCE = `
+class MicCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffer = new Float32Array(2048);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const samples = inputs[0] && inputs[0][0];
+    if (samples) {
+      this.buffer.set(samples, this.length);
+      this.length += samples.length;
+      if (this.length >= 1024) {
+        this.port.postMessage(this.buffer.slice(0, this.length));
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('mic-capture', MicCaptureProcessor);
+`;
+
+/**
+ * Lists the audio input devices. Browsers only reveal device labels once
+ * the page has been granted microphone access, so unnamed devices are
+ * numbered.
+ *
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === 'audioinput' && device.deviceId)
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Microphone ${index + 1}`,
+    }));
+}
+
+// Opens the microphone, falling back to the default device when the chosen
+// one is no longer available
+async function openStream(deviceId) {
+  const constraints = {
+    channelCount: 1,
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+  };
+  if (deviceId) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: { ...constraints, deviceId: { exact: deviceId } },
+      });
+    } catch (error) {
+      if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+    }
+  }
+  return navigator.mediaDevices.getUserMedia({ audio: constraints });
+}
+
+/**
+ * Creates the microphone capture pipeline shared by the conversation and
+ * the visualizer. The microphone is opened once; its audio feeds an
+ * analyser for the visualizer and, through an AudioWorklet, is resampled to
+ * 16 kHz, cut into 100 ms chunks, passed through a gate (see `micGate.js`)
+ * and handed to `onChunk` as base64 encoded 16-bit PCM.
+ *
+ * The mode and mute state survive restarts, e.g. when another input device
+ * is selected.
+ *
+ * @param {Object} options
+ * @param {Function} options.onChunk Receives each chunk to send.
+ * @param {Function} [options.onActivityChange] Called with `true` when
+ *   chunks start being sent and `false` when they stop.
+ * @returns {{ start: Function, stop: Function, setMode: Function,
+ *   setMuted: Function, setPushActive: Function, isRunning: Function,
+ *   analyser: AnalyserNode|null, stream: MediaStream|null }}
+ */
+export function createMicCapture({ onChunk, onActivityChange = () => {} }) {
+  const gate = createMicGate({ chunkMs: CHUNK_MS });
+  let muted = false;
+  let stream = null;
+  let context = null;
+  let analyser = null;
+  let active = false;
+  // Incremented on every start and stop, so a start that is overtaken while
+  // waiting for the microphone can tell
+  let generation = 0;
+
+  function setActive(value) {
+    if (value === active) return;
+    active = value;
+    onActivityChange(value);
+  }
+
+  /**
+   * Stops capturing and releases the microphone.
+   */
+  function stop() {
+    generation += 1;
+    stream?.getTracks().forEach((track) => track.stop());
+    context?.close();
+    stream = null;
+    context = null;
+    analyser = null;
+    gate.setPushActive(false);
+    setActive(false);
+  }
+
+  /**
+   * Opens the microphone and starts capturing, replacing a running capture.
+   * Resolves without capturing if `stop` is called in the meantime.
+   *
+   * @param {string} [deviceId] The input device; the default when empty.
+   */
+  async function start(deviceId) {
+    stop();
+    const current = generation;
+    const nextStream = await openStream(deviceId);
+    if (current !== generation) {
+      nextStream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    const nextContext = new (window.AudioContext || window.webkitAudioContext)();
+    const workletUrl = URL.createObjectURL(
+      new Blob([WORKLET_SOURCE], { type: 'application/javascript' }),
+    );
+    try {
+      await nextContext.audioWorklet.addModule(workletUrl);
+    } catch (error) {
+      nextStream.getTracks().forEach((track) => track.stop());
+      nextContext.close();
+      throw error;
+    } finally {
+      URL.revokeObjectURL(workletUrl);
+    }
+    if (current !== generation) {
+      nextStream.getTracks().forEach((track) => track.stop());
+      nextContext.close();
+      return;
+    }
+
+    const source = nextContext.createMediaStreamSource(nextStream);
+    const nextAnalyser = nextContext.createAnalyser();
+    nextAnalyser.fftSize = 2048;
+    source.connect(nextAnalyser);
+    const worklet = new AudioWorkletNode(nextContext, 'mic-capture');
+    // The worklet only runs while connected to the destination, so it is
+    // routed there through a silent gain
+    const sink = nextContext.createGain();
+    sink.gain.value = 0;
+    source.connect(worklet);
+    worklet.connect(sink);
+    sink.connect(nextContext.destination);
+
+    const resample = createResampler(nextContext.sampleRate, TARGET_SAMPLE_RATE);
+    let pending = new Float32Array(0);
+    worklet.port.onmessage = ({ data }) => {
+      const resampled = resample(data);
+      const joined = new Float32Array(pending.length + resampled.length);
+      joined.set(pending);
+      joined.set(resampled, pending.length);
+      let offset = 0;
+      for (; offset + CHUNK_SAMPLES <= joined.length; offset += CHUNK_SAMPLES) {
+        const chunks = gate.process(joined.subarray(offset, offset + CHUNK_SAMPLES));
+        chunks.forEach((chunk) => onChunk(bytesToBase64(float32ToPcm16(chunk))));
+        setActive(gate.isActive());
+      }
+      pending = joined.slice(offset);
+    };
+
+    nextStream.getAudioTracks().forEach((track) => {
+      track.enabled = !muted;
+    });
+    stream = nextStream;
+    context = nextContext;
+    analyser = nextAnalyser;
+  }
+
+  /**
+   * Mutes or unmutes the microphone. A muted microphone sends nothing and
+   * its track is disabled, so the visualizer goes flat as well.
+   *
+   * @param {boolean} value
+   */
+  function setMuted(value) {
+    muted = Boolean(value);
+    gate.setMuted(muted);
+    stream?.getAudioTracks().forEach((track) => {
+      track.enabled = !muted;
+    });
+    if (muted) setActive(false);
+  }
+
+  return {
+    start,
+    stop,
+    setMode: gate.setMode,
+    setMuted,
+    setPushActive: gate.setPushActive,
+    isRunning: () => stream !== null,
+    get analyser() {
+      return analyser;
+    },
+    get stream() {
+      return stream;
+    },
+  };
+}
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Decides which microphone chunks are sent to the agent. This module is
+ * free of browser APIs so it can be unit-tested in Node; `micCapture.js`
+ * feeds it fixed-size chunks of float samples.
+ *
+ * The gate works in one of three modes:
+ *
+ * - `open` – every chunk is sent, as with an open microphone.
+ * - `push` – push-to-talk: chunks are only sent while the talk control is
+ *   held. On release a short stretch of silence follows, so the agent's turn
+ *   detection notices that the user has stopped talking.
+ * - `vad` – voice activity detection: chunks are sent once their level
+ *   rises above a threshold, together with a little audio from just before
+ *   (so the first syllable is not cut off), and until the level has stayed
+ *   below the threshold for a while. Silence is not sent at all.
+ *
+ * A muted gate sends nothing, whatever the mode.
+ */
+
+export const MIC_MODES = ['open', 'push', 'vad'];
+
+// Root mean square of the samples, 0 for silence and about 0.7 for a full
+// scale sine
+function rmsLevel(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+/**
+ * Creates a microphone gate.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.chunkMs=100] Duration of each chunk.
+ * @param {number} [options.vadThreshold=0.015] RMS level above which a chunk
+ *   counts as speech.
+ * @param {number} [options.hangoverMs=1000] How long quiet audio is still
+ *   sent after speech in `vad` mode.
+ * @param {number} [options.prerollMs=300] Audio from before the speech that
+ *   is sent when `vad` mode opens.
+ * @param {number} [options.releasePaddingMs=600] Silence sent after the talk
+ *   control is released in `push` mode.
+ * @returns {{ process: Function, setMode: Function, setMuted: Function,
+ *   setPushActive: Function, isActive: Function }}
+ */
+export function createMicGate({
+  chunkMs = 100,
+  vadThreshold = 0.015,
+  hangoverMs = 1000,
+  prerollMs = 300,
+  releasePaddingMs = 600,
+} = {}) {
+  const hangoverChunks = Math.ceil(hangoverMs / chunkMs);
+  const prerollChunks = Math.ceil(prerollMs / chunkMs);
+  const paddingChunks = Math.ceil(releasePaddingMs / chunkMs);
+  let mode = 'open';
+  let muted = false;
+  let pushActive = false;
+  let paddingLeft = 0;
+  let speaking = false;
+  let hangoverLeft = 0;
+  let preroll = [];
+  // Whether the last chunk was sent
+  let active = false;
+
+  function reset() {
+    paddingLeft = 0;
+    speaking = false;
+    hangoverLeft = 0;
+    preroll = [];
+  }
+
+  function gateVoice(chunk) {
+    if (rmsLevel(chunk) >= vadThreshold) {
+      hangoverLeft = hangoverChunks;
+      if (speaking) return [chunk];
+      speaking = true;
+      const opening = [...preroll, chunk];
+      preroll = [];
+      return opening;
+    }
+    if (speaking && hangoverLeft > 0) {
+      hangoverLeft -= 1;
+      return [chunk];
+    }
+    speaking = false;
+    preroll.push(chunk);
+    if (preroll.length > prerollChunks) preroll.shift();
+    return [];
+  }
+
+  function gatePush(chunk) {
+    if (pushActive) return [chunk];
+    if (paddingLeft > 0) {
+      paddingLeft -= 1;
+      return [new Float32Array(chunk.length)];
+    }
+    return [];
+  }
+
+  /**
+   * Passes a chunk through the gate.
+   *
+   * @param {Float32Array} chunk The next chunk of microphone samples.
+   * @returns {Array<Float32Array>} The chunks to send, in order; empty when
+   *   nothing is to be sent.
+   */
+  function process(chunk) {
+    let output;
+    if (muted) {
+      output = [];
+    } else if (mode === 'push') {
+      output = gatePush(chunk);
+    } else if (mode === 'vad') {
+      output = gateVoice(chunk);
+    } else {
+      output = [chunk];
+    }
+    active = output.length > 0;
+    return output;
+  }
+
+  /**
+   * Switches the mode, discarding any speech or padding in progress.
+   *
+   * @param {string} nextMode One of `MIC_MODES`.
+   */
+  function setMode(nextMode) {
+    if (!MIC_MODES.includes(nextMode)) throw new Error(`Unknown microphone mode: ${nextMode}`);
+    mode = nextMode;
+    reset();
+  }
+
+  /**
+   * Mutes or unmutes the gate.
+   *
+   * @param {boolean} value
+   */
+  function setMuted(value) {
+    muted = Boolean(value);
+    if (muted) reset();
+  }
+
+  /**
+   * Presses or releases the talk control of `push` mode.
+   *
+   * @param {boolean} value
+   */
+  function setPushActive(value) {
+    const next = Boolean(value);
+    if (pushActive && !next) paddingLeft = paddingChunks;
+    if (next) paddingLeft = 0;
+    pushActive = next;
+  }
+
+  return {
+    process,
+    setMode,
+    setMuted,
+    setPushActive,
+    isActive: () => active,
+  };
+}
\ No newline at end of file
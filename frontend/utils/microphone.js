@@ -0,0 +1,165 @@
+import { createMicCapture, listInputDevices } from './micCapture';
+import { MIC_MODES } from './micGate';
+
+// Remembers the chosen input device and mode between visits
+const PREFERENCES_STORAGE_KEY = 'floris.microphone';
+
+const DEFAULT_PREFERENCES = { deviceId: '', mode: 'open' };
+
+function loadPreferences() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+    return {
+      deviceId: typeof stored.deviceId === 'string' ? stored.deviceId : '',
+      mode: MIC_MODES.includes(stored.mode) ? stored.mode : 'open',
+    };
+  } catch (error) {
+    return DEFAULT_PREFERENCES;
+  }
+}
+
+function savePreferences(preferences) {
+  try {
+    window.localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    // Storage may be full or disabled; the choice then lasts for this visit
+  }
+}
+
+/**
+ * Creates the microphone of a conversation around the shared capture
+ * pipeline (see `micCapture.js`). It keeps the input device, the mode
+ * (`open`, `push` or `vad`, see `micGate.js`) and the mute state, lists the
+ * available input devices and exposes the analyser for a visualizer.
+ * Selecting another device while capturing switches over straight away. The
+ * device and mode are stored in localStorage once `load` has been called.
+ *
+ * Its state is a plain object that is replaced on every change, so it can be
+ * compared by reference: `{ devices, deviceId, mode, isMuted, isSending,
+ * analyser }`.
+ *
+ * @param {Object} options
+ * @param {Function} options.onChunk Receives each base64 encoded 16 kHz PCM
+ *   chunk that is to be sent.
+ * @param {Function} options.onChange Called with the new state.
+ * @returns {{ load: Function, unload: Function, start: Function,
+ *   stop: Function, setDeviceId: Function, setMode: Function,
+ *   setMuted: Function, setPushActive: Function, getState: Function }}
+ */
+export function createMicrophone({ onChunk, onChange }) {
+  let state = {
+    devices: [],
+    ...DEFAULT_PREFERENCES,
+    isMuted: false,
+    isSending: false,
+    analyser: null,
+  };
+  let isLoaded = false;
+
+  function update(patch) {
+    state = { ...state, ...patch };
+    onChange(state);
+  }
+
+  const capture = createMicCapture({
+    onChunk,
+    onActivityChange: (isSending) => update({ isSending }),
+  });
+
+  function refreshDevices() {
+    listInputDevices()
+      .then((devices) => update({ devices }))
+      .catch((error) => {
+        console.error('Failed to list microphones:', error);
+      });
+  }
+
+  /**
+   * Restores the stored preferences and starts watching for devices being
+   * plugged in or out. Call it in the browser only, e.g. after mounting.
+   */
+  function load() {
+    if (!isLoaded) {
+      isLoaded = true;
+      const preferences = loadPreferences();
+      capture.setMode(preferences.mode);
+      update(preferences);
+    }
+    refreshDevices();
+    navigator.mediaDevices?.addEventListener('devicechange', refreshDevices);
+  }
+
+  /**
+   * Stops capturing and watching for devices.
+   */
+  function unload() {
+    navigator.mediaDevices?.removeEventListener('devicechange', refreshDevices);
+    stop();
+  }
+
+  /**
+   * Opens the microphone and starts capturing.
+   */
+  async function start() {
+    await capture.start(state.deviceId);
+    update({ analyser: capture.analyser });
+    // Device labels become available once access has been granted
+    refreshDevices();
+  }
+
+  /**
+   * Stops capturing and releases the microphone.
+   */
+  function stop() {
+    capture.stop();
+    update({ analyser: null });
+  }
+
+  /**
+   * Selects the input device, switching over if the microphone is open.
+   *
+   * @param {string} deviceId The device ID; empty for the default device.
+   */
+  function setDeviceId(deviceId) {
+    update({ deviceId });
+    savePreferences({ deviceId, mode: state.mode });
+    if (!capture.isRunning()) return;
+    start().catch((error) => {
+      console.error('Failed to switch microphone:', error);
+      update({ analyser: null });
+    });
+  }
+
+  /**
+   * Selects the mode.
+   *
+   * @param {string} mode One of `MIC_MODES`.
+   */
+  function setMode(mode) {
+    capture.setMode(mode);
+    update({ mode });
+    savePreferences({ deviceId: state.deviceId, mode });
+  }
+
+  /**
+   * Mutes or unmutes the microphone.
+   *
+   * @param {boolean} value
+   */
+  function setMuted(value) {
+    capture.setMuted(value);
+    update({ isMuted: Boolean(value) });
+  }
+
+  return {
+    load,
+    unload,
+    start,
+    stop,
+    setDeviceId,
+    setMode,
+    setMuted,
+    setPushActive: capture.setPushActive,
+    getState: () => state,
+  };
+}
\ No newline at end of file
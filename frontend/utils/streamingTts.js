@@ -0,0 +1,123 @@
+import { getAuthToken } from './api';
+import { getBackendUrl } from './config';
+
+/**
+ * Plays text as speech through the backend's streaming TTS endpoint. Audio
+ * is appended to a MediaSource as the chunks arrive, so playback starts with
+ * the first bytes instead of after the whole clip has been generated.
+ * Browsers without MediaSource support for the audio type (MP3 for
+ * ElevenLabs, WAV for the mock provider) play the clip once it has fully
+ * downloaded.
+ */
+
+const supportsStreaming = (mimeType) =>
+  typeof window !== 'undefined' &&
+  window.MediaSource &&
+  window.MediaSource.isTypeSupported(mimeType);
+
+async function requestSpeech(text, { agent, ...options }, signal) {
+  const token = getAuthToken();
+  const query = agent ? `?agent=${encodeURIComponent(agent)}` : '';
+  const response = await fetch(`${getBackendUrl()}/api/tts/stream${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify({ ...options, text }),
+    signal,
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `Speech request failed with status ${response.status}`);
+    // Kept for describeApiError
+    error.status = response.status;
+    error.body = body;
+    throw error;
+  }
+  return response;
+}
+
+// Append one chunk, waiting for the previous append to finish first
+function appendChunk(sourceBuffer, chunk) {
+  return new Promise((resolve, reject) => {
+    sourceBuffer.addEventListener('updateend', resolve, { once: true });
+    sourceBuffer.addEventListener('error', reject, { once: true });
+    sourceBuffer.appendBuffer(chunk);
+  });
+}
+
+// Feed the response body into a MediaSource attached to the audio element
+async function streamInto(audio, response, mimeType, signal) {
+  const mediaSource = new MediaSource();
+  audio.src = URL.createObjectURL(mediaSource);
+  await new Promise((resolve) => {
+    mediaSource.addEventListener('sourceopen', resolve, { once: true });
+  });
+  const sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+  const reader = response.body.getReader();
+  let started = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done || signal.aborted) break;
+    await appendChunk(sourceBuffer, value);
+    if (!started) {
+      started = true;
+      audio.play().catch((error) => console.error('Failed to play speech:', error));
+    }
+  }
+  if (mediaSource.readyState === 'open') mediaSource.endOfStream();
+}
+
+/**
+ * Speaks `text`, with the agent's voice unless options say otherwise.
+ *
+ * @param {string} text The text to speak.
+ * @param {Object} [options] Speech options for /api/tts/stream, such as
+ *   `voiceId`, `modelId`, `stability` and `similarityBoost`. `agent` names
+ *   the agent whose voice is the default.
+ * @returns {{ finished: Promise<Error|null>, stop: Function }} `finished`
+ *   resolves when playback ends or is stopped, with null, or fails, with the
+ *   error; `stop` cancels the request and playback.
+ */
+export function playStreamingTts(text, options = {}) {
+  const controller = new AbortController();
+  const audio = new Audio();
+  let stopped = false;
+
+  const ended = new Promise((resolve) => {
+    audio.addEventListener('ended', resolve, { once: true });
+    audio.addEventListener('error', resolve, { once: true });
+    controller.signal.addEventListener('abort', resolve, { once: true });
+  });
+
+  const finished = (async () => {
+    try {
+      const response = await requestSpeech(text, options, controller.signal);
+      const mimeType = response.headers.get('Content-Type');
+      if (supportsStreaming(mimeType)) {
+        await streamInto(audio, response, mimeType, controller.signal);
+      } else {
+        audio.src = URL.createObjectURL(await response.blob());
+        await audio.play();
+      }
+      await ended;
+      return null;
+    } catch (error) {
+      if (stopped) return null;
+      console.error('Failed to speak message:', error);
+      return error;
+    } finally {
+      audio.pause();
+      if (audio.src) URL.revokeObjectURL(audio.src);
+    }
+  })();
+
+  return {
+    finished,
+    stop: () => {
+      stopped = true;
+      controller.abort();
+    },
+  };
+}
\ No newline at end of file
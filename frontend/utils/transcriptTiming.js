@@ -0,0 +1,19 @@
+/**
+ * Timing helpers for transcript messages. Messages carry the time their
+ * utterance started (`timestamp`) and, when it can be derived from the
+ * conversation events, when it ended (`endTimestamp`).
+ */
+
+// Rough speaking rate used to estimate when a spoken utterance began
+const SPEECH_MS_PER_WORD = 400;
+
+/**
+ * Estimates how long it takes to speak a piece of text.
+ *
+ * @param {string} text The spoken text.
+ * @returns {number} The estimated duration in milliseconds.
+ */
+export function estimateSpeechMs(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(words, 1) * SPEECH_MS_PER_WORD;
+}
\ No newline at end of file
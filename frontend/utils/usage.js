@@ -0,0 +1,30 @@
+import { api } from './api';
+
+// ElevenLabs may still be processing a conversation right after it ends
+const REPORT_RETRY_DELAY_MS = 5000;
+const REPORT_ATTEMPTS = 3;
+
+/**
+ * Reports a finished conversation so the backend meters its duration. Only
+ * needed in direct mode; the relay meters conversations itself. The backend
+ * answers 409 until ElevenLabs has recorded the duration, so the report is
+ * retried a few times.
+ *
+ * @param {string} conversationId The ElevenLabs conversation ID.
+ * @returns {Promise<void>}
+ */
+export async function reportConversationUsage(conversationId) {
+  const url = `/api/usage/conversations/${encodeURIComponent(conversationId)}`;
+  for (let attempt = 1; attempt <= REPORT_ATTEMPTS; attempt++) {
+    try {
+      await api.post(url);
+      return;
+    } catch (error) {
+      if (error.response?.status !== 409 || attempt === REPORT_ATTEMPTS) {
+        console.error('Failed to report conversation usage:', error);
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, REPORT_RETRY_DELAY_MS));
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { api } from './api';
+
+/**
+ * Custom React hook listing the agents this deployment serves, each with its
+ * `name`, `displayName` and `avatar`, and the name of the default agent. The
+ * list is loaded once.
+ *
+ * @returns {{ agents: Array<Object>, defaultAgent: string|null, isLoading: boolean }}
+ */
+export function useAgents() {
+  const [agents, setAgents] = useState([]);
+  const [defaultAgent, setDefaultAgent] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get('/api/agents')
+      .then(({ data }) => {
+        if (cancelled) return;
+        setAgents(data.agents || []);
+        setDefaultAgent(data.defaultAgent || null);
+      })
+      .catch((error) => {
+        console.error('Failed to load agents:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { agents, defaultAgent, isLoading };
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useState } from 'react';
+import { api, getAuthToken, onUnauthorized, setAuthToken } from './api';
+
+/**
+ * Custom React hook for the login flow. The user signs in with their API
+ * key, which the backend exchanges for a JWT; the token is stored and sent
+ * with every API call by the shared axios instance. When the backend rejects
+ * the token (e.g. after it expired) the user is signed out.
+ */
+export function useAuth() {
+  // Undefined until the stored token has been read on the client
+  const [token, setToken] = useState(undefined);
+  const [error, setError] = useState(null);
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+
+  useEffect(() => {
+    setToken(getAuthToken());
+    return onUnauthorized(() => setToken(null));
+  }, []);
+
+  /**
+   * Exchanges an API key for a token.
+   *
+   * @param {string} apiKey The user's API key.
+   */
+  const login = useCallback(async (apiKey) => {
+    setIsLoggingIn(true);
+    setError(null);
+    try {
+      const { data } = await api.post('/api/auth/login', { apiKey });
+      setAuthToken(data.token);
+      setToken(data.token);
+    } catch (loginError) {
+      const status = loginError.response?.status;
+      if (status === 401) setError('That API key was not accepted.');
+      else if (status === 429) setError('Too many attempts. Please wait and try again.');
+      else setError('Login failed. Please try again.');
+    } finally {
+      setIsLoggingIn(false);
+    }
+  }, []);
+
+  /**
+   * Forgets the stored token.
+   */
+  const logout = useCallback(() => {
+    setAuthToken(null);
+    setToken(null);
+  }, []);
+
+  return {
+    isReady: token !== undefined,
+    isAuthenticated: Boolean(token),
+    error,
+    isLoggingIn,
+    login,
+    logout,
+  };
+}
\ No newline at end of file
@@ -1,182 +1,64 @@
-import { useCallback, useEffect, useRef, useState } from 'react';
-import axios from 'axios';
-import { useVoiceStream } from 'voice-stream';
+import { useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { ConversationClient } from './conversationClient';
 
 /**
- * Custom React hook that encapsulates the logic for interacting with the
- * ElevenLabs conversational API via WebSockets. It handles obtaining a signed
- * WebSocket URL from the backend, establishing a WebSocket connection,
- * streaming microphone audio, receiving transcripts and agent responses, and
- * playing back audio returned by the agent. A simple message model is used
- * wherein each message contains a role ("user" or "agent"), text and
- * optionally associated audio.
+ * Custom React hook around `ConversationClient` (see conversationClient.js),
+ * which holds the logic for interacting with the ElevenLabs conversational
+ * API. The client is created once per component and attached to the browser
+ * while the component is mounted; its state is returned as React state, so
+ * the component re-renders on every change.
+ *
+ * `microphone` combines the microphone state with its controls, so its input
+ * device, mode (open, push-to-talk or voice activity) and mute state can be
+ * read and changed in one place.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.agent] The name of the agent to talk to; the
+ *   backend's default agent when omitted.
+ * @param {Object} [options.settings] Conversation settings, see
+ *   `conversationSettings.js`. The latest settings are used whenever a
+ *   conversation starts.
+ * @param {boolean} [options.record] Whether the backend records the next
+ *   conversation; only set it once the user has agreed.
  */
-export function useConversation() {
-  const [messages, setMessages] = useState([]);
-  const [isRecording, setIsRecording] = useState(false);
-  const [isConnected, setIsConnected] = useState(false);
-  const websocketRef = useRef(null);
-  const audioQueueRef = useRef([]);
-  const isAudioPlayingRef = useRef(false);
-  const mediaStreamRef = useRef(null);
+export function useConversation({ agent, settings, record = false } = {}) {
+  const clientRef = useRef(null);
+  if (!clientRef.current) clientRef.current = new ConversationClient({ agent, settings, record });
+  const client = clientRef.current;
+  client.setAgent(agent);
+  client.setSettings(settings);
+  client.setRecording(record);
 
-  // Setup voice streaming. The onAudioChunked callback is invoked by the
-  // voice‑stream library with base64 encoded PCM audio chunks. These are
-  // forwarded to the ElevenLabs WebSocket when a connection is active.
-  const { startStreaming, stopStreaming } = useVoiceStream({
-    onAudioChunked: (audioData) => {
-      const ws = websocketRef.current;
-      if (!ws || ws.readyState !== WebSocket.OPEN) return;
-      ws.send(
-        JSON.stringify({
-          user_audio_chunk: audioData,
-        }),
-      );
-    },
-  });
-
-  /**
-   * Plays the next audio file in the queue if nothing is currently playing.
-   */
-  const maybePlayNextAudio = useCallback(() => {
-    if (isAudioPlayingRef.current) return;
-    const next = audioQueueRef.current.shift();
-    if (next) {
-      isAudioPlayingRef.current = true;
-      const audio = new Audio(`data:audio/mpeg;base64,${next}`);
-      audio.onended = () => {
-        isAudioPlayingRef.current = false;
-        maybePlayNextAudio();
-      };
-      audio.play().catch(() => {
-        // On failure we still proceed to the next item
-        isAudioPlayingRef.current = false;
-        maybePlayNextAudio();
-      });
-    }
-  }, []);
-
-  /**
-   * Establishes a new conversation with the ElevenLabs agent. This function
-   * requests a signed WebSocket URL from the backend, opens the WebSocket
-   * connection, and begins streaming microphone audio. When the connection
-   * closes the streaming is stopped and the UI state is updated.
-   */
-  const startConversation = useCallback(async () => {
-    if (isConnected) return;
-    try {
-      // Request a signed WebSocket URL from the backend
-      const { data } = await axios.get('/api/signed-url');
-      const { signedUrl } = data;
-      if (!signedUrl) throw new Error('Signed URL not provided');
-
-      const ws = new WebSocket(signedUrl);
-      websocketRef.current = ws;
-      ws.onopen = async () => {
-        setIsConnected(true);
-        // Send conversation initiation message as required by API
-        ws.send(
-          JSON.stringify({
-            type: 'conversation_initiation_client_data',
-          }),
-        );
-        // Start streaming audio from the microphone
-        await startStreaming();
-        setIsRecording(true);
-      };
-      ws.onmessage = (event) => {
-        const data = JSON.parse(event.data);
-        if (data.type === 'ping') {
-          // Respond to ping events to keep the connection alive
-          ws.send(
-            JSON.stringify({
-              type: 'pong',
-              event_id: data.ping_event.event_id,
-            }),
-          );
-          return;
-        }
-        if (data.type === 'user_transcript') {
-          const text = data.user_transcription_event?.user_transcript;
-          if (text) {
-            setMessages((prev) => [...prev, { role: 'user', text }]);
-          }
-        }
-        if (data.type === 'agent_response') {
-          const text = data.agent_response_event?.agent_response;
-          if (text) {
-            setMessages((prev) => [...prev, { role: 'agent', text }]);
-          }
-        }
-        if (data.type === 'audio') {
-          const base64Audio = data.audio_event?.audio_base_64;
-          if (base64Audio) {
-            // Queue the audio and start playback if not already playing
-            audioQueueRef.current.push(base64Audio);
-            maybePlayNextAudio();
-          }
-        }
-      };
-      ws.onclose = () => {
-        websocketRef.current = null;
-        setIsConnected(false);
-        setIsRecording(false);
-        stopStreaming();
-      };
-    } catch (error) {
-      console.error('Failed to start conversation:', error);
-    }
-  }, [isConnected, maybePlayNextAudio, startStreaming, stopStreaming]);
+  const state = useSyncExternalStore(
+    (onChange) => client.on('change', onChange),
+    () => client.state,
+    () => client.state,
+  );
 
-  /**
-   * Stops the current conversation by closing the WebSocket connection and
-   * stopping microphone streaming.
-   */
-  const stopConversation = useCallback(() => {
-    const ws = websocketRef.current;
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.close();
-    }
-    websocketRef.current = null;
-    setIsConnected(false);
-    setIsRecording(false);
-    stopStreaming();
-  }, [stopStreaming]);
+  // Release the microphone and audio context when the component unmounts
+  useEffect(() => {
+    client.attach();
+    return () => client.detach();
+  }, [client]);
 
-  /**
-   * Sends a text message to the backend for fallback text‑to‑speech. The
-   * generated audio is queued for playback and the transcript is added to the
-   * messages list.
-   *
-   * @param {string} text The text input from the user.
-   */
-  const sendTextMessage = useCallback(
-    async (text) => {
-      if (!text) return;
-      // Add the user's text to the chat
-      setMessages((prev) => [...prev, { role: 'user', text }]);
-      try {
-        const { data } = await axios.post('/api/tts', { text });
-        const { audio: audioBase64, format } = data;
-        // For fallback we simply play the returned audio and add a stub agent message
-        if (audioBase64) {
-          audioQueueRef.current.push(audioBase64);
-          maybePlayNextAudio();
-          setMessages((prev) => [...prev, { role: 'agent', text: '[audio]' }]);
-        }
-      } catch (error) {
-        console.error('Failed to perform TTS:', error);
-        setMessages((prev) => [...prev, { role: 'agent', text: 'Sorry, I could not process that.' }]);
-      }
-    },
-    [maybePlayNextAudio],
+  const microphone = useMemo(
+    () => ({ ...state.microphone, ...client.microphone }),
+    [client, state.microphone],
   );
 
   return {
-    messages,
-    isRecording,
-    startConversation,
-    stopConversation,
-    sendTextMessage,
+    messages: state.messages,
+    isRecording: state.isRecording,
+    connectionState: state.connectionState,
+    conversationId: state.conversationId,
+    sessionStartedAt: state.sessionStartedAt,
+    error: state.error,
+    outputAnalyser: state.outputAnalyser,
+    microphone,
+    startConversation: client.startConversation,
+    stopConversation: client.stopConversation,
+    sendTextMessage: client.sendTextMessage,
+    registerClientTool: client.registerClientTool,
+    getAgentAudio: client.getAgentAudio,
   };
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { fetchOverrideOptions } from './conversationSettings';
+
+/**
+ * Custom React hook holding the per-session conversation settings. The
+ * settings start from `initialSettings`, e.g. the page's URL parameters or
+ * the attributes of the embedded widget, and can then be changed in the
+ * settings panel; the options offered there are loaded from the agent's
+ * allowlist on the backend.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.agent] The agent whose options are offered; the
+ *   default agent when omitted.
+ * @param {Object} [options.initialSettings] Settings to start from. They are
+ *   applied again whenever another object is passed.
+ */
+export function useConversationSettings({ agent, initialSettings } = {}) {
+  const [settings, setSettings] = useState({ dynamicVariables: {} });
+  const [options, setOptions] = useState(null);
+
+  useEffect(() => {
+    if (initialSettings) setSettings(initialSettings);
+  }, [initialSettings]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchOverrideOptions(agent)
+      .then((data) => {
+        if (!cancelled) setOptions(data);
+      })
+      .catch((error) => {
+        console.error('Failed to load conversation options:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [agent]);
+
+  return {
+    settings,
+    setSettings,
+    options,
+  };
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { useCallback, useState } from 'react';
+import { api } from './api';
+
+/**
+ * Custom React hook for browsing the conversation history stored by the
+ * backend. It keeps the list of session summaries and exposes helpers to
+ * refresh it, load a full session and delete one.
+ */
+export function useHistory() {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  /**
+   * Reloads the list of stored sessions.
+   */
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { data } = await api.get('/api/sessions');
+      setSessions(data.sessions || []);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetches a single session including its messages.
+   *
+   * @param {string} id The session ID.
+   * @returns {Promise<Object|null>} The session, or null on failure.
+   */
+  const loadSession = useCallback(async (id) => {
+    try {
+      const { data } = await api.get(`/api/sessions/${encodeURIComponent(id)}`);
+      return data.session;
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Deletes a session and removes it from the list.
+   *
+   * @param {string} id The session ID.
+   */
+  const deleteSession = useCallback(async (id) => {
+    try {
+      await api.delete(`/api/sessions/${encodeURIComponent(id)}`);
+      setSessions((prev) => prev.filter((session) => session.id !== id));
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+    }
+  }, []);
+
+  return {
+    sessions,
+    isLoading,
+    refresh,
+    loadSession,
+    deleteSession,
+  };
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { api } from './api';
+
+const SIDES = ['user', 'agent'];
+
+/**
+ * Custom React hook for reviewing a conversation recording. It loads the
+ * recording, the transcript of its history session and both recorded
+ * sides, and plays the sides together with the Web Audio API. The tracks
+ * start at the recording's `startedAt`, so `positionMs` lines up with the
+ * message timestamps once that is subtracted.
+ *
+ * @param {string} [id] The recording ID; nothing is loaded until it is known.
+ * @returns {{ recording: Object|null, messages: Array<Object>, isLoading: boolean,
+ *   error: string|null, durationMs: number, positionMs: number, isPlaying: boolean,
+ *   play: Function, pause: Function, seek: Function }}
+ */
+export function useRecordingPlayback(id) {
+  const [recording, setRecording] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [durationMs, setDurationMs] = useState(0);
+  const [positionMs, setPositionMs] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const contextRef = useRef(null);
+  const buffersRef = useRef([]);
+  const sourcesRef = useRef([]);
+  // Context time and track position at which playback last started
+  const startRef = useRef(null);
+  const offsetRef = useRef(0);
+  const frameRef = useRef(null);
+
+  const stopSources = useCallback(() => {
+    sourcesRef.current.forEach((source) => {
+      source.onended = null;
+      source.stop();
+    });
+    sourcesRef.current = [];
+    cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  // Current track position in milliseconds
+  const currentPosition = useCallback(() => {
+    const start = startRef.current;
+    if (!start) return offsetRef.current;
+    return start.offsetMs + (contextRef.current.currentTime - start.contextTime) * 1000;
+  }, []);
+
+  /**
+   * Pauses playback, keeping the position.
+   */
+  const pause = useCallback(() => {
+    offsetRef.current = currentPosition();
+    startRef.current = null;
+    stopSources();
+    setIsPlaying(false);
+  }, [currentPosition, stopSources]);
+
+  /**
+   * Plays both sides from the current position, or from the start once
+   * the end was reached.
+   */
+  const play = useCallback(() => {
+    const context = contextRef.current;
+    if (!context || buffersRef.current.length === 0) return;
+    stopSources();
+    context.resume();
+    if (offsetRef.current >= durationMs) offsetRef.current = 0;
+    const offsetMs = offsetRef.current;
+    sourcesRef.current = buffersRef.current
+      .filter((buffer) => buffer.duration * 1000 > offsetMs)
+      .map((buffer) => {
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start(0, offsetMs / 1000);
+        return source;
+      });
+    startRef.current = { contextTime: context.currentTime, offsetMs };
+    setIsPlaying(true);
+    const tick = () => {
+      const position = currentPosition();
+      if (position >= durationMs) {
+        offsetRef.current = durationMs;
+        startRef.current = null;
+        stopSources();
+        setPositionMs(durationMs);
+        setIsPlaying(false);
+        return;
+      }
+      setPositionMs(position);
+      frameRef.current = requestAnimationFrame(tick);
+    };
+    tick();
+  }, [currentPosition, durationMs, stopSources]);
+
+  /**
+   * Moves playback to a position, carrying on playing if it was.
+   *
+   * @param {number} ms The track position in milliseconds.
+   */
+  const seek = useCallback(
+    (ms) => {
+      offsetRef.current = Math.min(Math.max(0, ms), durationMs);
+      setPositionMs(offsetRef.current);
+      if (startRef.current) play();
+    },
+    [durationMs, play],
+  );
+
+  useEffect(() => {
+    if (!id) return undefined;
+    let cancelled = false;
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    contextRef.current = context;
+    setIsLoading(true);
+    setError(null);
+    (async () => {
+      try {
+        const path = `/api/recordings/${encodeURIComponent(id)}`;
+        const { data } = await api.get(path);
+        // The transcript may have been deleted from the history
+        const session = await api
+          .get(`/api/sessions/${encodeURIComponent(id)}`)
+          .then((response) => response.data.session)
+          .catch(() => null);
+        const buffers = await Promise.all(
+          SIDES.filter((side) => data.recording.tracks[side]).map(async (side) => {
+            const track = await api.get(`${path}/${side}.wav`, { responseType: 'arraybuffer' });
+            return context.decodeAudioData(track.data);
+          }),
+        );
+        if (cancelled) return;
+        buffersRef.current = buffers;
+        setRecording(data.recording);
+        setMessages(session ? session.messages : []);
+        setDurationMs(Math.max(0, ...buffers.map((buffer) => buffer.duration * 1000)));
+      } catch (loadError) {
+        console.error('Failed to load recording:', loadError);
+        if (!cancelled) {
+          setError(
+            loadError.response?.status === 404
+              ? 'This recording does not exist or has expired.'
+              : 'The recording could not be loaded.',
+          );
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+      stopSources();
+      startRef.current = null;
+      offsetRef.current = 0;
+      buffersRef.current = [];
+      context.close();
+    };
+  }, [id, stopSources]);
+
+  return {
+    recording,
+    messages,
+    isLoading,
+    error,
+    durationMs,
+    positionMs,
+    isPlaying,
+    play,
+    pause,
+    seek,
+  };
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+import { api } from './api';
+import { isRelayMode } from './config';
+
+/**
+ * Custom React hook loading the backend's recording policy: whether
+ * conversations can be recorded and for how many days recordings are kept.
+ * Only the relay can record, so in direct mode nothing is loaded and the
+ * policy stays null.
+ *
+ * @returns {{ enabled: boolean, retentionDays: number }|null} The policy,
+ *   or null until it is known.
+ */
+export function useRecordingPolicy() {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    if (!isRelayMode()) return undefined;
+    let cancelled = false;
+    api
+      .get('/api/recordings/policy')
+      .then(({ data }) => {
+        if (!cancelled) setPolicy(data);
+      })
+      .catch((error) => {
+        console.error('Failed to load recording policy:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return policy;
+}
\ No newline at end of file
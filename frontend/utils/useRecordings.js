@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from 'react';
+import { api } from './api';
+
+/**
+ * Custom React hook listing the conversation recordings the user may
+ * review: their own, or everyone's for operators. The list is loaded on
+ * mount and can be refreshed; recordings can be deleted before their
+ * retention period ends.
+ */
+export function useRecordings() {
+  const [recordings, setRecordings] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  /**
+   * Reloads the list of recordings.
+   */
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { data } = await api.get('/api/recordings');
+      setRecordings(data.recordings || []);
+    } catch (error) {
+      console.error('Failed to load recordings:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Deletes a recording and removes it from the list.
+   *
+   * @param {string} id The recording ID.
+   */
+  const deleteRecording = useCallback(async (id) => {
+    try {
+      await api.delete(`/api/recordings/${encodeURIComponent(id)}`);
+      setRecordings((current) => current.filter((recording) => recording.id !== id));
+    } catch (error) {
+      console.error('Failed to delete recording:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { recordings, isLoading, refresh, deleteRecording };
+}
\ No newline at end of file
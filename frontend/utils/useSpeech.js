@@ -0,0 +1,54 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { playStreamingTts } from './streamingTts';
+import { describeApiError } from './apiErrors';
+
+/**
+ * Custom React hook for reading messages aloud with the streaming TTS
+ * endpoint. Only one message (or voice preview) plays at a time; speaking
+ * another one stops the current one. When speech cannot be generated,
+ * `error` describes why (see apiErrors.js) until the next message is spoken.
+ *
+ * @returns {{ speakingId: *, error: Object|null, speak: Function, stop: Function }}
+ */
+export function useSpeech() {
+  const [speakingId, setSpeakingId] = useState(null);
+  const [error, setError] = useState(null);
+  const playbackRef = useRef(null);
+
+  /**
+   * Stops the message being spoken, if any.
+   */
+  const stop = useCallback(() => {
+    if (playbackRef.current) playbackRef.current.stop();
+    playbackRef.current = null;
+    setSpeakingId(null);
+  }, []);
+
+  /**
+   * Speaks a message, stopping any message that is playing.
+   *
+   * @param {*} id Identifies the message, for `speakingId`.
+   * @param {string} text The text to speak.
+   * @param {Object} [options] Speech options such as `voiceId`.
+   */
+  const speak = useCallback(
+    (id, text, options) => {
+      stop();
+      setError(null);
+      const playback = playStreamingTts(text, options);
+      playbackRef.current = playback;
+      setSpeakingId(id);
+      playback.finished.then((playbackError) => {
+        if (playbackRef.current !== playback) return;
+        playbackRef.current = null;
+        setSpeakingId(null);
+        if (playbackError) setError(describeApiError(playbackError));
+      });
+    },
+    [stop],
+  );
+
+  useEffect(() => stop, [stop]);
+
+  return { speakingId, error, speak, stop };
+}
\ No newline at end of file
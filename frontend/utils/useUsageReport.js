@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useState } from 'react';
+import { api } from './api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a time as a UTC day, `YYYY-MM-DD`, the unit usage is metered in.
+ *
+ * @param {number} at Milliseconds since the epoch.
+ * @returns {string}
+ */
+export function toDay(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+/**
+ * Custom React hook for the admin usage dashboard. It loads the usage report
+ * for a range of days, which defaults to the last 30, and reloads it when the
+ * range changes. Users who are not operators get a 403, reported as
+ * `isForbidden`.
+ */
+export function useUsageReport() {
+  const [range, setRange] = useState(() => ({
+    from: toDay(Date.now() - 29 * DAY_MS),
+    to: toDay(Date.now()),
+  }));
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isForbidden, setIsForbidden] = useState(false);
+
+  /**
+   * Reloads the report for the current range.
+   */
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { data } = await api.get('/api/admin/usage', { params: range });
+      setReport(data);
+      setIsForbidden(false);
+    } catch (error) {
+      if (error.response?.status === 403) setIsForbidden(true);
+      else console.error('Failed to load usage report:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    range,
+    setRange,
+    report,
+    isLoading,
+    isForbidden,
+    refresh,
+  };
+}
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+import { api } from './api';
+
+/**
+ * Custom React hook listing the voices of the backend's speech provider,
+ * with their category, labels and preview URL. The list is loaded once.
+ *
+ * @returns {{ voices: Array<Object>, isLoading: boolean }}
+ */
+export function useVoices() {
+  const [voices, setVoices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get('/api/voices')
+      .then(({ data }) => {
+        if (!cancelled) setVoices(data.voices || []);
+      })
+      .catch((error) => {
+        console.error('Failed to load voices:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { voices, isLoading };
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vitest/config';
+
+// Hook tests run in jsdom with the browser APIs it lacks faked per test
+// (see test/fakeBrowser.js). Components are written in JSX in `.js` files,
+// as Next.js allows.
+export default defineConfig({
+  esbuild: {
+    loader: 'jsx',
+    include: /\.js$/,
+    exclude: /node_modules/,
+    jsx: 'automatic',
+  },
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.js'],
+  },
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+/*
+ * Builds the embeddable chat widget and the JavaScript SDK into `public/`,
+ * where the frontend serves them:
+ *
+ * - `widget.js` – the `<agent-floris>` element with React and the chat
+ *   components bundled in, its Tailwind styles inlined. Also exposes the SDK
+ *   as the `AgentFloris` global.
+ * - `floris-sdk.js` – the SDK as an ES module, without any UI.
+ *
+ * Run with `npm run build:widget`. `NEXT_PUBLIC_*` variables are inlined as
+ * in the Next.js build and can still be overridden per page with
+ * `configure` or the element's attributes.
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+import autoprefixer from 'autoprefixer';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+// Tailwind resolves the content globs of its config from here
+process.chdir(root);
+
+async function compileStyles() {
+  const source = path.join(root, 'widget/widget.css');
+  const result = await postcss([
+    tailwindcss({ config: path.join(root, 'tailwind.config.js') }),
+    autoprefixer,
+  ]).process(await readFile(source, 'utf8'), { from: source });
+  return result.css;
+}
+
+const shared = {
+  bundle: true,
+  minify: true,
+  target: 'es2020',
+  loader: { '.js': 'jsx' },
+  jsx: 'automatic',
+  logLevel: 'info',
+  define: {
+    'process.env.NODE_ENV': '"production"',
+    'process.env.NEXT_PUBLIC_CONVERSATION_MODE': JSON.stringify(
+      process.env.NEXT_PUBLIC_CONVERSATION_MODE || '',
+    ),
+    'process.env.NEXT_PUBLIC_RELAY_URL': JSON.stringify(process.env.NEXT_PUBLIC_RELAY_URL || ''),
+  },
+};
+
+const styles = await compileStyles();
+
+await build({
+  ...shared,
+  entryPoints: [path.join(root, 'widget/index.js')],
+  outfile: path.join(root, 'public/widget.js'),
+  format: 'iife',
+  globalName: 'AgentFloris',
+  define: { ...shared.define, __WIDGET_CSS__: JSON.stringify(styles) },
+});
+
+await build({
+  ...shared,
+  entryPoints: [path.join(root, 'widget/sdk.js')],
+  outfile: path.join(root, 'public/floris-sdk.js'),
+  format: 'esm',
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import Chat from '../components/Chat';
+import LoginForm from '../components/LoginForm';
+import { useAuth } from '../utils/useAuth';
+import { configure } from '../utils/config';
+import { settingsFromQuery } from '../utils/conversationSettings';
+
+export * from './sdk';
+
+// Compiled Tailwind styles of the widget, inlined by build.mjs
+const STYLES = __WIDGET_CSS__;
+
+const TAG_NAME = 'agent-floris';
+
+// Attributes that map to a conversation setting; `var-*` attributes hold
+// dynamic variables
+const SETTING_ATTRIBUTES = {
+  prompt: 'prompt',
+  'first-message': 'firstMessage',
+  language: 'language',
+  'voice-id': 'voiceId',
+};
+
+// The script tag that loaded the widget, only available while it runs
+const currentScript = typeof document !== 'undefined' ? document.currentScript : null;
+
+/**
+ * Reads the conversation settings from the element's attributes.
+ *
+ * @param {HTMLElement} element The widget element.
+ * @returns {Object} The settings, see `conversationSettings.js`.
+ */
+function settingsFromAttributes(element) {
+  const query = {};
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (SETTING_ATTRIBUTES[name]) query[SETTING_ATTRIBUTES[name]] = value;
+    if (name.startsWith('var-')) query[`var_${name.slice(4)}`] = value;
+  });
+  return settingsFromQuery(query);
+}
+
+/**
+ * Floating launcher that opens the chat in a panel. The chat stays mounted
+ * while the panel is closed, so a running conversation carries on.
+ *
+ * @param {Object} props
+ * @param {Object} props.initialSettings - Conversation settings to start from.
+ * @param {string} [props.agent] - The agent to talk to; the default agent
+ *   when omitted.
+ */
+function Widget({ initialSettings, agent }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const { isReady, isAuthenticated, error, isLoggingIn, login, logout } = useAuth();
+
+  return (
+    <div className="widget">
+      <div className={`panel ${isOpen ? '' : 'hidden'}`}>
+        {isReady && isAuthenticated && (
+          <Chat onLogout={logout} initialSettings={initialSettings} agent={agent} />
+        )}
+        {isReady && !isAuthenticated && (
+          <LoginForm onLogin={login} error={error} isLoggingIn={isLoggingIn} />
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-label={isOpen ? 'Close chat' : 'Open chat'}
+        className="w-14 h-14 rounded-full shadow-lg bg-blue-500 hover:bg-blue-600 text-white flex items-center justify-center transition"
+      >
+        <svg
+          className="w-6 h-6"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        >
+          <path d={isOpen ? 'M6 6l12 12M18 6L6 18' : 'M4 5h16v11H9l-5 4V5z'} />
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+/**
+ * The `<agent-floris>` custom element: a floating launcher in a corner of
+ * the page that opens the chat. It renders into a Shadow DOM, so the page's
+ * styles do not leak into the chat and the chat's styles do not leak out.
+ *
+ * Attributes, read when the element is added to the page:
+ *
+ * - `backend-url` – base URL of the backend; defaults to the page's host.
+ * - `conversation-mode` – `direct` (default) or `relay`.
+ * - `relay-url` – explicit WebSocket URL of the relay.
+ * - `agent` – name of the agent to talk to; defaults to the backend's
+ *   default agent.
+ * - `prompt`, `first-message`, `language`, `voice-id` and `var-<name>` –
+ *   conversation settings, as the URL parameters of the app.
+ * - `primary-color` and `accent-color` – colours of the buttons and links
+ *   and of the voice controls, as CSS colours.
+ * - `position` – `bottom-right` (default) or `bottom-left`.
+ *
+ * The backend settings apply to the whole page, so all widgets on it talk
+ * to the same backend.
+ */
+class AgentFlorisElement extends HTMLElement {
+  connectedCallback() {
+    const attribute = (name) => this.getAttribute(name) ?? undefined;
+    configure({
+      backendUrl: attribute('backend-url'),
+      conversationMode: attribute('conversation-mode'),
+      relayUrl: attribute('relay-url'),
+    });
+
+    const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+    shadow.replaceChildren();
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    const container = document.createElement('div');
+    shadow.append(style, container);
+    if (attribute('primary-color')) {
+      this.style.setProperty('--floris-primary', attribute('primary-color'));
+    }
+    if (attribute('accent-color')) {
+      this.style.setProperty('--floris-accent', attribute('accent-color'));
+    }
+
+    this.root = createRoot(container);
+    this.root.render(
+      <Widget initialSettings={settingsFromAttributes(this)} agent={attribute('agent')} />,
+    );
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, AgentFlorisElement);
+
+  // A page that embeds the widget with only a script tag gets a launcher
+  // configured by the script's `data-*` attributes, e.g.
+  // `<script src=".../widget.js" data-backend-url="..."></script>`.
+  // Pages that place an `<agent-floris>` element themselves get none.
+  const mount = () => {
+    if (document.querySelector(TAG_NAME)) return;
+    const element = document.createElement(TAG_NAME);
+    Object.entries(currentScript?.dataset || {}).forEach(([key, value]) => {
+      element.setAttribute(key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`), value);
+    });
+    document.body.append(element);
+  };
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mount);
+  } else {
+    mount();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Public surface of the JavaScript SDK, built as `floris-sdk.js` (see
+ * build.mjs). It lets any page hold a conversation with the agent without
+ * React or the chat UI: point the SDK at the backend with `configure`, sign
+ * in with `login` (or hand over a token obtained elsewhere with
+ * `setAuthToken`), then drive a `ConversationClient`.
+ */
+import { api, setAuthToken } from '../utils/api';
+
+export { ConversationClient } from '../utils/conversationClient';
+export { configure } from '../utils/config';
+export { getAuthToken, setAuthToken } from '../utils/api';
+
+/**
+ * Exchanges an API key for a session token and stores it, so later requests
+ * of the SDK are authenticated.
+ *
+ * @param {string} apiKey The user's API key.
+ * @returns {Promise<string>} The token.
+ */
+export async function login(apiKey) {
+  const { data } = await api.post('/api/auth/login', { apiKey });
+  setAuthToken(data.token);
+  return data.token;
+}
\ No newline at end of file